@@ -16,23 +16,33 @@ connectMongoDB();
 
 // Initialize ServiceNow Polling Service
 const { pollingService } = require('./services/servicenowPollingService');
-const { bulkImportAllTickets, hasCompletedBulkImport, getBulkImportStatus } = require('./services/servicenowIngestionService');
+const { bulkImportAllTables, hasCompletedBulkImport, getBulkImportStatus } = require('./services/servicenowIngestionService');
+const { getActiveConnections } = require('./services/servicenowConnectionService');
+const { loadFieldMapping } = require('./services/fieldMappingService');
+const { startReconciliationSchedule } = require('./services/servicenowReconciliationService');
+const { attachRealtime } = require('./services/realtimeService');
 const config = require('./config');
 
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const corsOrigins = process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : [
+  'http://localhost:3001',
+];
 
 // Middleware
 app.use(helmet());
 app.use(cors({
-  origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : [
-    'http://localhost:3001',
-  ],
+  origin: corsOrigins,
   credentials: process.env.CORS_CREDENTIALS === 'true' || true,
 }));
 app.use(morgan('combined'));
-app.use(express.json());
+app.use(express.json({
+  // Keep the raw body for webhook signature verification
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: false }));
 
 // SuperTokens middleware
@@ -152,26 +162,41 @@ app.use('*', (req, res) => {
   res.status(404).json({ error: 'Route not found' });
 });
 
-app.listen(PORT, async () => {
+const server = app.listen(PORT, async () => {
   console.log(`🚀 Server running on port ${PORT}`);
   console.log(`📱 Health check: http://localhost:${PORT}/health`);
   
+  // Load and validate the ServiceNow field mapping before any ingestion runs
+  try {
+    await loadFieldMapping();
+  } catch (error) {
+    console.error('❌ Failed to load ServiceNow field mapping:', error);
+  }
+
   // Initialize ServiceNow bulk import if enabled and not already completed
   console.log(`🔧 ServiceNow URL: ${config.servicenow.url || 'Not configured'}`);
   if (config.servicenow.enableBulkImport) {
     try {
-      // Check if bulk import has already been completed
-      const alreadyCompleted = await hasCompletedBulkImport();
+      // Check which tables of which connections have already completed their bulk import
+      const pendingTables = [];
+      for (const connection of await getActiveConnections()) {
+        for (const table of connection.tables) {
+          if (await hasCompletedBulkImport(table, connection.key)) {
+            const status = await getBulkImportStatus(table, connection.key);
+            console.log(`ℹ️ Bulk import of ${table} (${connection.key}) already completed. Skipping startup import.`);
+            console.log(`   - Last import: ${status.lastImportTime}`);
+            console.log(`   - Total imported: ${status.totalImported}`);
+          } else {
+            pendingTables.push(`${table} (${connection.key})`);
+          }
+        }
+      }
       
-      if (alreadyCompleted) {
-        const status = await getBulkImportStatus();
-        console.log('ℹ️ Bulk import already completed. Skipping startup import.');
-        console.log(`   - Last import: ${status.lastImportTime}`);
-        console.log(`   - Total imported: ${status.totalImported}`);
+      if (pendingTables.length === 0) {
         console.log('   - Use manual endpoint to force re-import if needed');
       } else {
-        console.log('🔄 Starting ServiceNow bulk import (first time setup)...');
-        const result = await bulkImportAllTickets({
+        console.log(`🔄 Starting ServiceNow bulk import (first time setup) for: ${pendingTables.join(', ')}...`);
+        const result = await bulkImportAllTables({
           batchSize: config.servicenow.bulkImportBatchSize
         });
         
@@ -192,16 +217,26 @@ app.listen(PORT, async () => {
     console.log('ℹ️ Bulk import not triggered - disabled (set SERVICENOW_ENABLE_BULK_IMPORT=true to enable)');
   }
   
-  // Initialize ServiceNow polling service if enabled
-  if (config.servicenow.enablePolling) {
+  // Initialize the polling service if a connector is enabled
+  if (config.servicenow.enablePolling || config.jira.enabled) {
     try {
       await pollingService.initialize();
     } catch (error) {
-      console.error('❌ Failed to initialize ServiceNow polling service:', error);
+      console.error('❌ Failed to initialize ticket polling service:', error);
     }
   } else {
-    console.log('ℹ️ ServiceNow polling is disabled (set SERVICENOW_ENABLE_POLLING=true to enable)');
+    console.log('ℹ️ Ticket polling is disabled (set SERVICENOW_ENABLE_POLLING=true or JIRA_ENABLED=true to enable)');
+  }
+
+  // Schedule the ServiceNow reconciliation sweep if enabled
+  if (config.servicenow.enableReconciliation) {
+    startReconciliationSchedule();
+  } else {
+    console.log('ℹ️ ServiceNow reconciliation is disabled (set SERVICENOW_ENABLE_RECONCILIATION=true to enable)');
   }
 });
 
+// Real-time ticket and polling events over Socket.IO, sharing the HTTP server
+attachRealtime(server, { corsOrigins });
+
 module.exports = app;
@@ -0,0 +1,56 @@
+const Redis = require('ioredis');
+const config = require('../index');
+
+let redisClient = null;
+
+/**
+ * Shared Redis connection, created on first use from REDIS_URL or REDIS_HOST/PORT/PASSWORD
+ */
+const getRedisClient = () => {
+  if (redisClient) {
+    return redisClient;
+  }
+
+  const options = {
+    keyPrefix: config.redis.keyPrefix,
+    // Fail fast instead of retrying commands for long while Redis is unreachable
+    maxRetriesPerRequest: 1
+  };
+
+  redisClient = config.redis.url ?
+    new Redis(config.redis.url, options) :
+    new Redis({
+      ...options,
+      host: config.redis.host,
+      port: config.redis.port,
+      password: config.redis.password
+    });
+
+  redisClient.on('ready', () => {
+    console.log('✅ Redis connection established successfully.');
+  });
+  redisClient.on('error', (error) => {
+    console.error('❌ Redis connection error:', error.message);
+  });
+
+  return redisClient;
+};
+
+const disconnectRedis = async () => {
+  if (!redisClient) {
+    return;
+  }
+  try {
+    await redisClient.quit();
+    console.log('✅ Redis disconnected successfully.');
+  } catch (error) {
+    console.error('❌ Error disconnecting from Redis:', error);
+  } finally {
+    redisClient = null;
+  }
+};
+
+module.exports = {
+  getRedisClient,
+  disconnectRedis
+};
@@ -12,6 +12,15 @@ const config = {
     password: process.env.DB_PASSWORD
   },
   
+  // Redis configuration (distributed locks)
+  redis: {
+    url: process.env.REDIS_URL,
+    host: process.env.REDIS_HOST || 'localhost',
+    port: parseInt(process.env.REDIS_PORT) || 6379,
+    password: process.env.REDIS_PASSWORD,
+    keyPrefix: process.env.REDIS_KEY_PREFIX || 'test-bg:'
+  },
+  
   // SuperTokens configuration
   supertokens: {
     connectionURI: process.env.SUPERTOKENS_CONNECTION_URI || 'http://localhost:3567',
@@ -28,6 +37,16 @@ const config = {
     credentials: process.env.CORS_CREDENTIALS === 'true' || true
   },
 
+  // Real-time events (Socket.IO)
+  realtime: {
+    enabled: process.env.REALTIME_ENABLED !== 'false',
+    path: process.env.REALTIME_PATH || '/socket.io',
+    // Relay events through Redis pub/sub so clients of every replica receive them
+    redisFanout: process.env.REALTIME_REDIS_FANOUT !== undefined ?
+      process.env.REALTIME_REDIS_FANOUT === 'true' :
+      process.env.SERVICENOW_ENABLE_DISTRIBUTED_LOCK === 'true'
+  },
+
   // Storage configuration
   storage: {
     type: process.env.STORAGE_TYPE || 'aws-s3',
@@ -93,19 +112,106 @@ const config = {
       url: process.env.SERVICENOW_URL,
       username: process.env.SERVICENOW_USERNAME,
       password: process.env.SERVICENOW_PASSWORD,
+      // "basic" or "oauth"; OAuth uses the password or client_credentials grant
+      authMode: process.env.SERVICENOW_AUTH_MODE || 'basic',
+      oauth: {
+        grantType: process.env.SERVICENOW_OAUTH_GRANT_TYPE || 'client_credentials',
+        clientId: process.env.SERVICENOW_OAUTH_CLIENT_ID,
+        clientSecret: process.env.SERVICENOW_OAUTH_CLIENT_SECRET,
+        tokenEndpoint: process.env.SERVICENOW_OAUTH_TOKEN_ENDPOINT || '/oauth_token.do',
+        scope: process.env.SERVICENOW_OAUTH_SCOPE,
+        // Use SERVICENOW_USERNAME/PASSWORD basic auth when no token can be obtained
+        basicAuthFallback: process.env.SERVICENOW_BASIC_AUTH_FALLBACK === 'true' || false
+      },
       apiEndpoint: process.env.SERVICENOW_API_ENDPOINT || '/api/now/table/incident',
+      // Tables ingested as tickets, see src/config/servicenowTables.js
+      tables: (process.env.SERVICENOW_TABLES || 'incident').split(',').map(table => table.trim()).filter(Boolean),
       timeout: parseInt(process.env.SERVICENOW_TIMEOUT) || 30000,
+      // Path to a JSON/JS field mapping definition (overridden by a mapping stored in MongoDB)
+      fieldMappingFile: process.env.SERVICENOW_FIELD_MAPPING_FILE,
       // Polling configuration
       pollingInterval: process.env.SERVICENOW_POLLING_INTERVAL || '*/1 * * * *', // Every minute
-      pollingBatchSize: parseInt(process.env.SERVICENOW_POLLING_BATCH_SIZE) || 10,
+      pollingBatchSize: parseInt(process.env.SERVICENOW_POLLING_BATCH_SIZE) || 100,
+      pollingOverlapSeconds: process.env.SERVICENOW_POLLING_OVERLAP_SECONDS !== undefined ?
+        parseInt(process.env.SERVICENOW_POLLING_OVERLAP_SECONDS) || 0 : 60,
+      pollRunRetentionDays: parseInt(process.env.SERVICENOW_POLL_RUN_RETENTION_DAYS) || 30,
+      // Circuit breaker of a table's poller: opens after maxRetries consecutive failed polls,
+      // lets a probe poll through after the cool-down
       maxRetries: parseInt(process.env.SERVICENOW_MAX_RETRIES) || 3,
-      retryDelay: parseInt(process.env.SERVICENOW_RETRY_DELAY) || 5000,
+      circuitCooldownSeconds: parseInt(process.env.SERVICENOW_CIRCUIT_COOLDOWN_SECONDS) || 300,
+      // HTTP request policy: requests-per-second budget (0 = unlimited) and retries of
+      // throttled (429) and transient (5xx, network) failures with exponential backoff
+      maxRequestsPerSecond: process.env.SERVICENOW_MAX_RPS !== undefined ? parseFloat(process.env.SERVICENOW_MAX_RPS) || 0 : 10,
+      httpMaxRetries: process.env.SERVICENOW_HTTP_MAX_RETRIES !== undefined ? parseInt(process.env.SERVICENOW_HTTP_MAX_RETRIES) || 0 : 4,
+      retryDelay: parseInt(process.env.SERVICENOW_RETRY_DELAY) || 1000, // backoff base delay
+      retryMaxDelay: parseInt(process.env.SERVICENOW_RETRY_MAX_DELAY) || 60000,
       enablePolling: process.env.SERVICENOW_ENABLE_POLLING === 'true' || false,
+      // Inbound webhook configuration; with webhooks enabled polling becomes a safety net
+      enableWebhook: process.env.SERVICENOW_ENABLE_WEBHOOK === 'true' || false,
+      webhookSecret: process.env.SERVICENOW_WEBHOOK_SECRET,
+      webhookSignatureHeader: (process.env.SERVICENOW_WEBHOOK_SIGNATURE_HEADER || 'x-servicenow-signature').toLowerCase(),
+      // Signed send time (unix seconds); deliveries older or newer than the tolerance are replays
+      webhookTimestampHeader: (process.env.SERVICENOW_WEBHOOK_TIMESTAMP_HEADER || 'x-servicenow-timestamp').toLowerCase(),
+      webhookToleranceSeconds: parseInt(process.env.SERVICENOW_WEBHOOK_TOLERANCE_SECONDS) || 300,
+      safetyNetPollingInterval: process.env.SERVICENOW_SAFETY_NET_POLLING_INTERVAL || '*/15 * * * *', // Every 15 minutes
+      // Journal entries (sys_journal_field) stored as ticket activity
+      syncJournal: process.env.SERVICENOW_SYNC_JOURNAL !== 'false',
+      journalElements: (process.env.SERVICENOW_JOURNAL_ELEMENTS || 'comments,work_notes').split(',').map(element => element.trim()).filter(Boolean),
+      // Attachment mirroring (sys_attachment) into object storage
+      syncAttachments: process.env.SERVICENOW_SYNC_ATTACHMENTS === 'true' || false,
+      attachmentPrefix: process.env.SERVICENOW_ATTACHMENT_PREFIX || 'servicenow/attachments',
+      attachmentMaxBytes: parseInt(process.env.SERVICENOW_ATTACHMENT_MAX_BYTES) || 25 * 1024 * 1024, // 25MB
+      // Redis lease locks so only one replica runs each poll, bulk import or reconciliation
+      enableDistributedLock: process.env.SERVICENOW_ENABLE_DISTRIBUTED_LOCK === 'true' || false,
+      lockTtl: parseInt(process.env.SERVICENOW_LOCK_TTL) || 60000, // renewed while the job runs
       // Bulk import configuration
       enableBulkImport: process.env.SERVICENOW_ENABLE_BULK_IMPORT === 'true' || false,
-      bulkImportBatchSize: parseInt(process.env.SERVICENOW_BULK_IMPORT_BATCH_SIZE) || 100
+      bulkImportBatchSize: parseInt(process.env.SERVICENOW_BULK_IMPORT_BATCH_SIZE) || 100,
+      // Reconciliation (deletion and drift) sweep configuration
+      enableReconciliation: process.env.SERVICENOW_ENABLE_RECONCILIATION === 'true' || false,
+      reconcileInterval: process.env.SERVICENOW_RECONCILE_INTERVAL || '0 2 * * *', // Daily at 02:00 UTC
+      reconcileBatchSize: parseInt(process.env.SERVICENOW_RECONCILE_BATCH_SIZE) || 1000,
+      reconcileQuery: process.env.SERVICENOW_RECONCILE_QUERY || '', // scope; records outside it count as deleted
+      reconcileMaxDeletePercent: parseFloat(process.env.SERVICENOW_RECONCILE_MAX_DELETE_PERCENT) || 20
+    },
+
+    // Jira Service Management connector, see src/services/connectors/jiraConnector.js
+    jira: {
+      enabled: process.env.JIRA_ENABLED === 'true' || false,
+      url: process.env.JIRA_URL,                       // https://<site>.atlassian.net
+      email: process.env.JIRA_EMAIL,                   // account of the API token
+      apiToken: process.env.JIRA_API_TOKEN,
+      // Projects polled, each with its own watermark
+      projects: (process.env.JIRA_PROJECTS || '').split(',').map(project => project.trim()).filter(Boolean),
+      jql: process.env.JIRA_JQL || '',                 // extra JQL restricting the polled issues
+      pollingInterval: process.env.JIRA_POLLING_INTERVAL || '*/5 * * * *', // Every 5 minutes
+      pollingBatchSize: parseInt(process.env.JIRA_POLLING_BATCH_SIZE) || 50,
+      // JQL compares dates to the minute, so the overlap must be at least 60 seconds
+      pollingOverlapSeconds: Math.max(parseInt(process.env.JIRA_POLLING_OVERLAP_SECONDS) || 120, 60),
+      timeout: parseInt(process.env.JIRA_TIMEOUT) || 30000,
+      maxRequestsPerSecond: process.env.JIRA_MAX_RPS !== undefined ? parseFloat(process.env.JIRA_MAX_RPS) || 0 : 5,
+      httpMaxRetries: process.env.JIRA_HTTP_MAX_RETRIES !== undefined ? parseInt(process.env.JIRA_HTTP_MAX_RETRIES) || 0 : 4,
+      retryDelay: parseInt(process.env.JIRA_RETRY_DELAY) || 1000,
+      retryMaxDelay: parseInt(process.env.JIRA_RETRY_MAX_DELAY) || 60000
     },
 
+  // Ticket analytics (GET /tickets/analytics/*)
+  analytics: {
+    // Resolution targets in hours by priority ("1:4,2:8"); a priority matches stored values equal
+    // to it or starting with it followed by a non-alphanumeric character ("1" matches "1 - Critical")
+    slaTargets: Object.fromEntries((process.env.TICKET_SLA_TARGETS || '1:4,2:8,3:24,4:72,5:120')
+      .split(',')
+      .map(target => target.split(':').map(part => part.trim()))
+      .filter(([priority, hours]) => priority && parseFloat(hours) > 0)
+      .map(([priority, hours]) => [priority, parseFloat(hours)]))
+  },
+
+  // Ticket exports (GET /tickets/export), async exports are written to the storage bucket
+  ticketExport: {
+    prefix: process.env.TICKET_EXPORT_PREFIX || 'exports/tickets',
+    urlExpiresIn: parseInt(process.env.TICKET_EXPORT_URL_EXPIRES_IN) || 3600
+  },
+
       // Output configuration
   output: {
     filename: process.env.OUTPUT_FILENAME || 'tickets.json',
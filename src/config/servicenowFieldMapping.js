@@ -0,0 +1,48 @@
+// Default mapping from ServiceNow record fields to the Ticket schema.
+// Can be overridden with SERVICENOW_FIELD_MAPPING_FILE or a document in the
+// field_mappings collection, see src/services/fieldMappingService.js
+//
+// Each field entry:
+//   source     - ServiceNow field name (also requested through sysparm_fields, unless
+//                keepCustomFields requests every column)
+//   target     - Ticket path, e.g. "requester.id" or "custom_fields.u_business_service"
+//   required   - reject the record when the value is missing
+//   transform  - optional: "date", "reference", "split", "number", "lookup"
+//                or an object { type, ...options }
+//                  reference: { property: 'value' }        property of a reference object to keep
+//                  split:     { separator: ',' }            string to trimmed array
+//                  lookup:    { table: {...}, default }     value translation, unknown values pass through
+//                                                          unless a default is given
+
+module.exports = {
+  name: 'servicenow',
+  version: 1,
+  constants: {
+    source: 'ServiceNow'
+  },
+  // Copy any u_* field present in the payload into custom_fields. Reads then request every
+  // column instead of the mapped ones; set to false to keep only the fields mapped below
+  keepCustomFields: true,
+  fields: [
+    { source: 'number', target: 'ticket_id', required: true },
+    { source: 'sys_id', target: 'sys_id' },
+    { source: 'short_description', target: 'short_description' },
+    { source: 'description', target: 'description' },
+    { source: 'category', target: 'category' },
+    { source: 'subcategory', target: 'subcategory' },
+    { source: 'state', target: 'status' },
+    { source: 'priority', target: 'priority' },
+    { source: 'impact', target: 'impact' },
+    { source: 'urgency', target: 'urgency' },
+    { source: 'opened_at', target: 'opened_time', transform: 'date' },
+    { source: 'closed_at', target: 'closed_time', transform: 'date' },
+    { source: 'resolved_at', target: 'resolved_time', transform: 'date' },
+    { source: 'reopen_count', target: 'reopen_count', transform: 'number' },
+    { source: 'caller_id', target: 'requester.id', transform: 'reference' },
+    { source: 'assigned_to', target: 'assigned_to.id', transform: 'reference' },
+    { source: 'assignment_group', target: 'assignment_group.id', transform: 'reference' },
+    { source: 'company', target: 'company.id', transform: 'reference' },
+    { source: 'location', target: 'location.id', transform: 'reference' },
+    { source: 'tags', target: 'tags', transform: { type: 'split', separator: ',' } }
+  ]
+};
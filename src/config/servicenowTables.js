@@ -0,0 +1,43 @@
+// ServiceNow tables that can be ingested as tickets.
+// Enable them with SERVICENOW_TABLES (comma-separated, default "incident").
+//
+// Each table:
+//   recordType - stored on the ticket as record_type
+//   fields     - extra fields requested for this table on top of the mapped ones
+//   mapping    - field mapping entries replacing the base entry with the same target
+
+module.exports = {
+  incident: {
+    recordType: 'incident',
+    fields: ['sys_created_on', 'sys_updated_on'],
+    mapping: []
+  },
+  sc_req_item: {
+    recordType: 'request_item',
+    fields: ['sys_created_on', 'sys_updated_on', 'request', 'cat_item', 'stage', 'quantity'],
+    mapping: [
+      { source: 'requested_for', target: 'requester.id', transform: 'reference' }
+    ]
+  },
+  problem: {
+    recordType: 'problem',
+    fields: ['sys_created_on', 'sys_updated_on', 'problem_state', 'known_error', 'cause_notes', 'fix_notes'],
+    mapping: [
+      { source: 'opened_by', target: 'requester.id', transform: 'reference' }
+    ]
+  },
+  change_request: {
+    recordType: 'change_request',
+    fields: ['sys_created_on', 'sys_updated_on', 'type', 'risk', 'start_date', 'end_date', 'approval'],
+    mapping: [
+      { source: 'requested_by', target: 'requester.id', transform: 'reference' }
+    ]
+  },
+  sc_task: {
+    recordType: 'catalog_task',
+    fields: ['sys_created_on', 'sys_updated_on', 'request_item', 'request'],
+    mapping: [
+      { source: 'request_item.requested_for', target: 'requester.id', transform: 'reference' }
+    ]
+  }
+};
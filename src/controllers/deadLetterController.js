@@ -0,0 +1,261 @@
+const mongoose = require('mongoose');
+const {
+  getDeadLetters,
+  getDeadLetter,
+  retryDeadLetters,
+  retryDeadLetter,
+  discardDeadLetters,
+  discardDeadLetter
+} = require('../services/servicenowDeadLetterService');
+
+/**
+ * Validate the selection of a bulk retry / discard. Without ids the whole queue (or a
+ * table of it) is selected, which needs { "confirm": true }.
+ * @returns {String|null} Error message
+ */
+const validateBulkSelection = ({ ids, confirm }) => {
+  if (ids !== undefined) {
+    if (!Array.isArray(ids) || ids.length === 0) {
+      return 'ids must be a non-empty array';
+    }
+    if (!ids.every(id => mongoose.isValidObjectId(id))) {
+      return 'ids must be dead letter ids';
+    }
+    return null;
+  }
+  if (!confirm) {
+    return 'Send ids, or { "confirm": true } to select every pending dead letter (of table)';
+  }
+  return null;
+};
+
+/**
+ * Status code of a failed single dead letter operation
+ */
+const errorStatus = (result) => {
+  if (result.notFound) return 404;
+  if (result.invalid) return 409;
+  return 500;
+};
+
+/**
+ * List dead letters, most recent failure first
+ * Query: table, connection, status (pending, resolved, discarded or all; default pending), stage, ticketId, page, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listDeadLetters = async (req, res) => {
+  try {
+    const { table, connection, status, stage, ticketId, page, limit } = req.query;
+    const result = await getDeadLetters({ table, connection, status, stage, ticketId, page, limit });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch dead letters',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dead letters retrieved successfully',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error listing dead letters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single dead letter with its payload
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getDeadLetterDetails = async (req, res) => {
+  try {
+    const result = await getDeadLetter(req.params.id);
+
+    if (!result.success) {
+      const statusCode = result.error === 'Dead letter not found' ? 404 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dead letter retrieved successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error getting dead letter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retry pending dead letters
+ * Body: { ids?: [...], table?: 'incident', connection?: 'default', confirm?: true }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const retryDeadLetterBatch = async (req, res) => {
+  try {
+    const { ids, table, connection, confirm } = req.body;
+    const validationError = validateBulkSelection({ ids, confirm });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const result = await retryDeadLetters({ ids, table, connection });
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to retry dead letters',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${result.resolved} of ${result.retried} dead letters saved`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error retrying dead letters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Retry a single pending dead letter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const retrySingleDeadLetter = async (req, res) => {
+  try {
+    const result = await retryDeadLetter(req.params.id);
+
+    if (!result.success) {
+      return res.status(errorStatus(result)).json({
+        success: false,
+        message: result.error,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.resolved ? 'Dead letter saved' : 'Retry failed, the dead letter is still pending',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error retrying dead letter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Discard pending dead letters
+ * Body: { ids?: [...], table?: 'incident', connection?: 'default', confirm?: true }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const discardDeadLetterBatch = async (req, res) => {
+  try {
+    const { ids, table, connection, confirm } = req.body;
+    const validationError = validateBulkSelection({ ids, confirm });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const result = await discardDeadLetters({ ids, table, connection }, req.session?.getUserId?.());
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to discard dead letters',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: `${result.discarded} dead letters discarded`,
+      data: result
+    });
+  } catch (error) {
+    console.error('Error discarding dead letters:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Discard a single pending dead letter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const discardSingleDeadLetter = async (req, res) => {
+  try {
+    const result = await discardDeadLetter(req.params.id, req.session?.getUserId?.());
+
+    if (!result.success) {
+      return res.status(errorStatus(result)).json({
+        success: false,
+        message: result.error,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Dead letter discarded'
+    });
+  } catch (error) {
+    console.error('Error discarding dead letter:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listDeadLetters,
+  getDeadLetterDetails,
+  retryDeadLetterBatch,
+  retrySingleDeadLetter,
+  discardDeadLetterBatch,
+  discardSingleDeadLetter
+};
@@ -0,0 +1,109 @@
+const {
+  getActiveMapping,
+  saveFieldMapping,
+  previewMapping
+} = require('../services/fieldMappingService');
+
+/**
+ * Get the active ServiceNow field mapping
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getFieldMapping = async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      message: 'Field mapping retrieved successfully',
+      data: getActiveMapping()
+    });
+  } catch (error) {
+    console.error('Error getting field mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get field mapping',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Validate, store and activate a new field mapping
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateFieldMapping = async (req, res) => {
+  try {
+    const updatedBy = req.session?.getUserId?.();
+    const result = await saveFieldMapping(req.body, updatedBy);
+
+    if (!result.success) {
+      const statusCode = result.errors ? 400 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error,
+        errors: result.errors
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Field mapping saved successfully',
+      data: getActiveMapping()
+    });
+  } catch (error) {
+    console.error('Error updating field mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update field mapping',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Preview a mapping against sample ServiceNow payloads without saving anything
+ * Body: { sample: {...} | [...], mapping?: {...}, table?: 'incident' }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const previewFieldMapping = async (req, res) => {
+  try {
+    const { sample, mapping, table = 'incident' } = req.body;
+
+    if (!sample || typeof sample !== 'object') {
+      return res.status(400).json({
+        success: false,
+        message: 'A sample ServiceNow payload (object or array) is required in "sample"'
+      });
+    }
+
+    const result = previewMapping(sample, mapping, table);
+
+    if (!result.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid field mapping',
+        errors: result.errors
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Field mapping preview generated successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error previewing field mapping:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to preview field mapping',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  getFieldMapping,
+  updateFieldMapping,
+  previewFieldMapping
+};
@@ -0,0 +1,138 @@
+const {
+  reconcileTable,
+  reconcileAllTables,
+  getReconciliationRuns,
+  getReconciliationRun,
+  isReconciliationRunning
+} = require('../services/servicenowReconciliationService');
+const { getConnection } = require('../services/servicenowConnectionService');
+
+/**
+ * List reconciliation reports, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listReconciliationRuns = async (req, res) => {
+  try {
+    const { table, connection, page, limit } = req.query;
+    const result = await getReconciliationRuns({ table, connection, page, limit });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch reconciliation reports',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reconciliation reports retrieved successfully',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error listing reconciliation runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single reconciliation report with its drift details
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const result = await getReconciliationRun(req.params.id);
+
+    if (!result.success) {
+      const statusCode = result.error === 'Reconciliation run not found' ? 404 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Reconciliation report retrieved successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error getting reconciliation run:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Start a reconciliation sweep in the background
+ * Body: { table?: 'incident', connection?: 'default' } - without a table every table of the
+ * connection is reconciled
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const triggerReconciliation = async (req, res) => {
+  try {
+    const { table, connection: connectionKey = 'default' } = req.body;
+    const connection = await getConnection(connectionKey);
+
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown or disabled ServiceNow connection "${connectionKey}"`
+      });
+    }
+
+    const tables = table ? [table] : connection.tables;
+
+    if (table && !connection.tables.includes(table)) {
+      return res.status(400).json({
+        success: false,
+        message: `Table "${table}" is not enabled for ingestion`
+      });
+    }
+
+    const running = tables.filter(name => isReconciliationRunning(name, connection.key));
+    if (running.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Reconciliation already in progress for: ${running.join(', ')}`
+      });
+    }
+
+    // A full sweep pages through every remote record, so it runs in the background
+    const run = table ?
+      reconcileTable(table, { trigger: 'manual', connection }) :
+      reconcileAllTables({ trigger: 'manual', connection });
+    run.catch(error => console.error('Error during manual reconciliation:', error));
+
+    res.status(202).json({
+      success: true,
+      message: 'Reconciliation started. Follow progress in GET /servicenow-polling/reconcile',
+      data: { connection: connection.key, tables }
+    });
+  } catch (error) {
+    console.error('Error triggering reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to trigger reconciliation',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listReconciliationRuns,
+  getReconciliationReport,
+  triggerReconciliation
+};
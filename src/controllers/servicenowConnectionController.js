@@ -0,0 +1,239 @@
+const {
+  listConnections,
+  getConnectionDetails,
+  createConnection,
+  updateConnection,
+  deleteConnection,
+  testConnection
+} = require('../services/servicenowConnectionService');
+const { pollingService } = require('../services/servicenowPollingService');
+
+/**
+ * Status code of a failed connection operation
+ */
+const errorStatus = (result) => {
+  if (result.invalid) return 400;
+  if (result.notFound) return 404;
+  if (result.conflict) return 409;
+  return 500;
+};
+
+/**
+ * Reschedule the polls of a connection after a change. The change itself is saved, a
+ * scheduling problem is logged and picked up again on the next restart.
+ */
+const refreshSchedule = async (key) => {
+  try {
+    await pollingService.refreshConnection(key);
+  } catch (error) {
+    console.error(`❌ Error rescheduling polls of ServiceNow connection ${key}:`, error.message);
+  }
+};
+
+/**
+ * List ServiceNow connections, the default one first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listServiceNowConnections = async (req, res) => {
+  try {
+    const result = await listConnections();
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch ServiceNow connections',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'ServiceNow connections retrieved successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error listing ServiceNow connections:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single ServiceNow connection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getServiceNowConnection = async (req, res) => {
+  try {
+    const result = await getConnectionDetails(req.params.key);
+
+    if (!result.success) {
+      return res.status(errorStatus(result)).json({
+        success: false,
+        message: result.error,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'ServiceNow connection retrieved successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error fetching ServiceNow connection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Add a ServiceNow connection and start polling it
+ * Body: { key, name, url, authMode, credentialsRef, oauth, tables, pollingInterval, enabled }
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const createServiceNowConnection = async (req, res) => {
+  try {
+    const result = await createConnection(req.body, req.session?.getUserId?.());
+
+    if (!result.success) {
+      return res.status(errorStatus(result)).json({
+        success: false,
+        message: result.error,
+        errors: result.errors
+      });
+    }
+
+    await refreshSchedule(result.data.key);
+
+    res.status(201).json({
+      success: true,
+      message: 'ServiceNow connection created successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error creating ServiceNow connection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Change a ServiceNow connection, its polls are rescheduled
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateServiceNowConnection = async (req, res) => {
+  try {
+    const result = await updateConnection(req.params.key, req.body, req.session?.getUserId?.());
+
+    if (!result.success) {
+      return res.status(errorStatus(result)).json({
+        success: false,
+        message: result.error,
+        errors: result.errors
+      });
+    }
+
+    await refreshSchedule(req.params.key);
+
+    res.status(200).json({
+      success: true,
+      message: 'ServiceNow connection updated successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error updating ServiceNow connection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Delete a ServiceNow connection and stop polling it. Its tickets are kept.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const deleteServiceNowConnection = async (req, res) => {
+  try {
+    const result = await deleteConnection(req.params.key);
+
+    if (!result.success) {
+      return res.status(errorStatus(result)).json({
+        success: false,
+        message: result.error,
+        error: result.error
+      });
+    }
+
+    await refreshSchedule(req.params.key);
+
+    res.status(200).json({
+      success: true,
+      message: 'ServiceNow connection deleted successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error deleting ServiceNow connection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Check that a connection reaches its instance and authenticates
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const testServiceNowConnection = async (req, res) => {
+  try {
+    const result = await testConnection(req.params.key);
+
+    if (!result.success) {
+      return res.status(errorStatus(result)).json({
+        success: false,
+        message: result.error,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: result.data.reachable ? 'ServiceNow connection is working' : 'ServiceNow connection failed',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error testing ServiceNow connection:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  listServiceNowConnections,
+  getServiceNowConnection,
+  createServiceNowConnection,
+  updateServiceNowConnection,
+  deleteServiceNowConnection,
+  testServiceNowConnection
+};
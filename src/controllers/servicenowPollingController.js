@@ -1,5 +1,5 @@
 // new file servicenow
-const { pollingService } = require('../services/servicenowPollingService');
+const { pollingService, getPollRuns, getPollRun } = require('../services/servicenowPollingService');
 
 /**
  * Get polling service status
@@ -87,11 +87,39 @@ const stopPolling = async (req, res) => {
 
 /**
  * Trigger a manual poll
+ * Body: { dryRun, connector, connection, table, limit, sampleSize } - with dryRun the poll only
+ * reports what it would store, the other fields narrow and bound it
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
 const triggerManualPoll = async (req, res) => {
   try {
+    const { dryRun, connector, connection, table, limit, sampleSize } = req.body || {};
+
+    if (dryRun === true || dryRun === 'true') {
+      const result = await pollingService.previewPoll({
+        connector,
+        connection,
+        table,
+        limit: Math.min(Math.max(parseInt(limit) || 1000, 1), 10000),
+        sampleSize: Math.min(Math.max(parseInt(sampleSize) || 20, 0), 100)
+      });
+
+      if (result.invalid) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+          error: result.error
+        });
+      }
+
+      return res.status(200).json({
+        success: result.success,
+        message: result.success ? 'Dry-run poll completed, nothing was stored' : 'Dry-run poll failed for one or more targets',
+        data: result
+      });
+    }
+
     await pollingService.triggerManualPoll();
     
     res.status(200).json({
@@ -115,7 +143,7 @@ const triggerManualPoll = async (req, res) => {
  */
 const resetPollingState = async (req, res) => {
   try {
-    const { confirm } = req.body;
+    const { confirm, table, connection, connector } = req.body;
     
     if (!confirm) {
       return res.status(400).json({
@@ -124,7 +152,7 @@ const resetPollingState = async (req, res) => {
       });
     }
 
-    await pollingService.resetPollingState();
+    await pollingService.resetPollingState(table, connection, connector);
     
     res.status(200).json({
       success: true,
@@ -140,10 +168,80 @@ const resetPollingState = async (req, res) => {
   }
 };
 
+/**
+ * List poll runs, newest first
+ * Query: connector, table, connection, status, ticketId (runs that failed to store this ticket), page, limit
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const listPollRuns = async (req, res) => {
+  try {
+    const { connector, table, connection, status, ticketId, page, limit } = req.query;
+    const result = await getPollRuns({ connector, table, connection, status, ticketId, page, limit });
+
+    if (!result.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to fetch poll runs',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Poll runs retrieved successfully',
+      data: result.data,
+      pagination: result.pagination
+    });
+  } catch (error) {
+    console.error('Error listing poll runs:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get a single poll run with its failing tickets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getPollRunDetails = async (req, res) => {
+  try {
+    const result = await getPollRun(req.params.id);
+
+    if (!result.success) {
+      const statusCode = result.error === 'Poll run not found' ? 404 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: result.error,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Poll run retrieved successfully',
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error fetching poll run:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getPollingStatus,
   startPolling,
   stopPolling,
   triggerManualPoll,
-  resetPollingState
+  resetPollingState,
+  listPollRuns,
+  getPollRunDetails
 };
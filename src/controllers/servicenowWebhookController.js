@@ -0,0 +1,82 @@
+const config = require('../config');
+const { verifySignature, isFreshTimestamp, processWebhookPayload } = require('../services/servicenowWebhookService');
+const { getConnection } = require('../services/servicenowConnectionService');
+
+/**
+ * Receive a ServiceNow Business Rule / Outbound REST payload, for the default connection
+ * or the one named in the path
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const receiveWebhook = async (req, res) => {
+  try {
+    if (!config.servicenow.enableWebhook) {
+      return res.status(503).json({
+        success: false,
+        message: 'ServiceNow webhook is not enabled (set SERVICENOW_ENABLE_WEBHOOK=true)'
+      });
+    }
+
+    const connection = await getConnection(req.params.connection);
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: 'ServiceNow connection not found'
+      });
+    }
+    if (!connection.webhookSecret) {
+      return res.status(503).json({
+        success: false,
+        message: connection.isDefault
+          ? 'ServiceNow webhook has no secret (set SERVICENOW_WEBHOOK_SECRET)'
+          : `ServiceNow webhook of connection ${connection.key} has no secret (set SERVICENOW_<credentialsRef>_WEBHOOK_SECRET)`
+      });
+    }
+
+    const signature = req.get(config.servicenow.webhookSignatureHeader);
+    const timestamp = req.get(config.servicenow.webhookTimestampHeader);
+    if (!verifySignature(req.rawBody, signature, timestamp, connection.webhookSecret)) {
+      console.error('🚫 Rejected ServiceNow webhook with an invalid signature');
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+    if (!isFreshTimestamp(timestamp)) {
+      console.error('🚫 Rejected ServiceNow webhook sent outside the accepted window (replayed?)');
+      return res.status(401).json({
+        success: false,
+        message: 'Webhook timestamp is outside the accepted window'
+      });
+    }
+
+    const result = await processWebhookPayload(req.body, connection);
+
+    if (!result.success) {
+      // 502 lets the Outbound REST Message retry once ServiceNow answers again
+      const statusCode = result.invalid ? 400 : result.upstream ? 502 : 500;
+      return res.status(statusCode).json({
+        success: false,
+        message: result.invalid ? 'Invalid webhook payload' : 'Failed to process webhook',
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Webhook processed successfully',
+      data: result
+    });
+  } catch (error) {
+    console.error('Error receiving ServiceNow webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+module.exports = {
+  receiveWebhook
+};
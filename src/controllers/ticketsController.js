@@ -1,5 +1,39 @@
 // new file servicenow
+const { validationResult } = require('express-validator');
 const { fetchTicketsFromDB, getTicketById, getTicketStats } = require('../services/ticketsService');
+const { writeBackTicket, getWriteBackHistory } = require('../services/servicenowWriteBackService');
+const { getActivityForTicket } = require('../services/servicenowJournalService');
+const { getAttachmentsForTicket } = require('../services/servicenowAttachmentService');
+const {
+  EXPORT_FORMATS,
+  prepareExport,
+  writeTicketExport,
+  exportFileName,
+  startAsyncExport,
+  getTicketExport
+} = require('../services/ticketExportService');
+const { getTicketTrend, getResolutionStats, getSlaStats } = require('../services/ticketAnalyticsService');
+
+/**
+ * Filter and sort options of a ticket listing from its query parameters, shared by
+ * GET /tickets and GET /tickets/export
+ */
+const listingOptions = (query) => {
+  const options = {};
+  if (query.q) options.q = query.q;
+  if (query.query) options.query = query.query;
+  if (query.filter) options.filterExpression = query.filter;
+  if (query.status) options.status = query.status;
+  if (query.priority) options.priority = query.priority;
+  if (query.category) options.category = query.category;
+  if (query.record_type) options.recordType = query.record_type;
+  if (query.connection) options.connection = query.connection;
+  if (query.include_deleted === 'true') options.includeDeleted = true;
+  if (query.source) options.source = query.source;
+  if (query.sortBy) options.sortBy = query.sortBy;
+  if (query.sortOrder) options.sortOrder = query.sortOrder;
+  return options;
+};
 
 /**
  * Fetch tickets from MongoDB database
@@ -8,20 +42,8 @@ const { fetchTicketsFromDB, getTicketById, getTicketStats } = require('../servic
  */
 const getTickets = async (req, res) => {
   try {
-    const { 
-      limit, 
-      offset, 
-      page, 
-      query, 
-      status, 
-      priority, 
-      category, 
-      source,
-      sortBy,
-      sortOrder 
-    } = req.query;
-    
-    const options = {};
+    const { limit, offset, page, after, before, pagination, count } = req.query;
+    const options = listingOptions(req.query);
     
     // Handle limit parameter
     if (limit) {
@@ -38,14 +60,10 @@ const getTickets = async (req, res) => {
       options.page = parseInt(page);
     }
     
-    // Handle other parameters
-    if (query) options.query = query;
-    if (status) options.status = status;
-    if (priority) options.priority = priority;
-    if (category) options.category = category;
-    if (source) options.source = source;
-    if (sortBy) options.sortBy = sortBy;
-    if (sortOrder) options.sortOrder = sortOrder;
+    if (after) options.after = after;
+    if (before) options.before = before;
+    if (pagination) options.pagination = pagination;
+    if (count) options.count = count;
 
     const result = await fetchTicketsFromDB(options);
     
@@ -58,10 +76,11 @@ const getTickets = async (req, res) => {
         pagination: result.pagination
       });
     } else {
-      res.status(500).json({
+      res.status(result.invalid ? 400 : 500).json({
         success: false,
-        message: 'Failed to fetch tickets from database',
-        error: result.error
+        message: result.invalid ? 'Invalid ticket listing request' : 'Failed to fetch tickets from database',
+        error: result.error,
+        ...(result.position !== undefined ? { position: result.position } : {})
       });
     }
   } catch (error) {
@@ -82,7 +101,7 @@ const getTickets = async (req, res) => {
 const getTicket = async (req, res) => {
   try {
     const { ticketId } = req.params;
-    const { source } = req.query;
+    const { source, connection } = req.query;
     
     if (!ticketId) {
       return res.status(400).json({
@@ -91,7 +110,7 @@ const getTicket = async (req, res) => {
       });
     }
 
-    const result = await getTicketById(ticketId, source);
+    const result = await getTicketById(ticketId, source, connection);
     
     if (result.success) {
       res.status(200).json({
@@ -124,9 +143,9 @@ const getTicket = async (req, res) => {
  */
 const getTicketStatistics = async (req, res) => {
   try {
-    const { source } = req.query;
+    const { source, record_type } = req.query;
     
-    const result = await getTicketStats(source);
+    const result = await getTicketStats(source, record_type);
     
     if (result.success) {
       res.status(200).json({
@@ -151,8 +170,373 @@ const getTicketStatistics = async (req, res) => {
   }
 };
 
+/**
+ * Update a ticket at its source (ServiceNow, Jira) and store the result locally
+ * Body: { state, assignment_group, assigned_to, priority, work_notes, comments, sys_updated_on, updated_at }
+ * Query: source (default ServiceNow), connection (tickets of other connections than the default one)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const updateTicket = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ticket update',
+        errors: errors.array()
+      });
+    }
+
+    const { ticketId } = req.params;
+    const userId = req.session?.getUserId?.();
+
+    const { source, connection } = req.query;
+    const result = await writeBackTicket(ticketId, req.body, { userId, source, connection });
+
+    if (result.success) {
+      return res.status(200).json({
+        success: true,
+        message: result.message,
+        data: result.data
+      });
+    }
+
+    let statusCode = 500;
+    if (result.invalid) statusCode = 400;
+    else if (result.notFound) statusCode = 404;
+    else if (result.conflict) statusCode = 409;
+    else if (result.upstream) statusCode = 502;
+
+    res.status(statusCode).json({
+      success: false,
+      message: result.error,
+      error: result.error,
+      data: result.data
+    });
+  } catch (error) {
+    console.error('Error updating ticket:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the write-back audit trail of a ticket
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTicketWriteBacks = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { page, limit, source, connection } = req.query;
+
+    const result = await getWriteBackHistory(ticketId, { page, limit, source, connection });
+
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Write-back history retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch write-back history',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching write-back history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the activity (comments, work notes) of a ticket
+ * Query: type (comma-separated journal elements), page, limit, sortOrder, source, connection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTicketActivity = async (req, res) => {
+  try {
+    const { ticketId } = req.params;
+    const { type, page, limit, sortOrder, source, connection } = req.query;
+
+    const result = await getActivityForTicket(ticketId, { type, page, limit, sortOrder, source, connection });
+
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Ticket activity retrieved successfully',
+        data: result.data,
+        pagination: result.pagination
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch ticket activity',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching ticket activity:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Get the attachments of a ticket with presigned download links
+ * Query: expiresIn (seconds), source, connection
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTicketAttachments = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request',
+        errors: errors.array()
+      });
+    }
+
+    const { ticketId } = req.params;
+    const { expiresIn, source, connection } = req.query;
+
+    const result = await getAttachmentsForTicket(ticketId, { expiresIn, source, connection });
+
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Ticket attachments retrieved successfully',
+        data: result.data,
+        total: result.total
+      });
+    } else {
+      res.status(500).json({
+        success: false,
+        message: 'Failed to fetch ticket attachments',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching ticket attachments:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Export the tickets of a listing as CSV, NDJSON or XLSX. Streams the file, or with
+ * async=true writes it to object storage and answers 202 with the export to poll.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const exportTickets = async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid request',
+        errors: errors.array()
+      });
+    }
+
+    const { format, columns, limit } = req.query;
+    const prepared = prepareExport({ ...listingOptions(req.query), format, columns, limit });
+    if (!prepared.success) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid export request',
+        error: prepared.error,
+        ...(prepared.position !== undefined ? { position: prepared.position } : {})
+      });
+    }
+
+    if (req.query.async === 'true') {
+      const exportDoc = await startAsyncExport(prepared, {
+        userId: req.session?.getUserId?.(),
+        parameters: req.query
+      });
+      return res.status(202).json({
+        success: true,
+        message: 'Ticket export started',
+        data: exportDoc
+      });
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', EXPORT_FORMATS[prepared.format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(prepared.format)}"`);
+
+    try {
+      const rowCount = await writeTicketExport(res, prepared);
+      console.log(`✅ Exported ${rowCount} tickets as ${prepared.format}`);
+    } catch (error) {
+      // Headers are sent, a failed export can only be cut off
+      console.error('Error streaming ticket export:', error.message);
+      res.destroy(error);
+    }
+  } catch (error) {
+    console.error('Error exporting tickets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Status of an async ticket export, with a download link once completed
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTicketExportStatus = async (req, res) => {
+  try {
+    const result = await getTicketExport(req.params.exportId, req.session?.getUserId?.());
+
+    if (result.success) {
+      res.status(200).json({
+        success: true,
+        message: 'Ticket export retrieved successfully',
+        data: result.data
+      });
+    } else {
+      res.status(result.notFound ? 404 : 500).json({
+        success: false,
+        message: result.notFound ? 'Export not found' : 'Failed to fetch ticket export',
+        error: result.error
+      });
+    }
+  } catch (error) {
+    console.error('Error fetching ticket export:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Analytics options from query parameters
+ */
+const analyticsOptions = (query) => ({
+  from: query.from,
+  to: query.to,
+  source: query.source,
+  recordType: query.record_type,
+  connection: query.connection,
+  filterExpression: query.filter,
+  interval: query.interval
+});
+
+/**
+ * Respond with the result of an analytics service call
+ */
+const sendAnalytics = (res, result, description) => {
+  if (result.success) {
+    return res.status(200).json({
+      success: true,
+      message: `${description} calculated successfully`,
+      data: result.data
+    });
+  }
+  return res.status(result.invalid ? 400 : 500).json({
+    success: false,
+    message: result.invalid ? 'Invalid analytics request' : `Failed to calculate ${description.toLowerCase()}`,
+    error: result.error,
+    ...(result.position !== undefined ? { position: result.position } : {})
+  });
+};
+
+/**
+ * Created, resolved and backlog counts per day, week or month
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getTicketTrendAnalytics = async (req, res) => {
+  try {
+    const result = await getTicketTrend(analyticsOptions(req.query));
+    sendAnalytics(res, result, 'Ticket trend');
+  } catch (error) {
+    console.error('Error calculating ticket trend:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Mean and median time to resolve and reopen rates, by priority and assignment group
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getResolutionAnalytics = async (req, res) => {
+  try {
+    const result = await getResolutionStats(analyticsOptions(req.query));
+    sendAnalytics(res, result, 'Resolution statistics');
+  } catch (error) {
+    console.error('Error calculating resolution statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * SLA breach percentages against the per-priority resolution targets
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+const getSlaAnalytics = async (req, res) => {
+  try {
+    const result = await getSlaStats(analyticsOptions(req.query));
+    sendAnalytics(res, result, 'SLA statistics');
+  } catch (error) {
+    console.error('Error calculating SLA statistics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error',
+      error: error.message
+    });
+  }
+};
+
 module.exports = {
   getTickets,
   getTicket,
-  getTicketStatistics
+  getTicketStatistics,
+  updateTicket,
+  getTicketWriteBacks,
+  getTicketActivity,
+  getTicketAttachments,
+  exportTickets,
+  getTicketExportStatus,
+  getTicketTrendAnalytics,
+  getResolutionAnalytics,
+  getSlaAnalytics
 };
@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// A source record (ServiceNow, Jira) that could not be mapped or saved, kept with its payload for retry
+const DeadLetterSchema = new mongoose.Schema({
+  source:           { type: String, default: 'ServiceNow' },
+  connection_id:    { type: String, default: 'default' },                  // connection ingested from
+  table:            { type: String, required: true },
+  record_key:       { type: String, required: true },                      // sys_id, or the number when missing
+  ticket_id:        { type: String },
+  sys_id:           { type: String },
+  stage:            { type: String, enum: ['mapping', 'write'], required: true },
+  error:            { type: String },
+  payload:          { type: mongoose.Schema.Types.Mixed },                 // raw source record of the last failure
+  attempts:         { type: Number, default: 0 },                          // failed attempts, ingestion and retries
+  status:           { type: String, enum: ['pending', 'resolved', 'discarded'], default: 'pending' },
+  firstFailedAt:    { type: Date },
+  lastFailedAt:     { type: Date },
+  lastRetriedAt:    { type: Date, default: null },
+  resolvedAt:       { type: Date, default: null },                         // saved by a retry or a later sync
+  discardedAt:      { type: Date, default: null },
+  discardedBy:      { type: String, default: null }
+}, {
+  timestamps: true,
+  collection: 'dead_letters'
+});
+
+DeadLetterSchema.index({ source: 1, connection_id: 1, table: 1, record_key: 1 }, { unique: true });
+DeadLetterSchema.index({ status: 1, lastFailedAt: -1 });
+DeadLetterSchema.index({ ticket_id: 1 });
+
+module.exports = mongoose.model('DeadLetter', DeadLetterSchema);
@@ -0,0 +1,16 @@
+const mongoose = require('mongoose');
+
+// Stored ServiceNow-to-Ticket field mapping, takes precedence over the config default
+const FieldMappingSchema = new mongoose.Schema({
+  name:             { type: String, required: true, unique: true },       // e.g. "servicenow"
+  version:          { type: Number, default: 1 },
+  constants:        { type: mongoose.Schema.Types.Mixed, default: {} },
+  keepCustomFields: { type: Boolean, default: true },
+  fields:           { type: [mongoose.Schema.Types.Mixed], default: [] },
+  updatedBy:        { type: String }
+}, {
+  timestamps: true,
+  collection: 'field_mappings'
+});
+
+module.exports = mongoose.model('FieldMapping', FieldMappingSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+// One incremental poll of a connector target (ServiceNow table, Jira project), kept for
+// SERVICENOW_POLL_RUN_RETENTION_DAYS
+const PollRunSchema = new mongoose.Schema({
+  connector:        { type: String, default: 'servicenow' },               // see src/services/connectors
+  table:            { type: String, required: true },                      // ServiceNow table or Jira project
+  connection:       { type: String, default: 'default' },                  // connection key of the connector
+  trigger:          { type: String, enum: ['scheduled', 'manual'], default: 'scheduled' },
+  status:           { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  instanceId:       { type: String },                                      // replica that ran the poll
+  windowStart:      { type: Date },                                        // watermark minus overlap
+  windowEnd:        { type: Date },                                        // highest update time stored
+  previousWatermark:{ type: Date },
+  query:            { type: String, default: '' },                         // query of the first page (encoded query, JQL)
+  pagesFetched:     { type: Number, default: 0 },
+  fetchedCount:     { type: Number, default: 0 },
+  savedCount:       { type: Number, default: 0 },
+  updatedCount:     { type: Number, default: 0 },
+  unchangedCount:   { type: Number, default: 0 },
+  errorCount:       { type: Number, default: 0 },
+  failures: [{
+    _id:            false,
+    ticket_id:      { type: String },
+    sys_id:         { type: String },
+    reason:         { type: String }
+  }],
+  failuresTruncated:{ type: Boolean, default: false },
+  error:            { type: String, default: null },
+  startedAt:        { type: Date, required: true },
+  finishedAt:       { type: Date },
+  durationMs:       { type: Number },
+  expiresAt:        { type: Date }                                         // TTL retention
+}, {
+  timestamps: true,
+  collection: 'poll_runs'
+});
+
+PollRunSchema.index({ connector: 1, connection: 1, table: 1, startedAt: -1 });
+PollRunSchema.index({ startedAt: -1 });
+PollRunSchema.index({ 'failures.ticket_id': 1 });
+PollRunSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PollRun', PollRunSchema);
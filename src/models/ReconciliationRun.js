@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Report of one reconciliation sweep of a ServiceNow table against local tickets
+const ReconciliationRunSchema = new mongoose.Schema({
+  table:            { type: String, required: true },
+  connection:       { type: String, default: 'default' },                  // ServiceNow connection key
+  trigger:          { type: String, enum: ['scheduled', 'manual'], default: 'scheduled' },
+  status:           { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  query:            { type: String, default: '' },                       // scope filter applied remotely
+  startedAt:        { type: Date, required: true },
+  finishedAt:       { type: Date },
+  durationMs:       { type: Number },
+  pagesFetched:     { type: Number, default: 0 },
+  remoteCount:      { type: Number, default: 0 },                        // records seen in ServiceNow
+  matchedCount:     { type: Number, default: 0 },                        // seen remotely and stored locally
+  unmappedCount:    { type: Number, default: 0 },                        // seen remotely, failed to map; their tickets are kept
+  missingLocally: {
+    count:          { type: Number, default: 0 },
+    samples:        { type: [String], default: [] }                      // ticket numbers
+  },
+  markedDeleted: {
+    count:          { type: Number, default: 0 },
+    samples:        { type: [String], default: [] },
+    skippedReason:  { type: String, default: null }                      // why soft deletes were not applied
+  },
+  restoredCount:    { type: Number, default: 0 },                        // previously deleted, seen again
+  drift: {
+    count:          { type: Number, default: 0 },                        // tickets with at least one mismatch
+    fields:         { type: mongoose.Schema.Types.Mixed, default: {} },  // mismatches per field
+    samples:        { type: [mongoose.Schema.Types.Mixed], default: [] } // { ticket_id, field, local, remote }
+  },
+  error:            { type: String, default: null }
+}, {
+  timestamps: true,
+  collection: 'reconciliation_runs'
+});
+
+ReconciliationRunSchema.index({ connection: 1, table: 1, startedAt: -1 });
+ReconciliationRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model('ReconciliationRun', ReconciliationRunSchema);
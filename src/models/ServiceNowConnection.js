@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+
+// A ServiceNow instance tickets are ingested from, besides the default one configured
+// through SERVICENOW_* environment variables. Secrets are not stored: credentialsRef names
+// the environment variables holding them (SERVICENOW_<REF>_USERNAME, ...).
+const ServiceNowConnectionSchema = new mongoose.Schema({
+  key:              { type: String, required: true, unique: true },        // slug stored on tickets as connection_id
+  name:             { type: String, required: true },
+  url:              { type: String, required: true },                      // https://<instance>.service-now.com
+  authMode:         { type: String, enum: ['basic', 'oauth'], default: 'basic' },
+  credentialsRef:   { type: String, required: true },                      // e.g. "ACME" -> SERVICENOW_ACME_PASSWORD
+  oauth: {
+    grantType:      { type: String, enum: ['password', 'client_credentials'], default: 'password' },
+    tokenEndpoint:  { type: String, default: '/oauth_token.do' },
+    scope:          { type: String }
+  },
+  tables:           { type: [String], default: ['incident'] },
+  pollingInterval:  { type: String, default: '*/5 * * * *' },              // cron expression
+  enabled:          { type: Boolean, default: true },
+  createdBy:        { type: String },
+  updatedBy:        { type: String }
+}, {
+  timestamps: true,
+  collection: 'servicenow_connections'
+});
+
+module.exports = mongoose.model('ServiceNowConnection', ServiceNowConnectionSchema);
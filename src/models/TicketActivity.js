@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Journal entry (comment, work note) of a ticket, from ServiceNow sys_journal_field
+const TicketActivitySchema = new mongoose.Schema({
+  ticket_id:        { type: String, required: true },
+  source:           { type: String, default: 'ServiceNow' },
+  connection_id:    { type: String, default: 'default' },
+  record_type:      { type: String },
+  ticket_sys_id:    { type: String },                                      // element_id of the journal entry
+  sys_id:           { type: String, required: true },                      // journal entry sys_id
+  type:             { type: String, required: true },                      // journal element, e.g. "comments", "work_notes"
+  value:            { type: String, default: '' },
+  created_by:       { type: String },
+  created_on:       { type: Date }
+}, {
+  timestamps: true,
+  collection: 'ticket_activities'
+});
+
+TicketActivitySchema.index({ sys_id: 1, source: 1 }, { unique: true });
+TicketActivitySchema.index({ ticket_id: 1, source: 1, connection_id: 1, created_on: -1 });
+TicketActivitySchema.index({ ticket_id: 1, source: 1, connection_id: 1, type: 1, created_on: -1 });
+
+module.exports = mongoose.model('TicketActivity', TicketActivitySchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// ServiceNow attachment (sys_attachment) of a ticket, mirrored into object storage
+const TicketAttachmentSchema = new mongoose.Schema({
+  ticket_id:        { type: String, required: true },
+  source:           { type: String, default: 'ServiceNow' },
+  connection_id:    { type: String, default: 'default' },
+  record_type:      { type: String },
+  ticket_sys_id:    { type: String },                                      // table_sys_id of the attachment
+  sys_id:           { type: String, required: true },                      // attachment sys_id
+  file_name:        { type: String },
+  content_type:     { type: String },
+  size_bytes:       { type: Number },
+  sha256:           { type: String },                                      // checksum of the stored content
+  s3_key:           { type: String },                                      // shared by duplicates of the same ticket
+  status:           { type: String, enum: ['stored', 'skipped', 'failed'], default: 'stored' },
+  error:            { type: String, default: null },
+  created_by:       { type: String },
+  created_on:       { type: Date }
+}, {
+  timestamps: true,
+  collection: 'ticket_attachments'
+});
+
+TicketAttachmentSchema.index({ sys_id: 1, source: 1 }, { unique: true });
+TicketAttachmentSchema.index({ ticket_id: 1, source: 1, connection_id: 1, created_on: -1 });
+TicketAttachmentSchema.index({ ticket_id: 1, source: 1, connection_id: 1, sha256: 1 });
+
+module.exports = mongoose.model('TicketAttachment', TicketAttachmentSchema);
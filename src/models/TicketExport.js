@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Ticket export written to object storage in the background (GET /tickets/export?async=true)
+const TicketExportSchema = new mongoose.Schema({
+  status:                 { type: String, enum: ['running', 'completed', 'failed'], default: 'running' },
+  format:                 { type: String, required: true },                  // csv, ndjson, xlsx
+  columns:                { type: [String], default: [] },
+  parameters:             { type: mongoose.Schema.Types.Mixed, default: {} }, // listing parameters the export was requested with
+  requested_by:           { type: String },                                  // SuperTokens user id
+  row_count:              { type: Number, default: 0 },                      // rows written so far
+  s3_key:                 { type: String },
+  error:                  { type: String, default: null },
+  completed_at:           { type: Date }
+}, {
+  timestamps: true,
+  collection: 'ticket_exports'
+});
+
+TicketExportSchema.index({ requested_by: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TicketExport', TicketExportSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Audit trail of ticket changes written back to ServiceNow
+const TicketWriteBackSchema = new mongoose.Schema({
+  ticket_id:              { type: String, required: true },
+  source:                 { type: String, default: 'ServiceNow' },
+  connection_id:          { type: String, default: 'default' },              // ServiceNow connection written to
+  table:                  { type: String, required: true },
+  sys_id:                 { type: String },
+  requested_by:           { type: String },                                  // SuperTokens user id
+  changes:                { type: mongoose.Schema.Types.Mixed, default: {} }, // ServiceNow field -> value
+  status:                 { type: String, enum: ['success', 'conflict', 'failed'], required: true },
+  expected_sys_updated_on:{ type: String },                                  // version the change was based on
+  remote_sys_updated_on:  { type: String },                                  // version found (conflict) or written (success)
+  response_status:        { type: Number },
+  error:                  { type: String, default: null }
+}, {
+  timestamps: true,
+  collection: 'ticket_writebacks'
+});
+
+TicketWriteBackSchema.index({ ticket_id: 1, source: 1, connection_id: 1, createdAt: -1 });
+TicketWriteBackSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TicketWriteBack', TicketWriteBackSchema);
@@ -3,7 +3,10 @@ const mongoose = require('mongoose');
 
 const TicketSchema = new mongoose.Schema({
   ticket_id:        { type: String, required: true, index: true },         // unique ticket number
-  source:           { type: String, required: true },                      // "ServiceNow"
+  source:           { type: String, required: true },                      // "ServiceNow", "Jira"
+  connection_id:    { type: String, default: 'default' },                  // connection of the source ingested from
+  record_type:      { type: String, default: 'incident' },                 // incident, request_item, problem, change_request, catalog_task
+  sys_id:           { type: String, index: true },                         // ServiceNow record sys_id, Jira issue id
   short_description:{ type: String, required: true },
   description:      { type: String },
   category:         { type: String },
@@ -15,6 +18,7 @@ const TicketSchema = new mongoose.Schema({
   opened_time:      { type: Date },                                        // ISO 8601 or Date
   closed_time:      { type: Date },
   resolved_time:    { type: Date },
+  reopen_count:     { type: Number },                                      // times reopened (ServiceNow incidents)
   requester: {
     id:             { type: String }
   },
@@ -31,18 +35,41 @@ const TicketSchema = new mongoose.Schema({
     id:             { type: String, default: null }
   },
   tags:             { type: [String], default: [] },
-  raw:              { type: mongoose.Schema.Types.Mixed }                  // store the entire original payload (optional)
+  custom_fields:    { type: mongoose.Schema.Types.Mixed, default: {} },    // instance-specific u_* fields
+  journal_text:     { type: String },                                      // recent comments and work notes, for full-text search
+  raw:              { type: mongoose.Schema.Types.Mixed },                 // store the entire original payload (optional)
+  payload_hash:     { type: String },                                      // sha256 of the mapped ticket, used to skip unchanged writes
+  deleted_at_source:{ type: Date, default: null },                         // set by reconciliation when gone from ServiceNow
+  reconciled_at:    { type: Date }                                         // start of the last reconciliation that saw it
 }, {
   timestamps: true, // adds createdAt and updatedAt
   collection: 'tickets'
 });
 
 // Indexes for better query performance
-TicketSchema.index({ ticket_id: 1, source: 1 }, { unique: true });
+// Ticket numbers are only unique within one ServiceNow instance
+TicketSchema.index({ ticket_id: 1, source: 1, connection_id: 1 }, { unique: true });
+TicketSchema.index({ connection_id: 1, record_type: 1 });
 TicketSchema.index({ status: 1 });
+TicketSchema.index({ record_type: 1, status: 1 });
+TicketSchema.index({ source: 1, record_type: 1, deleted_at_source: 1, reconciled_at: 1 });
 TicketSchema.index({ priority: 1 });
 TicketSchema.index({ opened_time: 1 });
 TicketSchema.index({ closed_time: 1 });
+// Default listing order (GET /tickets), _id breaks ties between cursor pages
+TicketSchema.index({ source: 1, opened_time: -1, _id: -1 });
+// Full-text search (GET /tickets?q=), a collection holds a single text index
+TicketSchema.index({
+  ticket_id: 'text',
+  short_description: 'text',
+  description: 'text',
+  category: 'text',
+  subcategory: 'text',
+  journal_text: 'text'
+}, {
+  name: 'ticket_text_search',
+  weights: { ticket_id: 10, short_description: 10, category: 5, subcategory: 5, description: 3, journal_text: 1 }
+});
 
 // Instance methods
 TicketSchema.methods.isOpen = function() {
@@ -54,8 +81,8 @@ TicketSchema.methods.isClosed = function() {
 };
 
 // Static methods
-TicketSchema.statics.findByTicketId = function(ticketId, source = 'ServiceNow') {
-  return this.findOne({ ticket_id: ticketId, source: source });
+TicketSchema.statics.findByTicketId = function(ticketId, source = 'ServiceNow', connectionId = 'default') {
+  return this.findOne({ ticket_id: ticketId, source: source, connection_id: connectionId });
 };
 
 TicketSchema.statics.findOpenTickets = function() {
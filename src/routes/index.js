@@ -7,6 +7,7 @@ const llmRoutes = require('./llm');
 const s3Routes = require('./s3');
 const ticketsRoutes = require('./tickets');
 const servicenowPollingRoutes = require('./servicenowPolling');
+const servicenowWebhookRoutes = require('./servicenowWebhook');
 
 // Mount routes
 router.use('/auth', authRoutes);
@@ -14,6 +15,7 @@ router.use('/llm', llmRoutes);
 router.use('/s3', s3Routes);
 router.use('/tickets', ticketsRoutes);
 router.use('/servicenow-polling', servicenowPollingRoutes);
+router.use('/servicenow', servicenowWebhookRoutes);
 
 // Default route
 router.get('/', (req, res) => {
@@ -26,7 +28,8 @@ router.get('/', (req, res) => {
       llm: '/llm',
       s3: '/s3',
       tickets: '/tickets',
-      servicenowPolling: '/servicenow-polling'
+      servicenowPolling: '/servicenow-polling',
+      servicenowWebhook: '/servicenow/webhook'
     }
   });
 });
@@ -6,14 +6,46 @@ const {
   startPolling,
   stopPolling,
   triggerManualPoll,
-  resetPollingState
+  resetPollingState,
+  listPollRuns,
+  getPollRunDetails
 } = require('../controllers/servicenowPollingController');
+const {
+  getFieldMapping,
+  updateFieldMapping,
+  previewFieldMapping
+} = require('../controllers/fieldMappingController');
+const {
+  listReconciliationRuns,
+  getReconciliationReport,
+  triggerReconciliation
+} = require('../controllers/reconciliationController');
+const {
+  listDeadLetters,
+  getDeadLetterDetails,
+  retryDeadLetterBatch,
+  retrySingleDeadLetter,
+  discardDeadLetterBatch,
+  discardSingleDeadLetter
+} = require('../controllers/deadLetterController');
+const {
+  listServiceNowConnections,
+  getServiceNowConnection,
+  createServiceNowConnection,
+  updateServiceNowConnection,
+  deleteServiceNowConnection,
+  testServiceNowConnection
+} = require('../controllers/servicenowConnectionController');
+const { authenticateToken } = require('../middleware/auth');
 
 const {
   bulkImportAllTickets,
+  bulkImportAllTables,
+  previewBulkImport,
   getBulkImportStatus,
   resetBulkImportState
 } = require('../services/servicenowIngestionService');
+const { getConnection } = require('../services/servicenowConnectionService');
 
 // Get polling service status
 router.get('/status', getPollingStatus);
@@ -30,12 +62,91 @@ router.post('/poll', triggerManualPoll);
 // Reset polling state (use with caution)
 router.post('/reset', resetPollingState);
 
+// List poll run history
+router.get('/runs', listPollRuns);
+
+// Get a single poll run with its failing tickets
+router.get('/runs/:id', getPollRunDetails);
+
+// Field Mapping Endpoints
+
+// Get the active ServiceNow-to-Ticket field mapping
+router.get('/mapping', getFieldMapping);
+
+// Validate, store and activate a field mapping
+router.put('/mapping', authenticateToken, updateFieldMapping);
+
+// Preview a mapping against a sample payload without saving
+router.post('/mapping/preview', previewFieldMapping);
+
+// Reconciliation Endpoints
+
+// List reconciliation (deletion and drift) reports
+router.get('/reconcile', listReconciliationRuns);
+
+// Start a reconciliation sweep
+router.post('/reconcile', authenticateToken, triggerReconciliation);
+
+// Get a single reconciliation report
+router.get('/reconcile/:id', getReconciliationReport);
+
+// Dead-Letter Endpoints
+
+// List records that failed to map or save
+router.get('/dead-letters', listDeadLetters);
+
+// Retry pending dead letters (by ids, or every one with confirm)
+router.post('/dead-letters/retry', authenticateToken, retryDeadLetterBatch);
+
+// Discard pending dead letters (by ids, or every one with confirm)
+router.post('/dead-letters/discard', authenticateToken, discardDeadLetterBatch);
+
+// Get a single dead letter with its payload
+router.get('/dead-letters/:id', getDeadLetterDetails);
+
+// Retry a single dead letter
+router.post('/dead-letters/:id/retry', authenticateToken, retrySingleDeadLetter);
+
+// Discard a single dead letter
+router.post('/dead-letters/:id/discard', authenticateToken, discardSingleDeadLetter);
+
+// Connection Endpoints
+
+// List ServiceNow connections, the default one first
+router.get('/connections', authenticateToken, listServiceNowConnections);
+
+// Add a ServiceNow connection
+router.post('/connections', authenticateToken, createServiceNowConnection);
+
+// Get a single ServiceNow connection
+router.get('/connections/:key', authenticateToken, getServiceNowConnection);
+
+// Change a ServiceNow connection
+router.put('/connections/:key', authenticateToken, updateServiceNowConnection);
+
+// Delete a ServiceNow connection (its tickets are kept)
+router.delete('/connections/:key', authenticateToken, deleteServiceNowConnection);
+
+// Check that a connection reaches and authenticates with its instance
+router.post('/connections/:key/test', authenticateToken, testServiceNowConnection);
+
 // Bulk Import Endpoints
 
-// Get bulk import status
+// Get bulk import status (?table=<name> for one table, default: every enabled table;
+// ?connection=<key>, default: the default connection)
 router.get('/bulk-import/status', async (req, res) => {
   try {
-    const status = await getBulkImportStatus();
+    const { table, connection: connectionKey = 'default' } = req.query;
+    const connection = await getConnection(connectionKey);
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown or disabled ServiceNow connection "${connectionKey}"`
+      });
+    }
+    const status = table ?
+      await getBulkImportStatus(table, connection.key) :
+      { tables: await Promise.all(connection.tables.map(name => getBulkImportStatus(name, connection.key))) };
     res.json({
       success: true,
       message: 'Bulk import status retrieved successfully',
@@ -54,16 +165,52 @@ router.get('/bulk-import/status', async (req, res) => {
 // Trigger manual bulk import
 router.post('/bulk-import/start', async (req, res) => {
   try {
-    const { force = false, batchSize = 1000, query = '' } = req.body;
+    const { table, connection, force = false, restart = false, batchSize = 1000, query = '', dryRun = false, limit, sampleSize } = req.body;
     
-    console.log(`🔄 Manual bulk import triggered (force: ${force})`);
+    if (connection && !(await getConnection(connection))) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown or disabled ServiceNow connection "${connection}"`
+      });
+    }
+
+    // Preview what the import would store, without writing anything
+    if (dryRun === true || dryRun === 'true') {
+      const preview = await previewBulkImport({
+        table,
+        connection,
+        query,
+        batchSize: parseInt(batchSize) || 1000,
+        limit: Math.min(Math.max(parseInt(limit) || 1000, 1), 10000),
+        sampleSize: Math.min(Math.max(parseInt(sampleSize) || 20, 0), 100)
+      });
+      return res.json({
+        success: preview.success,
+        message: preview.success ? 'Dry-run bulk import completed, nothing was stored' : 'Dry-run bulk import failed for one or more tables',
+        data: preview
+      });
+    }
+
+    console.log(`🔄 Manual bulk import triggered (connection: ${connection || 'all'}, table: ${table || 'all'}, force: ${force}, restart: ${restart})`);
     
-    const result = await bulkImportAllTickets({
+    const options = {
+      connection,
       force: force,
+      restart: restart,
       batchSize: batchSize,
       query: query
-    });
+    };
+    const result = table ?
+      await bulkImportAllTickets({ ...options, table }) :
+      await bulkImportAllTables(options);
     
+    if (result.lockedElsewhere) {
+      return res.status(409).json({
+        success: false,
+        message: result.message
+      });
+    }
+
     if (result.success) {
       if (result.skipped) {
         res.json({
@@ -81,7 +228,7 @@ router.post('/bulk-import/start', async (req, res) => {
     } else {
       res.status(500).json({
         success: false,
-        message: 'Bulk import failed',
+        message: 'Bulk import failed. Progress is checkpointed, start it again to resume.',
         error: result.error
       });
     }
@@ -98,7 +245,7 @@ router.post('/bulk-import/start', async (req, res) => {
 // Reset bulk import state (use with caution)
 router.post('/bulk-import/reset', async (req, res) => {
   try {
-    const { confirm } = req.body;
+    const { confirm, table, connection: connectionKey = 'default' } = req.body;
     
     if (!confirm) {
       return res.status(400).json({
@@ -106,8 +253,19 @@ router.post('/bulk-import/reset', async (req, res) => {
         message: 'Confirmation required. Send { "confirm": true } in request body.'
       });
     }
+
+    const connection = await getConnection(connectionKey);
+    if (!connection) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown or disabled ServiceNow connection "${connectionKey}"`
+      });
+    }
     
-    await resetBulkImportState();
+    const tables = table ? [table] : connection.tables;
+    for (const name of tables) {
+      await resetBulkImportState(name, connection.key);
+    }
     
     res.json({
       success: true,
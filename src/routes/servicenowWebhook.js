@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { receiveWebhook } = require('../controllers/servicenowWebhookController');
+
+// POST /api/v1/servicenow/webhook - Push-based sync from ServiceNow (HMAC signed)
+router.post('/webhook', receiveWebhook);
+
+// POST /api/v1/servicenow/webhook/:connection - Same, for a stored connection (signed with its own secret)
+router.post('/webhook/:connection', receiveWebhook);
+
+module.exports = router;
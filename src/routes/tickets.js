@@ -1,7 +1,44 @@
 // new file servicenow
 const express = require('express');
 const router = express.Router();
-const { getTickets, getTicket, getTicketStatistics } = require('../controllers/ticketsController');
+const { body, query } = require('express-validator');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  getTickets,
+  getTicket,
+  getTicketStatistics,
+  updateTicket,
+  getTicketWriteBacks,
+  getTicketActivity,
+  getTicketAttachments,
+  exportTickets,
+  getTicketExportStatus,
+  getTicketTrendAnalytics,
+  getResolutionAnalytics,
+  getSlaAnalytics
+} = require('../controllers/ticketsController');
+
+// Validation rules
+const updateValidation = [
+  body('state').optional().isString().withMessage('State must be a string'),
+  body('assignment_group').optional().isString().withMessage('Assignment group must be a string'),
+  body('assigned_to').optional().isString().withMessage('Assignee must be a string'),
+  body('priority').optional().isString().withMessage('Priority must be a string'),
+  body('work_notes').optional().isString().notEmpty().withMessage('Work notes must be a non-empty string'),
+  body('comments').optional().isString().notEmpty().withMessage('Comments must be a non-empty string'),
+  body('sys_updated_on').optional().isString().withMessage('sys_updated_on must be a string'),
+  body('updated_at').optional().isISO8601().withMessage('updated_at must be an ISO 8601 date')
+];
+
+const attachmentsValidation = [
+  query('expiresIn').optional().isInt({ min: 60, max: 86400 }).withMessage('Expires in must be between 60 and 86400 seconds')
+];
+
+const exportValidation = [
+  query('format').optional().isIn(['csv', 'ndjson', 'xlsx']).withMessage('Format must be csv, ndjson or xlsx'),
+  query('limit').optional().isInt({ min: 1 }).withMessage('Limit must be a positive integer'),
+  query('async').optional().isBoolean().withMessage('Async must be true or false')
+];
 
 // GET /api/v1/tickets - Fetch all tickets from MongoDB
 router.get('/', getTickets);
@@ -9,7 +46,34 @@ router.get('/', getTickets);
 // GET /api/v1/tickets/stats - Get ticket statistics
 router.get('/stats', getTicketStatistics);
 
+// GET /api/v1/tickets/analytics/trend - Created, resolved and backlog series
+router.get('/analytics/trend', getTicketTrendAnalytics);
+
+// GET /api/v1/tickets/analytics/resolution - Time to resolve and reopen rates
+router.get('/analytics/resolution', getResolutionAnalytics);
+
+// GET /api/v1/tickets/analytics/sla - SLA breach percentages per priority
+router.get('/analytics/sla', getSlaAnalytics);
+
+// GET /api/v1/tickets/export - Stream tickets as CSV, NDJSON or XLSX (async=true: to object storage)
+router.get('/export', authenticateToken, exportValidation, exportTickets);
+
+// GET /api/v1/tickets/exports/:exportId - Status and download link of an async export
+router.get('/exports/:exportId', authenticateToken, getTicketExportStatus);
+
 // GET /api/v1/tickets/:ticketId - Get a specific ticket by ID
 router.get('/:ticketId', getTicket);
 
+// PATCH /api/v1/tickets/:ticketId - Write changes back to ServiceNow
+router.patch('/:ticketId', authenticateToken, updateValidation, updateTicket);
+
+// GET /api/v1/tickets/:ticketId/writebacks - Write-back audit trail
+router.get('/:ticketId/writebacks', getTicketWriteBacks);
+
+// GET /api/v1/tickets/:ticketId/activity - Comments and work notes
+router.get('/:ticketId/activity', getTicketActivity);
+
+// GET /api/v1/tickets/:ticketId/attachments - Mirrored attachments with presigned download links
+router.get('/:ticketId/attachments', authenticateToken, attachmentsValidation, getTicketAttachments);
+
 module.exports = router;
@@ -0,0 +1,112 @@
+// Circuit breaker states
+const CLOSED = 'closed';
+const OPEN = 'open';
+const HALF_OPEN = 'half_open';
+
+/**
+ * Circuit of a persisted state, defaults to a closed circuit without failures
+ * @param {Object} state - { circuitState, consecutiveFailures, circuitOpenedAt, circuitChangedAt, probeStartedAt }
+ */
+const readCircuit = (state = {}) => ({
+  circuitState: state.circuitState || CLOSED,
+  consecutiveFailures: state.consecutiveFailures || 0,
+  circuitOpenedAt: state.circuitOpenedAt || null,
+  circuitChangedAt: state.circuitChangedAt || null,
+  probeStartedAt: state.probeStartedAt || null
+});
+
+/**
+ * Time at which a circuit lets the next probe through: an open circuit after its
+ * cool-down, a half-open one when its probe has run for a cool-down without being
+ * recorded (the probing process is presumed gone)
+ */
+const nextProbeAt = (circuit, cooldownMs) => {
+  if (circuit.circuitState === OPEN && circuit.circuitOpenedAt) {
+    return new Date(new Date(circuit.circuitOpenedAt).getTime() + cooldownMs);
+  }
+  if (circuit.circuitState === HALF_OPEN && circuit.probeStartedAt) {
+    return new Date(new Date(circuit.probeStartedAt).getTime() + cooldownMs);
+  }
+  return null;
+};
+
+/**
+ * Move a circuit to another state
+ */
+const transition = (circuit, to, now, changes = {}) => ({
+  circuit: { ...circuit, ...changes, circuitState: to, circuitChangedAt: now },
+  transition: { from: circuit.circuitState, to }
+});
+
+/**
+ * Decide whether an attempt may run. A closed circuit lets everything through. An open
+ * circuit rejects attempts until the cool-down is over, then goes half-open and lets one
+ * probe through. A half-open circuit rejects every other attempt until the probe is
+ * recorded. A forced attempt (manual trigger) skips the cool-down of an open circuit but
+ * not a running probe. The returned circuit marks the probe as started and must be saved
+ * before the attempt runs.
+ * @param {Object} circuit - Circuit from readCircuit
+ * @param {Object} settings - { cooldownMs }
+ * @param {Object} options - { now, force }
+ * @returns {Object} { allowed, probe, circuit, transition }
+ */
+const beforeAttempt = (circuit, settings, options = {}) => {
+  const { now = new Date(), force = false } = options;
+
+  if (circuit.circuitState === CLOSED) {
+    return { allowed: true, probe: false, circuit, transition: null };
+  }
+
+  const probeAt = nextProbeAt(circuit, settings.cooldownMs);
+  const probeRunning = circuit.circuitState === HALF_OPEN && probeAt && now < probeAt;
+  if (probeRunning || (!force && circuit.circuitState === OPEN && probeAt && now < probeAt)) {
+    return { allowed: false, probe: false, circuit, transition: null, nextProbeAt: probeAt };
+  }
+
+  if (circuit.circuitState === HALF_OPEN) {
+    return { allowed: true, probe: true, circuit: { ...circuit, probeStartedAt: now }, transition: null };
+  }
+  return { allowed: true, probe: true, ...transition(circuit, HALF_OPEN, now, { probeStartedAt: now }) };
+};
+
+/**
+ * Record a successful attempt: failures are cleared and the circuit closes
+ * @returns {Object} { circuit, transition }
+ */
+const recordSuccess = (circuit, options = {}) => {
+  const { now = new Date() } = options;
+
+  if (circuit.circuitState === CLOSED) {
+    return { circuit: { ...circuit, consecutiveFailures: 0 }, transition: null };
+  }
+  return transition(circuit, CLOSED, now, { consecutiveFailures: 0, circuitOpenedAt: null, probeStartedAt: null });
+};
+
+/**
+ * Record a failed attempt. A closed circuit opens once failureThreshold attempts failed
+ * in a row; a failed probe opens a half-open circuit again for another cool-down.
+ * @param {Object} circuit - Circuit from readCircuit
+ * @param {Object} settings - { failureThreshold }
+ * @returns {Object} { circuit, transition }
+ */
+const recordFailure = (circuit, settings, options = {}) => {
+  const { now = new Date() } = options;
+  const failed = { ...circuit, consecutiveFailures: circuit.consecutiveFailures + 1 };
+
+  if (circuit.circuitState === HALF_OPEN ||
+    (circuit.circuitState === CLOSED && failed.consecutiveFailures >= settings.failureThreshold)) {
+    return transition(failed, OPEN, now, { circuitOpenedAt: now, probeStartedAt: null });
+  }
+  return { circuit: failed, transition: null };
+};
+
+module.exports = {
+  CLOSED,
+  OPEN,
+  HALF_OPEN,
+  readCircuit,
+  nextProbeAt,
+  beforeAttempt,
+  recordSuccess,
+  recordFailure
+};
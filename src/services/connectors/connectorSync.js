@@ -0,0 +1,150 @@
+const { storeTickets, createPlan, planTickets } = require('../ticketStoreService');
+
+/**
+ * Store raw records of a connector as tickets, see storeTickets
+ * @param {Object} connector - Registered connector
+ * @param {String} connectionKey - Connection the records come from
+ * @param {Object} target - Target ({ table }) the records come from
+ * @param {Array} records - Raw records
+ * @returns {Object} Counts of saved, updated, unchanged and failed tickets
+ */
+const storeConnectorRecords = async (connector, connectionKey, target, records) => {
+  if (connector.prepare) {
+    await connector.prepare();
+  }
+
+  return storeTickets(records, {
+    source: connector.source,
+    table: target.table,
+    connectionId: connectionKey,
+    mapRecord: record => connector.mapToTicket(record, target),
+    identifyRecord: record => connector.identifyRecord(record)
+  });
+};
+
+/**
+ * Incremental sync of one connector target: every record updated since `since` is read
+ * page by page and stored before the next page is requested. onPage receives the highest
+ * update time stored so far, so callers advance their watermark from the data instead of
+ * the local clock.
+ * @param {Object} connector - Registered connector
+ * @param {Object} connection - Connection of the connector
+ * @param {Object} target - Target from connector.listTargets
+ * @param {Object} options - { since, batchSize, onPage }
+ * @returns {Object} Result object with the page and database counts and the watermark
+ */
+const syncSince = async (connector, connection, target, options = {}) => {
+  const { since, batchSize = connector.pollSettings().batchSize, onPage } = options;
+  const totals = { fetched: 0, pages: 0, saved: 0, updated: 0, unchanged: 0, errors: 0 };
+  const failures = [];
+  const query = connector.describeQuery(target, since);
+  let watermark = null;
+
+  const summary = () => ({
+    table: target.table,
+    total: totals.fetched,
+    pages: totals.pages,
+    query,
+    watermark,
+    failures,
+    database: {
+      saved: totals.saved,
+      updated: totals.updated,
+      unchanged: totals.unchanged,
+      errors: totals.errors
+    }
+  });
+
+  try {
+    console.log(`📥 Syncing ${target.label} records updated since ${since.toISOString()}...`);
+
+    await connector.fetchSince(connection, target, {
+      since,
+      batchSize,
+      onPage: async (records) => {
+        const stored = await storeConnectorRecords(connector, connection.key, target, records);
+        if (connector.afterStore) {
+          await connector.afterStore(records, connection, target);
+        }
+
+        failures.push(...stored.failures);
+        totals.fetched += records.length;
+        totals.pages++;
+        totals.saved += stored.savedCount;
+        totals.updated += stored.updatedCount;
+        totals.unchanged += stored.unchangedCount;
+        totals.errors += stored.errorCount;
+
+        // Pages are ascending, so the last record carries the highest update time
+        watermark = connector.getUpdatedAt(records[records.length - 1]) || watermark;
+
+        if (onPage) {
+          await onPage({ watermark, page: totals.pages, fetched: totals.fetched });
+        }
+      }
+    });
+
+    console.log(`✅ Synced ${totals.fetched} ${target.label} records in ${totals.pages} pages (new: ${totals.saved}, updated: ${totals.updated}, unchanged: ${totals.unchanged}, errors: ${totals.errors})`);
+    return { success: true, ...summary() };
+  } catch (error) {
+    console.error(`❌ Error syncing ${target.label} records:`, error.message);
+    if (error.response) {
+      console.error('Response status:', error.response.status);
+      console.error('Response data:', error.response.data);
+    }
+    return { success: false, error: error.message, ...summary() };
+  }
+};
+
+/**
+ * Dry run of syncSince: reads the records updated since `since`, up to `limit`, and plans
+ * their storage without writing tickets, dead letters or activity
+ * @param {Object} connector - Registered connector
+ * @param {Object} connection - Connection of the connector
+ * @param {Object} target - Target from connector.listTargets
+ * @param {Object} options - { since, batchSize, limit, sampleSize }
+ * @returns {Object} Result object with the plan, see planTickets
+ */
+const previewSince = async (connector, connection, target, options = {}) => {
+  const { since, batchSize = connector.pollSettings().batchSize, limit = 1000, sampleSize } = options;
+  const plan = createPlan(sampleSize);
+  const query = connector.describeQuery(target, since);
+  let pages = 0;
+  let truncated = false;
+
+  try {
+    await connector.fetchSince(connection, target, {
+      since,
+      batchSize: Math.min(batchSize, limit),
+      onPage: async (records) => {
+        const page = records.slice(0, limit - plan.fetched);
+        pages++;
+        await planTickets(page, {
+          source: connector.source,
+          table: target.table,
+          connectionId: connection.key,
+          mapRecord: record => connector.mapToTicket(record, target),
+          identifyRecord: record => connector.identifyRecord(record)
+        }, plan);
+
+        // Stop reading once the preview holds `limit` records
+        if (plan.fetched >= limit) {
+          truncated = true;
+          return false;
+        }
+        return true;
+      }
+    });
+
+    return { success: true, table: target.table, since, query, pages, truncated, plan };
+  } catch (error) {
+    console.error(`❌ Error previewing ${target.label} records:`, error.message);
+    return { success: false, error: error.message, table: target.table, since, query, pages, truncated, plan };
+  }
+};
+
+module.exports = {
+  storeConnectorRecords,
+  syncSince,
+  previewSince
+};
@@ -0,0 +1,65 @@
+/**
+ * Registry of ticket connectors. A connector adapts one ticketing system to the ingestion
+ * pipeline (polling, storage, dead letters, write-back), which stays source agnostic.
+ *
+ * A connector is an object with:
+ *   name                         key used in polling state, lock and poll run names ("servicenow")
+ *   source                       Ticket.source of the tickets it stores ("ServiceNow")
+ *   isEnabled()                  whether the polling scheduler runs it
+ *   getConnections()             active connections [{ key, name, pollingInterval, client }]
+ *   getConnection(key)           one active connection, or null
+ *   listTargets(connection)      units polled with their own watermark [{ key, table, label }]
+ *   pollSettings()               { batchSize, overlapSeconds }
+ *   describeQuery(target, since) query of the first page, recorded on poll runs
+ *   fetchSince(connection, target, { since, batchSize, onPage })
+ *                                pages through records updated since `since` in ascending update
+ *                                order, awaiting onPage(records) before requesting the next page;
+ *                                stops when onPage returns false
+ *   mapToTicket(record, target)  { ticket, warnings } of a raw record, throws when it cannot be mapped
+ *   identifyRecord(record)       { ticket_id, sys_id } of a raw record that could not be mapped
+ *   getUpdatedAt(record)         Date the record was last updated at the source
+ *   fetchOne(connection, target, id)  one raw record by ticket id, or null when it does not exist
+ * and optionally:
+ *   jobs                         lockable jobs run on its targets, default ['poll']
+ *   prepare()                    run before records are stored (migrations)
+ *   afterStore(records, connection, target)  follow-up sync of a stored page (activity, attachments)
+ *   writableFields               fields writeBack accepts
+ *   targetOf(ticket)             target a stored ticket was polled from, needed by writeBack
+ *   writeBack(ticket, changes, connection)  apply changes to the ticket at the source
+ */
+
+// Registered connectors by name, in registration order
+const connectors = new Map();
+
+/**
+ * Register a connector, replacing one registered under the same name
+ */
+const registerConnector = (connector) => {
+  connectors.set(connector.name, connector);
+  return connector;
+};
+
+/**
+ * Connector registered under a name, or null
+ */
+const getConnector = (name) => connectors.get(name) || null;
+
+/**
+ * Every registered connector
+ */
+const getConnectors = () => Array.from(connectors.values());
+
+/**
+ * Connector storing tickets of a Ticket.source, or null
+ */
+const getConnectorForSource = (source) => getConnectors().find(connector => connector.source === source) || null;
+
+registerConnector(require('./servicenowConnector'));
+registerConnector(require('./jiraConnector'));
+
+module.exports = {
+  registerConnector,
+  getConnector,
+  getConnectors,
+  getConnectorForSource
+};
@@ -0,0 +1,281 @@
+const axios = require('axios');
+const config = require('../../config');
+const { applyRequestPolicy } = require('../servicenowRequestPolicy');
+
+const SEARCH_ENDPOINT = '/rest/api/3/search/jql';
+const ISSUE_FIELDS = [
+  'summary', 'description', 'issuetype', 'status', 'priority', 'labels', 'project',
+  'reporter', 'assignee', 'created', 'updated', 'resolutiondate'
+];
+
+// Jira issue types stored under the record types of the matching ServiceNow tables
+const RECORD_TYPES = {
+  'incident': 'incident',
+  'service request': 'request_item',
+  'service request with approvals': 'request_item',
+  'problem': 'problem',
+  'change': 'change_request'
+};
+
+// Jira Cloud answers with a single connection, configured through JIRA_* variables
+const JIRA_CONNECTION = 'default';
+
+let client = null;
+
+/**
+ * axios instance for the Jira Cloud REST API, basic auth with an API token, rate limited
+ * and retried like the ServiceNow clients
+ */
+const getClient = () => {
+  if (!client) {
+    const settings = config.jira;
+    client = applyRequestPolicy(axios.create({
+      baseURL: settings.url,
+      auth: { username: settings.email, password: settings.apiToken },
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      timeout: settings.timeout
+    }), {
+      maxRequestsPerSecond: settings.maxRequestsPerSecond,
+      maxRetries: settings.httpMaxRetries,
+      retryDelay: settings.retryDelay,
+      retryMaxDelay: settings.retryMaxDelay
+    });
+  }
+  return client;
+};
+
+/**
+ * Parse a Jira date-time ("2024-05-01T09:30:00.000+0200")
+ */
+const parseJiraDate = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(String(value).replace(/([+-]\d{2})(\d{2})$/, '$1:$2'));
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date for JQL ("yyyy-MM-dd HH:mm"). JQL reads it in the time zone of the API
+ * user, which must therefore be UTC.
+ */
+const formatJqlDate = (date) => date.toISOString().slice(0, 16).replace('T', ' ');
+
+/**
+ * Plain text of an Atlassian Document Format value (issue descriptions, comments)
+ */
+const adfToText = (node) => {
+  if (!node) {
+    return '';
+  }
+  if (typeof node === 'string') {
+    return node;
+  }
+  if (node.type === 'text') {
+    return node.text || '';
+  }
+  if (node.type === 'hardBreak') {
+    return '\n';
+  }
+  const text = (node.content || []).map(adfToText).join('');
+  return ['paragraph', 'heading', 'listItem', 'codeBlock', 'blockquote'].includes(node.type) ? `${text}\n` : text;
+};
+
+/**
+ * Ticket record_type of a Jira issue type, other types are stored under their snake_cased name
+ */
+const recordTypeOf = (issueType) => {
+  const name = (issueType && issueType.name) || 'Task';
+  return RECORD_TYPES[name.toLowerCase()] || name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+};
+
+/**
+ * JQL selecting the issues of a project updated since a date, ascending
+ */
+const buildJql = (project, since) => {
+  const conditions = [`project = "${project}"`, `updated >= "${formatJqlDate(since)}"`];
+  if (config.jira.jql) {
+    conditions.push(`(${config.jira.jql})`);
+  }
+  return `${conditions.join(' AND ')} ORDER BY updated ASC, key ASC`;
+};
+
+/**
+ * Jira Service Management connector: one target per project in JIRA_PROJECTS. Issues are
+ * read through the enhanced JQL search, their keys become ticket ids.
+ */
+const jiraConnector = {
+  name: 'jira',
+  source: 'Jira',
+  writableFields: ['state', 'assigned_to', 'priority', 'work_notes', 'comments'],
+
+  isEnabled: () => config.jira.enabled,
+
+  getConnections: async () => {
+    if (!config.jira.enabled) {
+      return [];
+    }
+    return [{
+      key: JIRA_CONNECTION,
+      name: 'Jira Service Management',
+      url: config.jira.url,
+      pollingInterval: config.jira.pollingInterval,
+      client: getClient()
+    }];
+  },
+
+  getConnection: async (key = JIRA_CONNECTION) => {
+    const [connection] = await jiraConnector.getConnections();
+    return connection && connection.key === key ? connection : null;
+  },
+
+  listTargets: () => config.jira.projects.map(project => ({
+    key: project,
+    table: project,
+    label: `Jira ${project}`
+  })),
+
+  pollSettings: () => ({
+    batchSize: config.jira.pollingBatchSize,
+    overlapSeconds: config.jira.pollingOverlapSeconds
+  }),
+
+  describeQuery: (target, since) => buildJql(target.table, since),
+
+  /**
+   * Page through the search results with nextPageToken. Issues updated during the sync
+   * move to the end of the ordering and are read again by the next poll.
+   */
+  fetchSince: async (connection, target, { since, batchSize, onPage }) => {
+    const jql = buildJql(target.table, since);
+    let nextPageToken = null;
+
+    do {
+      const response = await connection.client.post(SEARCH_ENDPOINT, {
+        jql,
+        fields: ISSUE_FIELDS,
+        maxResults: batchSize,
+        ...(nextPageToken ? { nextPageToken } : {})
+      });
+      const issues = (response.data && response.data.issues) || [];
+
+      if (issues.length > 0 && await onPage(issues) === false) {
+        return;
+      }
+      nextPageToken = response.data && !response.data.isLast ? response.data.nextPageToken : null;
+    } while (nextPageToken);
+  },
+
+  mapToTicket: (issue) => {
+    const fields = (issue && issue.fields) || {};
+    if (!issue || !issue.key) {
+      throw new Error('Issue has no key');
+    }
+    if (!fields.summary) {
+      throw new Error('Issue has no summary');
+    }
+
+    const warnings = [];
+    const openedTime = parseJiraDate(fields.created);
+    if (fields.created && !openedTime) {
+      warnings.push(`created: invalid date "${fields.created}"`);
+    }
+    const resolvedTime = parseJiraDate(fields.resolutiondate);
+    const isDone = fields.status && fields.status.statusCategory && fields.status.statusCategory.key === 'done';
+
+    return {
+      ticket: {
+        ticket_id: issue.key,
+        source: 'Jira',
+        record_type: recordTypeOf(fields.issuetype),
+        sys_id: issue.id,
+        short_description: fields.summary,
+        description: adfToText(fields.description).trim(),
+        category: fields.issuetype && fields.issuetype.name,
+        status: fields.status && fields.status.name,
+        priority: fields.priority && fields.priority.name,
+        opened_time: openedTime,
+        resolved_time: resolvedTime,
+        closed_time: isDone ? resolvedTime : null,
+        requester: { id: fields.reporter ? fields.reporter.accountId : undefined },
+        assigned_to: { id: fields.assignee ? fields.assignee.accountId : undefined },
+        tags: fields.labels || [],
+        custom_fields: { project: fields.project && fields.project.key },
+        raw: issue
+      },
+      warnings
+    };
+  },
+
+  // Issue keys start with their project key
+  targetOf: (ticket) => {
+    const project = ticket.ticket_id.split('-')[0];
+    return { key: project, table: project, label: `Jira ${project}` };
+  },
+
+  identifyRecord: (issue) => ({ ticket_id: issue && issue.key, sys_id: issue && issue.id }),
+
+  getUpdatedAt: (issue) => parseJiraDate(issue && issue.fields && issue.fields.updated),
+
+  fetchOne: async (connection, target, issueKey) => {
+    try {
+      const response = await connection.client.get(`/rest/api/3/issue/${encodeURIComponent(issueKey)}`, {
+        params: { fields: ISSUE_FIELDS.join(',') }
+      });
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  /**
+   * Apply ticket changes to an issue: comments go through the service desk API so their
+   * visibility to customers is set (work notes are internal), the state is reached by the
+   * workflow transition leading to it.
+   * @param {Object} ticket - Stored ticket
+   * @param {Object} changes - { state, assigned_to, priority, work_notes, comments }
+   * @param {Object} connection - Jira connection
+   */
+  writeBack: async (ticket, changes, connection) => {
+    const issueKey = encodeURIComponent(ticket.ticket_id);
+
+    if (changes.priority !== undefined) {
+      await connection.client.put(`/rest/api/3/issue/${issueKey}`, {
+        fields: { priority: { name: changes.priority } }
+      });
+    }
+    if (changes.assigned_to !== undefined) {
+      await connection.client.put(`/rest/api/3/issue/${issueKey}/assignee`, {
+        accountId: changes.assigned_to || null
+      });
+    }
+    if (changes.state !== undefined) {
+      const response = await connection.client.get(`/rest/api/3/issue/${issueKey}/transitions`);
+      const transitions = (response.data && response.data.transitions) || [];
+      const wanted = String(changes.state).toLowerCase();
+      const transition = transitions.find(candidate => (
+        candidate.name.toLowerCase() === wanted || (candidate.to && candidate.to.name.toLowerCase() === wanted)
+      ));
+      if (!transition) {
+        throw new Error(`No transition to "${changes.state}" (available: ${transitions.map(candidate => candidate.to ? candidate.to.name : candidate.name).join(', ')})`);
+      }
+      await connection.client.post(`/rest/api/3/issue/${issueKey}/transitions`, { transition: { id: transition.id } });
+    }
+    for (const [field, isPublic] of [['comments', true], ['work_notes', false]]) {
+      if (changes[field]) {
+        await connection.client.post(`/rest/servicedeskapi/request/${issueKey}/comment`, {
+          body: changes[field],
+          public: isPublic
+        });
+      }
+    }
+  }
+};
+
+module.exports = jiraConnector;
@@ -0,0 +1,105 @@
+const config = require('../../config');
+const { applyMapping, getTableMapping, getTableFields } = require('../fieldMappingService');
+const { getTableEndpoint, parseGlideDateTime, formatGlideDateTime, toDisplayRecord } = require('../servicenowClient');
+const { DEFAULT_CONNECTION, getConnection, getActiveConnections } = require('../servicenowConnectionService');
+const { migrateLegacyState } = require('../servicenowIngestionService');
+const { syncJournalEntries } = require('../servicenowJournalService');
+const { syncAttachments } = require('../servicenowAttachmentService');
+
+/**
+ * ServiceNow Table API connector: one target per table of every ServiceNow connection.
+ * Write-back keeps its own path with sys_updated_on conflict detection, see
+ * servicenowWriteBackService.
+ */
+const servicenowConnector = {
+  name: 'servicenow',
+  source: 'ServiceNow',
+  jobs: ['poll', 'bulk-import', 'reconcile'],
+
+  isEnabled: () => config.servicenow.enablePolling,
+
+  getConnections: () => getActiveConnections(),
+
+  getConnection: (key) => getConnection(key),
+
+  // The default connection keeps the table as key, as before connections existed
+  listTargets: (connection) => connection.tables.map(table => ({
+    key: connection.key === DEFAULT_CONNECTION ? table : `${connection.key}:${table}`,
+    table,
+    label: connection.key === DEFAULT_CONNECTION ? table : `${table} (${connection.key})`
+  })),
+
+  pollSettings: () => ({
+    batchSize: config.servicenow.pollingBatchSize,
+    overlapSeconds: config.servicenow.pollingOverlapSeconds
+  }),
+
+  describeQuery: (target, since) => `sys_updated_on>=${formatGlideDateTime(since)}^ORDERBYsys_updated_on^ORDERBYsys_id`,
+
+  /**
+   * Keyset paging on sys_updated_on,sys_id, so neither bursts larger than a page nor
+   * records sharing a timestamp are skipped. sys_updated_on is read raw (UTC), see
+   * toDisplayRecord.
+   */
+  fetchSince: async (connection, target, { since, batchSize, onPage }) => {
+    let position = null;          // { updatedOn, sysId } of the last stored record, as returned by ServiceNow
+    let hasMore = true;
+
+    while (hasMore) {
+      // Records after the last one seen: a later timestamp, or the same one and a greater sys_id
+      const query = position ?
+        `sys_updated_on>${position.updatedOn}^NQsys_updated_on=${position.updatedOn}^sys_id>${position.sysId}` :
+        `sys_updated_on>=${formatGlideDateTime(since)}`;
+
+      const response = await connection.client.get(getTableEndpoint(target.table), {
+        params: {
+          sysparm_limit: batchSize,
+          sysparm_query: `${query}^ORDERBYsys_updated_on^ORDERBYsys_id`,
+          sysparm_fields: getTableFields(target.table),
+          sysparm_display_value: 'all',
+          sysparm_no_count: 'true'
+        }
+      });
+      const records = ((response.data && response.data.result) || []).map(toDisplayRecord);
+
+      if (records.length > 0) {
+        if (await onPage(records) === false) {
+          return;
+        }
+        const lastRecord = records[records.length - 1];
+        position = { updatedOn: lastRecord.sys_updated_on, sysId: lastRecord.sys_id };
+      }
+
+      hasMore = records.length === batchSize && Boolean(position && position.updatedOn && position.sysId);
+    }
+  },
+
+  mapToTicket: (record, target) => applyMapping(record, getTableMapping(target.table)),
+
+  identifyRecord: (record) => ({ ticket_id: record && record.number, sys_id: record && record.sys_id }),
+
+  getUpdatedAt: (record) => parseGlideDateTime(record && record.sys_updated_on),
+
+  fetchOne: async (connection, target, ticketId) => {
+    const response = await connection.client.get(getTableEndpoint(target.table), {
+      params: {
+        sysparm_limit: 1,
+        sysparm_query: `number=${ticketId}`,
+        sysparm_fields: getTableFields(target.table),
+        sysparm_display_value: 'all'
+      }
+    });
+    const records = ((response.data && response.data.result) || []).map(toDisplayRecord);
+    return records[0] || null;
+  },
+
+  // Tickets must carry their connection before upserts match on it
+  prepare: () => migrateLegacyState(),
+
+  afterStore: async (records, connection, target) => {
+    await syncJournalEntries(records, target.table, connection);
+    await syncAttachments(records, target.table, connection);
+  }
+};
+
+module.exports = servicenowConnector;
@@ -0,0 +1,436 @@
+const path = require('path');
+const config = require('../config');
+const defaultMapping = require('../config/servicenowFieldMapping');
+const FieldMapping = require('../models/FieldMapping');
+const Ticket = require('../models/Tickets');
+const { getTableDefinition, getEnabledTables } = require('./servicenowClient');
+
+// Ticket paths a mapping is not allowed to write
+const RESERVED_TARGETS = ['_id', '__v', 'raw', 'payload_hash', 'createdAt', 'updatedAt'];
+const CUSTOM_FIELDS_PREFIX = 'custom_fields.';
+
+// Value transforms available to mapping entries
+const TRANSFORMS = {
+  date: (value) => {
+    const date = new Date(value);
+    if (Number.isNaN(date.getTime())) {
+      throw new Error(`invalid date "${value}"`);
+    }
+    return date;
+  },
+
+  reference: (value, options = {}) => {
+    if (typeof value !== 'object') {
+      return value;
+    }
+    if (options.property) {
+      return value[options.property];
+    }
+    return value.value || value.sys_id;
+  },
+
+  split: (value, options = {}) => {
+    if (Array.isArray(value)) {
+      return value;
+    }
+    return String(value)
+      .split(options.separator || ',')
+      .map(item => item.trim())
+      .filter(item => item.length > 0);
+  },
+
+  number: (value) => {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+      throw new Error(`invalid number "${value}"`);
+    }
+    return number;
+  },
+
+  lookup: (value, options = {}) => {
+    const table = options.table || {};
+    if (Object.prototype.hasOwnProperty.call(table, value)) {
+      return table[value];
+    }
+    return options.default !== undefined ? options.default : value;
+  }
+};
+
+let activeMapping = defaultMapping;
+let activeMappingSource = 'default';
+
+/**
+ * Normalize a transform spec ("date" or { type: 'date', ... }) to an object
+ */
+const normalizeTransform = (transform) => {
+  if (!transform) {
+    return null;
+  }
+  return typeof transform === 'string' ? { type: transform } : transform;
+};
+
+/**
+ * Check whether a target path exists on the Ticket schema
+ */
+const isValidTarget = (target) => {
+  if (typeof target !== 'string' || target.length === 0) {
+    return false;
+  }
+  if (RESERVED_TARGETS.includes(target)) {
+    return false;
+  }
+  if (target.startsWith(CUSTOM_FIELDS_PREFIX)) {
+    return target.length > CUSTOM_FIELDS_PREFIX.length;
+  }
+  return Boolean(Ticket.schema.path(target));
+};
+
+/**
+ * Validate a mapping definition
+ * @param {Object} definition - Mapping definition
+ * @returns {Object} { valid, errors }
+ */
+const validateMapping = (definition) => {
+  const errors = [];
+
+  if (!definition || typeof definition !== 'object') {
+    return { valid: false, errors: ['Mapping definition must be an object'] };
+  }
+
+  if (!Array.isArray(definition.fields) || definition.fields.length === 0) {
+    errors.push('"fields" must be a non-empty array');
+  }
+
+  const fields = Array.isArray(definition.fields) ? definition.fields : [];
+  const seenTargets = new Set();
+
+  fields.forEach((field, index) => {
+    const label = `fields[${index}]`;
+
+    if (!field || typeof field !== 'object') {
+      errors.push(`${label} must be an object`);
+      return;
+    }
+    if (typeof field.source !== 'string' || !/^[A-Za-z0-9_.]+$/.test(field.source)) {
+      errors.push(`${label}.source must be a ServiceNow field name`);
+    }
+    if (!isValidTarget(field.target)) {
+      errors.push(`${label}.target "${field.target}" is not a writable Ticket field`);
+    } else if (seenTargets.has(field.target)) {
+      errors.push(`${label}.target "${field.target}" is mapped more than once`);
+    } else {
+      seenTargets.add(field.target);
+    }
+
+    const transform = normalizeTransform(field.transform);
+    if (transform) {
+      if (!TRANSFORMS[transform.type]) {
+        errors.push(`${label}.transform "${transform.type}" is not supported (use ${Object.keys(TRANSFORMS).join(', ')})`);
+      } else if (transform.type === 'lookup' && (!transform.table || typeof transform.table !== 'object')) {
+        errors.push(`${label}.transform.table must be an object for lookup transforms`);
+      } else if (transform.type === 'split' && transform.separator !== undefined && typeof transform.separator !== 'string') {
+        errors.push(`${label}.transform.separator must be a string`);
+      }
+    }
+  });
+
+  const constants = definition.constants || {};
+  Object.keys(constants).forEach(target => {
+    if (!isValidTarget(target)) {
+      errors.push(`constants.${target} is not a writable Ticket field`);
+    } else if (seenTargets.has(target)) {
+      errors.push(`constants.${target} is also mapped from a field`);
+    }
+  });
+
+  if (!seenTargets.has('ticket_id')) {
+    errors.push('A field must be mapped to "ticket_id"');
+  }
+  if (!seenTargets.has('source') && !constants.source) {
+    errors.push('"source" must be set by a field or in constants');
+  }
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Write a value at a dotted path, creating intermediate objects
+ */
+const setPath = (target, dottedPath, value) => {
+  const keys = dottedPath.split('.');
+  let current = target;
+  keys.slice(0, -1).forEach(key => {
+    if (!current[key] || typeof current[key] !== 'object') {
+      current[key] = {};
+    }
+    current = current[key];
+  });
+  current[keys[keys.length - 1]] = value;
+};
+
+/**
+ * Map a ServiceNow record to a Ticket document
+ * @param {Object} record - Raw ServiceNow record
+ * @param {Object} definition - Mapping definition (defaults to the active mapping)
+ * @returns {Object} { ticket, warnings }
+ */
+const applyMapping = (record, definition = activeMapping) => {
+  const ticket = {};
+  const warnings = [];
+
+  Object.entries(definition.constants || {}).forEach(([target, value]) => {
+    setPath(ticket, target, value);
+  });
+
+  definition.fields.forEach(field => {
+    const rawValue = record[field.source];
+    const isEmpty = rawValue === undefined || rawValue === null || rawValue === '';
+
+    if (isEmpty) {
+      if (field.required) {
+        throw new Error(`Required field "${field.source}" is missing`);
+      }
+      setPath(ticket, field.target, field.target === 'tags' ? [] : null);
+      return;
+    }
+
+    const transform = normalizeTransform(field.transform);
+    let value = rawValue;
+    if (transform) {
+      try {
+        value = TRANSFORMS[transform.type](rawValue, transform);
+      } catch (error) {
+        if (field.required) {
+          throw new Error(`Field "${field.source}": ${error.message}`);
+        }
+        warnings.push(`${field.source}: ${error.message}`);
+        value = null;
+      }
+    } else if (typeof value === 'object' && !Array.isArray(value)) {
+      // Reference objects without a transform keep their display value
+      value = value.display_value !== undefined ? value.display_value : value.value;
+    }
+
+    setPath(ticket, field.target, value);
+  });
+
+  if (definition.keepCustomFields) {
+    const mappedSources = new Set(definition.fields.map(field => field.source));
+    Object.keys(record)
+      .filter(key => key.startsWith('u_') && !mappedSources.has(key))
+      .forEach(key => setPath(ticket, `${CUSTOM_FIELDS_PREFIX}${key}`, record[key]));
+  }
+
+  ticket.raw = record;
+
+  return { ticket, warnings };
+};
+
+/**
+ * Comma-separated sysparm_fields list covering every mapped source field
+ */
+const getSourceFields = (definition = activeMapping, extraFields = []) => {
+  return Array.from(new Set(definition.fields.map(field => field.source).concat(extraFields))).join(',');
+};
+
+/**
+ * Mapping for one ServiceNow table: the base mapping with the table's entries
+ * replacing those with the same target, and record_type set
+ * @param {String} table - ServiceNow table name
+ * @param {Object} definition - Base mapping (defaults to the active mapping)
+ */
+const getTableMapping = (table = 'incident', definition = activeMapping) => {
+  const tableDefinition = getTableDefinition(table);
+  const overrides = tableDefinition.mapping || [];
+  const overriddenTargets = new Set(overrides.map(field => field.target));
+
+  return {
+    ...definition,
+    constants: { ...(definition.constants || {}), record_type: tableDefinition.recordType },
+    fields: definition.fields.filter(field => !overriddenTargets.has(field.target)).concat(overrides)
+  };
+};
+
+/**
+ * sysparm_fields list for a ServiceNow table. null when the mapping keeps custom fields:
+ * the u_* columns of an instance are not known upfront, so every column is requested.
+ */
+const getTableFields = (table = 'incident', definition = activeMapping) => {
+  const tableMapping = getTableMapping(table, definition);
+  if (tableMapping.keepCustomFields) {
+    return null;
+  }
+  return getSourceFields(tableMapping, getTableDefinition(table).fields || []);
+};
+
+/**
+ * Validate a mapping as applied to every enabled table
+ */
+const validateForTables = (definition) => {
+  const base = validateMapping(definition);
+  if (!base.valid) {
+    return base;
+  }
+
+  const errors = [];
+  getEnabledTables().forEach(table => {
+    validateMapping(getTableMapping(table, definition)).errors
+      .forEach(error => errors.push(`${table}: ${error}`));
+  });
+
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Read the mapping configured through SERVICENOW_FIELD_MAPPING_FILE, if any
+ */
+const readMappingFile = () => {
+  const file = config.servicenow.fieldMappingFile;
+  if (!file) {
+    return null;
+  }
+  return require(path.resolve(file));
+};
+
+/**
+ * Load and validate the mapping at startup: database first, then config file,
+ * then the built-in default. An invalid mapping is rejected and the default
+ * stays active.
+ * @returns {Object} { source, valid, errors }
+ */
+const loadFieldMapping = async () => {
+  let candidate = null;
+  let source = 'default';
+
+  try {
+    const stored = await FieldMapping.findOne({ name: defaultMapping.name }).lean();
+    if (stored) {
+      candidate = stored;
+      source = 'database';
+    } else {
+      const fromFile = readMappingFile();
+      if (fromFile) {
+        candidate = fromFile;
+        source = 'file';
+      }
+    }
+  } catch (error) {
+    console.error('❌ Error loading field mapping:', error.message);
+    return { source: activeMappingSource, valid: false, errors: [error.message] };
+  }
+
+  if (!candidate) {
+    activeMapping = defaultMapping;
+    activeMappingSource = 'default';
+    console.log('🗺️ Using default ServiceNow field mapping');
+    return { source: 'default', valid: true, errors: [] };
+  }
+
+  const { valid, errors } = validateForTables(candidate);
+  if (!valid) {
+    console.error(`❌ Invalid field mapping from ${source}, keeping ${activeMappingSource} mapping:`);
+    errors.forEach(error => console.error(`   - ${error}`));
+    return { source, valid, errors };
+  }
+
+  activeMapping = candidate;
+  activeMappingSource = source;
+  console.log(`🗺️ Loaded ServiceNow field mapping from ${source} (${candidate.fields.length} fields)`);
+  return { source, valid, errors };
+};
+
+/**
+ * Validate and store a mapping in the database, then make it active
+ * @param {Object} definition - Mapping definition
+ * @param {String} updatedBy - User making the change
+ * @returns {Object} Result object
+ */
+const saveFieldMapping = async (definition, updatedBy) => {
+  const { valid, errors } = validateForTables(definition);
+  if (!valid) {
+    return { success: false, error: 'Invalid field mapping', errors };
+  }
+
+  try {
+    const stored = await FieldMapping.findOneAndUpdate(
+      { name: defaultMapping.name },
+      {
+        $set: {
+          version: definition.version || 1,
+          constants: definition.constants || {},
+          keepCustomFields: definition.keepCustomFields !== false,
+          fields: definition.fields,
+          updatedBy
+        }
+      },
+      { upsert: true, new: true, lean: true }
+    );
+
+    activeMapping = stored;
+    activeMappingSource = 'database';
+    console.log('🗺️ Field mapping saved to database and activated');
+
+    return { success: true, data: stored };
+  } catch (error) {
+    console.error('❌ Error saving field mapping:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Map sample payloads with a mapping without saving anything
+ * @param {Object|Array} samples - One or more ServiceNow records
+ * @param {Object} definition - Candidate mapping (defaults to the active mapping)
+ * @param {String} table - ServiceNow table the samples come from
+ * @returns {Object} Validation result and one mapped result per sample
+ */
+const previewMapping = (samples, definition, table = 'incident') => {
+  const base = definition || activeMapping;
+  const validation = validateMapping(base);
+
+  if (!validation.valid) {
+    return { valid: false, errors: validation.errors, results: [] };
+  }
+
+  const mapping = getTableMapping(table, base);
+
+  const results = [].concat(samples).map(sample => {
+    try {
+      const { ticket, warnings } = applyMapping(sample, mapping);
+      delete ticket.raw;
+      return { success: true, ticket, warnings };
+    } catch (error) {
+      return { success: false, error: error.message, warnings: [] };
+    }
+  });
+
+  return {
+    valid: true,
+    errors: [],
+    fields: getTableFields(table, base),
+    results
+  };
+};
+
+const getActiveMapping = () => ({
+  source: activeMappingSource,
+  mapping: activeMapping,
+  fields: getSourceFields(activeMapping),
+  tables: getEnabledTables().reduce((tables, table) => {
+    tables[table] = getTableFields(table);
+    return tables;
+  }, {})
+});
+
+module.exports = {
+  TRANSFORMS,
+  validateMapping,
+  applyMapping,
+  getSourceFields,
+  getTableMapping,
+  getTableFields,
+  loadFieldMapping,
+  saveFieldMapping,
+  previewMapping,
+  getActiveMapping
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const os = require('os');
+const config = require('../config');
+const { getRedisClient } = require('../config/database/redis');
+
+const LOCK_KEY_PREFIX = 'lock:';
+
+// Identifies this process as lock owner in status reports
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+// Delete / extend the key only while it still holds our token
+const RELEASE_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('del', KEYS[1])
+end
+return 0`;
+
+const EXTEND_SCRIPT = `
+if redis.call('get', KEYS[1]) == ARGV[1] then
+  return redis.call('pexpire', KEYS[1], ARGV[2])
+end
+return 0`;
+
+/**
+ * Lock name of a connector job ("poll", ...) on a target, e.g. "jira:poll:OPS"
+ */
+const connectorJobLock = (connectorName, job, targetKey) => `${connectorName}:${job}:${targetKey}`;
+
+/**
+ * Lock name of a ServiceNow job ("poll", "bulk-import", "reconcile") on a table of a connection
+ */
+const servicenowJobLock = (job, table, connectionKey = 'default') => (
+  connectorJobLock('servicenow', job, connectionKey === 'default' ? table : `${connectionKey}:${table}`)
+);
+
+// Locks held by this process, name -> { token, acquiredAt }
+const heldLocks = new Map();
+
+/**
+ * Try to take a lease lock. Without SERVICENOW_ENABLE_DISTRIBUTED_LOCK locks are only
+ * held within this process (single instance deployment).
+ * @param {String} name - Lock name, e.g. "servicenow:poll:incident"
+ * @param {Number} ttl - Lease duration in milliseconds
+ * @returns {Object} { acquired, token }
+ */
+const acquireLock = async (name, ttl = config.servicenow.lockTtl) => {
+  const token = `${instanceId}:${crypto.randomBytes(8).toString('hex')}`;
+
+  if (!config.servicenow.enableDistributedLock) {
+    if (heldLocks.has(name)) {
+      return { acquired: false, token: null };
+    }
+    heldLocks.set(name, { token, acquiredAt: new Date() });
+    return { acquired: true, token };
+  }
+
+  const result = await getRedisClient().set(`${LOCK_KEY_PREFIX}${name}`, token, 'PX', ttl, 'NX');
+  if (result !== 'OK') {
+    return { acquired: false, token: null };
+  }
+
+  heldLocks.set(name, { token, acquiredAt: new Date() });
+  return { acquired: true, token };
+};
+
+/**
+ * Release a lock if this holder still owns it
+ */
+const releaseLock = async (name, token) => {
+  if (!config.servicenow.enableDistributedLock) {
+    const held = heldLocks.get(name);
+    if (!held || held.token !== token) {
+      return false;
+    }
+    heldLocks.delete(name);
+    return true;
+  }
+  heldLocks.delete(name);
+  const released = await getRedisClient().eval(RELEASE_SCRIPT, 1, `${LOCK_KEY_PREFIX}${name}`, token);
+  return released === 1;
+};
+
+/**
+ * Extend the lease of a lock still owned by this holder
+ */
+const extendLock = async (name, token, ttl = config.servicenow.lockTtl) => {
+  if (!config.servicenow.enableDistributedLock) {
+    return true;
+  }
+  const extended = await getRedisClient().eval(EXTEND_SCRIPT, 1, `${LOCK_KEY_PREFIX}${name}`, token, ttl);
+  return extended === 1;
+};
+
+/**
+ * Run a job under a lease lock, renewing the lease while it runs. When another instance
+ * holds the lock (or Redis is unreachable) the job is not run.
+ * @param {String} name - Lock name
+ * @param {Function} job - async function to run while holding the lock
+ * @param {Object} options - { ttl }
+ * @returns {Object} { acquired, result }
+ */
+const withLock = async (name, job, options = {}) => {
+  const ttl = options.ttl || config.servicenow.lockTtl;
+
+  let lock;
+  try {
+    lock = await acquireLock(name, ttl);
+  } catch (error) {
+    console.error(`❌ Could not acquire lock ${name}, skipping:`, error.message);
+    return { acquired: false, error: error.message };
+  }
+
+  if (!lock.acquired) {
+    console.log(`🔒 Lock ${name} is held by another job or instance, skipping`);
+    return { acquired: false };
+  }
+
+  const renewal = setInterval(() => {
+    extendLock(name, lock.token, ttl)
+      .then(extended => {
+        if (!extended) {
+          console.error(`⚠️ Lost lock ${name} while the job is still running`);
+        }
+      })
+      .catch(error => console.error(`⚠️ Could not renew lock ${name}:`, error.message));
+  }, Math.max(Math.floor(ttl / 3), 1000));
+
+  try {
+    return { acquired: true, result: await job() };
+  } finally {
+    clearInterval(renewal);
+    await releaseLock(name, lock.token)
+      .catch(error => console.error(`⚠️ Could not release lock ${name}:`, error.message));
+  }
+};
+
+/**
+ * Current owner and expiry of a set of locks
+ * @param {Array} names - Lock names
+ * @returns {Object} name -> { locked, owner, heldByThisInstance, acquiredAt, expiresAt }
+ */
+const getLockStatus = async (names) => {
+  const status = {};
+
+  if (!config.servicenow.enableDistributedLock) {
+    names.forEach(name => {
+      const held = heldLocks.get(name);
+      status[name] = {
+        locked: Boolean(held),
+        owner: held ? instanceId : null,
+        heldByThisInstance: Boolean(held),
+        acquiredAt: held ? held.acquiredAt : null,
+        expiresAt: null
+      };
+    });
+    return status;
+  }
+
+  const pipeline = getRedisClient().pipeline();
+  names.forEach(name => {
+    pipeline.get(`${LOCK_KEY_PREFIX}${name}`);
+    pipeline.pttl(`${LOCK_KEY_PREFIX}${name}`);
+  });
+  const results = await pipeline.exec();
+
+  names.forEach((name, index) => {
+    const [, token] = results[index * 2];
+    const [, ttl] = results[index * 2 + 1];
+    const held = heldLocks.get(name);
+    status[name] = {
+      locked: Boolean(token),
+      // Tokens are "<hostname>:<pid>:<random>"
+      owner: token ? token.split(':').slice(0, -1).join(':') : null,
+      heldByThisInstance: Boolean(token && held && held.token === token),
+      acquiredAt: held && held.token === token ? held.acquiredAt : null,
+      expiresAt: token && ttl > 0 ? new Date(Date.now() + ttl) : null
+    };
+  });
+
+  return status;
+};
+
+module.exports = {
+  instanceId,
+  connectorJobLock,
+  servicenowJobLock,
+  acquireLock,
+  releaseLock,
+  extendLock,
+  withLock,
+  getLockStatus
+};
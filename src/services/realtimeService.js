@@ -0,0 +1,235 @@
+const { Server } = require('socket.io');
+const Session = require('supertokens-node/recipe/session');
+const config = require('../config');
+const { getRedisClient } = require('../config/database/redis');
+
+// Filters a client can subscribe to, subscription key -> ticket field
+const TICKET_FILTERS = {
+  assignment_group: ticket => ticket.assignment_group && ticket.assignment_group.id,
+  priority: ticket => ticket.priority,
+  status: ticket => ticket.status
+};
+// Room receiving every ticket event
+const ALL_TICKETS_ROOM = 'tickets:all';
+// setTimeout delays must fit in a signed 32-bit integer
+const MAX_TIMER_DELAY = 2147483647;
+
+let io = null;
+let subscriber = null;
+
+const fanoutChannel = () => `${config.redis.keyPrefix}realtime:events`;
+
+/**
+ * Room of the tickets matching one filter value, e.g. "tickets:priority:1 - Critical"
+ */
+const ticketRoom = (filter, value) => `tickets:${filter}:${value}`;
+
+/**
+ * Rooms an event about a ticket goes to
+ */
+const roomsForTicket = (ticket) => {
+  const rooms = [ALL_TICKETS_ROOM];
+  Object.keys(TICKET_FILTERS).forEach(filter => {
+    const value = TICKET_FILTERS[filter](ticket);
+    if (value) rooms.push(ticketRoom(filter, value));
+  });
+  return rooms;
+};
+
+/**
+ * Ticket fields sent with ticket events
+ */
+const summarizeTicket = (ticket) => ({
+  ticket_id: ticket.ticket_id,
+  source: ticket.source,
+  connection_id: ticket.connection_id,
+  record_type: ticket.record_type,
+  sys_id: ticket.sys_id,
+  short_description: ticket.short_description,
+  status: ticket.status,
+  priority: ticket.priority,
+  assignment_group: ticket.assignment_group,
+  assigned_to: ticket.assigned_to,
+  opened_time: ticket.opened_time,
+  closed_time: ticket.closed_time
+});
+
+/**
+ * SuperTokens access token of a handshake: auth payload, Authorization header or sAccessToken cookie
+ */
+const getAccessToken = (handshake) => {
+  if (handshake.auth && handshake.auth.token) {
+    return handshake.auth.token;
+  }
+  const authorization = handshake.headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length);
+  }
+  const cookie = (handshake.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith('sAccessToken='));
+  return cookie ? decodeURIComponent(cookie.slice('sAccessToken='.length)) : null;
+};
+
+/**
+ * Socket.IO middleware accepting only connections with a valid SuperTokens session
+ */
+const authenticateSocket = async (socket, next) => {
+  try {
+    const accessToken = getAccessToken(socket.handshake);
+    if (!accessToken) {
+      return next(new Error('Unauthorized'));
+    }
+    // The handshake origin is checked by allowRequest, which covers cookie based sessions
+    const session = await Session.getSessionWithoutRequestResponse(accessToken, undefined, { antiCsrfCheck: false });
+    socket.data.userId = session.getUserId();
+    socket.data.expiresAt = session.getAccessTokenPayload().exp * 1000;
+    next();
+  } catch (error) {
+    next(new Error('Unauthorized'));
+  }
+};
+
+/**
+ * Rooms of a subscribe / unsubscribe request:
+ * { all: true, assignment_group: 'id' | ['id'], priority: [...], status: [...] }
+ */
+const roomsForSubscription = (filters = {}) => {
+  const rooms = filters.all ? [ALL_TICKETS_ROOM] : [];
+  Object.keys(TICKET_FILTERS).forEach(filter => {
+    [].concat(filters[filter] || [])
+      .filter(value => typeof value === 'string' && value.length > 0)
+      .forEach(value => rooms.push(ticketRoom(filter, value)));
+  });
+  return rooms;
+};
+
+const handleConnection = (socket) => {
+  console.log(`🔌 Realtime client connected: ${socket.id} (user ${socket.data.userId})`);
+
+  // The session is not refreshed over the socket, the client reconnects with a new token
+  const expiresIn = Math.min(Math.max(socket.data.expiresAt - Date.now(), 0), MAX_TIMER_DELAY);
+  const expiry = setTimeout(() => {
+    socket.emit('session.expired');
+    socket.disconnect(true);
+  }, expiresIn);
+
+  socket.on('subscribe', (filters, ack) => {
+    const rooms = roomsForSubscription(filters);
+    socket.join(rooms);
+    if (typeof ack === 'function') ack({ success: true, rooms });
+  });
+
+  socket.on('unsubscribe', (filters, ack) => {
+    const rooms = roomsForSubscription(filters);
+    rooms.forEach(room => socket.leave(room));
+    if (typeof ack === 'function') ack({ success: true, rooms });
+  });
+
+  socket.on('disconnect', (reason) => {
+    clearTimeout(expiry);
+    console.log(`🔌 Realtime client disconnected: ${socket.id} (${reason})`);
+  });
+};
+
+/**
+ * Emit an event to the sockets of this process, to rooms or to every client
+ */
+const emitLocally = ({ event, rooms, payload }) => {
+  if (!io) return;
+  if (rooms && rooms.length > 0) {
+    io.to(rooms).emit(event, payload);
+  } else {
+    io.emit(event, payload);
+  }
+};
+
+/**
+ * Deliver an event, through Redis when events fan out to every replica
+ */
+const publish = (message) => {
+  if (!config.realtime.redisFanout) {
+    emitLocally(message);
+    return;
+  }
+  getRedisClient().publish(fanoutChannel(), JSON.stringify(message)).catch(error => {
+    console.error(`⚠️ Could not relay realtime event ${message.event}, emitting locally:`, error.message);
+    emitLocally(message);
+  });
+};
+
+/**
+ * Relay events published by every replica to the sockets of this process
+ */
+const startFanout = async () => {
+  subscriber = getRedisClient().duplicate();
+  subscriber.on('message', (channel, raw) => {
+    try {
+      emitLocally(JSON.parse(raw));
+    } catch (error) {
+      console.error('❌ Invalid realtime event from Redis:', error.message);
+    }
+  });
+  await subscriber.subscribe(fanoutChannel());
+  console.log('✅ Realtime events relayed through Redis');
+};
+
+/**
+ * Mount the Socket.IO server on the HTTP server
+ * @param {Object} server - http.Server returned by app.listen
+ * @param {Object} options - { corsOrigins }
+ */
+const attachRealtime = (server, options = {}) => {
+  if (!config.realtime.enabled) {
+    console.log('ℹ️ Realtime events are disabled (REALTIME_ENABLED=false)');
+    return null;
+  }
+
+  const origins = [].concat(options.corsOrigins || config.cors.origin);
+  io = new Server(server, {
+    path: config.realtime.path,
+    cors: { origin: origins, credentials: true },
+    // Browsers don't apply CORS to WebSocket upgrades, check the origin of every handshake
+    allowRequest: (req, callback) => {
+      const origin = req.headers.origin;
+      callback(null, !origin || origins.includes('*') || origins.includes(origin));
+    }
+  });
+
+  io.use(authenticateSocket);
+  io.on('connection', handleConnection);
+
+  if (config.realtime.redisFanout) {
+    startFanout().catch(error => {
+      console.error('❌ Could not subscribe to realtime events in Redis:', error.message);
+    });
+  }
+
+  console.log(`✅ Realtime events available on ${config.realtime.path}`);
+  return io;
+};
+
+/**
+ * Announce a created or updated ticket to the rooms it matches
+ * @param {String} type - "created" or "updated"
+ * @param {Object} ticket - Ticket document
+ */
+const publishTicketEvent = (type, ticket) => {
+  if (!io && !config.realtime.redisFanout) return;
+  publish({ event: `ticket.${type}`, rooms: roomsForTicket(ticket), payload: summarizeTicket(ticket) });
+};
+
+/**
+ * Announce a polling event ("success", "error", "circuit_open", ...) to every client
+ */
+const publishPollEvent = (type, data) => {
+  if (!io && !config.realtime.redisFanout) return;
+  publish({ event: `poll.${type}`, payload: data });
+};
+
+module.exports = {
+  attachRealtime,
+  publishTicketEvent,
+  publishPollEvent
+};
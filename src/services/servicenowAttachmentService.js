@@ -0,0 +1,240 @@
+const crypto = require('crypto');
+const config = require('../config');
+const Ticket = require('../models/Tickets');
+const TicketAttachment = require('../models/TicketAttachment');
+const S3Service = require('./s3Service');
+const { parseGlideDateTime } = require('./servicenowClient');
+const { DEFAULT_CONNECTION, resolveConnection } = require('./servicenowConnectionService');
+
+const ATTACHMENT_ENDPOINT = '/api/now/attachment';
+// Tickets per table_sys_idIN query, keeps the request URL well under common limits
+const TICKETS_PER_QUERY = 100;
+const ATTACHMENT_PAGE_SIZE = 500;
+
+const s3Service = new S3Service();
+
+/**
+ * Object key prefix holding the attachments of one ticket. Tickets of other connections
+ * than the default one are kept under the connection key, numbers can repeat across instances.
+ */
+const getTicketPrefix = (ticketId, connectionKey = DEFAULT_CONNECTION) => (
+  connectionKey === DEFAULT_CONNECTION ?
+    `${config.servicenow.attachmentPrefix}/${ticketId}/` :
+    `${config.servicenow.attachmentPrefix}/${connectionKey}/${ticketId}/`
+);
+
+/**
+ * File name safe to use as the last segment of an object key
+ */
+const safeFileName = (fileName) => String(fileName || 'attachment').replace(/[^\w.\-]+/g, '_');
+
+/**
+ * List the attachment metadata of a set of tickets, keyset paged on sys_id
+ */
+const listAttachments = async (client, ticketSysIds) => {
+  const attachments = [];
+  let lastSysId = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const conditions = [
+      `table_sys_idIN${ticketSysIds.join(',')}`,
+      lastSysId ? `sys_id>${lastSysId}` : ''
+    ].filter(Boolean);
+
+    const response = await client.get(ATTACHMENT_ENDPOINT, {
+      params: {
+        sysparm_limit: ATTACHMENT_PAGE_SIZE,
+        sysparm_query: `${conditions.join('^')}^ORDERBYsys_id`
+      }
+    });
+    const records = (response.data && response.data.result) || [];
+
+    attachments.push(...records);
+    if (records.length > 0) {
+      lastSysId = records[records.length - 1].sys_id;
+    }
+    hasMore = records.length === ATTACHMENT_PAGE_SIZE;
+  }
+
+  return attachments;
+};
+
+/**
+ * Download one attachment and store it under the ticket prefix. Content already stored
+ * for the same ticket (same sha256) is not uploaded again, the existing object is reused.
+ * @returns {Object} { doc, duplicate }
+ */
+const mirrorAttachment = async (client, attachment, ticket) => {
+  const sizeBytes = parseInt(attachment.size_bytes);
+  const doc = {
+    ticket_id: ticket.ticket_id,
+    connection_id: ticket.connection_id,
+    record_type: ticket.record_type,
+    ticket_sys_id: attachment.table_sys_id,
+    file_name: attachment.file_name,
+    content_type: attachment.content_type,
+    size_bytes: Number.isNaN(sizeBytes) ? null : sizeBytes,
+    created_by: attachment.sys_created_by,
+    created_on: parseGlideDateTime(attachment.sys_created_on),
+    error: null
+  };
+
+  if (doc.size_bytes > config.servicenow.attachmentMaxBytes) {
+    return {
+      doc: {
+        ...doc,
+        status: 'skipped',
+        error: `Larger than SERVICENOW_ATTACHMENT_MAX_BYTES (${config.servicenow.attachmentMaxBytes})`
+      },
+      duplicate: false
+    };
+  }
+
+  const response = await client.get(`${ATTACHMENT_ENDPOINT}/${attachment.sys_id}/file`, {
+    responseType: 'arraybuffer',
+    headers: { Accept: '*/*' }
+  });
+  const content = Buffer.from(response.data);
+  const sha256 = crypto.createHash('sha256').update(content).digest('hex');
+
+  const duplicate = await TicketAttachment.findOne(
+    { ticket_id: ticket.ticket_id, source: ticket.source, connection_id: ticket.connection_id, sha256, status: 'stored' },
+    { s3_key: 1 }
+  ).lean();
+
+  let s3Key = duplicate && duplicate.s3_key;
+  if (!s3Key) {
+    s3Key = `${getTicketPrefix(ticket.ticket_id, ticket.connection_id)}${sha256}/${safeFileName(attachment.file_name)}`;
+    await s3Service.uploadFile(content, s3Key, attachment.content_type || 'application/octet-stream');
+  }
+
+  return {
+    doc: { ...doc, size_bytes: content.length, sha256, s3_key: s3Key, status: 'stored' },
+    duplicate: Boolean(duplicate)
+  };
+};
+
+/**
+ * Mirror the attachments of ingested ServiceNow records into object storage.
+ * The tickets must already be saved. Attachments already stored are not downloaded
+ * again (ServiceNow attachments are immutable). Failures are logged and recorded,
+ * never thrown, so attachment problems don't fail ticket ingestion.
+ * @param {Array} records - ServiceNow records of one ingested page
+ * @param {String} table - ServiceNow table the records come from
+ * @param {Object|String} connection - Connection (context or key) the records come from
+ * @returns {Object} { success, listedCount, storedCount, duplicateCount, skippedCount, errorCount }
+ */
+const syncAttachments = async (records, table = 'incident', connection = DEFAULT_CONNECTION) => {
+  const result = { success: true, listedCount: 0, storedCount: 0, duplicateCount: 0, skippedCount: 0, errorCount: 0 };
+
+  if (!config.servicenow.syncAttachments || !records || records.length === 0) {
+    return result;
+  }
+
+  try {
+    const context = await resolveConnection(connection);
+    const sysIds = Array.from(new Set(records.map(record => record.sys_id).filter(Boolean)));
+
+    const tickets = await Ticket.find(
+      { source: 'ServiceNow', connection_id: context.key, sys_id: { $in: sysIds } },
+      { ticket_id: 1, sys_id: 1, source: 1, connection_id: 1, record_type: 1 }
+    ).lean();
+    const ticketsBySysId = new Map(tickets.map(ticket => [ticket.sys_id, ticket]));
+
+    for (let index = 0; index < sysIds.length; index += TICKETS_PER_QUERY) {
+      const attachments = await listAttachments(context.client, sysIds.slice(index, index + TICKETS_PER_QUERY));
+      result.listedCount += attachments.length;
+
+      if (attachments.length === 0) {
+        continue;
+      }
+
+      const known = await TicketAttachment.find(
+        { source: 'ServiceNow', sys_id: { $in: attachments.map(attachment => attachment.sys_id) }, status: { $ne: 'failed' } },
+        { sys_id: 1 }
+      ).lean();
+      const knownIds = new Set(known.map(attachment => attachment.sys_id));
+
+      for (const attachment of attachments) {
+        const ticket = ticketsBySysId.get(attachment.table_sys_id);
+        if (!ticket || knownIds.has(attachment.sys_id)) {
+          continue;
+        }
+
+        let doc;
+        try {
+          const mirrored = await mirrorAttachment(context.client, attachment, ticket);
+          doc = mirrored.doc;
+          if (doc.status === 'skipped') {
+            result.skippedCount++;
+          } else if (mirrored.duplicate) {
+            result.duplicateCount++;
+          } else {
+            result.storedCount++;
+          }
+        } catch (error) {
+          console.error(`❌ Error mirroring attachment ${attachment.file_name} of ${ticket.ticket_id}:`, error.message);
+          doc = {
+            ticket_id: ticket.ticket_id,
+            connection_id: ticket.connection_id,
+            record_type: ticket.record_type,
+            ticket_sys_id: attachment.table_sys_id,
+            file_name: attachment.file_name,
+            status: 'failed',
+            error: error.message
+          };
+          result.errorCount++;
+        }
+
+        await TicketAttachment.updateOne(
+          { sys_id: attachment.sys_id, source: ticket.source },
+          { $set: doc },
+          { upsert: true }
+        );
+      }
+    }
+
+    if (result.listedCount > 0) {
+      console.log(`📎 Attachment sync for ${table}: ${result.listedCount} listed, ${result.storedCount} stored, ${result.duplicateCount} duplicates, ${result.skippedCount} skipped, ${result.errorCount} errors`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`❌ Error syncing attachments of ${table}:`, error.message);
+    return { ...result, success: false, error: error.message };
+  }
+};
+
+/**
+ * Attachments of a ticket with presigned download links
+ * @param {String} ticketId - Ticket number
+ * @param {Object} options - { source, connection, expiresIn }
+ */
+const getAttachmentsForTicket = async (ticketId, options = {}) => {
+  try {
+    const { source = 'ServiceNow', connection = DEFAULT_CONNECTION } = options;
+    const expiresIn = parseInt(options.expiresIn) || 3600;
+
+    const attachments = await TicketAttachment.find({ ticket_id: ticketId, source, connection_id: connection })
+      .sort({ created_on: -1, _id: 1 })
+      .lean();
+
+    const data = await Promise.all(attachments.map(async attachment => {
+      if (attachment.status !== 'stored') {
+        return { ...attachment, download_url: null };
+      }
+      const presigned = await s3Service.generatePresignedUrl(attachment.s3_key, 'getObject', expiresIn);
+      return { ...attachment, download_url: presigned.url, expires_in: presigned.expiresIn };
+    }));
+
+    return { success: true, data, total: data.length };
+  } catch (error) {
+    console.error(`❌ Error fetching attachments for ${ticketId}:`, error.message);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+module.exports = {
+  syncAttachments,
+  getAttachmentsForTicket
+};
@@ -0,0 +1,260 @@
+const axios = require('axios');
+const config = require('../config');
+const servicenowTables = require('../config/servicenowTables');
+const { applyRequestPolicy } = require('./servicenowRequestPolicy');
+
+// Refresh tokens this long before they expire
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * OAuth 2.0 token source for the password and client_credentials grants.
+ * Tokens are cached until shortly before they expire; concurrent callers share
+ * one token request. The password grant's refresh token is used when available.
+ * @param {Object} settings - ServiceNow settings (url, username, password, oauth, timeout)
+ */
+const createTokenManager = (settings) => {
+  const { oauth } = settings;
+  let cachedToken = null;
+  let pendingRequest = null;
+
+  const requestToken = async (grant) => {
+    const form = new URLSearchParams({
+      client_id: oauth.clientId,
+      client_secret: oauth.clientSecret,
+      ...grant
+    });
+    if (oauth.scope) {
+      form.set('scope', oauth.scope);
+    }
+
+    const response = await axios.post(`${settings.url}${oauth.tokenEndpoint}`, form.toString(), {
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        'Accept': 'application/json'
+      },
+      timeout: settings.timeout
+    });
+
+    const { access_token: accessToken, refresh_token: refreshToken, expires_in: expiresIn } = response.data || {};
+    if (!accessToken) {
+      throw new Error('ServiceNow token endpoint returned no access_token');
+    }
+
+    return {
+      accessToken,
+      refreshToken: refreshToken || null,
+      expiresAt: Date.now() + (parseInt(expiresIn) || 1800) * 1000
+    };
+  };
+
+  const fetchToken = async () => {
+    if (cachedToken && cachedToken.refreshToken) {
+      try {
+        return await requestToken({ grant_type: 'refresh_token', refresh_token: cachedToken.refreshToken });
+      } catch (error) {
+        console.error('⚠️ ServiceNow token refresh failed, requesting a new token:', error.message);
+      }
+    }
+
+    if (oauth.grantType === 'password') {
+      return requestToken({
+        grant_type: 'password',
+        username: settings.username,
+        password: settings.password
+      });
+    }
+    return requestToken({ grant_type: 'client_credentials' });
+  };
+
+  return {
+    getAccessToken: async () => {
+      if (cachedToken && cachedToken.expiresAt - TOKEN_EXPIRY_MARGIN_MS > Date.now()) {
+        return cachedToken.accessToken;
+      }
+      if (!pendingRequest) {
+        pendingRequest = fetchToken()
+          .then(token => {
+            cachedToken = token;
+            console.log(`🔑 Obtained ServiceNow OAuth token (${oauth.grantType} grant)`);
+            return token;
+          })
+          .finally(() => {
+            pendingRequest = null;
+          });
+      }
+      return (await pendingRequest).accessToken;
+    },
+
+    // Force the next request to obtain a new access token (the refresh token is kept)
+    invalidate: () => {
+      if (cachedToken) {
+        cachedToken.expiresAt = 0;
+      }
+    }
+  };
+};
+
+/**
+ * Create an axios instance for the ServiceNow REST API.
+ * Basic auth by default; with authMode "oauth" requests carry a bearer token, a 401
+ * triggers one retry with a fresh token, and basic auth is used as fallback when the
+ * token cannot be obtained and oauth.basicAuthFallback is enabled.
+ * Every client is rate limited and retries transient failures, see servicenowRequestPolicy.
+ * @param {Object} settings - ServiceNow settings, defaults to config.servicenow
+ */
+const createApiClient = (settings = config.servicenow) => {
+  const basicAuth = {
+    username: settings.username,
+    password: settings.password
+  };
+  const useOAuth = settings.authMode === 'oauth';
+
+  const client = axios.create({
+    baseURL: settings.url,
+    ...(useOAuth ? {} : { auth: basicAuth }),
+    headers: {
+      'Content-Type': 'application/json',
+      'Accept': 'application/json'
+    },
+    timeout: settings.timeout
+  });
+
+  if (useOAuth) {
+    const tokenManager = createTokenManager(settings);
+    const canFallBack = settings.oauth.basicAuthFallback && settings.username && settings.password;
+
+    client.interceptors.request.use(async (requestConfig) => {
+      try {
+        const accessToken = await tokenManager.getAccessToken();
+        requestConfig.headers.Authorization = `Bearer ${accessToken}`;
+        delete requestConfig.auth;
+      } catch (error) {
+        if (!canFallBack) {
+          throw error;
+        }
+        console.error('⚠️ ServiceNow OAuth token unavailable, falling back to basic auth:', error.message);
+        requestConfig.auth = basicAuth;
+      }
+      return requestConfig;
+    });
+
+    client.interceptors.response.use(null, async (error) => {
+      const requestConfig = error.config;
+      if (error.response && error.response.status === 401 && requestConfig && !requestConfig._oauthRetried && !requestConfig.auth) {
+        // The token was revoked or expired early: retry once with a new one
+        requestConfig._oauthRetried = true;
+        tokenManager.invalidate();
+        return client.request(requestConfig);
+      }
+      throw error;
+    });
+
+    client.tokenManager = tokenManager;
+  }
+
+  return applyRequestPolicy(client, {
+    maxRequestsPerSecond: settings.maxRequestsPerSecond,
+    maxRetries: settings.httpMaxRetries,
+    retryDelay: settings.retryDelay,
+    retryMaxDelay: settings.retryMaxDelay
+  });
+};
+
+const apiClient = createApiClient();
+
+/**
+ * Request counters (throttles, retries, rate limit waits) of the shared client
+ */
+const getClientStats = () => apiClient.getRequestStats();
+
+/**
+ * Table API endpoint for a ServiceNow table.
+ * SERVICENOW_API_ENDPOINT keeps overriding the incident endpoint.
+ */
+const getTableEndpoint = (table = 'incident') => {
+  if (table === 'incident') {
+    return config.servicenow.apiEndpoint;
+  }
+  return `/api/now/table/${table}`;
+};
+
+/**
+ * Definition of a supported ServiceNow table
+ */
+const getTableDefinition = (table) => {
+  const definition = servicenowTables[table];
+  if (!definition) {
+    throw new Error(`Unsupported ServiceNow table "${table}" (supported: ${Object.keys(servicenowTables).join(', ')})`);
+  }
+  return definition;
+};
+
+/**
+ * ServiceNow table a ticket record_type was ingested from
+ */
+const getTableForRecordType = (recordType = 'incident') => {
+  const table = Object.keys(servicenowTables).find(name => servicenowTables[name].recordType === recordType);
+  if (!table) {
+    throw new Error(`No ServiceNow table for record type "${recordType}"`);
+  }
+  return table;
+};
+
+/**
+ * Parse a raw ServiceNow date-time ("YYYY-MM-DD HH:mm:ss", always UTC)
+ */
+const parseGlideDateTime = (value) => {
+  if (!value) {
+    return null;
+  }
+  const date = new Date(`${String(value).replace(' ', 'T')}Z`);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Format a date as a ServiceNow date-time ("YYYY-MM-DD HH:mm:ss", UTC) for encoded queries
+ */
+const formatGlideDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Record read with sysparm_display_value=all, in the shape sysparm_display_value=true gives:
+ * display values, references as { display_value, link }. sys_updated_on keeps its raw
+ * value: its display value is in the integration user's time zone, while watermarks,
+ * keyset queries and write-back conflict checks need UTC.
+ */
+const toDisplayRecord = (record) => Object.fromEntries(Object.entries(record).map(([field, value]) => {
+  if (!value || typeof value !== 'object' || !('display_value' in value)) {
+    return [field, value];
+  }
+  if (field === 'sys_updated_on') {
+    return [field, value.value];
+  }
+  return [field, value.link ? { display_value: value.display_value, link: value.link } : value.display_value];
+}));
+
+/**
+ * Tables enabled through SERVICENOW_TABLES, unsupported names are skipped
+ */
+const getEnabledTables = () => {
+  return config.servicenow.tables.filter(table => {
+    if (!servicenowTables[table]) {
+      console.error(`⚠️ Ignoring unsupported ServiceNow table "${table}"`);
+      return false;
+    }
+    return true;
+  });
+};
+
+module.exports = {
+  apiClient,
+  createApiClient,
+  createTokenManager,
+  getClientStats,
+  getTableEndpoint,
+  getTableDefinition,
+  getTableForRecordType,
+  getEnabledTables,
+  parseGlideDateTime,
+  formatGlideDateTime,
+  toDisplayRecord
+};
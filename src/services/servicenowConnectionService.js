@@ -0,0 +1,391 @@
+const cron = require('node-cron');
+const config = require('../config');
+const servicenowTables = require('../config/servicenowTables');
+const ServiceNowConnection = require('../models/ServiceNowConnection');
+const { apiClient, createApiClient, getEnabledTables, getTableEndpoint } = require('./servicenowClient');
+
+// Connection of the instance configured through SERVICENOW_* environment variables
+const DEFAULT_CONNECTION = 'default';
+const CONNECTION_KEY_PATTERN = /^[a-z0-9][a-z0-9-]{1,39}$/;
+const CREDENTIALS_REF_PATTERN = /^[A-Z0-9_]+$/;
+// Fields an admin may set on a connection
+const EDITABLE_FIELDS = ['name', 'url', 'authMode', 'credentialsRef', 'oauth', 'tables', 'pollingInterval', 'enabled'];
+
+let defaultConnection = null;
+// Contexts of stored connections, key -> { updatedAt, context }
+const contextCache = new Map();
+
+/**
+ * Connection context of the default instance, sharing the module-level API client
+ */
+const getDefaultConnection = () => {
+  if (!defaultConnection) {
+    defaultConnection = {
+      key: DEFAULT_CONNECTION,
+      name: 'Default',
+      url: config.servicenow.url,
+      tables: getEnabledTables(),
+      pollingInterval: config.servicenow.enableWebhook ?
+        config.servicenow.safetyNetPollingInterval :
+        config.servicenow.pollingInterval || '*/1 * * * *',
+      isDefault: true,
+      webhookSecret: config.servicenow.webhookSecret,
+      client: apiClient
+    };
+  }
+  return defaultConnection;
+};
+
+/**
+ * Environment variable holding one credential of a connection, e.g. SERVICENOW_ACME_PASSWORD
+ */
+const credentialVariable = (credentialsRef, name) => `SERVICENOW_${credentialsRef}_${name}`;
+
+/**
+ * Credential variables a connection needs, with whether they are set
+ */
+const describeCredentials = (connection) => {
+  const names = connection.authMode === 'oauth' ?
+    ['CLIENT_ID', 'CLIENT_SECRET'].concat(connection.oauth && connection.oauth.grantType === 'client_credentials' ? [] : ['USERNAME', 'PASSWORD']) :
+    ['USERNAME', 'PASSWORD'];
+  return names.map(name => {
+    const variable = credentialVariable(connection.credentialsRef, name);
+    return { variable, set: Boolean(process.env[variable]) };
+  });
+};
+
+/**
+ * Client settings of a stored connection: the default settings (timeouts, rate limits,
+ * retries) with the connection's URL and credentials
+ */
+const buildSettings = (connection) => {
+  const credential = (name) => process.env[credentialVariable(connection.credentialsRef, name)];
+  const oauth = connection.oauth || {};
+  return {
+    ...config.servicenow,
+    url: connection.url,
+    authMode: connection.authMode,
+    username: credential('USERNAME'),
+    password: credential('PASSWORD'),
+    oauth: {
+      ...config.servicenow.oauth,
+      grantType: oauth.grantType || 'password',
+      clientId: credential('CLIENT_ID'),
+      clientSecret: credential('CLIENT_SECRET'),
+      tokenEndpoint: oauth.tokenEndpoint || '/oauth_token.do',
+      scope: oauth.scope,
+      basicAuthFallback: false
+    }
+  };
+};
+
+/**
+ * Build the runtime context of a stored connection, reusing the cached one (and its
+ * API client, token cache and rate limiter) while the connection is unchanged
+ */
+const toContext = (connection) => {
+  const updatedAt = new Date(connection.updatedAt).getTime();
+  const cached = contextCache.get(connection.key);
+  if (cached && cached.updatedAt === updatedAt) {
+    return cached.context;
+  }
+
+  const context = {
+    key: connection.key,
+    name: connection.name,
+    url: connection.url,
+    tables: (connection.tables || []).filter(table => servicenowTables[table]),
+    pollingInterval: connection.pollingInterval,
+    isDefault: false,
+    // Webhook deliveries of the instance are signed with its own secret
+    webhookSecret: process.env[credentialVariable(connection.credentialsRef, 'WEBHOOK_SECRET')],
+    client: createApiClient(buildSettings(connection))
+  };
+  contextCache.set(connection.key, { updatedAt, context });
+  return context;
+};
+
+/**
+ * Context of an enabled connection by key, null when there is none
+ * @param {String} key - Connection key, defaults to the default connection
+ */
+const getConnection = async (key = DEFAULT_CONNECTION) => {
+  if (!key || key === DEFAULT_CONNECTION) {
+    return getDefaultConnection();
+  }
+  const connection = await ServiceNowConnection.findOne({ key, enabled: true }).lean();
+  return connection ? toContext(connection) : null;
+};
+
+/**
+ * Key of a connection given as a context, a key or nothing (the default connection)
+ */
+const connectionKeyOf = (connection) => {
+  if (connection && typeof connection === 'object') {
+    return connection.key;
+  }
+  return connection || DEFAULT_CONNECTION;
+};
+
+/**
+ * Context of a connection given as a context, a key or nothing (the default connection)
+ * @throws {Error} When the key names no enabled connection
+ */
+const resolveConnection = async (connection) => {
+  if (connection && typeof connection === 'object') {
+    return connection;
+  }
+  const context = await getConnection(connection);
+  if (!context) {
+    throw new Error(`Unknown or disabled ServiceNow connection "${connection}"`);
+  }
+  return context;
+};
+
+/**
+ * Contexts of every connection ingested from: the default one when SERVICENOW_URL is set,
+ * then every enabled stored connection
+ */
+const getActiveConnections = async () => {
+  const stored = await ServiceNowConnection.find({ enabled: true }).sort({ key: 1 }).lean();
+  const contexts = stored.map(toContext);
+  return config.servicenow.url ? [getDefaultConnection(), ...contexts] : contexts;
+};
+
+/**
+ * Connection as returned by the admin API: no client, credential variables instead of values
+ */
+const describeConnection = (connection) => ({
+  ...connection,
+  credentials: describeCredentials(connection)
+});
+
+/**
+ * Validate connection fields, for a new connection or the changes to an existing one
+ * @returns {Array} Error messages
+ */
+const validateConnection = (data, { partial = false } = {}) => {
+  const errors = [];
+  const present = (field) => data[field] !== undefined;
+
+  if (!partial) {
+    if (!data.key || !CONNECTION_KEY_PATTERN.test(data.key)) {
+      errors.push('key must be 2-40 lowercase letters, digits or dashes');
+    } else if (data.key === DEFAULT_CONNECTION) {
+      errors.push(`"${DEFAULT_CONNECTION}" is reserved for the connection configured through environment variables`);
+    }
+    ['name', 'url', 'credentialsRef'].forEach(field => {
+      if (!present(field)) errors.push(`${field} is required`);
+    });
+  }
+
+  if (present('name') && (typeof data.name !== 'string' || data.name.trim() === '')) {
+    errors.push('name must be a non-empty string');
+  }
+  if (present('url') && !/^https?:\/\/[^\s/]+\/?$/.test(String(data.url))) {
+    errors.push('url must be the instance base URL, e.g. https://acme.service-now.com');
+  }
+  if (present('authMode') && !['basic', 'oauth'].includes(data.authMode)) {
+    errors.push('authMode must be "basic" or "oauth"');
+  }
+  if (present('credentialsRef') && !CREDENTIALS_REF_PATTERN.test(String(data.credentialsRef))) {
+    errors.push('credentialsRef must be uppercase letters, digits or underscores (SERVICENOW_<credentialsRef>_PASSWORD, ...)');
+  }
+  if (present('oauth')) {
+    if (!data.oauth || typeof data.oauth !== 'object') {
+      errors.push('oauth must be an object');
+    } else if (data.oauth.grantType !== undefined && !['password', 'client_credentials'].includes(data.oauth.grantType)) {
+      errors.push('oauth.grantType must be "password" or "client_credentials"');
+    }
+  }
+  if (present('tables')) {
+    if (!Array.isArray(data.tables) || data.tables.length === 0) {
+      errors.push('tables must be a non-empty array');
+    } else {
+      data.tables.filter(table => !servicenowTables[table]).forEach(table => {
+        errors.push(`Unsupported ServiceNow table "${table}" (supported: ${Object.keys(servicenowTables).join(', ')})`);
+      });
+    }
+  }
+  if (present('pollingInterval') && !cron.validate(String(data.pollingInterval))) {
+    errors.push('pollingInterval must be a cron expression');
+  }
+  if (present('enabled') && typeof data.enabled !== 'boolean') {
+    errors.push('enabled must be a boolean');
+  }
+
+  return errors;
+};
+
+const pickEditable = (data) => EDITABLE_FIELDS.reduce((fields, field) => {
+  if (data[field] !== undefined) fields[field] = data[field];
+  return fields;
+}, {});
+
+/**
+ * Every connection: the default one first, then the stored ones
+ */
+const listConnections = async () => {
+  try {
+    const stored = await ServiceNowConnection.find().sort({ key: 1 }).lean();
+    const defaults = getDefaultConnection();
+    return {
+      success: true,
+      data: [
+        {
+          key: defaults.key,
+          name: defaults.name,
+          url: defaults.url || null,
+          tables: defaults.tables,
+          pollingInterval: defaults.pollingInterval,
+          enabled: Boolean(config.servicenow.url),
+          isDefault: true
+        },
+        ...stored.map(describeConnection)
+      ]
+    };
+  } catch (error) {
+    console.error('❌ Error listing ServiceNow connections:', error.message);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Get one stored connection
+ */
+const getConnectionDetails = async (key) => {
+  try {
+    const connection = await ServiceNowConnection.findOne({ key }).lean();
+    if (!connection) {
+      return { success: false, notFound: true, error: 'Connection not found' };
+    }
+    return { success: true, data: describeConnection(connection) };
+  } catch (error) {
+    console.error(`❌ Error fetching ServiceNow connection ${key}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Store a new connection
+ * @param {Object} data - Connection fields, including key
+ * @param {String} userId - User creating it
+ */
+const createConnection = async (data = {}, userId = null) => {
+  const errors = validateConnection(data);
+  if (errors.length > 0) {
+    return { success: false, invalid: true, error: 'Invalid connection', errors };
+  }
+
+  try {
+    if (await ServiceNowConnection.exists({ key: data.key })) {
+      return { success: false, conflict: true, error: `Connection "${data.key}" already exists` };
+    }
+    const connection = await ServiceNowConnection.create({
+      ...pickEditable(data),
+      key: data.key,
+      createdBy: userId,
+      updatedBy: userId
+    });
+    console.log(`🔗 ServiceNow connection ${connection.key} created (${connection.url})`);
+    return { success: true, data: describeConnection(connection.toObject()) };
+  } catch (error) {
+    console.error('❌ Error creating ServiceNow connection:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Change a stored connection. The key cannot change, tickets are tagged with it.
+ * @param {String} key - Connection key
+ * @param {Object} data - Fields to change
+ * @param {String} userId - User making the change
+ */
+const updateConnection = async (key, data = {}, userId = null) => {
+  const errors = validateConnection(data, { partial: true });
+  if (data.key !== undefined && data.key !== key) {
+    errors.push('key cannot be changed');
+  }
+  if (errors.length > 0) {
+    return { success: false, invalid: true, error: 'Invalid connection', errors };
+  }
+
+  try {
+    const connection = await ServiceNowConnection.findOneAndUpdate(
+      { key },
+      { $set: { ...pickEditable(data), updatedBy: userId } },
+      { new: true, lean: true }
+    );
+    if (!connection) {
+      return { success: false, notFound: true, error: 'Connection not found' };
+    }
+    console.log(`🔗 ServiceNow connection ${key} updated`);
+    return { success: true, data: describeConnection(connection) };
+  } catch (error) {
+    console.error(`❌ Error updating ServiceNow connection ${key}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Delete a stored connection. Its tickets and sync state are kept.
+ */
+const deleteConnection = async (key) => {
+  try {
+    const deleted = await ServiceNowConnection.findOneAndDelete({ key }).lean();
+    if (!deleted) {
+      return { success: false, notFound: true, error: 'Connection not found' };
+    }
+    contextCache.delete(key);
+    console.log(`🔗 ServiceNow connection ${key} deleted`);
+    return { success: true, data: describeConnection(deleted) };
+  } catch (error) {
+    console.error(`❌ Error deleting ServiceNow connection ${key}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Check that a connection reaches its instance and authenticates, reading one record
+ */
+const testConnection = async (key) => {
+  try {
+    const stored = key === DEFAULT_CONNECTION ? null : await ServiceNowConnection.findOne({ key }).lean();
+    if (key !== DEFAULT_CONNECTION && !stored) {
+      return { success: false, notFound: true, error: 'Connection not found' };
+    }
+    const context = stored ? toContext(stored) : getDefaultConnection();
+    const table = context.tables[0] || 'incident';
+    const startedAt = Date.now();
+
+    const response = await context.client.get(getTableEndpoint(table), {
+      params: { sysparm_limit: 1, sysparm_fields: 'sys_id', sysparm_no_count: 'true' }
+    });
+
+    return {
+      success: true,
+      data: { key, reachable: true, table, status: response.status, durationMs: Date.now() - startedAt }
+    };
+  } catch (error) {
+    const status = error.response && error.response.status;
+    return {
+      success: true,
+      data: { key, reachable: false, status: status || null, error: error.message }
+    };
+  }
+};
+
+module.exports = {
+  DEFAULT_CONNECTION,
+  getDefaultConnection,
+  connectionKeyOf,
+  getConnection,
+  resolveConnection,
+  getActiveConnections,
+  listConnections,
+  getConnectionDetails,
+  createConnection,
+  updateConnection,
+  deleteConnection,
+  testConnection
+};
@@ -0,0 +1,209 @@
+const mongoose = require('mongoose');
+const DeadLetter = require('../models/DeadLetter');
+const { getConnectorForSource } = require('./connectors');
+const { storeConnectorRecords } = require('./connectors/connectorSync');
+
+// Dead letters replayed per store call
+const RETRY_BATCH_SIZE = 100;
+
+/**
+ * Filter selecting pending dead letters by id, or by table and connection when no ids are given
+ */
+const buildPendingFilter = ({ ids, table, connection } = {}) => {
+  const filter = { status: 'pending' };
+  if (ids && ids.length > 0) filter._id = { $in: ids };
+  if (table) filter.table = table;
+  if (connection) filter.connection_id = connection;
+  return filter;
+};
+
+/**
+ * List dead letters, most recent failure first. Payloads are left out, fetch a single
+ * dead letter for it.
+ * @param {Object} options - { table, connection, status, stage, ticketId, page, limit }
+ */
+const getDeadLetters = async (options = {}) => {
+  try {
+    const { table, connection, status = 'pending', stage, ticketId, page = 1, limit = 20 } = options;
+    const filter = {};
+    if (table) filter.table = table;
+    if (connection) filter.connection_id = connection;
+    if (status !== 'all') filter.status = status;
+    if (stage) filter.stage = stage;
+    if (ticketId) filter.ticket_id = ticketId;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [letters, totalCount] = await Promise.all([
+      DeadLetter.find(filter, { payload: 0 })
+        .sort({ lastFailedAt: -1, _id: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      DeadLetter.countDocuments(filter)
+    ]);
+
+    return {
+      success: true,
+      data: letters,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        limit: limitNum,
+        totalCount
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching dead letters:', error.message);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Get one dead letter with its payload
+ */
+const getDeadLetter = async (id) => {
+  try {
+    if (!mongoose.isValidObjectId(id)) {
+      return { success: false, error: 'Dead letter not found', data: null };
+    }
+    const letter = await DeadLetter.findById(id).lean();
+    if (!letter) {
+      return { success: false, error: 'Dead letter not found', data: null };
+    }
+    return { success: true, data: letter };
+  } catch (error) {
+    console.error(`❌ Error fetching dead letter ${id}:`, error.message);
+    return { success: false, error: error.message, data: null };
+  }
+};
+
+/**
+ * Replay pending dead letters through the regular ingestion path. Records saved now are
+ * resolved, records failing again stay pending with one more attempt and the new error.
+ * The stored payload is replayed as is, which is safe because a record synced again
+ * in the meantime has already resolved its dead letter.
+ * @param {Object} options - { ids, table, connection } - without ids every pending dead letter (of the table) is retried
+ * @returns {Object} { success, retried, resolved, failed }
+ */
+const retryDeadLetters = async (options = {}) => {
+  const result = { success: true, retried: 0, resolved: 0, failed: 0 };
+
+  try {
+    const filter = buildPendingFilter(options);
+    let lastId = null;
+    let hasMore = true;
+
+    // Keyset on _id so letters failing again are not picked up a second time
+    while (hasMore) {
+      const pageFilter = lastId ? { ...filter, _id: { ...filter._id, $gt: lastId } } : filter;
+      const letters = await DeadLetter.find(pageFilter, { source: 1, table: 1, connection_id: 1, payload: 1 })
+        .sort({ _id: 1 })
+        .limit(RETRY_BATCH_SIZE)
+        .lean();
+
+      hasMore = letters.length === RETRY_BATCH_SIZE;
+      if (letters.length === 0) {
+        break;
+      }
+      lastId = letters[letters.length - 1]._id;
+
+      // Replayed per source, connection and table, "<source> <connection> <table>" -> { source, connection, table, payloads }
+      const batches = new Map();
+      letters.filter(letter => letter.payload).forEach(letter => {
+        const source = letter.source || 'ServiceNow';
+        const connection = letter.connection_id || 'default';
+        const batchKey = `${source} ${connection} ${letter.table}`;
+        if (!batches.has(batchKey)) batches.set(batchKey, { source, connection, table: letter.table, payloads: [] });
+        batches.get(batchKey).payloads.push(letter.payload);
+      });
+
+      await DeadLetter.updateMany(
+        { _id: { $in: letters.map(letter => letter._id) } },
+        { $set: { lastRetriedAt: new Date() } }
+      );
+
+      for (const { source, connection, table, payloads } of batches.values()) {
+        const connector = getConnectorForSource(source);
+        if (!connector) {
+          console.error(`⚠️ Skipping ${payloads.length} dead letters of ${source}, no connector stores this source`);
+          continue;
+        }
+        const { failures } = await storeConnectorRecords(connector, connection, { table }, payloads);
+        result.retried += payloads.length;
+        result.failed += failures.length;
+        result.resolved += payloads.length - failures.length;
+      }
+    }
+
+    console.log(`📮 Dead-letter retry: ${result.retried} retried, ${result.resolved} resolved, ${result.failed} still failing`);
+    return result;
+  } catch (error) {
+    console.error('❌ Error retrying dead letters:', error.message);
+    return { ...result, success: false, error: error.message };
+  }
+};
+
+/**
+ * Retry a single pending dead letter
+ */
+const retryDeadLetter = async (id) => {
+  const found = await getDeadLetter(id);
+  if (!found.success) {
+    return { ...found, notFound: found.error === 'Dead letter not found' };
+  }
+  if (found.data.status !== 'pending') {
+    return { success: false, invalid: true, error: `Dead letter is already ${found.data.status}` };
+  }
+
+  const result = await retryDeadLetters({ ids: [found.data._id] });
+  if (!result.success) {
+    return result;
+  }
+  const letter = await DeadLetter.findById(id, { payload: 0 }).lean();
+  return { success: true, resolved: letter.status === 'resolved', data: letter };
+};
+
+/**
+ * Give up on pending dead letters. They are kept, with their payload, as discarded.
+ * @param {Object} options - { ids, table, connection } - without ids every pending dead letter (of the table) is discarded
+ * @param {String} userId - User discarding them
+ * @returns {Object} { success, discarded }
+ */
+const discardDeadLetters = async (options = {}, userId = null) => {
+  try {
+    const result = await DeadLetter.updateMany(
+      buildPendingFilter(options),
+      { $set: { status: 'discarded', discardedAt: new Date(), discardedBy: userId } }
+    );
+    console.log(`🗑️ Discarded ${result.modifiedCount} dead letters`);
+    return { success: true, discarded: result.modifiedCount };
+  } catch (error) {
+    console.error('❌ Error discarding dead letters:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Discard a single pending dead letter
+ */
+const discardDeadLetter = async (id, userId = null) => {
+  const found = await getDeadLetter(id);
+  if (!found.success) {
+    return { ...found, notFound: found.error === 'Dead letter not found' };
+  }
+  if (found.data.status !== 'pending') {
+    return { success: false, invalid: true, error: `Dead letter is already ${found.data.status}` };
+  }
+  return discardDeadLetters({ ids: [found.data._id] }, userId);
+};
+
+module.exports = {
+  getDeadLetters,
+  getDeadLetter,
+  retryDeadLetters,
+  retryDeadLetter,
+  discardDeadLetters,
+  discardDeadLetter
+};
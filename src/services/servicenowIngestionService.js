@@ -1,27 +1,113 @@
 // new file servicenow
-const axios = require('axios');
 const config = require('../config');
 const Ticket = require('../models/Tickets');
+const DeadLetter = require('../models/DeadLetter');
+const TicketActivity = require('../models/TicketActivity');
+const TicketAttachment = require('../models/TicketAttachment');
+const TicketWriteBack = require('../models/TicketWriteBack');
+const { applyMapping, getTableMapping, getTableFields } = require('./fieldMappingService');
+const { getTableEndpoint, toDisplayRecord } = require('./servicenowClient');
+const {
+  DEFAULT_CONNECTION,
+  connectionKeyOf,
+  resolveConnection,
+  getActiveConnections
+} = require('./servicenowConnectionService');
+const { syncJournalEntries } = require('./servicenowJournalService');
+const { syncAttachments } = require('./servicenowAttachmentService');
+const { withLock, servicenowJobLock } = require('./lockService');
+const { storeTickets, createPlan, planTickets } = require('./ticketStoreService');
 const mongoose = require('mongoose');
 
 // Bulk Import State Schema
 const bulkImportStateSchema = new mongoose.Schema({
-  service: { type: String, default: 'servicenow', unique: true },
+  service: { type: String, default: 'servicenow:incident', unique: true },   // "servicenow:[<connection>:]<table>"
+  table: { type: String, default: 'incident' },
+  connection: { type: String, default: 'default' },
   hasCompletedInitialImport: { type: Boolean, default: false },
   lastBulkImportTime: { type: Date, default: null },
   totalTicketsImported: { type: Number, default: 0 },
+  // Checkpoint of the import in progress, committed after every page
+  status: { type: String, enum: ['idle', 'running', 'completed', 'failed'], default: 'idle' },
+  query: { type: String, default: '' },
+  batchSize: { type: Number, default: null },
+  currentOffset: { type: Number, default: 0 },
+  lastSysId: { type: String, default: null },           // sys_id watermark of the last committed record
+  totalRecords: { type: Number, default: null },        // X-Total-Count reported by ServiceNow
+  pagesCompleted: { type: Number, default: 0 },
+  recordsSaved: { type: Number, default: 0 },
+  recordsUpdated: { type: Number, default: 0 },
+  recordsUnchanged: { type: Number, default: 0 },
+  recordsErrored: { type: Number, default: 0 },
+  startedAt: { type: Date, default: null },
+  runStartedAt: { type: Date, default: null },          // start of the current (possibly resumed) run
+  runStartOffset: { type: Number, default: 0 },
+  lastCheckpointAt: { type: Date, default: null },
+  lastError: { type: String, default: null },
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now }
 });
 
 const BulkImportState = mongoose.model('BulkImportState', bulkImportStateSchema);
 
+// Connection tables with a bulk import running in this process, by BulkImportState key
+const bulkImportsInProgress = new Set();
+
+/**
+ * BulkImportState key of a ServiceNow table of a connection. The default connection keeps
+ * the keys used before connections existed.
+ */
+const bulkImportStateKey = (table = 'incident', connectionKey = DEFAULT_CONNECTION) => (
+  connectionKey === DEFAULT_CONNECTION ? `servicenow:${table}` : `servicenow:${connectionKey}:${table}`
+);
+
+let legacyStateMigration = null;
+
+/**
+ * Bring data from before multi-table and multi-connection support up to date, once per
+ * process: the single "servicenow" state document moves to the incident key, tickets
+ * without a record_type are incidents, and tickets (with their activity, attachments,
+ * write-backs and dead letters) without a connection come from the default connection. The ticket number
+ * unique index is replaced by one including the connection.
+ */
+const migrateLegacyState = () => {
+  if (!legacyStateMigration) {
+    legacyStateMigration = (async () => {
+      const hasCurrent = await BulkImportState.exists({ service: bulkImportStateKey('incident') });
+      if (!hasCurrent) {
+        await BulkImportState.updateOne(
+          { service: 'servicenow' },
+          { $set: { service: bulkImportStateKey('incident'), table: 'incident' } }
+        );
+      }
+      await Ticket.updateMany(
+        { source: 'ServiceNow', record_type: { $exists: false } },
+        { $set: { record_type: 'incident' } }
+      );
+      for (const Model of [Ticket, TicketActivity, TicketAttachment, TicketWriteBack, DeadLetter]) {
+        await Model.updateMany(
+          { connection_id: { $exists: false } },
+          { $set: { connection_id: DEFAULT_CONNECTION } }
+        );
+      }
+      await Ticket.collection.dropIndex('ticket_id_1_source_1').catch(error => {
+        if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+      });
+    })().catch(error => {
+      legacyStateMigration = null;
+      console.error('❌ Error migrating legacy ServiceNow state:', error.message);
+    });
+  }
+  return legacyStateMigration;
+};
+
 /**
  * Check if bulk import has already been completed
  */
-const hasCompletedBulkImport = async () => {
+const hasCompletedBulkImport = async (table = 'incident', connectionKey = DEFAULT_CONNECTION) => {
   try {
-    const state = await BulkImportState.findOne({ service: 'servicenow' });
+    await migrateLegacyState();
+    const state = await BulkImportState.findOne({ service: bulkImportStateKey(table, connectionKey) });
     return state ? state.hasCompletedInitialImport : false;
   } catch (error) {
     console.error('❌ Error checking bulk import state:', error.message);
@@ -32,19 +118,23 @@ const hasCompletedBulkImport = async () => {
 /**
  * Mark bulk import as completed
  */
-const markBulkImportCompleted = async (totalTicketsImported) => {
+const markBulkImportCompleted = async (totalTicketsImported, table = 'incident', connectionKey = DEFAULT_CONNECTION) => {
   try {
     await BulkImportState.findOneAndUpdate(
-      { service: 'servicenow' },
+      { service: bulkImportStateKey(table, connectionKey) },
       {
+        table,
+        connection: connectionKey,
         hasCompletedInitialImport: true,
         lastBulkImportTime: new Date(),
         totalTicketsImported: totalTicketsImported,
+        status: 'completed',
+        lastError: null,
         updatedAt: new Date()
       },
       { upsert: true, new: true }
     );
-    console.log('✅ Bulk import state marked as completed');
+    console.log(`✅ Bulk import state marked as completed for ${table} (${connectionKey})`);
   } catch (error) {
     console.error('❌ Error marking bulk import as completed:', error.message);
   }
@@ -53,84 +143,184 @@ const markBulkImportCompleted = async (totalTicketsImported) => {
 /**
  * Reset bulk import state (for manual re-import)
  */
-const resetBulkImportState = async () => {
+const resetBulkImportState = async (table = 'incident', connectionKey = DEFAULT_CONNECTION) => {
   try {
+    await migrateLegacyState();
     await BulkImportState.findOneAndUpdate(
-      { service: 'servicenow' },
+      { service: bulkImportStateKey(table, connectionKey) },
       {
+        table,
+        connection: connectionKey,
         hasCompletedInitialImport: false,
         lastBulkImportTime: null,
         totalTicketsImported: 0,
+        ...initialCheckpoint(),
+        status: 'idle',
         updatedAt: new Date()
       },
       { upsert: true, new: true }
     );
-    console.log('🔄 Bulk import state reset');
+    console.log(`🔄 Bulk import state reset for ${table} (${connectionKey})`);
   } catch (error) {
     console.error('❌ Error resetting bulk import state:', error.message);
   }
 };
 
 /**
- * Get bulk import status
+ * Checkpoint fields for an import starting from offset 0
+ */
+const initialCheckpoint = (query = '', batchSize = null) => ({
+  query,
+  batchSize,
+  currentOffset: 0,
+  lastSysId: null,
+  totalRecords: null,
+  pagesCompleted: 0,
+  recordsSaved: 0,
+  recordsUpdated: 0,
+  recordsUnchanged: 0,
+  recordsErrored: 0,
+  startedAt: null,
+  runStartedAt: null,
+  runStartOffset: 0,
+  lastCheckpointAt: null,
+  lastError: null
+});
+
+/**
+ * Estimate the remaining time of a running import from the throughput of the current run
+ */
+const estimateCompletion = (state) => {
+  if (state.status !== 'running' || !state.totalRecords || !state.runStartedAt) {
+    return null;
+  }
+
+  const elapsedSeconds = (Date.now() - new Date(state.runStartedAt).getTime()) / 1000;
+  const processedThisRun = state.currentOffset - (state.runStartOffset || 0);
+  if (elapsedSeconds <= 0 || processedThisRun <= 0) {
+    return null;
+  }
+
+  const recordsPerSecond = processedThisRun / elapsedSeconds;
+  const remaining = Math.max(state.totalRecords - state.currentOffset, 0);
+  const etaSeconds = Math.round(remaining / recordsPerSecond);
+
+  return {
+    recordsPerSecond: Math.round(recordsPerSecond * 100) / 100,
+    etaSeconds,
+    estimatedCompletionAt: new Date(Date.now() + etaSeconds * 1000)
+  };
+};
+
+/**
+ * Get bulk import status, including live progress of a running import
  */
-const getBulkImportStatus = async () => {
+const getBulkImportStatus = async (table = 'incident', connectionKey = DEFAULT_CONNECTION) => {
+  const stateKey = bulkImportStateKey(table, connectionKey);
   try {
-    const state = await BulkImportState.findOne({ service: 'servicenow' });
+    await migrateLegacyState();
+    const state = await BulkImportState.findOne({ service: stateKey }).lean();
+    if (!state) {
+      return {
+        table,
+        connection: connectionKey,
+        hasCompleted: false,
+        lastImportTime: null,
+        totalImported: 0,
+        status: 'idle',
+        inProgress: bulkImportsInProgress.has(stateKey),
+        progress: null
+      };
+    }
+
     return {
-      hasCompleted: state ? state.hasCompletedInitialImport : false,
-      lastImportTime: state ? state.lastBulkImportTime : null,
-      totalImported: state ? state.totalTicketsImported : 0
+      table,
+      connection: connectionKey,
+      hasCompleted: state.hasCompletedInitialImport,
+      lastImportTime: state.lastBulkImportTime,
+      totalImported: state.totalTicketsImported,
+      status: state.status || 'idle',
+      inProgress: bulkImportsInProgress.has(stateKey),
+      lastError: state.lastError,
+      progress: {
+        query: state.query,
+        batchSize: state.batchSize,
+        pagesCompleted: state.pagesCompleted,
+        recordsSaved: state.recordsSaved + state.recordsUpdated,
+        newRecords: state.recordsSaved,
+        updatedRecords: state.recordsUpdated,
+        unchangedRecords: state.recordsUnchanged || 0,
+        errors: state.recordsErrored,
+        currentOffset: state.currentOffset,
+        lastSysId: state.lastSysId,
+        totalRecords: state.totalRecords,
+        percentComplete: state.totalRecords ?
+          Math.min(100, Math.round((state.currentOffset / state.totalRecords) * 10000) / 100) :
+          null,
+        startedAt: state.startedAt,
+        lastCheckpointAt: state.lastCheckpointAt,
+        eta: estimateCompletion(state)
+      }
     };
   } catch (error) {
     console.error('❌ Error getting bulk import status:', error.message);
     return {
+      table,
+      connection: connectionKey,
       hasCompleted: false,
       lastImportTime: null,
-      totalImported: 0
+      totalImported: 0,
+      status: 'unknown',
+      inProgress: bulkImportsInProgress.has(stateKey),
+      progress: null
     };
   }
 };
 
-// Create axios instance with basic auth
-const createApiClient = () => {
-  return axios.create({
-    baseURL: config.servicenow.url,
-    auth: {
-      username: config.servicenow.username,
-      password: config.servicenow.password
-    },
-    headers: {
-      'Content-Type': 'application/json',
-      'Accept': 'application/json'
-    },
-    timeout: config.servicenow.timeout
+/**
+ * Upsert a batch of ServiceNow records with a single bulkWrite, see storeTickets.
+ * @param {Array} tickets - Raw ServiceNow records
+ * @param {String} table - ServiceNow table the records come from
+ * @param {Object|String} connection - Connection (context or key) the records come from
+ * @param {Object} options - { publishEvents } see storeTickets
+ * @returns {Object} Counts of saved, updated, unchanged and failed tickets
+ */
+const saveTickets = async (tickets, table = 'incident', connection = DEFAULT_CONNECTION, options = {}) => {
+  // Tickets must carry their connection before upserts match on it
+  await migrateLegacyState();
+
+  const mapping = getTableMapping(table);
+  return storeTickets(tickets, {
+    source: mapping.constants.source,
+    table,
+    connectionId: connectionKeyOf(connection),
+    mapRecord: record => applyMapping(record, mapping),
+    identifyRecord: record => ({ ticket_id: record && record.number, sys_id: record && record.sys_id }),
+    publishEvents: options.publishEvents
   });
 };
 
-const apiClient = createApiClient();
-
-
 /**
  * Fetch tickets from ServiceNow and save to database (for polling)
  */
 const fetchTicketsAndSave = async (options = {}) => {
   try {
-    console.log('📥 Fetching tickets from ServiceNow for polling...');
-    
     const {
+      table = 'incident',
       limit = 10,
       offset = 0,
       query = '',
-      fields = 'sys_id,number,short_description,description,category,subcategory,state,priority,impact,urgency,opened_at,closed_at,resolved_at,caller_id,assigned_to,assignment_group,company,location,tags',
+      fields = getTableFields(table),
       useMaxRecords = false
     } = options;
+    const connection = await resolveConnection(options.connection);
 
     // Determine the effective limit
     const effectiveLimit = useMaxRecords ? 
       Math.min(limit, config.output.maxRecords) : 
       limit;
     
+    console.log(`📥 Fetching ${table} records from ServiceNow (${connection.key}) for polling...`);
     console.log(`🔧 Requested limit: ${limit}, Effective limit: ${effectiveLimit}`);
 
     let allTickets = [];
@@ -149,13 +339,13 @@ const fetchTicketsAndSave = async (options = {}) => {
         sysparm_offset: currentOffset,
         sysparm_query: query,
         sysparm_fields: fields,
-        sysparm_display_value: 'true'
+        sysparm_display_value: 'all'
       };
 
-      const response = await apiClient.get(config.servicenow.apiEndpoint, { params });
+      const response = await connection.client.get(getTableEndpoint(table), { params });
 
       if (response.status === 200 && response.data.result) {
-        const tickets = response.data.result;
+        const tickets = response.data.result.map(toDisplayRecord);
         allTickets = allTickets.concat(tickets);
         totalFetched += tickets.length;
         
@@ -164,11 +354,6 @@ const fetchTicketsAndSave = async (options = {}) => {
         // Check if we have more records
         hasMore = tickets.length === currentLimit && totalFetched < effectiveLimit;
         currentOffset += currentLimit;
-        
-        // Add a small delay to avoid overwhelming the API
-        if (hasMore) {
-          await new Promise(resolve => setTimeout(resolve, 100));
-        }
       } else {
         console.log('⚠️ No more tickets found or API returned unexpected response');
         hasMore = false;
@@ -188,6 +373,7 @@ const fetchTicketsAndSave = async (options = {}) => {
         database: {
           saved: 0,
           updated: 0,
+          unchanged: 0,
           errors: 0
         }
       };
@@ -195,64 +381,14 @@ const fetchTicketsAndSave = async (options = {}) => {
 
     // Save tickets to database
     console.log('💾 Saving tickets to database...');
-    let savedCount = 0;
-    let updatedCount = 0;
-    let errorCount = 0;
-
-    for (const ticketData of allTickets) {
-      try {
-        const ticketDoc = {
-          ticket_id: ticketData.number,
-          source: 'ServiceNow',
-          short_description: ticketData.short_description,
-          description: ticketData.description,
-          category: ticketData.category,
-          subcategory: ticketData.subcategory,
-          status: ticketData.state,
-          priority: ticketData.priority,
-          impact: ticketData.impact,
-          urgency: ticketData.urgency,
-          opened_time: ticketData.opened_at ? new Date(ticketData.opened_at) : null,
-          closed_time: ticketData.closed_at ? new Date(ticketData.closed_at) : null,
-          resolved_time: ticketData.resolved_at ? new Date(ticketData.resolved_at) : null,
-          requester: { id: typeof ticketData.caller_id === 'object' ? ticketData.caller_id.value || ticketData.caller_id.sys_id : ticketData.caller_id },
-          assigned_to: { id: typeof ticketData.assigned_to === 'object' ? ticketData.assigned_to.value || ticketData.assigned_to.sys_id : ticketData.assigned_to },
-          assignment_group: { id: typeof ticketData.assignment_group === 'object' ? ticketData.assignment_group.value || ticketData.assignment_group.sys_id : ticketData.assignment_group },
-          company: { id: typeof ticketData.company === 'object' ? ticketData.company.value || ticketData.company.sys_id : ticketData.company },
-          location: { id: typeof ticketData.location === 'object' ? ticketData.location.value || ticketData.location.sys_id : ticketData.location },
-          tags: ticketData.tags ? ticketData.tags.split(',').map(tag => tag.trim()) : [],
-          raw: ticketData
-        };
-
-        // Check if ticket exists first
-        const existingTicket = await Ticket.findOne({ 
-          ticket_id: ticketData.number, 
-          source: 'ServiceNow' 
-        });
-
-        if (!existingTicket) {
-          // Create new ticket
-          const newTicket = new Ticket(ticketDoc);
-          await newTicket.save();
-          savedCount++;
-        } else {
-          // Update existing ticket
-          await Ticket.findOneAndUpdate(
-            { ticket_id: ticketData.number, source: 'ServiceNow' },
-            ticketDoc,
-            { new: true }
-          );
-          updatedCount++;
-        }
-      } catch (error) {
-        console.error(`❌ Error saving ticket ${ticketData.number}:`, error.message);
-        errorCount++;
-      }
-    }
+    const { savedCount, updatedCount, unchangedCount, errorCount } = await saveTickets(allTickets, table, connection);
+    const journal = await syncJournalEntries(allTickets, table, connection);
+    const attachments = await syncAttachments(allTickets, table, connection);
 
     console.log(`✅ Database operations completed:`);
     console.log(`   - New tickets saved: ${savedCount}`);
     console.log(`   - Existing tickets updated: ${updatedCount}`);
+    console.log(`   - Unchanged tickets skipped: ${unchangedCount}`);
     console.log(`   - Errors: ${errorCount}`);
     
     return {
@@ -269,7 +405,20 @@ const fetchTicketsAndSave = async (options = {}) => {
       database: {
         saved: savedCount,
         updated: updatedCount,
+        unchanged: unchangedCount,
         errors: errorCount
+      },
+      journal: {
+        fetched: journal.fetchedCount,
+        saved: journal.savedCount,
+        errors: journal.errorCount
+      },
+      attachments: {
+        listed: attachments.listedCount,
+        stored: attachments.storedCount,
+        duplicates: attachments.duplicateCount,
+        skipped: attachments.skippedCount,
+        errors: attachments.errorCount
       }
     };
   } catch (error) {
@@ -286,18 +435,86 @@ const fetchTicketsAndSave = async (options = {}) => {
   }
 };
 
+/**
+ * Decide where a bulk import should start: resume an interrupted run from its
+ * checkpoint, or start over from offset 0
+ */
+const resolveStartingCheckpoint = async (state, { table, connection, query, batchSize, restart }) => {
+  const interrupted = state && ['running', 'failed'].includes(state.status) && state.currentOffset > 0;
+
+  if (!interrupted || restart) {
+    return { resumed: false, offset: 0 };
+  }
+
+  if ((state.query || '') !== query) {
+    console.log('⚠️ Query changed since the interrupted import, starting over from offset 0');
+    return { resumed: false, offset: 0 };
+  }
+
+  // Verify the sys_id watermark still sits at the checkpoint. Records deleted in
+  // ServiceNow shift the offsets, so step back one page when it has moved;
+  // re-reading a page is harmless because tickets are upserted.
+  let offset = state.currentOffset;
+  if (state.lastSysId) {
+    try {
+      const response = await connection.client.get(getTableEndpoint(table), {
+        params: {
+          sysparm_limit: 1,
+          sysparm_offset: offset - 1,
+          sysparm_query: withStableOrder(query),
+          sysparm_fields: 'sys_id'
+        }
+      });
+      const record = response.data.result && response.data.result[0];
+      if (!record || record.sys_id !== state.lastSysId) {
+        offset = Math.max(0, offset - (state.batchSize || batchSize));
+        console.log(`⚠️ sys_id watermark moved, resuming one page earlier at offset ${offset}`);
+      }
+    } catch (error) {
+      console.error('⚠️ Could not verify bulk import watermark:', error.message);
+    }
+  }
+
+  return { resumed: true, offset };
+};
+
+/**
+ * Append a deterministic ordering so offsets stay stable across runs
+ */
+const withStableOrder = (query) => {
+  const order = 'ORDERBYsys_created_on^ORDERBYsys_id';
+  return query ? `${query}^${order}` : order;
+};
+
 /**
  * Bulk import all tickets from ServiceNow (for initial setup)
- * This function bypasses pagination limits and fetches ALL tickets
+ * Each page is saved as soon as it arrives and the offset/sys_id watermark is
+ * checkpointed in BulkImportState, so an interrupted import resumes where it stopped.
  * Includes guardrails to prevent unnecessary re-imports
  */
-const bulkImportAllTickets = async (options = {}) => {
+const runBulkImport = async (options = {}) => {
+  const { table = 'incident' } = options;
+  const connectionKey = connectionKeyOf(options.connection);
+  const stateKey = bulkImportStateKey(table, connectionKey);
+
+  if (bulkImportsInProgress.has(stateKey)) {
+    console.log(`⚠️ Bulk import of ${table} (${connectionKey}) is already running`);
+    return {
+      success: false,
+      error: `Bulk import of ${table} is already in progress`,
+      data: []
+    };
+  }
+
+  bulkImportsInProgress.add(stateKey);
   try {
+    const connection = await resolveConnection(options.connection);
+
     // Check if bulk import has already been completed
-    const alreadyCompleted = await hasCompletedBulkImport();
+    const alreadyCompleted = await hasCompletedBulkImport(table, connectionKey);
     if (alreadyCompleted && !options.force) {
-      console.log('ℹ️ Bulk import already completed. Use force=true to re-import.');
-      const status = await getBulkImportStatus();
+      console.log(`ℹ️ Bulk import of ${table} already completed. Use force=true to re-import.`);
+      const status = await getBulkImportStatus(table, connectionKey);
       return {
         success: true,
         message: 'Bulk import already completed',
@@ -306,22 +523,58 @@ const bulkImportAllTickets = async (options = {}) => {
       };
     }
 
-    console.log('🚀 Starting bulk import of ALL tickets from ServiceNow...');
-    
     const {
       query = '',
-      fields = 'sys_id,number,short_description,description,category,subcategory,state,priority,impact,urgency,opened_at,closed_at,resolved_at,caller_id,assigned_to,assignment_group,company,location,tags',
-      batchSize = 1000 // Large batch size for bulk import
+      fields = getTableFields(table),
+      batchSize = 1000, // Large batch size for bulk import
+      restart = false
     } = options;
 
-    let allTickets = [];
-    let offset = 0;
+    const existingState = await BulkImportState.findOne({ service: stateKey }).lean();
+    const checkpoint = await resolveStartingCheckpoint(existingState, { table, connection, query, batchSize, restart });
+    const now = new Date();
+
+    if (checkpoint.resumed) {
+      console.log(`⏯️ Resuming bulk import of ${table} from offset ${checkpoint.offset}...`);
+      await BulkImportState.updateOne(
+        { service: stateKey },
+        {
+          $set: {
+            status: 'running',
+            batchSize,
+            currentOffset: checkpoint.offset,
+            runStartedAt: now,
+            runStartOffset: checkpoint.offset,
+            lastError: null,
+            updatedAt: now
+          }
+        }
+      );
+    } else {
+      console.log(`🚀 Starting bulk import of ALL ${table} records from ServiceNow...`);
+      await BulkImportState.findOneAndUpdate(
+        { service: stateKey },
+        {
+          ...initialCheckpoint(query, batchSize),
+          table,
+          connection: connectionKey,
+          hasCompletedInitialImport: false,
+          status: 'running',
+          startedAt: now,
+          runStartedAt: now,
+          updatedAt: now
+        },
+        { upsert: true }
+      );
+    }
+
+    let offset = checkpoint.offset;
     let hasMore = true;
-    let totalFetched = 0;
 
     console.log(`🔧 Bulk import settings:`);
     console.log(`   - Batch size: ${batchSize}`);
     console.log(`   - Query filter: ${query || 'None (all tickets)'}`);
+    console.log(`   - Starting offset: ${offset}`);
 
     while (hasMore) {
       console.log(`📄 Fetching batch ${Math.floor(offset / batchSize) + 1} (records ${offset + 1} to ${offset + batchSize})...`);
@@ -329,130 +582,268 @@ const bulkImportAllTickets = async (options = {}) => {
       const params = {
         sysparm_limit: batchSize,
         sysparm_offset: offset,
-        sysparm_query: query,
+        sysparm_query: withStableOrder(query),
         sysparm_fields: fields,
-        sysparm_display_value: 'true'
+        sysparm_display_value: 'all'
       };
 
-      const response = await apiClient.get(config.servicenow.apiEndpoint, { params });
+      const response = await connection.client.get(getTableEndpoint(table), { params });
 
       if (response.status === 200 && response.data.result) {
-        const tickets = response.data.result;
-        allTickets = allTickets.concat(tickets);
-        totalFetched += tickets.length;
-        
-        console.log(`✅ Fetched ${tickets.length} tickets (Total: ${allTickets.length})`);
+        const tickets = response.data.result.map(toDisplayRecord);
+        const totalRecords = parseInt(response.headers['x-total-count']);
+
+        console.log(`✅ Fetched ${tickets.length} tickets, saving page...`);
+        // A full import would flood realtime clients with one event per ticket
+        const { savedCount, updatedCount, unchangedCount, errorCount } = await saveTickets(tickets, table, connection, { publishEvents: false });
+        await syncJournalEntries(tickets, table, connection);
+        await syncAttachments(tickets, table, connection);
+
+        // Commit the checkpoint only after the page has been written
+        offset += tickets.length;
+        const lastTicket = tickets[tickets.length - 1];
+        await BulkImportState.updateOne(
+          { service: stateKey },
+          {
+            $set: {
+              currentOffset: offset,
+              ...(lastTicket ? { lastSysId: lastTicket.sys_id } : {}),
+              ...(Number.isNaN(totalRecords) ? {} : { totalRecords }),
+              lastCheckpointAt: new Date(),
+              updatedAt: new Date()
+            },
+            $inc: {
+              pagesCompleted: 1,
+              recordsSaved: savedCount,
+              recordsUpdated: updatedCount,
+              recordsUnchanged: unchangedCount,
+              recordsErrored: errorCount
+            }
+          }
+        );
+
+        console.log(`💾 Checkpoint committed at offset ${offset} (new: ${savedCount}, updated: ${updatedCount}, unchanged: ${unchangedCount}, errors: ${errorCount})`);
         
         // Check if we have more records
         hasMore = tickets.length === batchSize;
-        offset += batchSize;
-        
-        // Add a small delay to avoid overwhelming the API
-        if (hasMore) {
-          await new Promise(resolve => setTimeout(resolve, 200));
-        }
       } else {
         console.log('⚠️ No more tickets found or API returned unexpected response');
         hasMore = false;
       }
     }
 
-    console.log(`📊 Bulk import completed: ${allTickets.length} tickets fetched from ServiceNow`);
-
-    // Save all tickets to database
-    console.log('💾 Saving all tickets to database...');
-    let savedCount = 0;
-    let updatedCount = 0;
-    let errorCount = 0;
-
-    for (const ticketData of allTickets) {
-      try {
-        // Use upsert to either insert or update in one operation
-        const ticketDoc = {
-          ticket_id: ticketData.number,
-          source: 'ServiceNow',
-          short_description: ticketData.short_description,
-          description: ticketData.description,
-          category: ticketData.category,
-          subcategory: ticketData.subcategory,
-          status: ticketData.state,
-          priority: ticketData.priority,
-          impact: ticketData.impact,
-          urgency: ticketData.urgency,
-          opened_time: ticketData.opened_at ? new Date(ticketData.opened_at) : null,
-          closed_time: ticketData.closed_at ? new Date(ticketData.closed_at) : null,
-          resolved_time: ticketData.resolved_at ? new Date(ticketData.resolved_at) : null,
-          requester: { id: typeof ticketData.caller_id === 'object' ? ticketData.caller_id.value || ticketData.caller_id.sys_id : ticketData.caller_id },
-          assigned_to: { id: typeof ticketData.assigned_to === 'object' ? ticketData.assigned_to.value || ticketData.assigned_to.sys_id : ticketData.assigned_to },
-          assignment_group: { id: typeof ticketData.assignment_group === 'object' ? ticketData.assignment_group.value || ticketData.assignment_group.sys_id : ticketData.assignment_group },
-          company: { id: typeof ticketData.company === 'object' ? ticketData.company.value || ticketData.company.sys_id : ticketData.company },
-          location: { id: typeof ticketData.location === 'object' ? ticketData.location.value || ticketData.location.sys_id : ticketData.location },
-          tags: ticketData.tags ? ticketData.tags.split(',').map(tag => tag.trim()) : [],
-          raw: ticketData // Store original payload
-        };
-
-        // Check if ticket exists first
-        const existingTicket = await Ticket.findOne({ 
-          ticket_id: ticketData.number, 
-          source: 'ServiceNow' 
-        });
-
-        if (!existingTicket) {
-          // Create new ticket
-          const newTicket = new Ticket(ticketDoc);
-          await newTicket.save();
-          savedCount++;
-        } else {
-          // Update existing ticket
-          await Ticket.findOneAndUpdate(
-            { ticket_id: ticketData.number, source: 'ServiceNow' },
-            ticketDoc,
-            { new: true }
-          );
-          updatedCount++;
-        }
-      } catch (error) {
-        console.error(`❌ Error saving ticket ${ticketData.number}:`, error.message);
-        errorCount++;
-      }
-    }
+    const finalState = await BulkImportState.findOne({ service: stateKey }).lean();
+    const saved = finalState.recordsSaved;
+    const updated = finalState.recordsUpdated;
+    const unchanged = finalState.recordsUnchanged;
+    const errors = finalState.recordsErrored;
 
     console.log(`✅ Bulk import database operations completed:`);
-    console.log(`   - New tickets saved: ${savedCount}`);
-    console.log(`   - Existing tickets updated: ${updatedCount}`);
-    console.log(`   - Errors: ${errorCount}`);
+    console.log(`   - New tickets saved: ${saved}`);
+    console.log(`   - Existing tickets updated: ${updated}`);
+    console.log(`   - Unchanged tickets skipped: ${unchanged}`);
+    console.log(`   - Errors: ${errors}`);
     
     // Mark bulk import as completed
-    await markBulkImportCompleted(allTickets.length);
+    await markBulkImportCompleted(finalState.currentOffset, table, connectionKey);
     
     return {
       success: true,
       message: 'Bulk import completed successfully',
-      data: allTickets,
-      total: allTickets.length,
+      table,
+      connection: connectionKey,
+      resumed: checkpoint.resumed,
+      total: finalState.currentOffset,
+      pages: finalState.pagesCompleted,
       database: {
-        saved: savedCount,
-        updated: updatedCount,
-        errors: errorCount
+        saved,
+        updated,
+        unchanged,
+        errors
       }
     };
   } catch (error) {
-    console.error('❌ Error during bulk import:', error.message);
+    console.error(`❌ Error during bulk import of ${table}:`, error.message);
     if (error.response) {
       console.error('Response status:', error.response.status);
       console.error('Response data:', error.response.data);
     }
+
+    // Keep the checkpoint so the next run resumes from the last committed page
+    await BulkImportState.updateOne(
+      { service: stateKey },
+      { $set: { status: 'failed', lastError: error.message, updatedAt: new Date() } }
+    ).catch(stateError => console.error('❌ Error saving bulk import failure:', stateError.message));
+
     return {
       success: false,
       error: error.message,
       data: []
     };
+  } finally {
+    bulkImportsInProgress.delete(stateKey);
   }
 };
 
+/**
+ * Bulk import one table of a connection under its lease lock, so only one replica imports
+ * it at a time. When another instance holds the lock the import is skipped.
+ * @param {Object} options - { table, connection, force, restart, query, fields, batchSize }
+ */
+const bulkImportAllTickets = async (options = {}) => {
+  const { table = 'incident' } = options;
+  const connectionKey = connectionKeyOf(options.connection);
+  const locked = await withLock(servicenowJobLock('bulk-import', table, connectionKey), () => runBulkImport(options));
+
+  if (!locked.acquired) {
+    return {
+      success: true,
+      skipped: true,
+      lockedElsewhere: true,
+      message: `Bulk import of ${table} (${connectionKey}) is running on another instance`,
+      table,
+      connection: connectionKey
+    };
+  }
+  return locked.result;
+};
+
+/**
+ * Bulk import every enabled table of a connection, or of every active connection when
+ * none is given, one after another
+ * @param {Object} options - Same options as bulkImportAllTickets, without table
+ * @returns {Object} Results by table ("<connection>:<table>" outside the default connection) and combined counts
+ */
+const bulkImportAllTables = async (options = {}) => {
+  const tables = {};
+  const database = { saved: 0, updated: 0, unchanged: 0, errors: 0 };
+  let total = 0;
+  let success = true;
+
+  const connections = options.connection ?
+    [await resolveConnection(options.connection)] :
+    await getActiveConnections();
+  const jobs = connections.flatMap(connection => connection.tables.map(table => ({ connection, table })));
+
+  for (const { connection, table } of jobs) {
+    const result = await bulkImportAllTickets({ ...options, table, connection });
+    tables[connection.key === DEFAULT_CONNECTION ? table : `${connection.key}:${table}`] = result;
+
+    if (!result.success) {
+      success = false;
+      continue;
+    }
+    if (!result.skipped) {
+      total += result.total;
+      Object.keys(database).forEach(key => {
+        database[key] += result.database[key] || 0;
+      });
+    }
+  }
+
+  return {
+    success,
+    message: success ? 'Bulk import completed for all tables' : 'Bulk import failed for one or more tables',
+    skipped: Object.values(tables).every(result => result.skipped),
+    error: success ? undefined : Object.entries(tables)
+      .filter(([, result]) => !result.success)
+      .map(([table, result]) => `${table}: ${result.error}`)
+      .join('; '),
+    total,
+    database,
+    tables
+  };
+};
+
+/**
+ * Dry run of a bulk import: reads the records a fresh import would read (from offset 0,
+ * whatever the checkpoint or completion state), up to `limit` per table, and reports the
+ * planned inserts, updates and mapping errors with a field-level diff sample. Nothing is
+ * written: no tickets, dead letters, activity or bulk import state, and no lock is taken.
+ * @param {Object} options - { table, connection, query, fields, batchSize, limit, sampleSize } -
+ *   without table every table of the connection, without connection every active connection
+ * @returns {Object} { success, dryRun, tables, totals } - tables keyed like bulkImportAllTables
+ */
+const previewBulkImport = async (options = {}) => {
+  const { query = '', limit = 1000, sampleSize } = options;
+  const batchSize = Math.min(options.batchSize || 1000, limit);
+  const tables = {};
+  const totals = { fetched: 0, inserts: 0, updates: 0, unchanged: 0, errors: 0 };
+
+  const connections = options.connection ?
+    [await resolveConnection(options.connection)] :
+    await getActiveConnections();
+  const jobs = connections.flatMap(connection => (options.table ? [options.table] : connection.tables)
+    .map(table => ({ connection, table })));
+
+  for (const { connection, table } of jobs) {
+    const plan = createPlan(sampleSize);
+    const result = { success: true, table, connection: connection.key, query, totalRecords: null, pages: 0, truncated: false, plan };
+    let offset = 0;
+    let hasMore = true;
+
+    console.log(`🔎 Dry-run bulk import of ${table} (${connection.key}), up to ${limit} records...`);
+    try {
+      const mapping = getTableMapping(table);
+      while (hasMore && plan.fetched < limit) {
+        const requested = Math.min(batchSize, limit - plan.fetched);
+        const response = await connection.client.get(getTableEndpoint(table), {
+          params: {
+            sysparm_limit: requested,
+            sysparm_offset: offset,
+            sysparm_query: withStableOrder(query),
+            sysparm_fields: options.fields || getTableFields(table),
+            sysparm_display_value: 'all'
+          }
+        });
+        const tickets = ((response.data && response.data.result) || []).map(toDisplayRecord);
+        const totalRecords = parseInt(response.headers['x-total-count']);
+        if (result.totalRecords === null && !Number.isNaN(totalRecords)) {
+          result.totalRecords = totalRecords;
+        }
+
+        await planTickets(tickets, {
+          source: mapping.constants.source,
+          table,
+          connectionId: connection.key,
+          mapRecord: record => applyMapping(record, mapping),
+          identifyRecord: record => ({ ticket_id: record && record.number, sys_id: record && record.sys_id })
+        }, plan);
+
+        result.pages++;
+        offset += tickets.length;
+        hasMore = tickets.length > 0 && tickets.length === requested;
+      }
+      // Stopped at the limit while the table may hold more records
+      result.truncated = hasMore;
+    } catch (error) {
+      console.error(`❌ Error previewing bulk import of ${table}:`, error.message);
+      result.success = false;
+      result.error = error.message;
+    }
+
+    tables[connection.key === DEFAULT_CONNECTION ? table : `${connection.key}:${table}`] = result;
+    Object.keys(totals).forEach(key => {
+      totals[key] += plan[key];
+    });
+  }
+
+  return {
+    success: Object.values(tables).every(result => result.success),
+    dryRun: true,
+    tables,
+    totals
+  };
+};
+
 module.exports = {
+  bulkImportStateKey,
+  migrateLegacyState,
+  saveTickets,
   fetchTicketsAndSave,
   bulkImportAllTickets,
+  bulkImportAllTables,
+  previewBulkImport,
   hasCompletedBulkImport,
   markBulkImportCompleted,
   resetBulkImportState,
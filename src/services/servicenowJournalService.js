@@ -0,0 +1,210 @@
+const config = require('../config');
+const Ticket = require('../models/Tickets');
+const TicketActivity = require('../models/TicketActivity');
+const { getTableEndpoint, parseGlideDateTime } = require('./servicenowClient');
+const { DEFAULT_CONNECTION, resolveConnection } = require('./servicenowConnectionService');
+
+const JOURNAL_TABLE = 'sys_journal_field';
+const JOURNAL_FIELDS = 'sys_id,element,element_id,value,sys_created_on,sys_created_by';
+// Tickets per element_idIN query, keeps the request URL well under common limits
+const TICKETS_PER_QUERY = 100;
+const JOURNAL_PAGE_SIZE = 1000;
+// Characters of journal text copied onto a ticket for search, newest entries first
+const JOURNAL_TEXT_MAX_LENGTH = 20000;
+
+/**
+ * Fetch every journal entry of a set of tickets, keyset paged on sys_id
+ */
+const fetchJournalEntries = async (client, ticketSysIds) => {
+  const entries = [];
+  let lastSysId = null;
+  let hasMore = true;
+
+  while (hasMore) {
+    const conditions = [
+      `element_idIN${ticketSysIds.join(',')}`,
+      `elementIN${config.servicenow.journalElements.join(',')}`,
+      lastSysId ? `sys_id>${lastSysId}` : ''
+    ].filter(Boolean);
+
+    // Raw values: element_id stays a sys_id and sys_created_on is in UTC
+    const response = await client.get(getTableEndpoint(JOURNAL_TABLE), {
+      params: {
+        sysparm_limit: JOURNAL_PAGE_SIZE,
+        sysparm_query: `${conditions.join('^')}^ORDERBYsys_id`,
+        sysparm_fields: JOURNAL_FIELDS,
+        sysparm_display_value: 'false',
+        sysparm_no_count: 'true'
+      }
+    });
+    const records = (response.data && response.data.result) || [];
+
+    entries.push(...records);
+    if (records.length > 0) {
+      lastSysId = records[records.length - 1].sys_id;
+    }
+    hasMore = records.length === JOURNAL_PAGE_SIZE;
+  }
+
+  return entries;
+};
+
+/**
+ * Store the journal entries (comments, work notes) of ingested ServiceNow records as
+ * ticket activity. The tickets must already be saved. Failures are logged and reported,
+ * never thrown, so journal problems don't fail ticket ingestion.
+ * @param {Array} records - ServiceNow records of one ingested page
+ * @param {String} table - ServiceNow table the records come from
+ * @param {Object|String} connection - Connection (context or key) the records come from
+ * @returns {Object} { success, fetchedCount, savedCount, errorCount }
+ */
+const syncJournalEntries = async (records, table = 'incident', connection = DEFAULT_CONNECTION) => {
+  const result = { success: true, fetchedCount: 0, savedCount: 0, errorCount: 0 };
+
+  if (!config.servicenow.syncJournal || !records || records.length === 0) {
+    return result;
+  }
+
+  try {
+    const context = await resolveConnection(connection);
+    const sysIds = Array.from(new Set(records.map(record => record.sys_id).filter(Boolean)));
+
+    // ticket_id comes from the stored tickets so custom number mappings are respected
+    const tickets = await Ticket.find(
+      { source: 'ServiceNow', connection_id: context.key, sys_id: { $in: sysIds } },
+      { ticket_id: 1, sys_id: 1, source: 1, record_type: 1 }
+    ).lean();
+    const ticketsBySysId = new Map(tickets.map(ticket => [ticket.sys_id, ticket]));
+
+    for (let index = 0; index < sysIds.length; index += TICKETS_PER_QUERY) {
+      const entries = await fetchJournalEntries(context.client, sysIds.slice(index, index + TICKETS_PER_QUERY));
+      result.fetchedCount += entries.length;
+
+      const operations = [];
+      const journaledTickets = new Set();
+      entries.forEach(entry => {
+        const ticket = ticketsBySysId.get(entry.element_id);
+        if (!ticket) {
+          return;
+        }
+        journaledTickets.add(ticket.ticket_id);
+        operations.push({
+          updateOne: {
+            filter: { sys_id: entry.sys_id, source: ticket.source },
+            update: {
+              $set: {
+                ticket_id: ticket.ticket_id,
+                connection_id: context.key,
+                record_type: ticket.record_type,
+                ticket_sys_id: entry.element_id,
+                type: entry.element,
+                value: entry.value,
+                created_by: entry.sys_created_by,
+                created_on: parseGlideDateTime(entry.sys_created_on)
+              }
+            },
+            upsert: true
+          }
+        });
+      });
+
+      if (operations.length === 0) {
+        continue;
+      }
+
+      try {
+        const writeResult = await TicketActivity.bulkWrite(operations, { ordered: false });
+        result.savedCount += (writeResult.upsertedCount || 0) + (writeResult.modifiedCount || 0);
+      } catch (error) {
+        if (!error.result) {
+          throw error;
+        }
+        const writeErrors = [].concat(error.writeErrors || []);
+        result.savedCount += (error.result.upsertedCount || 0) + (error.result.modifiedCount || 0);
+        result.errorCount += writeErrors.length;
+        console.error(`❌ Error saving ${writeErrors.length} journal entries of ${table}`);
+      }
+
+      await refreshJournalText(Array.from(journaledTickets), context.key);
+    }
+
+    if (result.fetchedCount > 0) {
+      console.log(`📝 Journal sync for ${table}: ${result.fetchedCount} entries fetched, ${result.savedCount} new or changed`);
+    }
+    return result;
+  } catch (error) {
+    console.error(`❌ Error syncing journal entries of ${table}:`, error.message);
+    return { ...result, success: false, error: error.message };
+  }
+};
+
+/**
+ * Copy the journal entries of tickets into their journal_text, which the ticket text
+ * index covers. Newest entries are kept when the text exceeds JOURNAL_TEXT_MAX_LENGTH.
+ * @param {Array} ticketIds - Ticket numbers
+ * @param {String} connectionKey - Connection the tickets come from
+ */
+const refreshJournalText = async (ticketIds, connectionKey) => {
+  const journals = await TicketActivity.aggregate([
+    { $match: { ticket_id: { $in: ticketIds }, source: 'ServiceNow', connection_id: connectionKey } },
+    { $sort: { created_on: -1, _id: 1 } },
+    { $group: { _id: '$ticket_id', values: { $push: '$value' } } }
+  ]);
+
+  const operations = journals.map(journal => ({
+    updateOne: {
+      filter: { ticket_id: journal._id, source: 'ServiceNow', connection_id: connectionKey },
+      update: { $set: { journal_text: journal.values.filter(Boolean).join('\n').slice(0, JOURNAL_TEXT_MAX_LENGTH) } }
+    }
+  }));
+  if (operations.length > 0) {
+    await Ticket.bulkWrite(operations, { ordered: false });
+  }
+};
+
+/**
+ * Activity (journal entries) of a ticket
+ * @param {String} ticketId - Ticket number
+ * @param {Object} options - { type, source, connection, page, limit, sortOrder }
+ */
+const getActivityForTicket = async (ticketId, options = {}) => {
+  try {
+    const { type, source = 'ServiceNow', connection = DEFAULT_CONNECTION, sortOrder = 'desc' } = options;
+    const pageNum = Math.max(parseInt(options.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+
+    const filter = { ticket_id: ticketId, source, connection_id: connection };
+    if (type) {
+      const types = type.split(',').map(value => value.trim()).filter(Boolean);
+      filter.type = types.length > 1 ? { $in: types } : types[0];
+    }
+
+    const [entries, totalCount] = await Promise.all([
+      TicketActivity.find(filter)
+        .sort({ created_on: sortOrder === 'asc' ? 1 : -1, _id: 1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      TicketActivity.countDocuments(filter)
+    ]);
+
+    return {
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        limit: limitNum,
+        totalCount
+      }
+    };
+  } catch (error) {
+    console.error(`❌ Error fetching activity for ${ticketId}:`, error.message);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+module.exports = {
+  syncJournalEntries,
+  getActivityForTicket
+};
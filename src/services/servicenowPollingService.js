@@ -1,19 +1,39 @@
 // new file servicenow
 const cron = require('node-cron');
-const { fetchTicketsAndSave } = require('./servicenowIngestionService');
+const { getClientStats } = require('./servicenowClient');
+const { DEFAULT_CONNECTION } = require('./servicenowConnectionService');
+const { getConnector, getConnectors } = require('./connectors');
+const { syncSince, previewSince } = require('./connectors/connectorSync');
+const { withLock, connectorJobLock, getLockStatus, instanceId } = require('./lockService');
 const config = require('../config');
 const mongoose = require('mongoose');
+const PollRun = require('../models/PollRun');
+const circuitBreaker = require('./circuitBreaker');
+const { publishPollEvent } = require('./realtimeService');
 
-// Create a schema for tracking polling state
+// Failing tickets kept per poll run document
+const MAX_RUN_FAILURES = 500;
+
+// Create a schema for tracking polling state, one document per connector target
+// (a table of a ServiceNow connection, a Jira project)
 const PollingStateSchema = new mongoose.Schema({
-  service: { type: String, required: true, unique: true },
-  lastSyncTime: { type: Date, required: true },
+  service: { type: String, required: true, unique: true },    // "<connector>:<target>", e.g. "servicenow:[<connection>:]<table>"
+  connector: { type: String, default: 'servicenow' },
+  table: { type: String, default: 'incident' },               // ServiceNow table or Jira project
+  connection: { type: String, default: 'default' },
+  lastSyncTime: { type: Date, required: true },               // max update time stored so far
   lastSuccessfulPoll: { type: Date },
   totalPolls: { type: Number, default: 0 },
   successfulPolls: { type: Number, default: 0 },
   failedPolls: { type: Number, default: 0 },
   lastError: { type: String },
-  isActive: { type: Boolean, default: true }
+  isActive: { type: Boolean, default: true },                 // polling enabled for the table
+  // Circuit breaker, see ./circuitBreaker.js
+  circuitState: { type: String, enum: ['closed', 'open', 'half_open'], default: 'closed' },
+  consecutiveFailures: { type: Number, default: 0 },
+  circuitOpenedAt: { type: Date, default: null },
+  circuitChangedAt: { type: Date, default: null },
+  probeStartedAt: { type: Date, default: null }               // probe poll of a half-open circuit in flight
 }, {
   timestamps: true,
   collection: 'polling_states'
@@ -21,13 +41,34 @@ const PollingStateSchema = new mongoose.Schema({
 
 const PollingState = mongoose.model('PollingState', PollingStateSchema);
 
+/**
+ * PollingState key of a connector target. ServiceNow targets of the default connection
+ * keep the keys used before connections existed ("servicenow:incident").
+ */
+const pollingStateKey = (connectorName, targetKey) => `${connectorName}:${targetKey}`;
+
+/**
+ * Key of the cron job of a connector connection
+ */
+const scheduleKey = (connectorName, connectionKey) => `${connectorName}:${connectionKey}`;
+
+/**
+ * Polling scheduler of every enabled ticket connector, see ./connectors. Each connection
+ * polls on its own interval; each target keeps its own watermark, circuit and lock.
+ */
 class ServiceNowPollingService {
   constructor() {
     this.isRunning = false;
-    this.cronJob = null;
-    this.pollingInterval = config.servicenow.pollingInterval || '*/1 * * * *'; // Every minute
-    this.maxRetries = config.servicenow.maxRetries || 3;
-    this.retryDelay = config.servicenow.retryDelay || 5000; // 5 seconds
+    // Cron jobs by "<connector>:<connection>", each polling the targets of its connection
+    this.cronJobs = new Map();
+    // With webhooks pushing changes, polling only runs as a lower-frequency safety net
+    this.pollingInterval = config.servicenow.enableWebhook ?
+      config.servicenow.safetyNetPollingInterval :
+      config.servicenow.pollingInterval || '*/1 * * * *'; // Every minute
+    this.circuitSettings = {
+      failureThreshold: config.servicenow.maxRetries || 3,
+      cooldownMs: config.servicenow.circuitCooldownSeconds * 1000
+    };
   }
 
   /**
@@ -35,142 +76,321 @@ class ServiceNowPollingService {
    */
   async initialize() {
     try {
-      console.log('🚀 Initializing ServiceNow polling service...');
+      console.log('🚀 Initializing ticket polling service...');
       
       // Ensure polling state exists
       await this.ensurePollingState();
       
-      // Start the cron job
-      this.startPolling();
+      // Start the cron jobs
+      await this.startPolling();
       
-      console.log('✅ ServiceNow polling service initialized successfully');
+      console.log('✅ Ticket polling service initialized successfully');
     } catch (error) {
-      console.error('❌ Failed to initialize ServiceNow polling service:', error);
+      console.error('❌ Failed to initialize ticket polling service:', error);
       throw error;
     }
   }
 
   /**
-   * Ensure polling state document exists
+   * Ensure a polling state document exists for every target of every enabled connector
    */
   async ensurePollingState() {
-    const existingState = await PollingState.findOne({ service: 'servicenow' });
-    
-    if (!existingState) {
-      // Create initial state with a timestamp from 24 hours ago
-      const initialTimestamp = new Date(Date.now() - 24 * 60 * 60 * 1000);
-      
-      await PollingState.create({
-        service: 'servicenow',
-        lastSyncTime: initialTimestamp,
-        lastSuccessfulPoll: null,
-        totalPolls: 0,
-        successfulPolls: 0,
-        failedPolls: 0,
-        isActive: true
-      });
+    // Move the pre-multi-table state document to the incident key
+    const hasIncidentState = await PollingState.exists({ service: pollingStateKey('servicenow', 'incident') });
+    if (!hasIncidentState) {
+      await PollingState.updateOne(
+        { service: 'servicenow' },
+        { $set: { service: pollingStateKey('servicenow', 'incident'), table: 'incident' } }
+      );
+    }
+
+    // Before the circuit breaker, failing polls disabled a table for good. Open its circuit
+    // instead so it recovers on its own.
+    const tripped = await PollingState.updateMany(
+      { isActive: false, circuitState: { $exists: false } },
+      { $set: { isActive: true, circuitState: circuitBreaker.OPEN, circuitOpenedAt: new Date(), circuitChangedAt: new Date() } }
+    );
+    if (tripped.modifiedCount > 0) {
+      console.log(`🔌 Re-enabled ${tripped.modifiedCount} polling states disabled by failures, their circuit is open`);
+    }
+
+    // State and runs from before connectors are ServiceNow's
+    for (const Model of [PollingState, PollRun]) {
+      await Model.updateMany({ connector: { $exists: false } }, { $set: { connector: 'servicenow' } });
+    }
+
+    for (const connector of this.getEnabledConnectors()) {
+      for (const connection of await connector.getConnections()) {
+        await this.ensureConnectionState(connector, connection);
+      }
+    }
+  }
+
+  /**
+   * Connectors the scheduler runs
+   */
+  getEnabledConnectors() {
+    return getConnectors().filter(connector => connector.isEnabled());
+  }
+
+  /**
+   * Ensure a polling state document exists for every target of a connection
+   */
+  async ensureConnectionState(connector, connection) {
+    for (const target of connector.listTargets(connection)) {
+      const stateKey = pollingStateKey(connector.name, target.key);
+      const existingState = await PollingState.findOne({ service: stateKey });
       
-      console.log(`📅 Created initial polling state with timestamp: ${initialTimestamp.toISOString()}`);
+      if (!existingState) {
+        // Create initial state with a timestamp from 24 hours ago
+        const initialTimestamp = new Date(Date.now() - 24 * 60 * 60 * 1000);
+        
+        await PollingState.create({
+          service: stateKey,
+          connector: connector.name,
+          table: target.table,
+          connection: connection.key,
+          lastSyncTime: initialTimestamp,
+          lastSuccessfulPoll: null,
+          totalPolls: 0,
+          successfulPolls: 0,
+          failedPolls: 0,
+          isActive: true,
+          circuitState: circuitBreaker.CLOSED,
+          consecutiveFailures: 0
+        });
+        
+        console.log(`📅 Created initial ${target.label} polling state of ${connector.name} with timestamp: ${initialTimestamp.toISOString()}`);
+      }
     }
   }
 
   /**
-   * Start the cron job for polling
+   * Start one cron job per active connection of every enabled connector
    */
-  startPolling() {
-    if (this.cronJob) {
+  async startPolling() {
+    if (this.isRunning) {
       console.log('⚠️ Polling service is already running');
       return;
     }
 
-    console.log(`⏰ Starting ServiceNow polling with interval: ${this.pollingInterval}`);
-    
-    this.cronJob = cron.schedule(this.pollingInterval, async () => {
-      await this.performPoll();
+    this.isRunning = true;
+    try {
+      for (const connector of this.getEnabledConnectors()) {
+        for (const connection of await connector.getConnections()) {
+          this.scheduleConnection(connector, connection);
+        }
+      }
+    } catch (error) {
+      // Connections could not be loaded: stop what was scheduled so a later start retries
+      this.stopPolling();
+      throw error;
+    }
+  }
+
+  /**
+   * Stop the polling service
+   */
+  stopPolling() {
+    if (this.isRunning) {
+      Array.from(this.cronJobs.keys()).forEach(key => this.unscheduleJob(key));
+      this.isRunning = false;
+      console.log('⏹️ Ticket polling service stopped');
+    }
+  }
+
+  /**
+   * Schedule the polls of a connection on its own interval
+   */
+  scheduleConnection(connector, connection) {
+    const key = scheduleKey(connector.name, connection.key);
+    this.unscheduleJob(key);
+
+    console.log(`⏰ Starting ${connector.name} polling of ${connection.key} with interval: ${connection.pollingInterval}`);
+
+    const job = cron.schedule(connection.pollingInterval, async () => {
+      // Read the connection again so changes and disabling apply from the next tick
+      const current = await connector.getConnection(connection.key).catch(error => {
+        console.error(`❌ Error loading ${connector.name} connection ${connection.key}:`, error.message);
+        return null;
+      });
+      if (current) {
+        await this.pollConnection(connector, current);
+      }
     }, {
       scheduled: false,
       timezone: 'UTC'
     });
 
-    this.cronJob.start();
-    this.isRunning = true;
+    job.start();
+    this.cronJobs.set(key, { job, connector: connector.name, connection: connection.key, pollingInterval: connection.pollingInterval });
   }
 
   /**
-   * Stop the polling service
+   * Stop a scheduled cron job
    */
-  stopPolling() {
-    if (this.cronJob) {
-      this.cronJob.stop();
-      this.cronJob = null;
-      this.isRunning = false;
-      console.log('⏹️ ServiceNow polling service stopped');
+  unscheduleJob(key) {
+    const scheduled = this.cronJobs.get(key);
+    if (scheduled) {
+      scheduled.job.stop();
+      this.cronJobs.delete(key);
     }
   }
 
   /**
-   * Perform a single poll operation
+   * Apply a created, changed or deleted connection to the running schedule
+   * @param {String} connectionKey - Connection key
+   * @param {String} connectorName - Connector of the connection, defaults to ServiceNow
    */
-  async performPoll() {
+  async refreshConnection(connectionKey, connectorName = 'servicenow') {
+    this.unscheduleJob(scheduleKey(connectorName, connectionKey));
+    const connector = getConnector(connectorName);
+    if (!this.isRunning || !connector || !connector.isEnabled()) return;
+
+    const connection = await connector.getConnection(connectionKey);
+    if (connection) {
+      await this.ensureConnectionState(connector, connection);
+      this.scheduleConnection(connector, connection);
+    }
+  }
+
+  /**
+   * Perform a single poll operation across every target of every enabled connector
+   */
+  async performPoll(trigger = 'scheduled') {
     if (!this.isRunning) return;
 
+    for (const connector of this.getEnabledConnectors()) {
+      for (const connection of await connector.getConnections()) {
+        await this.pollConnection(connector, connection, trigger);
+      }
+    }
+  }
+
+  /**
+   * Poll every target of one connection
+   */
+  async pollConnection(connector, connection, trigger = 'scheduled') {
+    if (!this.isRunning) return;
+
+    for (const target of connector.listTargets(connection)) {
+      await this.pollTarget(connector, connection, target, trigger);
+    }
+  }
+
+  /**
+   * Poll one target under its lease lock, so only one replica polls it
+   */
+  async pollTarget(connector, connection, target, trigger = 'scheduled') {
+    const locked = await withLock(
+      connectorJobLock(connector.name, 'poll', target.key),
+      () => this.executePoll(connector, connection, target, trigger)
+    );
+    if (!locked.acquired) {
+      console.log(`ℹ️ Skipping poll of ${target.label}, another instance holds the lock`);
+    }
+  }
+
+  /**
+   * Poll one target for records updated since its last sync
+   */
+  async executePoll(connector, connection, target, trigger = 'scheduled') {
+    const stateKey = pollingStateKey(connector.name, target.key);
+    const label = target.label;
+    const context = { connector: connector.name, connection: connection.key, table: target.table, stateKey };
+    let pollRun = null;
+
     try {
-      console.log('🔄 Starting ServiceNow poll...');
+      console.log(`🔄 Starting ${connector.name} poll for ${label}...`);
       
       // Get current polling state
-      const pollingState = await PollingState.findOne({ service: 'servicenow' });
+      const pollingState = await PollingState.findOne({ service: stateKey });
       if (!pollingState || !pollingState.isActive) {
-        console.log('⚠️ Polling is disabled or state not found');
+        console.log(`⚠️ Polling for ${label} is disabled or state not found`);
+        return;
+      }
+
+      // A manual poll always goes through, as a probe when the circuit is open
+      const gate = circuitBreaker.beforeAttempt(
+        circuitBreaker.readCircuit(pollingState),
+        this.circuitSettings,
+        { force: trigger === 'manual' }
+      );
+      if (!gate.allowed) {
+        console.log(`⛔ Circuit of ${label} is ${gate.circuit.circuitState}, next probe poll after ${gate.nextProbeAt.toISOString()}`);
+        return;
+      }
+      if (gate.probe && !await this.claimProbe(context, pollingState, gate)) {
+        console.log(`⛔ Circuit of ${label} is probed by another poll, skipping`);
         return;
       }
 
       // Update total polls count
       await PollingState.updateOne(
-        { service: 'servicenow' },
+        { service: stateKey },
         { $inc: { totalPolls: 1 } }
       );
 
-      // Create query for new/updated tickets since last sync
+      // Re-read an overlap window before the watermark: records committed late at the source
+      // (long transactions, clock skew between nodes) can carry an older update time
+      const { batchSize, overlapSeconds } = connector.pollSettings();
       const lastSyncTime = pollingState.lastSyncTime;
-      const currentTime = new Date();
-      
-      // ServiceNow query for tickets created or updated since last sync
-      const query = `sys_created_on>=${this.formatServiceNowDate(lastSyncTime)}^ORsys_updated_on>=${this.formatServiceNowDate(lastSyncTime)}`;
+      const since = new Date(lastSyncTime.getTime() - overlapSeconds * 1000);
       
-      console.log(`🔍 Polling for tickets since: ${lastSyncTime.toISOString()}`);
+      console.log(`🔍 Polling ${label} for records updated since: ${lastSyncTime.toISOString()} (overlap ${overlapSeconds}s)`);
+
+      pollRun = await this.startPollRun(context, trigger, { windowStart: since, previousWatermark: lastSyncTime });
       
-      // Fetch tickets with the timestamp filter and save to database
-      const result = await fetchTicketsAndSave({
-        query: query,
-        limit: config.servicenow.pollingBatchSize || 100
+      // Paged sync; the watermark advances after every stored page and never moves back
+      const result = await syncSince(connector, connection, target, {
+        since,
+        batchSize,
+        onPage: async ({ watermark }) => {
+          if (watermark) {
+            await PollingState.updateOne(
+              { service: stateKey },
+              { $max: { lastSyncTime: watermark } }
+            );
+          }
+        }
       });
 
+      await this.finishPollRun(pollRun, result);
+
       if (result.success) {
+        const currentTime = new Date();
         const newTicketsCount = result.database?.saved || 0;
         const updatedTicketsCount = result.database?.updated || 0;
+        const unchangedTicketsCount = result.database?.unchanged || 0;
         
-        console.log(`✅ Poll completed successfully:`);
+        console.log(`✅ Poll of ${label} completed successfully:`);
         console.log(`   - New tickets: ${newTicketsCount}`);
         console.log(`   - Updated tickets: ${updatedTicketsCount}`);
-        console.log(`   - Total processed: ${result.total}`);
+        console.log(`   - Unchanged tickets: ${unchangedTicketsCount}`);
+        console.log(`   - Total processed: ${result.total} in ${result.pages} pages`);
+        console.log(`   - Watermark: ${result.watermark ? result.watermark.toISOString() : 'unchanged'}`);
 
         // Update polling state with successful poll
         await PollingState.updateOne(
-          { service: 'servicenow' },
+          { service: stateKey },
           {
             $set: {
-              lastSyncTime: currentTime,
               lastSuccessfulPoll: currentTime,
               lastError: null
             },
             $inc: { successfulPolls: 1 }
           }
         );
+        await this.saveCircuit(context, circuitBreaker.recordSuccess(gate.circuit));
 
         // Emit event for real-time updates (if needed)
         this.emitPollingEvent('success', {
+          connector: connector.name,
+          connection: connection.key,
+          table: target.table,
           newTickets: newTicketsCount,
           updatedTickets: updatedTicketsCount,
+          unchangedTickets: unchangedTicketsCount,
           totalProcessed: result.total,
           timestamp: currentTime
         });
@@ -180,11 +400,15 @@ class ServiceNowPollingService {
       }
 
     } catch (error) {
-      console.error('❌ Polling failed:', error.message);
+      console.error(`❌ Polling ${label} failed:`, error.message);
+
+      if (pollRun && pollRun.status === 'running') {
+        await this.finishPollRun(pollRun, { success: false, error: error.message });
+      }
       
       // Update polling state with error
       await PollingState.updateOne(
-        { service: 'servicenow' },
+        { service: stateKey },
         {
           $set: { lastError: error.message },
           $inc: { failedPolls: 1 }
@@ -193,71 +417,233 @@ class ServiceNowPollingService {
 
       // Emit error event
       this.emitPollingEvent('error', {
+        connector: connector.name,
+        connection: connection.key,
+        table: target.table,
         error: error.message,
         timestamp: new Date()
       });
 
-      // Implement retry logic if needed
-      await this.handlePollingError(error);
+      await this.handlePollingError(error, context);
     }
   }
 
   /**
-   * Handle polling errors with retry logic
+   * Record the start of a poll run
    */
-  async handlePollingError(error) {
-    const pollingState = await PollingState.findOne({ service: 'servicenow' });
-    const consecutiveFailures = pollingState?.failedPolls || 0;
-
-    if (consecutiveFailures >= this.maxRetries) {
-      console.error(`🚨 Maximum retry attempts (${this.maxRetries}) reached. Disabling polling.`);
-      
-      // Disable polling after max retries
-      await PollingState.updateOne(
-        { service: 'servicenow' },
-        { $set: { isActive: false } }
-      );
-      
-      // You might want to send an alert here
-      this.emitPollingEvent('max_retries_reached', {
-        error: error.message,
-        consecutiveFailures,
-        timestamp: new Date()
+  async startPollRun({ connector, connection, table }, trigger, window) {
+    const startedAt = new Date();
+    try {
+      return await PollRun.create({
+        connector,
+        connection,
+        table,
+        trigger,
+        instanceId,
+        ...window,
+        startedAt,
+        expiresAt: new Date(startedAt.getTime() + config.servicenow.pollRunRetentionDays * 24 * 60 * 60 * 1000)
       });
+    } catch (error) {
+      // Run history must never stop the poll itself
+      console.error(`❌ Error recording poll run of ${table}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Store the outcome of a poll run
+   */
+  async finishPollRun(pollRun, result) {
+    if (!pollRun) return;
+
+    const finishedAt = new Date();
+    const failures = result.failures || [];
+    pollRun.status = result.success ? 'completed' : 'failed';
+
+    await PollRun.updateOne(
+      { _id: pollRun._id },
+      {
+        $set: {
+          status: pollRun.status,
+          windowEnd: result.watermark || null,
+          query: result.query || '',
+          pagesFetched: result.pages || 0,
+          fetchedCount: result.total || 0,
+          savedCount: result.database?.saved || 0,
+          updatedCount: result.database?.updated || 0,
+          unchangedCount: result.database?.unchanged || 0,
+          errorCount: result.database?.errors || 0,
+          failures: failures.slice(0, MAX_RUN_FAILURES),
+          failuresTruncated: failures.length > MAX_RUN_FAILURES,
+          error: result.success ? null : result.error,
+          finishedAt,
+          durationMs: finishedAt - pollRun.startedAt
+        }
+      }
+    ).catch(error => console.error('❌ Error saving poll run:', error.message));
+  }
+
+  /**
+   * Count a failed poll against the circuit breaker of the target
+   */
+  async handlePollingError(error, context) {
+    try {
+      const pollingState = await PollingState.findOne({ service: context.stateKey }).lean();
+      if (!pollingState) return;
+
+      const outcome = circuitBreaker.recordFailure(circuitBreaker.readCircuit(pollingState), this.circuitSettings);
+      await this.saveCircuit(context, outcome, error);
+    } catch (stateError) {
+      console.error(`❌ Error updating the circuit of ${context.table} (${context.connector} ${context.connection}):`, stateError.message);
+    }
+  }
+
+  /**
+   * Save the circuit of a probe poll only if no other poll changed it since it was read,
+   * so of concurrent polls exactly one probes
+   * @param {Object} context - { connector, connection, table, stateKey } of the target
+   * @param {Object} pollingState - Polling state the gate was computed from
+   * @param {Object} gate - Result of circuitBreaker.beforeAttempt
+   * @returns {Boolean} Whether this poll is the probe
+   */
+  async claimProbe(context, pollingState, gate) {
+    const read = circuitBreaker.readCircuit(pollingState);
+    const { modifiedCount } = await PollingState.updateOne(
+      { service: context.stateKey, circuitState: read.circuitState, probeStartedAt: read.probeStartedAt },
+      { $set: gate.circuit }
+    );
+    if (modifiedCount === 0) {
+      return false;
     }
+    this.announceCircuit(context, gate);
+    return true;
+  }
+
+  /**
+   * Persist the circuit of a target and announce state transitions
+   * @param {Object} context - { connector, connection, table, stateKey } of the target
+   * @param {Object} outcome - { circuit, transition } from the circuit breaker
+   * @param {Error} error - Failure that caused the transition, if any
+   */
+  async saveCircuit(context, outcome, error = null) {
+    await PollingState.updateOne({ service: context.stateKey }, { $set: outcome.circuit });
+    this.announceCircuit(context, outcome, error);
   }
 
   /**
-   * Format date for ServiceNow query
+   * Log and emit the state transition of a circuit, if any
    */
-  formatServiceNowDate(date) {
-    return date.toISOString().replace('T', ' ').replace('Z', '');
+  announceCircuit(context, outcome, error = null) {
+    const { connector, connection: connectionKey, table } = context;
+    const { circuit, transition } = outcome;
+    if (!transition) return;
+
+    const nextProbeAt = circuitBreaker.nextProbeAt(circuit, this.circuitSettings.cooldownMs);
+    if (transition.to === circuitBreaker.OPEN) {
+      console.error(`🚨 Circuit of ${table} (${connectionKey}) opened after ${circuit.consecutiveFailures} consecutive failed polls, next probe after ${nextProbeAt.toISOString()}`);
+    } else {
+      console.log(`🔌 Circuit of ${table} (${connectionKey}): ${transition.from} -> ${transition.to}`);
+    }
+
+    this.emitPollingEvent(`circuit_${transition.to}`, {
+      connector,
+      connection: connectionKey,
+      table,
+      from: transition.from,
+      to: transition.to,
+      consecutiveFailures: circuit.consecutiveFailures,
+      nextProbeAt,
+      error: error ? error.message : undefined,
+      timestamp: circuit.circuitChangedAt
+    });
   }
 
   /**
-   * Emit polling events (can be extended for real-time notifications)
+   * Emit polling events to realtime clients as "poll.<eventType>"
    */
   emitPollingEvent(eventType, data) {
-    // This can be extended to emit events to WebSocket clients, etc.
     console.log(`📡 Polling event: ${eventType}`, data);
+    publishPollEvent(eventType, data);
   }
 
   /**
-   * Get polling status
+   * Get polling status, with one entry per target of every connection of every connector
    */
   async getStatus() {
-    const pollingState = await PollingState.findOne({ service: 'servicenow' });
+    const connections = [];
+    const targets = [];
+    for (const connector of getConnectors()) {
+      for (const connection of await connector.getConnections()) {
+        const connectionTargets = connector.listTargets(connection);
+        connections.push({ connector, connection, targets: connectionTargets });
+        connectionTargets.forEach(target => targets.push({ connector, connection: connection.key, target }));
+      }
+    }
+
+    const pollingStates = await PollingState.find({
+      service: { $in: targets.map(({ connector, target }) => pollingStateKey(connector.name, target.key)) }
+    }).lean();
+    const statesByKey = new Map(pollingStates.map(state => [state.service, state]));
+    const jobsOf = connector => connector.jobs || ['poll'];
+    const locks = await getLockStatus(
+      targets.flatMap(({ connector, target }) => jobsOf(connector).map(job => connectorJobLock(connector.name, job, target.key)))
+    ).catch(error => {
+      console.error('❌ Error reading lock status:', error.message);
+      return {};
+    });
+    const lockOf = (connector, job, target) => (
+      jobsOf(connector).includes(job) ? locks[connectorJobLock(connector.name, job, target.key)] || null : null
+    );
     
     return {
       isRunning: this.isRunning,
-      isActive: pollingState?.isActive || false,
-      lastSyncTime: pollingState?.lastSyncTime,
-      lastSuccessfulPoll: pollingState?.lastSuccessfulPoll,
-      totalPolls: pollingState?.totalPolls || 0,
-      successfulPolls: pollingState?.successfulPolls || 0,
-      failedPolls: pollingState?.failedPolls || 0,
-      lastError: pollingState?.lastError,
-      pollingInterval: this.pollingInterval
+      pollingInterval: this.pollingInterval,
+      mode: config.servicenow.enableWebhook ? 'safety-net' : 'primary',
+      http: getClientStats(),
+      instanceId,
+      distributedLock: config.servicenow.enableDistributedLock,
+      connectors: getConnectors().map(connector => ({
+        name: connector.name,
+        source: connector.source,
+        enabled: connector.isEnabled()
+      })),
+      connections: connections.map(({ connector, connection, targets: connectionTargets }) => ({
+        connector: connector.name,
+        key: connection.key,
+        name: connection.name,
+        pollingInterval: connection.pollingInterval,
+        scheduled: this.cronJobs.has(scheduleKey(connector.name, connection.key)),
+        tables: connectionTargets.map(target => target.table)
+      })),
+      tables: targets.map(({ connector, connection, target }) => {
+        const pollingState = statesByKey.get(pollingStateKey(connector.name, target.key));
+        return {
+          connector: connector.name,
+          connection,
+          table: target.table,
+          isActive: pollingState?.isActive || false,
+          lastSyncTime: pollingState?.lastSyncTime,
+          lastSuccessfulPoll: pollingState?.lastSuccessfulPoll,
+          totalPolls: pollingState?.totalPolls || 0,
+          successfulPolls: pollingState?.successfulPolls || 0,
+          failedPolls: pollingState?.failedPolls || 0,
+          lastError: pollingState?.lastError,
+          circuit: {
+            state: pollingState?.circuitState || circuitBreaker.CLOSED,
+            consecutiveFailures: pollingState?.consecutiveFailures || 0,
+            failureThreshold: this.circuitSettings.failureThreshold,
+            openedAt: pollingState?.circuitOpenedAt || null,
+            changedAt: pollingState?.circuitChangedAt || null,
+            nextProbeAt: pollingState ? circuitBreaker.nextProbeAt(circuitBreaker.readCircuit(pollingState), this.circuitSettings.cooldownMs) : null
+          },
+          locks: {
+            poll: lockOf(connector, 'poll', target),
+            bulkImport: lockOf(connector, 'bulk-import', target),
+            reconcile: lockOf(connector, 'reconcile', target)
+          }
+        };
+      })
     };
   }
 
@@ -266,17 +652,75 @@ class ServiceNowPollingService {
    */
   async triggerManualPoll() {
     console.log('🔧 Manual poll triggered');
-    await this.performPoll();
+    await this.performPoll('manual');
   }
 
   /**
-   * Reset polling state (use with caution)
+   * Dry run of a manual poll: reads what the next poll of each target would read, from its
+   * watermark minus the overlap, and reports the planned inserts, updates and mapping errors.
+   * Neither tickets, polling state, watermarks nor poll runs are written, and no lock is taken.
+   * Works whether or not the polling service is running.
+   * @param {Object} options - { connector, connection, table, limit, sampleSize } - limit caps the records read per target
+   * @returns {Object} { success, dryRun, targets, totals }
    */
-  async resetPollingState() {
+  async previewPoll(options = {}) {
+    const { limit, sampleSize } = options;
+    const connectors = options.connector ?
+      [getConnector(options.connector)].filter(Boolean) :
+      this.getEnabledConnectors();
+    if (options.connector && connectors.length === 0) {
+      return { success: false, invalid: true, error: `Unknown connector "${options.connector}"` };
+    }
+
+    const targets = [];
+    const totals = { fetched: 0, inserts: 0, updates: 0, unchanged: 0, errors: 0 };
+    for (const connector of connectors) {
+      const connections = (await connector.getConnections())
+        .filter(connection => !options.connection || connection.key === options.connection);
+
+      for (const connection of connections) {
+        const connectionTargets = connector.listTargets(connection)
+          .filter(target => !options.table || target.table === options.table);
+
+        for (const target of connectionTargets) {
+          const pollingState = await PollingState.findOne({ service: pollingStateKey(connector.name, target.key) }).lean();
+          // Targets never polled start 24 hours back, like their initial state
+          const lastSyncTime = pollingState ? pollingState.lastSyncTime : new Date(Date.now() - 24 * 60 * 60 * 1000);
+          const since = new Date(lastSyncTime.getTime() - connector.pollSettings().overlapSeconds * 1000);
+
+          console.log(`🔎 Dry-run poll of ${target.label} since ${since.toISOString()}`);
+          const result = await previewSince(connector, connection, target, { since, limit, sampleSize });
+          targets.push({ connector: connector.name, connection: connection.key, watermark: lastSyncTime, ...result });
+
+          Object.keys(totals).forEach(key => {
+            totals[key] += result.plan[key];
+          });
+        }
+      }
+    }
+
+    return { success: targets.every(target => target.success), dryRun: true, targets, totals };
+  }
+
+  /**
+   * Reset polling state of one target, or of every target, of a connection (use with caution)
+   * @param {String} table - ServiceNow table or Jira project, every target of the connection when omitted
+   * @param {String} connectionKey - Connection, defaults to the default connection
+   * @param {String} connectorName - Connector, defaults to ServiceNow
+   */
+  async resetPollingState(table, connectionKey = DEFAULT_CONNECTION, connectorName = 'servicenow') {
+    const connector = getConnector(connectorName);
+    if (!connector) {
+      throw new Error(`Unknown connector "${connectorName}"`);
+    }
     const initialTimestamp = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const connection = await connector.getConnection(connectionKey);
+    const targets = connection ?
+      connector.listTargets(connection).filter(target => !table || target.table === table) :
+      [];
     
-    await PollingState.updateOne(
-      { service: 'servicenow' },
+    await PollingState.updateMany(
+      { service: { $in: targets.map(target => pollingStateKey(connector.name, target.key)) } },
       {
         $set: {
           lastSyncTime: initialTimestamp,
@@ -285,20 +729,87 @@ class ServiceNowPollingService {
           successfulPolls: 0,
           failedPolls: 0,
           lastError: null,
-          isActive: true
+          isActive: true,
+          circuitState: circuitBreaker.CLOSED,
+          consecutiveFailures: 0,
+          circuitOpenedAt: null,
+          circuitChangedAt: null,
+          probeStartedAt: null
         }
       }
     );
     
-    console.log('🔄 Polling state reset to 24 hours ago');
+    console.log(`🔄 Polling state of ${connector.name} ${connectionKey} reset to 24 hours ago for ${targets.map(target => target.table).join(', ')}`);
   }
 }
 
+/**
+ * List poll runs, newest first
+ * @param {Object} options - { connector, table, connection, status, ticketId, page, limit }
+ */
+const getPollRuns = async (options = {}) => {
+  try {
+    const { connector, table, connection, status, ticketId, page = 1, limit = 20 } = options;
+    const filter = {};
+    if (connector) filter.connector = connector;
+    if (table) filter.table = table;
+    if (connection) filter.connection = connection;
+    if (status) filter.status = status;
+    // Which runs failed to store a given ticket
+    if (ticketId) filter['failures.ticket_id'] = ticketId;
+
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [runs, totalCount] = await Promise.all([
+      PollRun.find(filter, { failures: 0 })
+        .sort({ startedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      PollRun.countDocuments(filter)
+    ]);
+
+    return {
+      success: true,
+      data: runs,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        limit: limitNum,
+        totalCount
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching poll runs:', error.message);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Get one poll run with its failing tickets
+ */
+const getPollRun = async (id) => {
+  try {
+    const run = await PollRun.findById(id).lean();
+    if (!run) {
+      return { success: false, error: 'Poll run not found', data: null };
+    }
+    return { success: true, data: run };
+  } catch (error) {
+    console.error(`❌ Error fetching poll run ${id}:`, error.message);
+    return { success: false, error: error.message, data: null };
+  }
+};
+
 // Create singleton instance
 const pollingService = new ServiceNowPollingService();
 
 module.exports = {
   ServiceNowPollingService,
   pollingService,
-  PollingState
+  PollingState,
+  pollingStateKey,
+  getPollRuns,
+  getPollRun
 };
@@ -0,0 +1,405 @@
+const cron = require('node-cron');
+const config = require('../config');
+const Ticket = require('../models/Tickets');
+const ReconciliationRun = require('../models/ReconciliationRun');
+const { applyMapping, getTableMapping, getTableFields } = require('./fieldMappingService');
+const { getTableEndpoint, toDisplayRecord } = require('./servicenowClient');
+const { DEFAULT_CONNECTION, connectionKeyOf, resolveConnection, getActiveConnections } = require('./servicenowConnectionService');
+const { withLock, servicenowJobLock } = require('./lockService');
+
+// Ticket fields compared between ServiceNow and MongoDB for the drift report
+const DRIFT_FIELDS = [
+  'short_description',
+  'status',
+  'priority',
+  'category',
+  'subcategory',
+  'assigned_to.id',
+  'assignment_group.id'
+];
+
+const MAX_SAMPLES = 50;
+
+// Connection tables with a reconciliation running in this process, "<connection>:<table>"
+const reconciliationsInProgress = new Set();
+
+const progressKey = (table, connectionKey) => `${connectionKey}:${table}`;
+
+let reconciliationCronJob = null;
+
+/**
+ * Read a dotted path from a document
+ */
+const getPath = (doc, dottedPath) => {
+  return dottedPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+};
+
+/**
+ * Normalize empty values so null, undefined and '' compare equal
+ */
+const normalizeValue = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  return String(value);
+};
+
+/**
+ * Compare one page of remote records with the stored tickets
+ * @returns {Object} { seenIds, unmappedSysIds } stored tickets seen, and sys_ids of the records that could not be mapped
+ */
+const comparePage = async (records, mapping, connectionKey, report) => {
+  const mapped = [];
+  const unmappedSysIds = [];
+  records.forEach(record => {
+    try {
+      mapped.push(applyMapping(record, mapping).ticket);
+    } catch (error) {
+      console.error(`⚠️ Reconciliation could not map record ${record.sys_id}:`, error.message);
+      report.unmappedCount++;
+      if (record.sys_id) {
+        unmappedSysIds.push(record.sys_id);
+      }
+    }
+  });
+
+  const ticketIds = mapped.map(ticket => ticket.ticket_id);
+  const projection = DRIFT_FIELDS.concat(['ticket_id', 'deleted_at_source']).reduce((fields, field) => {
+    fields[field] = 1;
+    return fields;
+  }, {});
+  const localTickets = await Ticket.find(
+    { source: mapping.constants.source, connection_id: connectionKey, ticket_id: { $in: ticketIds } },
+    projection
+  ).lean();
+  const localById = new Map(localTickets.map(ticket => [ticket.ticket_id, ticket]));
+
+  mapped.forEach(remote => {
+    const local = localById.get(remote.ticket_id);
+    if (!local) {
+      report.missingLocally.count++;
+      if (report.missingLocally.samples.length < MAX_SAMPLES) {
+        report.missingLocally.samples.push(remote.ticket_id);
+      }
+      return;
+    }
+
+    report.matchedCount++;
+    let drifted = false;
+    DRIFT_FIELDS.forEach(field => {
+      const localValue = normalizeValue(getPath(local, field));
+      const remoteValue = normalizeValue(getPath(remote, field));
+      if (localValue !== remoteValue) {
+        drifted = true;
+        report.drift.fields[field] = (report.drift.fields[field] || 0) + 1;
+        if (report.drift.samples.length < MAX_SAMPLES) {
+          report.drift.samples.push({ ticket_id: remote.ticket_id, field, local: localValue, remote: remoteValue });
+        }
+      }
+    });
+    if (drifted) {
+      report.drift.count++;
+    }
+  });
+
+  return { seenIds: localTickets.map(ticket => ticket.ticket_id), unmappedSysIds };
+};
+
+/**
+ * Page through the remote sys_id set of a connection table, compare it with the stored
+ * tickets of that connection, soft delete tickets no longer present remotely and record
+ * field drift.
+ */
+const runReconciliation = async (connection, table, options = {}) => {
+  const { trigger = 'scheduled' } = options;
+  const inProgressKey = progressKey(table, connection.key);
+
+  if (reconciliationsInProgress.has(inProgressKey)) {
+    return { success: false, error: `Reconciliation of ${table} (${connection.key}) is already in progress` };
+  }
+
+  reconciliationsInProgress.add(inProgressKey);
+  const startedAt = new Date();
+  const scopeQuery = config.servicenow.reconcileQuery || '';
+  const run = await ReconciliationRun.create({ connection: connection.key, table, trigger, query: scopeQuery, startedAt });
+
+  const report = {
+    pagesFetched: 0,
+    remoteCount: 0,
+    matchedCount: 0,
+    unmappedCount: 0,
+    missingLocally: { count: 0, samples: [] },
+    markedDeleted: { count: 0, samples: [], skippedReason: null },
+    restoredCount: 0,
+    drift: { count: 0, fields: {}, samples: [] }
+  };
+
+  try {
+    console.log(`🧮 Starting reconciliation of ${table} (${connection.key})...`);
+
+    const mapping = getTableMapping(table);
+    const source = mapping.constants.source;
+    const recordType = mapping.constants.record_type;
+    const batchSize = config.servicenow.reconcileBatchSize;
+    let lastSysId = null;
+    let hasMore = true;
+
+    while (hasMore) {
+      // Keyset paging on sys_id stays stable while records change remotely
+      const conditions = [scopeQuery, lastSysId ? `sys_id>${lastSysId}` : ''].filter(Boolean);
+      const params = {
+        sysparm_limit: batchSize,
+        sysparm_query: `${conditions.length > 0 ? `${conditions.join('^')}^` : ''}ORDERBYsys_id`,
+        sysparm_fields: getTableFields(table),
+        sysparm_display_value: 'all',
+        sysparm_no_count: 'true'
+      };
+
+      const response = await connection.client.get(getTableEndpoint(table), { params });
+      const records = ((response.data && response.data.result) || []).map(toDisplayRecord);
+
+      report.pagesFetched++;
+      report.remoteCount += records.length;
+
+      if (records.length > 0) {
+        const { seenIds, unmappedSysIds } = await comparePage(records, mapping, connection.key, report);
+
+        if (seenIds.length > 0) {
+          const restored = await Ticket.updateMany(
+            { source, connection_id: connection.key, ticket_id: { $in: seenIds }, deleted_at_source: { $ne: null } },
+            { $set: { deleted_at_source: null } }
+          );
+          report.restoredCount += restored.modifiedCount || 0;
+
+          await Ticket.updateMany(
+            { source, connection_id: connection.key, ticket_id: { $in: seenIds } },
+            { $set: { reconciled_at: startedAt } }
+          );
+        }
+        // Records that fail to map still exist remotely, their tickets are not deleted
+        if (unmappedSysIds.length > 0) {
+          await Ticket.updateMany(
+            { source, connection_id: connection.key, sys_id: { $in: unmappedSysIds } },
+            { $set: { reconciled_at: startedAt } }
+          );
+        }
+
+        lastSysId = records[records.length - 1].sys_id;
+      }
+
+      hasMore = records.length === batchSize;
+    }
+
+    // Every local ticket not seen during this sweep is gone from ServiceNow (or out of scope).
+    // Tickets created while it ran (polling, webhooks) may sort before the pages it read.
+    const missingFilter = {
+      source,
+      connection_id: connection.key,
+      record_type: recordType,
+      deleted_at_source: null,
+      createdAt: { $lt: startedAt },
+      $or: [
+        { reconciled_at: { $lt: startedAt } },
+        { reconciled_at: { $exists: false } }
+      ]
+    };
+    const missingCount = await Ticket.countDocuments(missingFilter);
+    const localCount = await Ticket.countDocuments({ source, connection_id: connection.key, record_type: recordType, deleted_at_source: null });
+    const maxPercent = config.servicenow.reconcileMaxDeletePercent;
+
+    if (missingCount > 0 && report.remoteCount === 0) {
+      report.markedDeleted.count = missingCount;
+      report.markedDeleted.skippedReason = 'ServiceNow returned no records, not marking any ticket as deleted';
+    } else if (localCount > 0 && (missingCount / localCount) * 100 > maxPercent) {
+      report.markedDeleted.count = missingCount;
+      report.markedDeleted.skippedReason = `${missingCount} of ${localCount} tickets missing exceeds the ${maxPercent}% safety limit`;
+    } else if (missingCount > 0) {
+      const samples = await Ticket.find(missingFilter, { ticket_id: 1 }).limit(MAX_SAMPLES).lean();
+      report.markedDeleted.samples = samples.map(ticket => ticket.ticket_id);
+
+      const marked = await Ticket.updateMany(missingFilter, { $set: { deleted_at_source: startedAt } });
+      report.markedDeleted.count = marked.modifiedCount || 0;
+    }
+
+    if (report.markedDeleted.skippedReason) {
+      console.error(`⚠️ Reconciliation of ${table} (${connection.key}): ${report.markedDeleted.skippedReason}`);
+    }
+
+    const finishedAt = new Date();
+    const saved = await ReconciliationRun.findByIdAndUpdate(
+      run._id,
+      {
+        $set: {
+          ...report,
+          status: 'completed',
+          finishedAt,
+          durationMs: finishedAt - startedAt
+        }
+      },
+      { new: true, lean: true }
+    );
+
+    console.log(`✅ Reconciliation of ${table} (${connection.key}) completed:`);
+    console.log(`   - Remote records: ${report.remoteCount}`);
+    console.log(`   - Missing locally: ${report.missingLocally.count}`);
+    console.log(`   - Not mappable: ${report.unmappedCount}`);
+    console.log(`   - Marked deleted at source: ${report.markedDeleted.skippedReason ? 0 : report.markedDeleted.count}`);
+    console.log(`   - Restored: ${report.restoredCount}`);
+    console.log(`   - Tickets with drift: ${report.drift.count}`);
+
+    return { success: true, data: saved };
+  } catch (error) {
+    console.error(`❌ Reconciliation of ${table} (${connection.key}) failed:`, error.message);
+
+    const finishedAt = new Date();
+    await ReconciliationRun.findByIdAndUpdate(run._id, {
+      $set: {
+        ...report,
+        status: 'failed',
+        error: error.message,
+        finishedAt,
+        durationMs: finishedAt - startedAt
+      }
+    }).catch(saveError => console.error('❌ Error saving reconciliation run:', saveError.message));
+
+    return { success: false, error: error.message };
+  } finally {
+    reconciliationsInProgress.delete(inProgressKey);
+  }
+};
+
+/**
+ * Reconcile one table of a connection under its lease lock, so only one replica sweeps it
+ * @param {String} table - ServiceNow table name
+ * @param {Object} options - { trigger: 'scheduled' | 'manual', connection: context or key }
+ * @returns {Object} Result object with the reconciliation report
+ */
+const reconcileTable = async (table = 'incident', options = {}) => {
+  const connectionKey = connectionKeyOf(options.connection);
+  const locked = await withLock(servicenowJobLock('reconcile', table, connectionKey), async () => {
+    const connection = await resolveConnection(options.connection);
+    return runReconciliation(connection, table, options);
+  });
+
+  if (!locked.acquired) {
+    return { success: false, lockedElsewhere: true, error: `Reconciliation of ${table} (${connectionKey}) is running on another instance` };
+  }
+  return locked.result;
+};
+
+/**
+ * Reconcile every table of a connection, or of every active connection when none is
+ * given, one after another
+ * @returns {Object} Results by table ("<connection>:<table>" outside the default connection)
+ */
+const reconcileAllTables = async (options = {}) => {
+  const results = {};
+  const connections = options.connection ?
+    [await resolveConnection(options.connection)] :
+    await getActiveConnections();
+
+  for (const connection of connections) {
+    for (const table of connection.tables) {
+      const resultKey = connection.key === DEFAULT_CONNECTION ? table : `${connection.key}:${table}`;
+      results[resultKey] = await reconcileTable(table, { ...options, connection });
+    }
+  }
+  return results;
+};
+
+/**
+ * List reconciliation reports, newest first
+ * @param {Object} options - { table, connection, page, limit }
+ */
+const getReconciliationRuns = async (options = {}) => {
+  try {
+    const { table, connection, page = 1, limit = 20 } = options;
+    const filter = {};
+    if (table) filter.table = table;
+    if (connection) filter.connection = connection;
+    const pageNum = Math.max(parseInt(page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+
+    const [runs, totalCount] = await Promise.all([
+      ReconciliationRun.find(filter)
+        .sort({ startedAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      ReconciliationRun.countDocuments(filter)
+    ]);
+
+    return {
+      success: true,
+      data: runs,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        limit: limitNum,
+        totalCount
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error fetching reconciliation runs:', error.message);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+/**
+ * Get one reconciliation report
+ */
+const getReconciliationRun = async (id) => {
+  try {
+    const run = await ReconciliationRun.findById(id).lean();
+    if (!run) {
+      return { success: false, error: 'Reconciliation run not found', data: null };
+    }
+    return { success: true, data: run };
+  } catch (error) {
+    console.error(`❌ Error fetching reconciliation run ${id}:`, error.message);
+    return { success: false, error: error.message, data: null };
+  }
+};
+
+/**
+ * Schedule the reconciliation sweep with SERVICENOW_RECONCILE_INTERVAL
+ */
+const startReconciliationSchedule = () => {
+  if (reconciliationCronJob) {
+    console.log('⚠️ Reconciliation schedule is already running');
+    return;
+  }
+
+  const interval = config.servicenow.reconcileInterval;
+  console.log(`⏰ Scheduling ServiceNow reconciliation with interval: ${interval}`);
+
+  reconciliationCronJob = cron.schedule(interval, async () => {
+    await reconcileAllTables({ trigger: 'scheduled' });
+  }, {
+    scheduled: false,
+    timezone: 'UTC'
+  });
+  reconciliationCronJob.start();
+};
+
+const stopReconciliationSchedule = () => {
+  if (reconciliationCronJob) {
+    reconciliationCronJob.stop();
+    reconciliationCronJob = null;
+    console.log('⏹️ ServiceNow reconciliation schedule stopped');
+  }
+};
+
+const isReconciliationRunning = (table, connectionKey = DEFAULT_CONNECTION) => (
+  reconciliationsInProgress.has(progressKey(table, connectionKey))
+);
+
+module.exports = {
+  reconcileTable,
+  reconcileAllTables,
+  getReconciliationRuns,
+  getReconciliationRun,
+  startReconciliationSchedule,
+  stopReconciliationSchedule,
+  isReconciliationRunning
+};
@@ -0,0 +1,158 @@
+// Statuses worth retrying: throttling and transient upstream failures
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+// Network errors worth retrying
+const RETRYABLE_CODES = new Set(['ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ERR_NETWORK']);
+// Methods safe to send again after a transient failure. A throttled (429) request was not
+// processed, so it is retried whatever its method.
+const IDEMPOTENT_METHODS = new Set(['get', 'head', 'options']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Delay requested by a Retry-After header (seconds or HTTP date), in milliseconds
+ */
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+};
+
+/**
+ * Exponential backoff with full jitter
+ */
+const backoffDelay = (attempt, baseDelay, maxDelay) => {
+  const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, attempt));
+  return Math.round(Math.random() * ceiling);
+};
+
+/**
+ * Requests-per-second budget shared by every request of a client. A throttle halves the
+ * rate and pauses all requests for the Retry-After delay; successful responses bring the
+ * rate back up to the configured budget. A budget of 0 disables spacing (throttle pauses
+ * still apply).
+ */
+const createRateLimiter = (maxRequestsPerSecond) => {
+  const minRate = maxRequestsPerSecond > 0 ? Math.min(1, maxRequestsPerSecond) : 0;
+  let currentRate = maxRequestsPerSecond;
+  let nextSlotAt = 0;
+  let pausedUntil = 0;
+
+  return {
+    // Wait for a request slot, resolves with the time waited in milliseconds
+    acquire: async () => {
+      const now = Date.now();
+      const startAt = Math.max(now, pausedUntil, currentRate > 0 ? nextSlotAt : 0);
+      if (currentRate > 0) {
+        nextSlotAt = startAt + 1000 / currentRate;
+      }
+      const wait = Math.round(startAt - now);
+      if (wait > 0) {
+        await sleep(wait);
+      }
+      return wait;
+    },
+
+    onThrottle: (delayMs) => {
+      pausedUntil = Math.max(pausedUntil, Date.now() + delayMs);
+      if (currentRate > 0) {
+        currentRate = Math.max(minRate, currentRate / 2);
+      }
+    },
+
+    onSuccess: () => {
+      if (currentRate > 0 && currentRate < maxRequestsPerSecond) {
+        currentRate = Math.min(maxRequestsPerSecond, currentRate + maxRequestsPerSecond * 0.05);
+      }
+    },
+
+    getRate: () => currentRate
+  };
+};
+
+/**
+ * Apply the request policy to an axios instance: every request waits for the rate
+ * limiter, and transient failures (429, 5xx, network errors) are retried with
+ * exponential backoff and jitter, honouring Retry-After. Counters are exposed
+ * through client.getRequestStats().
+ * @param {Object} client - axios instance
+ * @param {Object} settings - { maxRequestsPerSecond, maxRetries, retryDelay, retryMaxDelay }
+ */
+const applyRequestPolicy = (client, settings) => {
+  const { maxRequestsPerSecond = 0, maxRetries = 4, retryDelay = 1000, retryMaxDelay = 60000 } = settings;
+  const limiter = createRateLimiter(maxRequestsPerSecond);
+  const stats = {
+    requests: 0,
+    retries: 0,
+    throttled: 0,
+    transientErrors: 0,
+    gaveUp: 0,
+    rateLimitWaits: 0,
+    rateLimitWaitMs: 0,
+    lastThrottleAt: null,
+    lastRetryAt: null
+  };
+
+  client.interceptors.request.use(async (requestConfig) => {
+    const waited = await limiter.acquire();
+    if (waited > 0) {
+      stats.rateLimitWaits++;
+      stats.rateLimitWaitMs += waited;
+    }
+    stats.requests++;
+    return requestConfig;
+  });
+
+  client.interceptors.response.use((response) => {
+    limiter.onSuccess();
+    return response;
+  }, async (error) => {
+    const requestConfig = error.config;
+    const status = error.response && error.response.status;
+    const throttled = status === 429;
+    const transient = error.response ? RETRYABLE_STATUSES.has(status) : RETRYABLE_CODES.has(error.code);
+
+    if (!requestConfig || !transient) {
+      throw error;
+    }
+
+    stats.transientErrors++;
+    const retryAfter = error.response ? parseRetryAfter(error.response.headers && error.response.headers['retry-after']) : null;
+    const attempt = requestConfig._retryCount || 0;
+    const delay = retryAfter !== null ? Math.min(retryAfter, retryMaxDelay) : backoffDelay(attempt, retryDelay, retryMaxDelay);
+
+    if (throttled) {
+      stats.throttled++;
+      stats.lastThrottleAt = new Date();
+      limiter.onThrottle(delay);
+    }
+
+    const method = (requestConfig.method || 'get').toLowerCase();
+    if (attempt >= maxRetries || (!throttled && !IDEMPOTENT_METHODS.has(method))) {
+      stats.gaveUp++;
+      throw error;
+    }
+
+    console.log(`🔁 ServiceNow ${method.toUpperCase()} ${requestConfig.url} failed (${status || error.code}), retry ${attempt + 1}/${maxRetries} in ${delay}ms`);
+
+    stats.retries++;
+    stats.lastRetryAt = new Date();
+    requestConfig._retryCount = attempt + 1;
+    await sleep(delay);
+    return client.request(requestConfig);
+  });
+
+  client.getRequestStats = () => ({ ...stats, currentRequestsPerSecond: limiter.getRate() });
+  return client;
+};
+
+module.exports = {
+  applyRequestPolicy,
+  createRateLimiter,
+  parseRetryAfter
+};
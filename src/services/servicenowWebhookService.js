@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const config = require('../config');
+const { saveTickets } = require('./servicenowIngestionService');
+const { getTableFields } = require('./fieldMappingService');
+const { getTableEndpoint, toDisplayRecord } = require('./servicenowClient');
+
+// Records read back per Table API request
+const READ_BATCH_SIZE = 100;
+
+const SYS_ID_PATTERN = /^[0-9a-f]{32}$/;
+
+/**
+ * Verify the HMAC-SHA256 signature of a webhook against the shared secret. The signed
+ * string is the timestamp header, a dot and the raw body, so a captured delivery cannot
+ * be replayed under a new timestamp. The signature header holds the hex digest,
+ * optionally prefixed with "sha256=".
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {String} signature - Value of the signature header
+ * @param {String} timestamp - Value of the timestamp header
+ * @param {String} secret - Webhook secret of the connection (default: SERVICENOW_WEBHOOK_SECRET)
+ * @returns {Boolean} Whether the signature is valid
+ */
+const verifySignature = (rawBody, signature, timestamp, secret = config.servicenow.webhookSecret) => {
+  if (!secret || !rawBody || !signature || !timestamp) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(rawBody).digest('hex');
+  const received = String(signature).replace(/^sha256=/i, '').trim().toLowerCase();
+
+  const expectedBuffer = Buffer.from(expected, 'utf8');
+  const receivedBuffer = Buffer.from(received, 'utf8');
+  if (expectedBuffer.length !== receivedBuffer.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(expectedBuffer, receivedBuffer);
+};
+
+/**
+ * Whether the timestamp header of a delivery (unix seconds) lies within the tolerance of
+ * now, in either direction for clock skew
+ * @param {String} timestamp - Value of the timestamp header
+ * @param {Object} options - { now, toleranceSeconds }
+ */
+const isFreshTimestamp = (timestamp, options = {}) => {
+  const { now = new Date(), toleranceSeconds = config.servicenow.webhookToleranceSeconds } = options;
+  if (!/^\d{1,12}$/.test(String(timestamp || ''))) {
+    return false;
+  }
+  return Math.abs(now.getTime() / 1000 - Number(timestamp)) <= toleranceSeconds;
+};
+
+/**
+ * sys_id of a payload record, sent as a value or as a { value, display_value } pair
+ */
+const sysIdOf = (record) => {
+  const sysId = record && record.sys_id;
+  return sysId && typeof sysId === 'object' ? sysId.value : sysId;
+};
+
+/**
+ * Normalize the accepted payload shapes to { table, sysIds }:
+ *   { table, record: {...} }
+ *   { table, records: [...] }
+ *   { ...record, sys_class_name }   (plain Business Rule payload)
+ * @param {Object} body - Parsed webhook body
+ * @param {Array} tables - Tables ingested from the connection
+ */
+const normalizePayload = (body, tables) => {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw new Error('Payload must be a JSON object');
+  }
+
+  let table = body.table || body.sys_class_name;
+  let records;
+
+  if (Array.isArray(body.records)) {
+    records = body.records;
+  } else if (body.record && typeof body.record === 'object') {
+    records = [body.record];
+    table = table || body.record.sys_class_name;
+  } else {
+    records = [body];
+  }
+
+  if (!table) {
+    throw new Error('Payload must name its table ("table" or "sys_class_name")');
+  }
+  if (!tables.includes(table)) {
+    throw new Error(`Table "${table}" is not enabled for ingestion`);
+  }
+  if (records.length === 0) {
+    throw new Error('Payload contains no records');
+  }
+
+  const sysIds = records.map(sysIdOf);
+  const invalid = sysIds.findIndex(sysId => typeof sysId !== 'string' || !SYS_ID_PATTERN.test(sysId));
+  if (invalid !== -1) {
+    throw new Error(`Record ${invalid} has no valid sys_id`);
+  }
+
+  return { table, sysIds: Array.from(new Set(sysIds)) };
+};
+
+/**
+ * Read records by sys_id the way polling does, so they are stored as display values
+ * whatever representation the Business Rule sent
+ * @param {Object} connection - Connection context
+ * @param {String} table - ServiceNow table
+ * @param {Array} sysIds - sys_ids of the records
+ * @returns {Array} Records still present in ServiceNow
+ */
+const readRecords = async (connection, table, sysIds) => {
+  const records = [];
+  for (let start = 0; start < sysIds.length; start += READ_BATCH_SIZE) {
+    const batch = sysIds.slice(start, start + READ_BATCH_SIZE);
+    const response = await connection.client.get(getTableEndpoint(table), {
+      params: {
+        sysparm_limit: batch.length,
+        sysparm_query: `sys_idIN${batch.join(',')}`,
+        sysparm_fields: getTableFields(table),
+        sysparm_display_value: 'all',
+        sysparm_no_count: 'true'
+      }
+    });
+    records.push(...((response.data && response.data.result) || []).map(toDisplayRecord));
+  }
+  return records;
+};
+
+/**
+ * Upsert the records a webhook payload names through the same mapping and payload-hash
+ * idempotency as polling, as tickets of the connection it was sent to. The payload only
+ * says which records changed: they are read back from ServiceNow, as a Business Rule
+ * sends raw values ("2" for "In Progress") where polling stores display values.
+ * @param {Object} body - Parsed webhook body
+ * @param {Object} connection - Connection context the webhook was delivered for
+ * @returns {Object} Result object with database counts
+ */
+const processWebhookPayload = async (body, connection) => {
+  let payload;
+  try {
+    payload = normalizePayload(body, connection.tables);
+  } catch (error) {
+    return { success: false, invalid: true, error: error.message };
+  }
+
+  const { table, sysIds } = payload;
+  let records;
+  try {
+    records = await readRecords(connection, table, sysIds);
+  } catch (error) {
+    console.error(`❌ Error reading the ${table} records of a ServiceNow webhook:`, error.message);
+    return { success: false, upstream: true, error: `Could not read the records from ServiceNow: ${error.message}` };
+  }
+
+  try {
+    const { savedCount, updatedCount, unchangedCount, errorCount } = records.length > 0 ?
+      await saveTickets(records, table, connection) :
+      { savedCount: 0, updatedCount: 0, unchangedCount: 0, errorCount: 0 };
+    // Deleted before they could be read, the reconciliation sweep marks their tickets
+    const missing = sysIds.length - records.length;
+
+    console.log(`📨 ServiceNow webhook processed for ${table} (${connection.key}): ${savedCount} new, ${updatedCount} updated, ${unchangedCount} unchanged, ${errorCount} errors, ${missing} missing`);
+
+    return {
+      success: true,
+      connection: connection.key,
+      table,
+      total: sysIds.length,
+      missing,
+      database: {
+        saved: savedCount,
+        updated: updatedCount,
+        unchanged: unchangedCount,
+        errors: errorCount
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error processing ServiceNow webhook:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  verifySignature,
+  isFreshTimestamp,
+  processWebhookPayload
+};
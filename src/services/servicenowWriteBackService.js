@@ -0,0 +1,326 @@
+const Ticket = require('../models/Tickets');
+const TicketWriteBack = require('../models/TicketWriteBack');
+const { saveTickets } = require('./servicenowIngestionService');
+const { getTableFields } = require('./fieldMappingService');
+const { syncJournalEntries } = require('./servicenowJournalService');
+const { getTableEndpoint, getTableForRecordType, toDisplayRecord } = require('./servicenowClient');
+const { DEFAULT_CONNECTION, getConnection } = require('./servicenowConnectionService');
+const { getConnectorForSource } = require('./connectors');
+const { storeConnectorRecords } = require('./connectors/connectorSync');
+
+// Fields agents may change from the app, request key -> ServiceNow field
+const WRITABLE_FIELDS = {
+  state: 'state',
+  assignment_group: 'assignment_group',
+  assigned_to: 'assigned_to',
+  priority: 'priority',
+  work_notes: 'work_notes',
+  comments: 'comments'
+};
+
+/**
+ * Translate request keys to ServiceNow fields, dropping anything not writable
+ */
+const buildChanges = (updates) => {
+  return Object.keys(WRITABLE_FIELDS).reduce((changes, key) => {
+    if (updates[key] !== undefined) {
+      changes[WRITABLE_FIELDS[key]] = updates[key];
+    }
+    return changes;
+  }, {});
+};
+
+/**
+ * Record the outcome of a write-back in the audit trail
+ */
+const recordWriteBack = async (entry) => {
+  try {
+    return await TicketWriteBack.create(entry);
+  } catch (error) {
+    console.error(`❌ Error recording write-back audit for ${entry.ticket_id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Error message of a failed source API call: ServiceNow error object, Jira error messages
+ */
+const describeError = (error) => {
+  const data = error.response && error.response.data;
+  if (data && data.error) {
+    return data.error.message || JSON.stringify(data.error);
+  }
+  if (data && (data.errorMessages || data.errors)) {
+    return [].concat(data.errorMessages || [], Object.values(data.errors || {})).join('; ') || error.message;
+  }
+  return error.message;
+};
+
+/**
+ * Write ticket changes back through the connector of a non-ServiceNow source, see
+ * ./connectors. Conflicts are detected by comparing the update time of the record at the
+ * source with the version the change was based on.
+ */
+const writeBackThroughConnector = async (connector, ticket, changes, updates, userId) => {
+  const unsupported = Object.keys(changes).filter(field => !(connector.writableFields || []).includes(field));
+  if (!connector.writeBack || unsupported.length > 0) {
+    return {
+      success: false,
+      invalid: true,
+      error: connector.writeBack ?
+        `${connector.source} tickets cannot change ${unsupported.join(', ')}. Writable fields: ${connector.writableFields.join(', ')}` :
+        `${connector.source} tickets cannot be updated`
+    };
+  }
+
+  const connection = await connector.getConnection(ticket.connection_id);
+  if (!connection) {
+    return { success: false, invalid: true, error: `${connector.source} connection "${ticket.connection_id}" is unknown or disabled` };
+  }
+
+  const target = connector.targetOf(ticket);
+  // The caller may pin the version it displayed, otherwise the stored one is used
+  const expectedUpdatedAt = updates.updated_at ? new Date(updates.updated_at) : connector.getUpdatedAt(ticket.raw);
+  const audit = {
+    ticket_id: ticket.ticket_id,
+    source: ticket.source,
+    connection_id: ticket.connection_id,
+    table: target.table,
+    sys_id: ticket.sys_id,
+    requested_by: userId,
+    changes,
+    expected_sys_updated_on: expectedUpdatedAt ? expectedUpdatedAt.toISOString() : undefined
+  };
+
+  try {
+    const current = await connector.fetchOne(connection, target, ticket.ticket_id);
+    if (!current) {
+      await recordWriteBack({ ...audit, status: 'failed', error: `Ticket no longer exists in ${connector.source}` });
+      return { success: false, upstream: true, error: `Ticket no longer exists in ${connector.source}` };
+    }
+
+    const remoteUpdatedAt = connector.getUpdatedAt(current);
+    if (expectedUpdatedAt && remoteUpdatedAt && remoteUpdatedAt.getTime() !== expectedUpdatedAt.getTime()) {
+      console.log(`⚠️ Write-back conflict on ${ticket.ticket_id}: expected ${audit.expected_sys_updated_on}, found ${remoteUpdatedAt.toISOString()}`);
+      const entry = await recordWriteBack({ ...audit, status: 'conflict', remote_sys_updated_on: remoteUpdatedAt.toISOString() });
+      return {
+        success: false,
+        conflict: true,
+        error: `Ticket was modified in ${connector.source} since it was last synced`,
+        data: {
+          expected_updated_at: audit.expected_sys_updated_on,
+          remote_updated_at: remoteUpdatedAt.toISOString(),
+          writeBackId: entry && entry._id
+        }
+      };
+    }
+
+    await connector.writeBack(ticket, changes, connection);
+
+    // Store the record as it is now through the regular ingestion path
+    const record = await connector.fetchOne(connection, target, ticket.ticket_id);
+    if (record) {
+      await storeConnectorRecords(connector, ticket.connection_id, target, [record]);
+    }
+    const updatedAt = record && connector.getUpdatedAt(record);
+
+    const entry = await recordWriteBack({
+      ...audit,
+      status: 'success',
+      remote_sys_updated_on: updatedAt ? updatedAt.toISOString() : undefined
+    });
+
+    console.log(`✅ Wrote back ${Object.keys(changes).join(', ')} on ${ticket.ticket_id} to ${connector.source}`);
+
+    const updatedTicket = await Ticket.findOne({ ticket_id: ticket.ticket_id, source: ticket.source, connection_id: ticket.connection_id }).lean();
+    return {
+      success: true,
+      message: `Ticket updated in ${connector.source}`,
+      data: {
+        ticket: updatedTicket,
+        writeBackId: entry && entry._id
+      }
+    };
+  } catch (error) {
+    const status = error.response && error.response.status;
+    const detail = describeError(error);
+
+    console.error(`❌ Write-back of ${ticket.ticket_id} failed:`, detail);
+    await recordWriteBack({ ...audit, status: 'failed', error: detail, response_status: status });
+
+    return { success: false, upstream: true, error: detail, status };
+  }
+};
+
+/**
+ * PATCH ticket changes to the ServiceNow Table API and store the updated record locally.
+ * Conflicts are detected by comparing the record's current sys_updated_on with the
+ * version the change was based on.
+ * @param {String} ticketId - Ticket number
+ * Tickets of other sources are written through their connector.
+ * @param {Object} updates - { state, assignment_group, assigned_to, priority, work_notes, comments, sys_updated_on, updated_at }
+ * @param {Object} options - { userId, source, connection } - source ("ServiceNow") and connection ("default") the ticket was ingested from
+ * @returns {Object} Result object
+ */
+const writeBackTicket = async (ticketId, updates = {}, options = {}) => {
+  const { userId, source = 'ServiceNow', connection: connectionKey = DEFAULT_CONNECTION } = options;
+  const changes = buildChanges(updates);
+
+  if (Object.keys(changes).length === 0) {
+    return {
+      success: false,
+      invalid: true,
+      error: `Nothing to update. Writable fields: ${Object.keys(WRITABLE_FIELDS).join(', ')}`
+    };
+  }
+
+  const ticket = await Ticket.findOne({ ticket_id: ticketId, source, connection_id: connectionKey }).lean();
+  if (!ticket) {
+    return { success: false, notFound: true, error: 'Ticket not found' };
+  }
+
+  if (source !== 'ServiceNow') {
+    const connector = getConnectorForSource(source);
+    if (!connector) {
+      return { success: false, invalid: true, error: `${source} tickets cannot be updated` };
+    }
+    return writeBackThroughConnector(connector, ticket, changes, updates, userId);
+  }
+
+  // Written to the instance the ticket was ingested from
+  const connection = await getConnection(ticket.connection_id);
+  if (!connection) {
+    return { success: false, invalid: true, error: `ServiceNow connection "${ticket.connection_id}" is unknown or disabled` };
+  }
+
+  const table = getTableForRecordType(ticket.record_type);
+  const sysId = ticket.sys_id || (ticket.raw && ticket.raw.sys_id);
+  // The caller may pin the version it displayed, otherwise the stored one is used
+  const expectedUpdatedOn = updates.sys_updated_on || (ticket.raw && ticket.raw.sys_updated_on);
+  const audit = {
+    ticket_id: ticketId,
+    source: ticket.source,
+    connection_id: ticket.connection_id,
+    table,
+    sys_id: sysId,
+    requested_by: userId,
+    changes,
+    expected_sys_updated_on: expectedUpdatedOn
+  };
+
+  if (!sysId) {
+    await recordWriteBack({ ...audit, status: 'failed', error: 'Ticket has no ServiceNow sys_id' });
+    return { success: false, error: 'Ticket has no ServiceNow sys_id' };
+  }
+
+  const recordEndpoint = `${getTableEndpoint(table)}/${sysId}`;
+
+  try {
+    // Optimistic concurrency: refuse to overwrite a record changed since our copy
+    const current = await connection.client.get(recordEndpoint, {
+      params: { sysparm_fields: 'sys_updated_on', sysparm_display_value: 'all' }
+    });
+    const remote = current.data.result && current.data.result.sys_updated_on;
+    const remoteUpdatedOn = remote && remote.value;
+
+    // Copies synced before sys_updated_on was read raw hold its display value
+    if (expectedUpdatedOn && remoteUpdatedOn && expectedUpdatedOn !== remoteUpdatedOn && expectedUpdatedOn !== remote.display_value) {
+      console.log(`⚠️ Write-back conflict on ${ticketId}: expected ${expectedUpdatedOn}, found ${remoteUpdatedOn}`);
+      const entry = await recordWriteBack({ ...audit, status: 'conflict', remote_sys_updated_on: remoteUpdatedOn });
+      return {
+        success: false,
+        conflict: true,
+        error: 'Ticket was modified in ServiceNow since it was last synced',
+        data: {
+          expected_sys_updated_on: expectedUpdatedOn,
+          remote_sys_updated_on: remoteUpdatedOn,
+          writeBackId: entry && entry._id
+        }
+      };
+    }
+
+    const response = await connection.client.patch(recordEndpoint, changes, {
+      params: {
+        sysparm_fields: getTableFields(table),
+        sysparm_display_value: 'all',
+        sysparm_input_display_value: 'true'
+      }
+    });
+    const record = toDisplayRecord(response.data.result);
+
+    // Store the record ServiceNow returned through the regular ingestion path
+    await saveTickets([record], table, connection);
+    if (changes.work_notes || changes.comments) {
+      await syncJournalEntries([record], table, connection);
+    }
+
+    const entry = await recordWriteBack({
+      ...audit,
+      status: 'success',
+      remote_sys_updated_on: record.sys_updated_on,
+      response_status: response.status
+    });
+
+    console.log(`✅ Wrote back ${Object.keys(changes).join(', ')} on ${ticketId} to ServiceNow`);
+
+    const updatedTicket = await Ticket.findOne({ ticket_id: ticketId, source: ticket.source, connection_id: ticket.connection_id }).lean();
+    return {
+      success: true,
+      message: 'Ticket updated in ServiceNow',
+      data: {
+        ticket: updatedTicket,
+        writeBackId: entry && entry._id
+      }
+    };
+  } catch (error) {
+    const status = error.response && error.response.status;
+    const detail = describeError(error);
+
+    console.error(`❌ Write-back of ${ticketId} failed:`, detail);
+    await recordWriteBack({ ...audit, status: 'failed', error: detail, response_status: status });
+
+    return { success: false, upstream: true, error: detail, status };
+  }
+};
+
+/**
+ * Audit trail of write-backs for a ticket, newest first
+ * @param {String} ticketId - Ticket number
+ * @param {Object} options - { source, connection, page, limit }
+ */
+const getWriteBackHistory = async (ticketId, options = {}) => {
+  try {
+    const pageNum = Math.max(parseInt(options.page) || 1, 1);
+    const limitNum = Math.min(Math.max(parseInt(options.limit) || 20, 1), 100);
+    const filter = { ticket_id: ticketId, source: options.source || 'ServiceNow', connection_id: options.connection || DEFAULT_CONNECTION };
+
+    const [entries, totalCount] = await Promise.all([
+      TicketWriteBack.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((pageNum - 1) * limitNum)
+        .limit(limitNum)
+        .lean(),
+      TicketWriteBack.countDocuments(filter)
+    ]);
+
+    return {
+      success: true,
+      data: entries,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(totalCount / limitNum),
+        limit: limitNum,
+        totalCount
+      }
+    };
+  } catch (error) {
+    console.error(`❌ Error fetching write-back history for ${ticketId}:`, error.message);
+    return { success: false, error: error.message, data: [] };
+  }
+};
+
+module.exports = {
+  WRITABLE_FIELDS,
+  writeBackTicket,
+  getWriteBackHistory
+};
@@ -0,0 +1,339 @@
+const config = require('../config');
+const Ticket = require('../models/Tickets');
+const { buildTicketFilter } = require('./ticketsService');
+const { escapeRegex } = require('./ticketSearch');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_BUCKETS = 1000;
+const INTERVALS = ['day', 'week', 'month'];
+
+// Resolution time of a ticket: resolved, or closed for records that skip resolution
+const RESOLVED_AT = { $ifNull: ['$resolved_time', '$closed_time'] };
+const RESOLUTION_HOURS = { $divide: [{ $subtract: [RESOLVED_AT, '$opened_time'] }, HOUR_MS] };
+
+/**
+ * Round a number to one decimal, keeping null
+ */
+const round = (value) => (value === null || value === undefined ? null : Math.round(value * 10) / 10);
+
+/**
+ * Percentage of part in total, null when there is nothing to compare with
+ */
+const percentage = (part, total) => (total > 0 ? round((part / total) * 100) : null);
+
+/**
+ * Date range and ticket filter of an analytics request
+ * @param {Object} options - { from, to, source, recordType, connection, filterExpression }
+ * @returns {Object} { success, from, to, match } or { success: false, invalid: true, error, position }
+ */
+const buildAnalyticsScope = (options = {}) => {
+  const { from, to, source, recordType, connection, filterExpression } = options;
+
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+    return { success: false, invalid: true, error: 'from and to must be ISO 8601 dates' };
+  }
+  if (start >= end) {
+    return { success: false, invalid: true, error: 'from must be before to' };
+  }
+
+  const built = buildTicketFilter({ source, recordType, connection, filterExpression });
+  if (!built.success) {
+    return built;
+  }
+  return { success: true, from: start, to: end, match: { ...built.filter, opened_time: { $ne: null } } };
+};
+
+/**
+ * Start of the bucket a date falls in, in UTC, like $dateTrunc (weeks start on Monday)
+ */
+const truncateDate = (date, interval) => {
+  const truncated = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), interval === 'month' ? 1 : date.getUTCDate()));
+  if (interval === 'week') {
+    truncated.setUTCDate(truncated.getUTCDate() - ((truncated.getUTCDay() + 6) % 7));
+  }
+  return truncated;
+};
+
+/**
+ * Start of the bucket following one
+ */
+const nextBucket = (date, interval) => {
+  const next = new Date(date.getTime());
+  if (interval === 'month') {
+    next.setUTCMonth(next.getUTCMonth() + 1);
+  } else {
+    next.setUTCDate(next.getUTCDate() + (interval === 'week' ? 7 : 1));
+  }
+  return next;
+};
+
+/**
+ * Created, resolved and backlog counts per time bucket. The backlog of a bucket is the
+ * number of tickets opened and not yet resolved at its end.
+ * @param {Object} options - Scope options (see buildAnalyticsScope) and { interval }: day, week or month
+ * @returns {Object} Result object with { interval, from, to, startingBacklog, series }
+ */
+const getTicketTrend = async (options = {}) => {
+  try {
+    const { interval = 'day' } = options;
+    if (!INTERVALS.includes(interval)) {
+      return { success: false, invalid: true, error: `interval must be one of ${INTERVALS.join(', ')}` };
+    }
+    const scope = buildAnalyticsScope(options);
+    if (!scope.success) {
+      return scope;
+    }
+    const { from, to, match } = scope;
+
+    const buckets = [];
+    for (let bucket = truncateDate(from, interval); bucket < to; bucket = nextBucket(bucket, interval)) {
+      if (buckets.length === MAX_BUCKETS) {
+        return { success: false, invalid: true, error: `The range holds more than ${MAX_BUCKETS} ${interval} buckets, use a longer interval` };
+      }
+      buckets.push(bucket);
+    }
+    const rangeStart = buckets[0];
+
+    const bucketOf = (field) => ({
+      $dateTrunc: { date: field, unit: interval, ...(interval === 'week' ? { startOfWeek: 'monday' } : {}) }
+    });
+
+    const [result] = await Ticket.aggregate([
+      { $match: match },
+      { $project: { opened_time: 1, resolved_at: RESOLVED_AT } },
+      {
+        $facet: {
+          backlog: [
+            { $match: { opened_time: { $lt: rangeStart }, $or: [{ resolved_at: null }, { resolved_at: { $gte: rangeStart } }] } },
+            { $count: 'count' }
+          ],
+          created: [
+            { $match: { opened_time: { $gte: rangeStart, $lt: to } } },
+            { $group: { _id: bucketOf('$opened_time'), count: { $sum: 1 } } }
+          ],
+          resolved: [
+            { $match: { resolved_at: { $gte: rangeStart, $lt: to } } },
+            { $group: { _id: bucketOf('$resolved_at'), count: { $sum: 1 } } }
+          ]
+        }
+      }
+    ]);
+
+    const countsByBucket = (groups) => new Map(groups.map(group => [new Date(group._id).getTime(), group.count]));
+    const created = countsByBucket(result.created);
+    const resolved = countsByBucket(result.resolved);
+    const startingBacklog = result.backlog.length > 0 ? result.backlog[0].count : 0;
+
+    let backlog = startingBacklog;
+    const series = buckets.map(bucket => {
+      const bucketCreated = created.get(bucket.getTime()) || 0;
+      const bucketResolved = resolved.get(bucket.getTime()) || 0;
+      backlog += bucketCreated - bucketResolved;
+      return { bucket, created: bucketCreated, resolved: bucketResolved, backlog };
+    });
+
+    return { success: true, data: { interval, from: rangeStart, to, startingBacklog, series } };
+  } catch (error) {
+    console.error('❌ Error calculating ticket trend:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Resolution statistics of one grouping: tickets resolved, mean and median hours to
+ * resolve, and how many of them were reopened
+ */
+const resolutionStages = (groupKey) => [
+  {
+    $group: {
+      _id: groupKey,
+      resolved: { $sum: 1 },
+      meanHours: { $avg: '$hours' },
+      medianHours: { $median: { input: '$hours', method: 'approximate' } },
+      reopened: { $sum: { $cond: [{ $gt: ['$reopen_count', 0] }, 1, 0] } }
+    }
+  },
+  { $sort: { resolved: -1, _id: 1 } }
+];
+
+/**
+ * Shape a resolution statistics group for the response
+ */
+const formatResolution = ({ _id, resolved, meanHours, medianHours, reopened }) => ({
+  key: _id,
+  resolved,
+  meanHours: round(meanHours),
+  medianHours: round(medianHours),
+  reopened,
+  reopenRate: percentage(reopened, resolved)
+});
+
+/**
+ * Time to resolve and reopen rates of the tickets resolved in a date range, overall, by
+ * priority and by assignment group
+ * @param {Object} options - Scope options, see buildAnalyticsScope
+ * @returns {Object} Result object with { from, to, overall, byPriority, byAssignmentGroup }
+ */
+const getResolutionStats = async (options = {}) => {
+  try {
+    const scope = buildAnalyticsScope(options);
+    if (!scope.success) {
+      return scope;
+    }
+    const { from, to, match } = scope;
+
+    const range = { $gte: from, $lt: to };
+    const [result] = await Ticket.aggregate([
+      // Resolved in the range, by resolved_time or by closed_time when never resolved
+      { $match: { ...match, $or: [{ resolved_time: range }, { resolved_time: null, closed_time: range }] } },
+      {
+        $project: {
+          priority: 1,
+          assignment_group: '$assignment_group.id',
+          reopen_count: 1,
+          // Clock skew at the source can put resolution before opening
+          hours: { $max: [RESOLUTION_HOURS, 0] }
+        }
+      },
+      {
+        $facet: {
+          overall: resolutionStages(null),
+          byPriority: resolutionStages('$priority'),
+          byAssignmentGroup: resolutionStages('$assignment_group')
+        }
+      }
+    ]);
+
+    const overall = result.overall.length > 0
+      ? formatResolution(result.overall[0])
+      : formatResolution({ _id: null, resolved: 0, meanHours: null, medianHours: null, reopened: 0 });
+    delete overall.key;
+
+    return {
+      success: true,
+      data: {
+        from,
+        to,
+        overall,
+        byPriority: result.byPriority.map(formatResolution),
+        byAssignmentGroup: result.byAssignmentGroup.map(formatResolution)
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error calculating resolution statistics:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Expression of the SLA target (hours) of a ticket's priority, null without a target.
+ * "1" matches the priorities "1" and "1 - Critical", not "10".
+ */
+const slaTargetExpression = (targets) => {
+  const branches = Object.entries(targets).map(([priority, hours]) => ({
+    case: {
+      $regexMatch: {
+        input: { $ifNull: ['$priority', ''] },
+        regex: `^${escapeRegex(priority)}(?![A-Za-z0-9])`,
+        options: 'i'
+      }
+    },
+    then: hours
+  }));
+  return branches.length > 0 ? { $switch: { branches, default: null } } : { $literal: null };
+};
+
+/**
+ * SLA compliance of the tickets opened in a date range against the resolution targets
+ * of TICKET_SLA_TARGETS. A ticket is met when resolved within its target, breached when
+ * resolved later or still open past it, and pending while open within it.
+ * @param {Object} options - Scope options, see buildAnalyticsScope
+ * @returns {Object} Result object with { from, to, targets, overall, byPriority }
+ */
+const getSlaStats = async (options = {}) => {
+  try {
+    const scope = buildAnalyticsScope(options);
+    if (!scope.success) {
+      return scope;
+    }
+    const { from, to, match } = scope;
+    const targets = config.analytics.slaTargets;
+    const now = new Date();
+
+    const outcome = {
+      $switch: {
+        branches: [
+          { case: { $eq: ['$target_hours', null] }, then: 'no_target' },
+          { case: { $ne: ['$resolved_at', null] }, then: { $cond: [{ $lte: ['$hours', '$target_hours'] }, 'met', 'breached'] } },
+          { case: { $gt: ['$hours', '$target_hours'] }, then: 'breached' }
+        ],
+        default: 'pending'
+      }
+    };
+
+    const counts = {
+      total: { $sum: 1 },
+      met: { $sum: { $cond: [{ $eq: ['$outcome', 'met'] }, 1, 0] } },
+      breached: { $sum: { $cond: [{ $eq: ['$outcome', 'breached'] }, 1, 0] } },
+      pending: { $sum: { $cond: [{ $eq: ['$outcome', 'pending'] }, 1, 0] } },
+      noTarget: { $sum: { $cond: [{ $eq: ['$outcome', 'no_target'] }, 1, 0] } }
+    };
+
+    const [result] = await Ticket.aggregate([
+      { $match: { ...match, opened_time: { $gte: from, $lt: to } } },
+      {
+        $project: {
+          priority: 1,
+          resolved_at: RESOLVED_AT,
+          target_hours: slaTargetExpression(targets),
+          // Open tickets are measured up to now
+          hours: { $divide: [{ $subtract: [{ $ifNull: [RESOLVED_AT, now] }, '$opened_time'] }, HOUR_MS] }
+        }
+      },
+      { $addFields: { outcome } },
+      {
+        $facet: {
+          overall: [{ $group: { _id: null, ...counts } }],
+          byPriority: [
+            { $group: { _id: '$priority', targetHours: { $first: '$target_hours' }, ...counts } },
+            { $sort: { _id: 1 } }
+          ]
+        }
+      }
+    ]);
+
+    const formatSla = ({ total, met, breached, pending, noTarget }) => ({
+      total,
+      met,
+      breached,
+      pending,
+      noTarget,
+      // Pending tickets may still go either way and are left out of the rate
+      breachRate: percentage(breached, met + breached)
+    });
+
+    return {
+      success: true,
+      data: {
+        from,
+        to,
+        targets,
+        overall: formatSla(result.overall[0] || { total: 0, met: 0, breached: 0, pending: 0, noTarget: 0 }),
+        byPriority: result.byPriority.map(group => ({ priority: group._id, targetHours: group.targetHours, ...formatSla(group) }))
+      }
+    };
+  } catch (error) {
+    console.error('❌ Error calculating SLA statistics:', error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  getTicketTrend,
+  getResolutionStats,
+  getSlaStats
+};
@@ -0,0 +1,90 @@
+/**
+ * Cursor (keyset) pagination of ticket listings. A cursor is an opaque token holding the
+ * sort field, the sort order and the sort key and _id of a ticket; the next page is the
+ * tickets sorted after it, so pages neither slow down with depth nor shift when tickets
+ * are inserted meanwhile.
+ */
+const mongoose = require('mongoose');
+
+// Fields ticket listings can be sorted by, in cursor and offset mode, with the type of their values
+const CURSOR_SORT_FIELDS = {
+  opened_time: 'date',
+  closed_time: 'date',
+  resolved_time: 'date',
+  createdAt: 'date',
+  updatedAt: 'date',
+  ticket_id: 'string',
+  status: 'string',
+  priority: 'string',
+  category: 'string',
+  record_type: 'string'
+};
+
+/**
+ * Error of a cursor request, answered with 400
+ */
+const invalidCursor = (error) => ({ success: false, invalid: true, error });
+
+/**
+ * Opaque token of the position of a ticket in a sort
+ */
+const encodeCursor = (ticket, sortBy, sortOrder) => {
+  const value = ticket[sortBy] === undefined ? null : ticket[sortBy];
+  return Buffer.from(JSON.stringify({
+    s: sortBy,
+    o: sortOrder,
+    v: value instanceof Date ? value.toISOString() : value,
+    id: String(ticket._id)
+  })).toString('base64url');
+};
+
+/**
+ * Position of a cursor token, checked against the sort of the request
+ * @returns {Object} { success, value, id } or an invalid result
+ */
+const decodeCursor = (token, sortBy, sortOrder) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    return invalidCursor('Malformed cursor');
+  }
+  if (!cursor || typeof cursor !== 'object' || !mongoose.Types.ObjectId.isValid(cursor.id) || !('v' in cursor)) {
+    return invalidCursor('Malformed cursor');
+  }
+  if (cursor.s !== sortBy || cursor.o !== sortOrder) {
+    return invalidCursor(`Cursor was issued for sortBy=${cursor.s}&sortOrder=${cursor.o}, not sortBy=${sortBy}&sortOrder=${sortOrder}`);
+  }
+
+  let value = cursor.v;
+  if (value !== null && CURSOR_SORT_FIELDS[sortBy] === 'date') {
+    value = new Date(value);
+    if (Number.isNaN(value.getTime())) {
+      return invalidCursor('Malformed cursor');
+    }
+  }
+  return { success: true, value, id: new mongoose.Types.ObjectId(cursor.id) };
+};
+
+/**
+ * Condition selecting the tickets sorted strictly after (forward) or before a position.
+ * Missing values sort before any other value in MongoDB, which $gt/$lt do not express.
+ * @param {String} sortBy - Sort field
+ * @param {Number} direction - 1 for tickets with greater sort keys, -1 for smaller ones
+ * @param {Object} position - { value, id } from decodeCursor
+ */
+const keysetCondition = (sortBy, direction, { value, id }) => {
+  const beyond = direction === 1
+    ? (value === null ? { [sortBy]: { $ne: null } } : { [sortBy]: { $gt: value } })
+    : (value === null ? null : { $or: [{ [sortBy]: { $lt: value } }, { [sortBy]: null }] });
+  const tie = { [sortBy]: value, _id: { [direction === 1 ? '$gt' : '$lt']: id } };
+
+  return beyond ? { $or: [beyond, tie] } : tie;
+};
+
+module.exports = {
+  CURSOR_SORT_FIELDS,
+  encodeCursor,
+  decodeCursor,
+  keysetCondition
+};
@@ -0,0 +1,305 @@
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const config = require('../config');
+const Ticket = require('../models/Tickets');
+const TicketExport = require('../models/TicketExport');
+const S3Service = require('./s3Service');
+const { buildTicketFilter } = require('./ticketsService');
+const { fieldTypeOf } = require('./ticketFilter');
+
+const s3Service = new S3Service();
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const DEFAULT_COLUMNS = [
+  'ticket_id', 'source', 'connection_id', 'record_type', 'short_description', 'status', 'priority',
+  'category', 'subcategory', 'requester.id', 'assigned_to.id', 'assignment_group.id',
+  'opened_time', 'resolved_time', 'closed_time'
+];
+
+// Excel rejects longer cell texts
+const XLSX_MAX_CELL_LENGTH = 32767;
+// Rows between progress updates of an async export
+const PROGRESS_INTERVAL = 5000;
+// A running async export without progress for this long was interrupted (restart, crash)
+const STALE_EXPORT_MS = 10 * 60 * 1000;
+
+/**
+ * Value at a dotted path of a ticket ("assigned_to.id")
+ */
+const valueAt = (ticket, path) => path.split('.').reduce((value, key) => (
+  value === null || value === undefined ? undefined : value[key]
+), ticket);
+
+/**
+ * Cell of a value in a spreadsheet row: dates stay dates for XLSX, arrays are joined
+ * and objects serialized
+ */
+const toCell = (value, format) => {
+  if (value === null || value === undefined) {
+    return format === 'csv' ? '' : null;
+  }
+  if (value instanceof Date) {
+    return format === 'xlsx' ? value : value.toISOString();
+  }
+  if (Array.isArray(value)) {
+    value = value.join('; ');
+  }
+  const cell = typeof value === 'object' ? JSON.stringify(value) : value;
+  return format === 'xlsx' && typeof cell === 'string' ? cell.slice(0, XLSX_MAX_CELL_LENGTH) : cell;
+};
+
+/**
+ * CSV field, quoted when needed. Text starting like a formula is prefixed with a quote so
+ * spreadsheet applications show it instead of evaluating it.
+ */
+const toCsvField = (value) => {
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write to a stream, waiting for it to drain when its buffer is full
+ */
+const writeChunk = (stream, chunk) => {
+  // A destroyed stream neither drains nor closes again
+  if (stream.destroyed) {
+    return Promise.reject(new Error('Export stream was closed'));
+  }
+  if (stream.write(chunk)) {
+    return Promise.resolve();
+  }
+  return new Promise(resolve => {
+    const done = () => {
+      stream.off('drain', done);
+      stream.off('close', done);
+      resolve();
+    };
+    stream.on('drain', done);
+    stream.on('close', done);
+  });
+};
+
+/**
+ * Validate the parameters of an export: format, columns and the listing filters of GET /tickets
+ * @param {Object} options - { format, columns, limit, sortBy, sortOrder, ...listing filters }
+ * @returns {Object} { success, format, columns, filter, sort, limit } or { success: false, invalid: true, error, position }
+ */
+const prepareExport = (options = {}) => {
+  const { format = 'csv', columns, limit, sortBy, sortOrder = 'desc' } = options;
+
+  if (!EXPORT_FORMATS[format]) {
+    return { success: false, invalid: true, error: `format must be one of ${Object.keys(EXPORT_FORMATS).join(', ')}` };
+  }
+
+  const selected = columns
+    ? Array.from(new Set(String(columns).split(',').map(column => column.trim()).filter(Boolean)))
+    : DEFAULT_COLUMNS;
+  const unknown = selected.filter(column => !fieldTypeOf(column));
+  if (selected.length === 0 || unknown.length > 0) {
+    return { success: false, invalid: true, error: `Unknown columns: ${unknown.join(', ') || '(none selected)'}` };
+  }
+  if (sortBy && !fieldTypeOf(sortBy)) {
+    return { success: false, invalid: true, error: `Unknown sortBy field "${sortBy}"` };
+  }
+
+  const built = buildTicketFilter(options);
+  if (!built.success) {
+    return built;
+  }
+
+  // Same order as the listing: relevance for searches without sortBy, _id breaks ties
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const sort = built.search && !sortBy
+    ? { score: { $meta: 'textScore' }, _id: 1 }
+    : { [sortBy || 'opened_time']: direction, _id: direction };
+
+  return {
+    success: true,
+    format,
+    columns: selected,
+    filter: built.filter,
+    sort,
+    limit: parseInt(limit) > 0 ? parseInt(limit) : null
+  };
+};
+
+/**
+ * Stream the tickets of a prepared export into a writable stream, row by row from a
+ * MongoDB cursor, and end the stream
+ * @param {Object} stream - Writable stream (HTTP response, upload body)
+ * @param {Object} prepared - Result of prepareExport
+ * @param {Object} options - { onProgress(rowCount) } called every PROGRESS_INTERVAL rows
+ * @returns {Number} Rows written
+ */
+const writeTicketExport = async (stream, prepared, options = {}) => {
+  const { format, columns, filter, sort, limit } = prepared;
+  const { onProgress } = options;
+
+  const projection = Object.fromEntries(columns.map(column => [column, 1]));
+  let query = Ticket.find(filter, { ...projection, _id: 0 }).sort(sort).lean().allowDiskUse(true);
+  if (limit) {
+    query = query.limit(limit);
+  }
+  const cursor = query.cursor({ batchSize: 1000 });
+
+  let workbook = null;
+  let worksheet = null;
+  if (format === 'xlsx') {
+    workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream, useStyles: false, useSharedStrings: false });
+    worksheet = workbook.addWorksheet('Tickets');
+    worksheet.addRow(columns).commit();
+  } else if (format === 'csv') {
+    await writeChunk(stream, `${columns.map(toCsvField).join(',')}\r\n`);
+  }
+
+  let rowCount = 0;
+  try {
+    for await (const ticket of cursor) {
+      if (stream.destroyed) {
+        throw new Error('Export stream was closed');
+      }
+
+      if (format === 'ndjson') {
+        const row = Object.fromEntries(columns.map(column => {
+          const value = valueAt(ticket, column);
+          return [column, value === undefined ? null : value];
+        }));
+        await writeChunk(stream, `${JSON.stringify(row)}\n`);
+      } else if (format === 'csv') {
+        await writeChunk(stream, `${columns.map(column => toCsvField(toCell(valueAt(ticket, column), format))).join(',')}\r\n`);
+      } else {
+        worksheet.addRow(columns.map(column => toCell(valueAt(ticket, column), format))).commit();
+      }
+
+      rowCount++;
+      if (onProgress && rowCount % PROGRESS_INTERVAL === 0) {
+        await onProgress(rowCount);
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  if (workbook) {
+    worksheet.commit();
+    await workbook.commit();
+  } else {
+    stream.end();
+  }
+  return rowCount;
+};
+
+/**
+ * File name of an export
+ */
+const exportFileName = (format, date = new Date()) => (
+  `tickets-${date.toISOString().replace(/[:.]/g, '-')}.${EXPORT_FORMATS[format].extension}`
+);
+
+/**
+ * Run an async export: stream it into object storage and record the outcome
+ */
+const runAsyncExport = async (exportDoc, prepared) => {
+  const key = `${config.ticketExport.prefix.replace(/\/$/, '')}/${exportDoc._id}/${exportFileName(prepared.format, exportDoc.createdAt)}`;
+  const body = new PassThrough();
+  const upload = s3Service.uploadFile(body, key, EXPORT_FORMATS[prepared.format].contentType);
+  // A failed upload stops the export, which would otherwise wait forever for the body to drain
+  let uploadError = null;
+  upload.catch(error => {
+    uploadError = error;
+    body.destroy();
+  });
+
+  try {
+    const rowCount = await writeTicketExport(body, prepared, {
+      onProgress: rows => TicketExport.updateOne({ _id: exportDoc._id }, { $set: { row_count: rows } })
+    });
+    await upload;
+
+    await TicketExport.updateOne({ _id: exportDoc._id }, {
+      $set: { status: 'completed', row_count: rowCount, s3_key: key, completed_at: new Date() }
+    });
+    console.log(`✅ Ticket export ${exportDoc._id} completed: ${rowCount} rows written to ${key}`);
+  } catch (error) {
+    body.destroy();
+    const failure = uploadError || error;
+    console.error(`❌ Ticket export ${exportDoc._id} failed:`, failure.message);
+    await TicketExport.updateOne({ _id: exportDoc._id }, {
+      $set: { status: 'failed', error: failure.message, completed_at: new Date() }
+    });
+  }
+};
+
+/**
+ * Start an export in the background, written to object storage
+ * @param {Object} prepared - Result of prepareExport
+ * @param {Object} options - { userId, parameters } requester and request parameters, recorded on the export
+ * @returns {Object} The export record
+ */
+const startAsyncExport = async (prepared, options = {}) => {
+  const { userId, parameters = {} } = options;
+  const exportDoc = await TicketExport.create({
+    format: prepared.format,
+    columns: prepared.columns,
+    parameters,
+    requested_by: userId
+  });
+
+  runAsyncExport(exportDoc, prepared).catch(error => {
+    console.error(`❌ Error recording ticket export ${exportDoc._id}:`, error.message);
+  });
+  return exportDoc.toObject();
+};
+
+/**
+ * Status of an async export, with a presigned download link once completed
+ * @param {String} exportId - Export id
+ * @param {String} userId - Requesting user, exports are only visible to whoever started them
+ * @returns {Object} Result object with the export
+ */
+const getTicketExport = async (exportId, userId) => {
+  try {
+    const exportDoc = mongoose.isValidObjectId(exportId)
+      ? await TicketExport.findById(exportId).lean()
+      : null;
+    if (!exportDoc || (exportDoc.requested_by && exportDoc.requested_by !== userId)) {
+      return { success: false, notFound: true, error: 'Export not found' };
+    }
+
+    if (exportDoc.status === 'running' && Date.now() - new Date(exportDoc.updatedAt).getTime() > STALE_EXPORT_MS) {
+      const error = 'Export was interrupted';
+      await TicketExport.updateOne({ _id: exportDoc._id, status: 'running' }, {
+        $set: { status: 'failed', error, completed_at: new Date() }
+      });
+      Object.assign(exportDoc, { status: 'failed', error });
+    }
+
+    const data = { ...exportDoc };
+    if (exportDoc.status === 'completed') {
+      const presigned = await s3Service.generatePresignedUrl(exportDoc.s3_key, 'getObject', config.ticketExport.urlExpiresIn);
+      data.download = { url: presigned.url, expiresIn: presigned.expiresIn };
+    }
+    return { success: true, data };
+  } catch (error) {
+    console.error(`❌ Error fetching ticket export ${exportId}:`, error.message);
+    return { success: false, error: error.message };
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  prepareExport,
+  writeTicketExport,
+  exportFileName,
+  startAsyncExport,
+  getTicketExport
+};
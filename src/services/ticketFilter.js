@@ -0,0 +1,403 @@
+/**
+ * Ticket filter expressions (GET /tickets?filter=), compiled into a MongoDB query:
+ *
+ *   priority in ("1 - Critical", "2 - High") AND opened_time >= -7d AND assignment_group.id = X AND NOT tags:noise
+ *
+ * Choice fields hold ServiceNow display values ("1 - Critical"): a bare number matches the
+ * choice it starts, so "priority in (1, 2)" is the same as the list above.
+ *
+ *   expression := or
+ *   or         := and ( OR and )*
+ *   and        := unary ( AND unary )*
+ *   unary      := NOT unary | '(' or ')' | comparison
+ *   comparison := field ( = | != | > | >= | < | <= | : | ~ ) value
+ *               | field [NOT] IN '(' value ( ',' value )* ')'
+ *
+ * Only the fields of FILTER_FIELDS can be queried and values are always compared as
+ * literals, so an expression cannot reach operators or regular expressions of its own.
+ */
+const { escapeRegex } = require('./ticketSearch');
+
+const MAX_EXPRESSION_LENGTH = 2000;
+const MAX_CONDITIONS = 50;
+const MAX_LIST_VALUES = 100;
+const MAX_DEPTH = 10;
+
+// Queryable ticket fields by type
+const FILTER_FIELDS = {
+  ticket_id: 'string',
+  source: 'string',
+  connection_id: 'string',
+  record_type: 'string',
+  sys_id: 'string',
+  short_description: 'string',
+  description: 'string',
+  category: 'string',
+  subcategory: 'string',
+  status: 'string',
+  priority: 'choice',
+  impact: 'choice',
+  urgency: 'choice',
+  'requester.id': 'string',
+  'assigned_to.id': 'string',
+  'assignment_group.id': 'string',
+  'company.id': 'string',
+  'location.id': 'string',
+  tags: 'array',
+  reopen_count: 'number',
+  opened_time: 'date',
+  closed_time: 'date',
+  resolved_time: 'date',
+  deleted_at_source: 'date',
+  reconciled_at: 'date',
+  createdAt: 'date',
+  updatedAt: 'date'
+};
+
+// Operators allowed on each field type; ":" is "has" for tags and "equals" elsewhere
+const OPERATORS = {
+  string: ['=', '!=', '>', '>=', '<', '<=', ':', '~', 'in'],
+  choice: ['=', '!=', '>', '>=', '<', '<=', ':', '~', 'in'],
+  array: ['=', '!=', ':', '~', 'in'],
+  date: ['=', '!=', '>', '>=', '<', '<=', 'in'],
+  number: ['=', '!=', '>', '>=', '<', '<=', 'in'],
+  mixed: ['=', '!=', '>', '>=', '<', '<=', ':', '~', 'in']
+};
+
+const COMPARISONS = { '>': '$gt', '>=': '$gte', '<': '$lt', '<=': '$lte' };
+
+// Relative dates ("-7d") count back from now in these units
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+const KEYWORDS = ['and', 'or', 'not', 'in', 'null', 'true', 'false'];
+
+/**
+ * Error of an expression at a character position
+ */
+const syntaxError = (message, position) => Object.assign(new Error(`${message} at position ${position}`), { position });
+
+/**
+ * Split an expression into tokens { type, value, position }: punctuation, operators,
+ * quoted strings and words (field names, keywords, bare values)
+ */
+const tokenize = (expression) => {
+  const tokens = [];
+  let index = 0;
+
+  while (index < expression.length) {
+    const character = expression[index];
+
+    if (/\s/.test(character)) {
+      index++;
+      continue;
+    }
+    if ('(),'.includes(character)) {
+      tokens.push({ type: character, value: character, position: index });
+      index++;
+      continue;
+    }
+
+    const operator = ['>=', '<=', '!=', '=', '>', '<', ':', '~'].find(candidate => expression.startsWith(candidate, index));
+    if (operator) {
+      tokens.push({ type: 'operator', value: operator, position: index });
+      index += operator.length;
+      continue;
+    }
+
+    if (character === '"' || character === "'") {
+      let value = '';
+      let cursor = index + 1;
+      while (cursor < expression.length && expression[cursor] !== character) {
+        // Backslash escapes the next character
+        if (expression[cursor] === '\\' && cursor + 1 < expression.length) {
+          cursor++;
+        }
+        value += expression[cursor];
+        cursor++;
+      }
+      if (cursor >= expression.length) {
+        throw syntaxError('Unterminated string', index);
+      }
+      tokens.push({ type: 'string', value, position: index });
+      index = cursor + 1;
+      continue;
+    }
+
+    const word = expression.slice(index).match(/^[\p{L}\p{N}_.@+\-/]+/u);
+    if (!word) {
+      throw syntaxError(`Unexpected character "${character}"`, index);
+    }
+    const lowered = word[0].toLowerCase();
+    tokens.push(KEYWORDS.includes(lowered)
+      ? { type: lowered, value: word[0], position: index }
+      : { type: 'word', value: word[0], position: index });
+    index += word[0].length;
+  }
+
+  tokens.push({ type: 'end', value: 'end of filter', position: expression.length });
+  return tokens;
+};
+
+/**
+ * Field type of a field name, custom_fields.<name> is untyped
+ */
+const fieldTypeOf = (field) => {
+  if (Object.prototype.hasOwnProperty.call(FILTER_FIELDS, field)) {
+    return FILTER_FIELDS[field];
+  }
+  return /^custom_fields\.[A-Za-z0-9_]+$/.test(field) ? 'mixed' : null;
+};
+
+/**
+ * Date of a value: ISO 8601, "now" or a duration relative to now ("-7d", "+2h")
+ */
+const parseDateValue = (token, now) => {
+  const relative = String(token.value).match(/^([+-]?)(\d+)([mhdw])$/);
+  if (token.type === 'word' && relative) {
+    const offset = parseInt(relative[2]) * DURATION_UNITS[relative[3]];
+    return new Date(now.getTime() + (relative[1] === '+' ? offset : -offset));
+  }
+  if (token.type === 'word' && token.value.toLowerCase() === 'now') {
+    return new Date(now.getTime());
+  }
+  const date = /^\d{4}-\d{2}-\d{2}/.test(token.value) ? new Date(token.value) : null;
+  if (!date || Number.isNaN(date.getTime())) {
+    throw syntaxError(`Invalid date "${token.value}", expected an ISO 8601 date, "now" or a relative date like -7d`, token.position);
+  }
+  return date;
+};
+
+/**
+ * Value of a token for a field type
+ */
+const convertValue = (token, type, now) => {
+  if (token.type === 'null') {
+    return null;
+  }
+  if (type === 'date') {
+    return parseDateValue(token, now);
+  }
+  if (type === 'number') {
+    if (!/^-?\d+(\.\d+)?$/.test(token.value)) {
+      throw syntaxError(`Invalid number "${token.value}"`, token.position);
+    }
+    return Number(token.value);
+  }
+  if (type === 'mixed') {
+    if (token.type === 'true' || token.type === 'false') {
+      return token.type === 'true';
+    }
+    if (token.type === 'word' && /^-?\d+(\.\d+)?$/.test(token.value)) {
+      return Number(token.value);
+    }
+  }
+  return String(token.value);
+};
+
+/**
+ * Equality value of a choice field: a bare number ("1") matches the display value it
+ * starts ("1 - Critical", not "10 - Planning"), anything else the exact text
+ */
+const choiceValue = (token, value) => {
+  if (token.type !== 'word' || !/^\d+$/.test(token.value)) {
+    return value;
+  }
+  return new RegExp(`^${escapeRegex(token.value)}(?![A-Za-z0-9])`);
+};
+
+/**
+ * Recursive descent parser over the tokens of an expression
+ */
+class FilterParser {
+  constructor(tokens, now) {
+    this.tokens = tokens;
+    this.index = 0;
+    this.now = now;
+    this.conditions = 0;
+    this.depth = 0;
+  }
+
+  peek() {
+    return this.tokens[this.index];
+  }
+
+  next() {
+    return this.tokens[this.index++];
+  }
+
+  expect(type, description) {
+    const token = this.next();
+    if (token.type !== type) {
+      throw syntaxError(`Expected ${description} but found "${token.value}"`, token.position);
+    }
+    return token;
+  }
+
+  parseExpression() {
+    const query = this.parseOr();
+    const token = this.peek();
+    if (token.type !== 'end') {
+      throw syntaxError(`Expected AND, OR or end of filter but found "${token.value}"`, token.position);
+    }
+    return query;
+  }
+
+  parseOr() {
+    const clauses = [this.parseAnd()];
+    while (this.peek().type === 'or') {
+      this.next();
+      clauses.push(this.parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { $or: clauses };
+  }
+
+  parseAnd() {
+    const clauses = [this.parseUnary()];
+    while (this.peek().type === 'and') {
+      this.next();
+      clauses.push(this.parseUnary());
+    }
+    return clauses.length === 1 ? clauses[0] : { $and: clauses };
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (++this.depth > MAX_DEPTH) {
+      throw syntaxError(`Filter is nested more than ${MAX_DEPTH} levels deep`, token.position);
+    }
+
+    let query;
+    if (token.type === 'not') {
+      this.next();
+      query = { $nor: [this.parseUnary()] };
+    } else if (token.type === '(') {
+      this.next();
+      query = this.parseOr();
+      this.expect(')', '")"');
+    } else {
+      query = this.parseComparison();
+    }
+
+    this.depth--;
+    return query;
+  }
+
+  parseComparison() {
+    const fieldToken = this.next();
+    if (fieldToken.type !== 'word') {
+      throw syntaxError(`Expected a field name but found "${fieldToken.value}"`, fieldToken.position);
+    }
+    const field = fieldToken.value;
+    const type = fieldTypeOf(field);
+    if (!type) {
+      throw syntaxError(`Unknown field "${field}"`, fieldToken.position);
+    }
+    if (++this.conditions > MAX_CONDITIONS) {
+      throw syntaxError(`Filter has more than ${MAX_CONDITIONS} conditions`, fieldToken.position);
+    }
+
+    let operatorToken = this.next();
+    let negated = false;
+    if (operatorToken.type === 'not' && this.peek().type === 'in') {
+      negated = true;
+      operatorToken = this.next();
+    }
+    const operator = operatorToken.type === 'in' ? 'in' : operatorToken.value;
+    if (operatorToken.type !== 'operator' && operatorToken.type !== 'in') {
+      throw syntaxError(`Expected an operator after "${field}" but found "${operatorToken.value}"`, operatorToken.position);
+    }
+    if (!OPERATORS[type].includes(operator)) {
+      throw syntaxError(`Operator "${operatorToken.value}" is not supported on ${type} field "${field}"`, operatorToken.position);
+    }
+
+    if (operator === 'in') {
+      const values = this.parseList(type);
+      return { [field]: { [negated ? '$nin' : '$in']: values } };
+    }
+
+    const valueToken = this.parseValueToken();
+    const value = convertValue(valueToken, type, this.now);
+
+    if (type === 'choice' && ['=', ':', '!='].includes(operator)) {
+      const match = choiceValue(valueToken, value);
+      if (match instanceof RegExp) {
+        // $ne takes no regular expression
+        return operator === '!=' ? { [field]: { $not: match } } : { [field]: match };
+      }
+    }
+
+    if (operator === '~') {
+      if (value === null) {
+        throw syntaxError('"~" needs a text value', valueToken.position);
+      }
+      return { [field]: { $regex: escapeRegex(value), $options: 'i' } };
+    }
+    if (COMPARISONS[operator]) {
+      if (value === null) {
+        throw syntaxError(`"${operator}" cannot compare with null`, valueToken.position);
+      }
+      return { [field]: { [COMPARISONS[operator]]: value } };
+    }
+    return operator === '!=' ? { [field]: { $ne: value } } : { [field]: value };
+  }
+
+  parseList(type) {
+    this.expect('(', '"(" after IN');
+    const values = [];
+    for (;;) {
+      const token = this.parseValueToken();
+      if (values.length === MAX_LIST_VALUES) {
+        throw syntaxError(`IN lists take at most ${MAX_LIST_VALUES} values`, token.position);
+      }
+      const value = convertValue(token, type, this.now);
+      values.push(type === 'choice' ? choiceValue(token, value) : value);
+      if (this.peek().type !== ',') {
+        break;
+      }
+      this.next();
+    }
+    this.expect(')', '"," or ")"');
+    return values;
+  }
+
+  parseValueToken() {
+    const token = this.next();
+    if (!['word', 'string', 'null', 'true', 'false'].includes(token.type)) {
+      throw syntaxError(`Expected a value but found "${token.value}"`, token.position);
+    }
+    return token;
+  }
+}
+
+/**
+ * Compile a filter expression into a MongoDB query on the tickets collection
+ * @param {String} expression - Filter expression, see the grammar above
+ * @param {Object} options - { now } reference time of relative dates (default: current time)
+ * @returns {Object} { success, filter } or { success: false, invalid: true, error, position }
+ */
+const parseTicketFilter = (expression, options = {}) => {
+  const { now = new Date() } = options;
+  const text = String(expression || '');
+
+  try {
+    if (!text.trim()) {
+      throw syntaxError('Filter is empty', 0);
+    }
+    if (text.length > MAX_EXPRESSION_LENGTH) {
+      throw syntaxError(`Filter is longer than ${MAX_EXPRESSION_LENGTH} characters`, MAX_EXPRESSION_LENGTH);
+    }
+    const parser = new FilterParser(tokenize(text), now);
+    return { success: true, filter: parser.parseExpression() };
+  } catch (error) {
+    if (error.position === undefined) {
+      throw error;
+    }
+    return { success: false, invalid: true, error: error.message, position: error.position };
+  }
+};
+
+module.exports = {
+  FILTER_FIELDS,
+  fieldTypeOf,
+  parseTicketFilter
+};
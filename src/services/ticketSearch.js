@@ -0,0 +1,142 @@
+/**
+ * Full-text ticket search on the MongoDB text index of the tickets collection (see
+ * models/Tickets.js). The user's query is parsed into terms, "quoted phrases" and
+ * -negations and rebuilt, so nothing else in it reaches $text or a regex unescaped.
+ */
+
+// Ticket fields snippets are taken from, in display order
+const HIGHLIGHT_FIELDS = ['short_description', 'description', 'category', 'subcategory', 'journal_text'];
+// Characters of context kept around the first match of a field
+const SNIPPET_CONTEXT = 60;
+const MAX_SNIPPETS = 3;
+
+// Letters and digits of any script; everything else separates words
+const WORD_CHARACTER = '[\\p{L}\\p{N}_]';
+
+/**
+ * Escape a string for literal use in a regular expression
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Words of a query fragment, without quotes, hyphens or other punctuation
+ */
+const wordsOf = (text) => String(text).match(new RegExp(`${WORD_CHARACTER}+`, 'gu')) || [];
+
+/**
+ * Parse a search query into { terms, phrases, excludedTerms, excludedPhrases }.
+ * `"printer jam"` is a phrase, `-word` and `-"some phrase"` exclude, an unterminated quote
+ * runs to the end of the query.
+ */
+const parseSearchQuery = (query = '') => {
+  const parsed = { terms: [], phrases: [], excludedTerms: [], excludedPhrases: [] };
+  const pattern = /(-?)"([^"]*)"?|(\S+)/g;
+  let match;
+
+  while ((match = pattern.exec(String(query))) !== null) {
+    const [, negation, phrase, token] = match;
+    if (phrase !== undefined) {
+      const words = wordsOf(phrase);
+      if (words.length === 0) continue;
+      if (words.length === 1) {
+        (negation ? parsed.excludedTerms : parsed.terms).push(words[0]);
+      } else {
+        (negation ? parsed.excludedPhrases : parsed.phrases).push(words.join(' '));
+      }
+      continue;
+    }
+
+    const excluded = token.startsWith('-');
+    const words = wordsOf(token);
+    // Punctuated tokens ("e-mail", "10.0.0.1") are searched as phrases of their words
+    if (words.length > 1) {
+      (excluded ? parsed.excludedPhrases : parsed.phrases).push(words.join(' '));
+    } else if (words.length === 1) {
+      (excluded ? parsed.excludedTerms : parsed.terms).push(words[0]);
+    }
+  }
+
+  return parsed;
+};
+
+/**
+ * $text search string of a parsed query, or null when it has nothing to look for:
+ * MongoDB needs at least one term or phrase that is not negated
+ */
+const buildTextSearch = (parsed) => {
+  if (parsed.terms.length === 0 && parsed.phrases.length === 0) {
+    return null;
+  }
+  return [
+    ...parsed.phrases.map(phrase => `"${phrase}"`),
+    ...parsed.terms,
+    ...parsed.excludedPhrases.map(phrase => `-"${phrase}"`),
+    ...parsed.excludedTerms.map(term => `-${term}`)
+  ].join(' ');
+};
+
+/**
+ * Escape text for HTML
+ */
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Highlighted snippets of the fields of a ticket matching a parsed query. Snippets are HTML
+ * escaped with matches wrapped in <mark>. Terms also mark the words they start, since the text
+ * index matches stems ("printer" finds "printers").
+ * @returns {Array} [{ field, snippet }]
+ */
+const highlightTicket = (ticket, parsed) => {
+  const patterns = [
+    ...parsed.phrases.map(phrase => phrase.split(' ').map(escapeRegex).join(`(?:(?!${WORD_CHARACTER}).)+`)),
+    ...parsed.terms.map(term => `${escapeRegex(term)}${WORD_CHARACTER}*`)
+  ];
+  if (patterns.length === 0) {
+    return [];
+  }
+  const matcher = new RegExp(`(?<!${WORD_CHARACTER})(?:${patterns.join('|')})`, 'giu');
+
+  const highlights = [];
+  for (const field of HIGHLIGHT_FIELDS) {
+    const text = ticket[field];
+    if (typeof text !== 'string' || !text) continue;
+
+    matcher.lastIndex = 0;
+    const first = matcher.exec(text);
+    if (!first) continue;
+
+    const start = Math.max(first.index - SNIPPET_CONTEXT, 0);
+    const end = Math.min(first.index + first[0].length + SNIPPET_CONTEXT * 2, text.length);
+    const excerpt = text.slice(start, end);
+
+    let snippet = '';
+    let position = 0;
+    matcher.lastIndex = 0;
+    let match;
+    while ((match = matcher.exec(excerpt)) !== null) {
+      snippet += `${escapeHtml(excerpt.slice(position, match.index))}<mark>${escapeHtml(match[0])}</mark>`;
+      position = match.index + match[0].length;
+    }
+    snippet += escapeHtml(excerpt.slice(position));
+
+    highlights.push({
+      field,
+      snippet: `${start > 0 ? '…' : ''}${snippet.replace(/\s+/g, ' ').trim()}${end < text.length ? '…' : ''}`
+    });
+    if (highlights.length === MAX_SNIPPETS) break;
+  }
+
+  return highlights;
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearchQuery,
+  buildTextSearch,
+  highlightTicket
+};
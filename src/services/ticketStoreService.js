@@ -0,0 +1,345 @@
+const crypto = require('crypto');
+const Ticket = require('../models/Tickets');
+const DeadLetter = require('../models/DeadLetter');
+const { publishTicketEvent } = require('./realtimeService');
+
+/**
+ * Serialize a value with object keys sorted, so equal payloads hash equally
+ */
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+/**
+ * Hash a mapped ticket, raw payload included, to detect unchanged records. Hashing the
+ * mapped document rather than the payload alone means a mapping change rewrites tickets
+ * whose payload did not change.
+ */
+const hashPayload = (payload) => {
+  return crypto.createHash('sha256').update(stableStringify(payload)).digest('hex');
+};
+
+/**
+ * Dead-letter key of a record: its source id (sys_id), or its number when it has none
+ */
+const deadLetterKey = (ticketId, sysId) => sysId || ticketId;
+
+/**
+ * Keep records that failed to map or save, with their payload, for inspection and retry.
+ * A record failing again updates its entry and counts one more attempt.
+ */
+const recordDeadLetters = async (deadLetters, table, source, connectionId) => {
+  if (deadLetters.length === 0) {
+    return;
+  }
+
+  const now = new Date();
+  try {
+    await DeadLetter.bulkWrite(deadLetters.map(letter => ({
+      updateOne: {
+        filter: { source, connection_id: connectionId, table, record_key: deadLetterKey(letter.ticket_id, letter.sys_id) },
+        update: {
+          $set: {
+            ticket_id: letter.ticket_id,
+            sys_id: letter.sys_id,
+            stage: letter.stage,
+            error: letter.error,
+            payload: letter.payload,
+            status: 'pending',
+            lastFailedAt: now,
+            resolvedAt: null,
+            discardedAt: null,
+            discardedBy: null
+          },
+          $inc: { attempts: 1 },
+          $setOnInsert: { firstFailedAt: now }
+        },
+        upsert: true
+      }
+    })), { ordered: false });
+    console.log(`📮 ${deadLetters.length} ${table} records moved to the dead-letter queue`);
+  } catch (error) {
+    // The failures are still reported to the caller
+    console.error(`❌ Error recording dead letters of ${table}:`, error.message);
+  }
+};
+
+/**
+ * Close pending dead letters of records that have now been stored
+ */
+const resolveDeadLetters = async (recordKeys, table, source, connectionId) => {
+  if (recordKeys.length === 0) {
+    return;
+  }
+
+  try {
+    await DeadLetter.updateMany(
+      { source, connection_id: connectionId, table, record_key: { $in: recordKeys }, status: 'pending' },
+      { $set: { status: 'resolved', resolvedAt: new Date(), payload: null } }
+    );
+  } catch (error) {
+    console.error(`❌ Error resolving dead letters of ${table}:`, error.message);
+  }
+};
+
+/**
+ * Announce the tickets a bulkWrite created or modified to realtime clients. Operations only
+ * hold tickets whose payload hash changed and set the new hash, so a matched ticket is
+ * modified unless a concurrent write stored the same version first. bulkWrite does not say
+ * which ones those are: when some were not modified, updates are left to that writer.
+ */
+const publishWrittenTickets = (operations, result, failedIndexes) => {
+  const upsertedIndexes = new Set(Object.keys(result.upsertedIds || {}).map(Number));
+  const matched = operations.filter((operation, index) => !failedIndexes.has(index) && !upsertedIndexes.has(index));
+  const allModified = (result.modifiedCount || 0) >= matched.length;
+
+  operations.forEach((operation, index) => {
+    if (upsertedIndexes.has(index)) {
+      publishTicketEvent('created', operation.updateOne.update.$set);
+    } else if (allModified && !failedIndexes.has(index)) {
+      publishTicketEvent('updated', operation.updateOne.update.$set);
+    }
+  });
+};
+
+/**
+ * Upsert a batch of source records as tickets with a single bulkWrite, whatever the source.
+ * Records whose payload hash matches the stored one are skipped, so unchanged
+ * tickets keep their updatedAt. Records that fail to map or save go to the
+ * dead-letter queue; pending dead letters of records stored now are resolved.
+ * @param {Array} records - Raw source records
+ * @param {Object} options - { source, table, connectionId, mapRecord, identifyRecord, publishEvents }
+ *   mapRecord(record) returns { ticket, warnings }; identifyRecord(record) returns
+ *   { ticket_id, sys_id } of a record that could not be mapped. publishEvents (default
+ *   true) announces created and modified tickets to realtime clients.
+ * @returns {Object} Counts of saved, updated, unchanged and failed tickets
+ */
+const storeTickets = async (records, options) => {
+  const { source, table, connectionId, mapRecord, identifyRecord, publishEvents = true } = options;
+  let errorCount = 0;
+  let unchangedCount = 0;
+  // Tickets that could not be stored, with the reason: { ticket_id, sys_id, reason }
+  const failures = [];
+  const deadLetters = [];
+
+  // Map the page, keeping only the last occurrence of a ticket so the batch
+  // never upserts the same key twice
+  const docsById = new Map();
+  const payloadsById = new Map();
+  for (const record of records) {
+    try {
+      const { ticket: ticketDoc, warnings } = mapRecord(record);
+      if (warnings.length > 0) {
+        console.log(`⚠️ Mapping warnings for ticket ${ticketDoc.ticket_id}: ${warnings.join('; ')}`);
+      }
+      ticketDoc.payload_hash = hashPayload(ticketDoc);
+      ticketDoc.connection_id = connectionId;
+      docsById.set(ticketDoc.ticket_id, ticketDoc);
+      payloadsById.set(ticketDoc.ticket_id, record);
+    } catch (error) {
+      const { ticket_id: ticketId, sys_id: sysId } = identifyRecord(record);
+      console.error(`❌ Error mapping ticket ${ticketId}:`, error.message);
+      failures.push({ ticket_id: ticketId, sys_id: sysId, reason: `Mapping failed: ${error.message}` });
+      deadLetters.push({
+        ticket_id: ticketId,
+        sys_id: sysId,
+        stage: 'mapping',
+        error: error.message,
+        payload: record
+      });
+      errorCount++;
+    }
+  }
+
+  // Records stored by this call, whether written now or already up to date
+  const storedKeys = new Set(
+    Array.from(docsById.values()).map(ticketDoc => deadLetterKey(ticketDoc.ticket_id, ticketDoc.sys_id))
+  );
+  const settle = async (counts) => {
+    await recordDeadLetters(deadLetters, table, source, connectionId);
+    await resolveDeadLetters(Array.from(storedKeys), table, source, connectionId);
+    return { ...counts, unchangedCount, errorCount, failures };
+  };
+
+  if (docsById.size === 0) {
+    return settle({ savedCount: 0, updatedCount: 0 });
+  }
+
+  // One round trip to find the stored hashes for the whole page
+  const existingTickets = await Ticket.find(
+    { source, connection_id: connectionId, ticket_id: { $in: Array.from(docsById.keys()) } },
+    { ticket_id: 1, payload_hash: 1 }
+  ).lean();
+  const storedHashes = new Map(existingTickets.map(ticket => [ticket.ticket_id, ticket.payload_hash]));
+
+  const operations = [];
+  for (const ticketDoc of docsById.values()) {
+    if (storedHashes.get(ticketDoc.ticket_id) === ticketDoc.payload_hash) {
+      unchangedCount++;
+      continue;
+    }
+    operations.push({
+      updateOne: {
+        filter: { ticket_id: ticketDoc.ticket_id, source: ticketDoc.source, connection_id: connectionId },
+        // A record delivered by the source is evidently not deleted there
+        update: { $set: { ...ticketDoc, deleted_at_source: null } },
+        upsert: true
+      }
+    });
+  }
+
+  if (operations.length === 0) {
+    return settle({ savedCount: 0, updatedCount: 0 });
+  }
+
+  let result;
+  const failedIndexes = new Set();
+  try {
+    result = await Ticket.bulkWrite(operations, { ordered: false });
+  } catch (error) {
+    // Unordered bulk writes report per-operation failures alongside the partial result
+    if (!error.result) {
+      throw error;
+    }
+    result = error.result;
+    const writeErrors = [].concat(error.writeErrors || []);
+    writeErrors.forEach(writeError => {
+      const failedOp = operations[writeError.index];
+      failedIndexes.add(writeError.index);
+      const ticketId = failedOp ? failedOp.updateOne.filter.ticket_id : 'unknown';
+      const sysId = failedOp ? failedOp.updateOne.update.$set.sys_id : undefined;
+      const message = writeError.errmsg || writeError.message;
+      console.error(`❌ Error saving ticket ${ticketId}:`, message);
+      failures.push({ ticket_id: ticketId, sys_id: sysId, reason: `Write failed: ${message}` });
+      if (failedOp) {
+        storedKeys.delete(deadLetterKey(ticketId, sysId));
+        deadLetters.push({
+          ticket_id: ticketId,
+          sys_id: sysId,
+          stage: 'write',
+          error: message,
+          payload: payloadsById.get(ticketId)
+        });
+      }
+    });
+    errorCount += writeErrors.length;
+  }
+
+  if (publishEvents) {
+    publishWrittenTickets(operations, result, failedIndexes);
+  }
+
+  // Matched but not modified means the stored document already had these values
+  unchangedCount += Math.max((result.matchedCount || 0) - (result.modifiedCount || 0), 0);
+
+  return settle({
+    savedCount: result.upsertedCount || 0,
+    updatedCount: result.modifiedCount || 0
+  });
+};
+
+// Mapping errors and field diffs kept in a dry-run plan
+const PLAN_MAX_MAPPING_ERRORS = 100;
+const PLAN_DEFAULT_SAMPLE_SIZE = 20;
+
+// Bookkeeping fields left out of dry-run diffs
+const DIFF_IGNORED_FIELDS = ['raw', 'payload_hash', 'connection_id'];
+
+/**
+ * Empty dry-run plan, filled page by page by planTickets
+ * @param {Number} sampleSize - Updates kept with their field-level diff
+ */
+const createPlan = (sampleSize = PLAN_DEFAULT_SAMPLE_SIZE) => ({
+  fetched: 0,
+  inserts: 0,
+  updates: 0,
+  unchanged: 0,
+  errors: 0,
+  mappingErrors: [],         // { ticket_id, sys_id, reason }
+  updateSamples: [],         // { ticket_id, changes: { field: { from, to } } }
+  sampleSize
+});
+
+/**
+ * Fields of a mapped ticket that differ from the stored one
+ */
+const diffTicket = (stored, mapped) => {
+  return Object.keys(mapped).reduce((changes, field) => {
+    if (DIFF_IGNORED_FIELDS.includes(field)) {
+      return changes;
+    }
+    const from = stored[field] === undefined ? null : stored[field];
+    const to = mapped[field] === undefined ? null : mapped[field];
+    if (stableStringify(from) !== stableStringify(to)) {
+      changes[field] = { from, to };
+    }
+    return changes;
+  }, {});
+};
+
+/**
+ * Dry run of storeTickets: maps a batch and reports what would be inserted, updated or
+ * left unchanged, without writing anything (not even dead letters).
+ * @param {Array} records - Raw source records
+ * @param {Object} options - Same options as storeTickets
+ * @param {Object} plan - Plan from createPlan, accumulated across pages
+ * @returns {Object} The plan
+ */
+const planTickets = async (records, options, plan = createPlan()) => {
+  const { source, connectionId, mapRecord, identifyRecord } = options;
+  plan.fetched += records.length;
+
+  const docsById = new Map();
+  for (const record of records) {
+    try {
+      const { ticket: ticketDoc } = mapRecord(record);
+      ticketDoc.payload_hash = hashPayload(ticketDoc);
+      docsById.set(ticketDoc.ticket_id, ticketDoc);
+    } catch (error) {
+      const { ticket_id: ticketId, sys_id: sysId } = identifyRecord(record);
+      plan.errors++;
+      if (plan.mappingErrors.length < PLAN_MAX_MAPPING_ERRORS) {
+        plan.mappingErrors.push({ ticket_id: ticketId, sys_id: sysId, reason: `Mapping failed: ${error.message}` });
+      }
+    }
+  }
+
+  if (docsById.size === 0) {
+    return plan;
+  }
+
+  const existingTickets = await Ticket.find(
+    { source, connection_id: connectionId, ticket_id: { $in: Array.from(docsById.keys()) } },
+    { _id: 0, createdAt: 0, updatedAt: 0, __v: 0 }
+  ).lean();
+  const storedById = new Map(existingTickets.map(ticket => [ticket.ticket_id, ticket]));
+
+  for (const ticketDoc of docsById.values()) {
+    const stored = storedById.get(ticketDoc.ticket_id);
+    if (!stored) {
+      plan.inserts++;
+    } else if (stored.payload_hash === ticketDoc.payload_hash) {
+      plan.unchanged++;
+    } else {
+      plan.updates++;
+      if (plan.updateSamples.length < plan.sampleSize) {
+        plan.updateSamples.push({ ticket_id: ticketDoc.ticket_id, changes: diffTicket(stored, ticketDoc) });
+      }
+    }
+  }
+
+  return plan;
+};
+
+module.exports = {
+  hashPayload,
+  storeTickets,
+  createPlan,
+  planTickets
+};
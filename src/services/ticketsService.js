@@ -1,5 +1,195 @@
 // new file servicenow
 const Ticket = require('../models/Tickets');
+const { parseSearchQuery, buildTextSearch, highlightTicket } = require('./ticketSearch');
+const { parseTicketFilter } = require('./ticketFilter');
+const { CURSOR_SORT_FIELDS, encodeCursor, decodeCursor, keysetCondition } = require('./ticketCursor');
+
+// Statuses counted as closed by the statistics
+const CLOSED_STATUSES = ['Closed', 'Resolved', 'Cancelled'];
+
+// Count modes of listings: exact, capped at COUNT_ESTIMATE_LIMIT, or none
+const COUNT_MODES = ['exact', 'estimated', 'none'];
+const COUNT_ESTIMATE_LIMIT = 10000;
+
+/**
+ * Count the tickets of a filter for a count mode
+ * @returns {Object} { totalCount, totalCountExact }, totalCount is null in mode none
+ */
+const countTickets = async (filter, countMode) => {
+  if (countMode === 'none') {
+    return { totalCount: null, totalCountExact: false };
+  }
+  if (countMode === 'estimated') {
+    const totalCount = await Ticket.countDocuments(filter, { limit: COUNT_ESTIMATE_LIMIT });
+    return { totalCount, totalCountExact: totalCount < COUNT_ESTIMATE_LIMIT };
+  }
+  return { totalCount: await Ticket.countDocuments(filter), totalCountExact: true };
+};
+
+/**
+ * MongoDB filter of a ticket listing, shared by GET /tickets and ticket exports
+ * @param {Object} options - { q, query, filterExpression, status, priority, category, recordType, connection, includeDeleted, source }
+ * @returns {Object} { success, filter, search } or { success: false, invalid: true, error, position }
+ */
+const buildTicketFilter = (options = {}) => {
+  const {
+    q,
+    query,
+    filterExpression,
+    status,
+    priority,
+    category,
+    recordType,
+    connection,
+    includeDeleted = false,
+    source
+  } = options;
+
+  // Build query filter
+  const filter = {};
+  
+  // Add source filter, every source (ServiceNow, Jira, ...) unless one is asked for
+  if (source) {
+    filter.source = source;
+  }
+
+  // Add status filter
+  if (status) {
+    filter.status = status;
+  }
+
+  // Add priority filter
+  if (priority) {
+    filter.priority = priority;
+  }
+
+  // Add category filter
+  if (category) {
+    filter.category = category;
+  }
+
+  // Tickets deleted in ServiceNow are hidden unless asked for
+  if (!includeDeleted) {
+    filter.deleted_at_source = null;
+  }
+
+  // Add record type filter (comma-separated for several types)
+  if (recordType) {
+    const recordTypes = String(recordType).split(',').map(type => type.trim()).filter(Boolean);
+    filter.record_type = recordTypes.length === 1 ? recordTypes[0] : { $in: recordTypes };
+  }
+
+  // Add connection filter (comma-separated for several connections)
+  if (connection) {
+    const connections = String(connection).split(',').map(key => key.trim()).filter(Boolean);
+    filter.connection_id = connections.length === 1 ? connections[0] : { $in: connections };
+  }
+
+  // Filter expression (see ticketFilter), combined with the single-value filters
+  if (filterExpression) {
+    const parsedFilter = parseTicketFilter(filterExpression);
+    if (!parsedFilter.success) {
+      return parsedFilter;
+    }
+    filter.$and = [parsedFilter.filter];
+  }
+
+  // Full-text search, `query` is the former name of `q`
+  const searchQuery = q || query;
+  let search = null;
+  if (searchQuery) {
+    search = parseSearchQuery(searchQuery);
+    const textSearch = buildTextSearch(search);
+    if (!textSearch) {
+      return {
+        success: false,
+        invalid: true,
+        error: 'Search query needs at least one term or phrase that is not excluded'
+      };
+    }
+    filter.$text = { $search: textSearch };
+  }
+
+  return { success: true, filter, search };
+};
+
+/**
+ * Page of a ticket listing in cursor mode: the tickets sorted after `after` or before
+ * `before`, or the first page without either
+ * @param {Object} filter - MongoDB filter of the listing
+ * @param {Object} options - { sortBy, sortOrder, relevance, after, before, limit, countMode, search }
+ * @returns {Object} Result object with the tickets and the cursors of the neighbouring pages
+ */
+const fetchTicketsPage = async (filter, options) => {
+  const { sortBy, sortOrder, relevance, after, before, limit, countMode, search } = options;
+
+  if (relevance) {
+    return { success: false, invalid: true, error: 'Cursor pagination cannot page through relevance ranking, pass sortBy with q', data: [] };
+  }
+  if (after && before) {
+    return { success: false, invalid: true, error: 'Pass either after or before, not both', data: [] };
+  }
+
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const backwards = Boolean(before);
+  const pageFilter = { ...filter };
+
+  if (after || before) {
+    const position = decodeCursor(after || before, sortBy, sortOrder);
+    if (!position.success) {
+      return { ...position, data: [] };
+    }
+    pageFilter.$and = [...(filter.$and || []), keysetCondition(sortBy, backwards ? -direction : direction, position)];
+  }
+
+  // Pages before a cursor are read in reverse order, then turned around
+  const readDirection = backwards ? -direction : direction;
+  const [found, counted] = await Promise.all([
+    Ticket.find(pageFilter, search ? { score: { $meta: 'textScore' } } : {})
+      .sort({ [sortBy]: readDirection, _id: readDirection })
+      .limit(limit + 1)
+      .lean(),
+    countTickets(filter, countMode)
+  ]);
+
+  const hasMore = found.length > limit;
+  const tickets = found.slice(0, limit);
+  if (backwards) {
+    tickets.reverse();
+  }
+
+  if (search) {
+    tickets.forEach(ticket => {
+      ticket.highlights = highlightTicket(ticket, search);
+    });
+  }
+
+  const hasNextPage = backwards ? true : hasMore;
+  const hasPrevPage = backwards ? hasMore : Boolean(after);
+  const first = tickets[0];
+  const last = tickets[tickets.length - 1];
+
+  console.log(`✅ Found ${tickets.length} tickets (cursor page)`);
+
+  return {
+    success: true,
+    message: 'Tickets fetched successfully from database',
+    data: tickets,
+    total: counted.totalCount,
+    pagination: {
+      mode: 'cursor',
+      limit,
+      sortBy,
+      sortOrder,
+      hasNextPage,
+      hasPrevPage,
+      nextCursor: hasNextPage && last ? encodeCursor(last, sortBy, sortOrder) : null,
+      prevCursor: hasPrevPage && first ? encodeCursor(first, sortBy, sortOrder) : null,
+      totalCount: counted.totalCount,
+      totalCountExact: counted.totalCountExact
+    }
+  };
+};
 
 /**
  * Fetch tickets from MongoDB database
@@ -14,13 +204,12 @@ const fetchTicketsFromDB = async (options = {}) => {
       limit = 10,
       offset = 0,
       page,
-      query = '',
-      status,
-      priority,
-      category,
-      source = 'ServiceNow',
-      sortBy = 'opened_time',
-      sortOrder = 'desc'
+      sortBy,
+      sortOrder = 'desc',
+      after,
+      before,
+      pagination,
+      count
     } = options;
 
     // Calculate offset from page if provided
@@ -31,65 +220,77 @@ const fetchTicketsFromDB = async (options = {}) => {
       calculatedOffset = (pageNum - 1) * limitNum;
     }
 
-    // Build query filter
-    const filter = {};
-    
-    // Add source filter
-    if (source) {
-      filter.source = source;
+    // Offset mode sorts by the same fields, the others have no index or no meaningful order
+    if (sortBy && !Object.prototype.hasOwnProperty.call(CURSOR_SORT_FIELDS, sortBy)) {
+      return { success: false, invalid: true, error: `Unknown sortBy field "${sortBy}", sort by one of ${Object.keys(CURSOR_SORT_FIELDS).join(', ')}`, data: [] };
     }
 
-    // Add status filter
-    if (status) {
-      filter.status = status;
+    const built = buildTicketFilter(options);
+    if (!built.success) {
+      return { ...built, data: [] };
     }
+    const { filter, search } = built;
 
-    // Add priority filter
-    if (priority) {
-      filter.priority = priority;
+    // Cursor mode: requested explicitly for the first page, implied by a cursor afterwards
+    const cursorMode = Boolean(after || before || pagination === 'cursor');
+    const countMode = count || (cursorMode ? 'none' : 'exact');
+    if (!COUNT_MODES.includes(countMode)) {
+      return { success: false, invalid: true, error: `count must be one of ${COUNT_MODES.join(', ')}`, data: [] };
     }
+    const limitNum = parseInt(limit);
+    const direction = sortOrder === 'desc' ? -1 : 1;
 
-    // Add category filter
-    if (category) {
-      filter.category = category;
+    // Search results are ranked by relevance unless a sort field is given. _id breaks ties
+    // so the order is stable across pages.
+    let sort;
+    if (search && !sortBy) {
+      sort = { score: { $meta: 'textScore' }, _id: 1 };
+    } else {
+      sort = { [sortBy || 'opened_time']: direction, _id: direction };
     }
 
-    // Add text search if query provided
-    if (query) {
-      filter.$or = [
-        { ticket_id: { $regex: query, $options: 'i' } },
-        { short_description: { $regex: query, $options: 'i' } },
-        { description: { $regex: query, $options: 'i' } },
-        { category: { $regex: query, $options: 'i' } },
-        { subcategory: { $regex: query, $options: 'i' } }
-      ];
+    if (cursorMode) {
+      return fetchTicketsPage(filter, {
+        sortBy: sortBy || 'opened_time',
+        sortOrder: direction === -1 ? 'desc' : 'asc',
+        relevance: Boolean(search && !sortBy),
+        after,
+        before,
+        limit: limitNum,
+        countMode,
+        search
+      });
     }
 
-    // Build sort object
-    const sort = {};
-    sort[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
     console.log(`🔧 Query filter:`, JSON.stringify(filter, null, 2));
     console.log(`🔧 Sort:`, JSON.stringify(sort, null, 2));
     console.log(`🔧 Limit: ${limit}, Offset: ${calculatedOffset}`);
 
-    // Execute query with pagination
-    const tickets = await Ticket.find(filter)
-      .sort(sort)
-      .skip(calculatedOffset)
-      .limit(parseInt(limit))
-      .lean(); // Use lean() for better performance
-
-    // Get total count for pagination
-    const totalCount = await Ticket.countDocuments(filter);
+    // Execute query with pagination, one extra ticket tells whether a next page exists
+    const [found, counted] = await Promise.all([
+      Ticket.find(filter, search ? { score: { $meta: 'textScore' } } : {})
+        .sort(sort)
+        .skip(calculatedOffset)
+        .limit(limitNum + 1)
+        .lean(), // Use lean() for better performance
+      countTickets(filter, countMode)
+    ]);
+    const tickets = found.slice(0, limitNum);
+    const { totalCount, totalCountExact } = counted;
 
     // Calculate pagination info
-    const totalPages = Math.ceil(totalCount / limit);
+    const totalPages = totalCount === null ? null : Math.ceil(totalCount / limit);
     const currentPage = page || Math.floor(calculatedOffset / limit) + 1;
-    const hasNextPage = currentPage < totalPages;
+    const hasNextPage = found.length > limitNum;
     const hasPrevPage = currentPage > 1;
 
-    console.log(`✅ Found ${tickets.length} tickets (Total: ${totalCount})`);
+    if (search) {
+      tickets.forEach(ticket => {
+        ticket.highlights = highlightTicket(ticket, search);
+      });
+    }
+
+    console.log(`✅ Found ${tickets.length} tickets (Total: ${totalCount === null ? 'not counted' : totalCount})`);
 
     return {
       success: true,
@@ -97,13 +298,15 @@ const fetchTicketsFromDB = async (options = {}) => {
       data: tickets,
       total: totalCount,
       pagination: {
+        mode: 'offset',
         currentPage,
         totalPages,
-        limit: parseInt(limit),
+        limit: limitNum,
         offset: calculatedOffset,
         hasNextPage,
         hasPrevPage,
-        totalCount
+        totalCount,
+        totalCountExact
       }
     };
 
@@ -121,15 +324,17 @@ const fetchTicketsFromDB = async (options = {}) => {
  * Get a single ticket by ID
  * @param {String} ticketId - Ticket ID
  * @param {String} source - Source (default: ServiceNow)
+ * @param {String} connection - ServiceNow connection the ticket comes from (default: default)
  * @returns {Object} Result object with ticket data
  */
-const getTicketById = async (ticketId, source = 'ServiceNow') => {
+const getTicketById = async (ticketId, source = 'ServiceNow', connection = 'default') => {
   try {
     console.log(`📥 Fetching ticket ${ticketId} from MongoDB...`);
     
     const ticket = await Ticket.findOne({ 
       ticket_id: ticketId, 
-      source: source 
+      source: source,
+      connection_id: connection
     }).lean();
 
     if (!ticket) {
@@ -160,54 +365,45 @@ const getTicketById = async (ticketId, source = 'ServiceNow') => {
 
 /**
  * Get ticket statistics
- * @param {String} source - Source (default: ServiceNow)
+ * @param {String} source - Optional source filter (default: every source)
+ * @param {String} recordType - Optional record type filter (comma-separated)
  * @returns {Object} Result object with statistics
  */
-const getTicketStats = async (source = 'ServiceNow') => {
+const getTicketStats = async (source, recordType) => {
   try {
     console.log('📊 Calculating ticket statistics...');
+
+    const match = {};
+    if (source) {
+      match.source = source;
+    }
+    if (recordType) {
+      const recordTypes = String(recordType).split(',').map(type => type.trim()).filter(Boolean);
+      match.record_type = recordTypes.length === 1 ? recordTypes[0] : { $in: recordTypes };
+    }
     
-    const stats = await Ticket.aggregate([
-      { $match: { source: source } },
+    // One $group per breakdown, so no document ever holds more than one row per key
+    const closedCount = {
+      $sum: { $cond: [{ $in: ['$status', CLOSED_STATUSES] }, 1, 0] }
+    };
+    const breakdown = (field) => [
+      { $match: { [field]: { $nin: [null, ''] } } },
+      { $group: { _id: `$${field}`, total: { $sum: 1 }, closed: closedCount } }
+    ];
+
+    const [stats] = await Ticket.aggregate([
+      { $match: match },
       {
-        $group: {
-          _id: null,
-          total: { $sum: 1 },
-          open: {
-            $sum: {
-              $cond: [
-                { $nin: ['$status', ['Closed', 'Resolved', 'Cancelled']] },
-                1,
-                0
-              ]
-            }
-          },
-          closed: {
-            $sum: {
-              $cond: [
-                { $in: ['$status', ['Closed', 'Resolved', 'Cancelled']] },
-                1,
-                0
-              ]
-            }
-          },
-          byPriority: {
-            $push: {
-              priority: '$priority',
-              status: '$status'
-            }
-          },
-          byCategory: {
-            $push: {
-              category: '$category',
-              status: '$status'
-            }
-          }
+        $facet: {
+          totals: [{ $group: { _id: null, total: { $sum: 1 }, closed: closedCount } }],
+          byPriority: breakdown('priority'),
+          byCategory: breakdown('category'),
+          byRecordType: [{ $group: { _id: '$record_type', total: { $sum: 1 }, closed: closedCount } }]
         }
       }
     ]);
 
-    if (stats.length === 0) {
+    if (stats.totals.length === 0) {
       return {
         success: true,
         message: 'No tickets found',
@@ -216,44 +412,17 @@ const getTicketStats = async (source = 'ServiceNow') => {
           open: 0,
           closed: 0,
           byPriority: {},
-          byCategory: {}
+          byCategory: {},
+          byRecordType: {}
         }
       };
     }
 
-    const result = stats[0];
-    
-    // Calculate priority breakdown
-    const priorityBreakdown = {};
-    result.byPriority.forEach(item => {
-      if (item.priority) {
-        if (!priorityBreakdown[item.priority]) {
-          priorityBreakdown[item.priority] = { total: 0, open: 0, closed: 0 };
-        }
-        priorityBreakdown[item.priority].total++;
-        if (['Closed', 'Resolved', 'Cancelled'].includes(item.status)) {
-          priorityBreakdown[item.priority].closed++;
-        } else {
-          priorityBreakdown[item.priority].open++;
-        }
-      }
-    });
-
-    // Calculate category breakdown
-    const categoryBreakdown = {};
-    result.byCategory.forEach(item => {
-      if (item.category) {
-        if (!categoryBreakdown[item.category]) {
-          categoryBreakdown[item.category] = { total: 0, open: 0, closed: 0 };
-        }
-        categoryBreakdown[item.category].total++;
-        if (['Closed', 'Resolved', 'Cancelled'].includes(item.status)) {
-          categoryBreakdown[item.category].closed++;
-        } else {
-          categoryBreakdown[item.category].open++;
-        }
-      }
-    });
+    const result = stats.totals[0];
+    const toBreakdown = (groups, fallbackKey) => Object.fromEntries(groups.map(group => [
+      group._id || fallbackKey,
+      { total: group.total, open: group.total - group.closed, closed: group.closed }
+    ]));
 
     console.log(`✅ Statistics calculated: ${result.total} total tickets`);
 
@@ -262,10 +431,11 @@ const getTicketStats = async (source = 'ServiceNow') => {
       message: 'Statistics calculated successfully',
       data: {
         total: result.total,
-        open: result.open,
+        open: result.total - result.closed,
         closed: result.closed,
-        byPriority: priorityBreakdown,
-        byCategory: categoryBreakdown
+        byPriority: toBreakdown(stats.byPriority),
+        byCategory: toBreakdown(stats.byCategory),
+        byRecordType: toBreakdown(stats.byRecordType, 'incident')
       }
     };
 
@@ -280,6 +450,7 @@ const getTicketStats = async (source = 'ServiceNow') => {
 };
 
 module.exports = {
+  buildTicketFilter,
   fetchTicketsFromDB,
   getTicketById,
   getTicketStats
@@ -0,0 +1,120 @@
+const crypto = require('crypto');
+
+// The integration user's time zone: display values of date-times are two hours ahead of UTC
+const DISPLAY_OFFSET_MS = 2 * 60 * 60 * 1000;
+
+/**
+ * Glide date-time ("YYYY-MM-DD HH:mm:ss", UTC) of a date
+ */
+const glideDateTime = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+/**
+ * Display value of a raw date-time, in the integration user's time zone
+ */
+const displayDateTime = (value) => glideDateTime(new Date(new Date(`${value.replace(' ', 'T')}Z`).getTime() + DISPLAY_OFFSET_MS));
+
+/**
+ * Incident records as the fake stores them: display values, except sys_updated_on which is
+ * raw (UTC). sys_ids are random looking hex, so their order differs from the order the
+ * records were built in.
+ * @param {Number} count - Records to build
+ * @param {Function} updatedOn - (index) => Date the record was last updated
+ */
+const buildIncidents = (count, updatedOn) => Array.from({ length: count }, (item, index) => ({
+  sys_id: crypto.createHash('md5').update(`incident-${index}`).digest('hex'),
+  number: `INC${String(index).padStart(7, '0')}`,
+  short_description: `Incident ${index}`,
+  state: 'In Progress',
+  priority: '3 - Moderate',
+  opened_at: '2024-05-01 08:00:00',
+  sys_updated_on: glideDateTime(updatedOn(index))
+}));
+
+/**
+ * A stored record as the Table API returns it for a sysparm_display_value: "true" gives
+ * display values, "all" { display_value, value } pairs, anything else raw values
+ */
+const presentRecord = (record, displayValue) => Object.fromEntries(Object.entries(record).map(([field, value]) => {
+  const display = field === 'sys_updated_on' && value ? displayDateTime(value) : value;
+  if (displayValue === 'all') {
+    return [field, { display_value: display, value }];
+  }
+  return [field, displayValue === 'true' ? display : value];
+}));
+
+/**
+ * Conditions of an encoded query, OR-ed groups ("^NQ") of AND-ed conditions ("^")
+ */
+const parseEncodedQuery = (query) => query.split('^NQ').map(group => group.split('^')
+  .filter(condition => condition && !condition.startsWith('ORDERBY'))
+  .map(condition => {
+    const [, field, operator, value] = condition.match(/^([a-z_]+)(IN|>=|<=|>|<|=)(.*)$/);
+    return { field, operator, value };
+  }));
+
+const COMPARE = {
+  '=': (a, b) => a === b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  IN: (a, b) => b.split(',').includes(a)
+};
+
+/**
+ * Fields of the ORDERBY clauses of an encoded query
+ */
+const parseOrderBy = (query) => query.split('^')
+  .filter(condition => condition.startsWith('ORDERBY'))
+  .map(condition => condition.slice('ORDERBY'.length));
+
+/**
+ * A record reduced to the columns of a sysparm_fields list, every column without one
+ */
+const selectFields = (record, fields) => {
+  if (!fields) {
+    return record;
+  }
+  const columns = fields.split(',');
+  return Object.fromEntries(Object.entries(record).filter(([field]) => columns.includes(field)));
+};
+
+/**
+ * Handler of the mock server answering Table API reads of a record set: encoded queries
+ * with =, >, >=, <, <=, IN, ^NQ on raw values and ORDERBY, sysparm_limit, sysparm_fields and
+ * sysparm_display_value
+ * @param {Array} records - Records of the table
+ */
+const createTableApi = (records) => (request) => {
+  if (request.method !== 'GET' || !request.path.startsWith('/api/now/table/')) {
+    return { status: 404, body: { error: { message: 'Not found' } } };
+  }
+
+  const groups = parseEncodedQuery(request.query.sysparm_query || '');
+  const orderBy = parseOrderBy(request.query.sysparm_query || '');
+  const limit = parseInt(request.query.sysparm_limit) || 10000;
+  const result = records
+    .filter(record => groups.some(conditions => conditions.every(({ field, operator, value }) => (
+      COMPARE[operator](String(record[field]), value)
+    ))))
+    .sort((a, b) => {
+      for (const field of orderBy) {
+        if (a[field] !== b[field]) {
+          return a[field] < b[field] ? -1 : 1;
+        }
+      }
+      return 0;
+    })
+    .slice(0, limit)
+    .map(record => presentRecord(selectFields(record, request.query.sysparm_fields), request.query.sysparm_display_value));
+
+  return { body: { result } };
+};
+
+module.exports = {
+  glideDateTime,
+  displayDateTime,
+  buildIncidents,
+  presentRecord,
+  createTableApi
+};
@@ -0,0 +1,60 @@
+const http = require('http');
+
+/**
+ * Local HTTP server standing in for a remote API (ServiceNow, Jira) in tests.
+ * Every request is recorded with its parsed body before the handler answers it.
+ * @param {Function} handler - (request, response) => reply; request is { method, path, query, headers, body }
+ *   and reply { status, body, headers } (status defaults to 200)
+ * @returns {Object} { url, requests, close }
+ */
+const startMockServer = async (handler) => {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', chunk => {
+      raw += chunk;
+    });
+    req.on('end', async () => {
+      const url = new URL(req.url, 'http://localhost');
+      const contentType = req.headers['content-type'] || '';
+      let body = raw;
+      if (raw && contentType.includes('application/json')) {
+        body = JSON.parse(raw);
+      } else if (raw && contentType.includes('application/x-www-form-urlencoded')) {
+        body = Object.fromEntries(new URLSearchParams(raw));
+      }
+
+      const request = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        headers: req.headers,
+        body
+      };
+      requests.push(request);
+
+      try {
+        const reply = (await handler(request)) || {};
+        res.writeHead(reply.status || 200, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+        res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+      } catch (error) {
+        res.writeHead(500, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ error: error.message }));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+};
+
+module.exports = {
+  startMockServer
+};
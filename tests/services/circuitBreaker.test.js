@@ -0,0 +1,171 @@
+const {
+  CLOSED,
+  OPEN,
+  HALF_OPEN,
+  readCircuit,
+  nextProbeAt,
+  beforeAttempt,
+  recordSuccess,
+  recordFailure
+} = require('../../src/services/circuitBreaker');
+
+const SETTINGS = { failureThreshold: 3, cooldownMs: 5 * 60 * 1000 };
+const T0 = new Date('2024-05-01T10:00:00Z');
+const at = (ms) => new Date(T0.getTime() + ms);
+
+/**
+ * Circuit after `count` failed attempts starting from a closed one
+ */
+const failTimes = (count, now = T0) => {
+  let circuit = readCircuit();
+  for (let attempt = 0; attempt < count; attempt++) {
+    circuit = recordFailure(circuit, SETTINGS, { now }).circuit;
+  }
+  return circuit;
+};
+
+describe('circuitBreaker', () => {
+  it('reads a missing state as a closed circuit without failures', () => {
+    expect(readCircuit()).toEqual({
+      circuitState: CLOSED,
+      consecutiveFailures: 0,
+      circuitOpenedAt: null,
+      circuitChangedAt: null,
+      probeStartedAt: null
+    });
+  });
+
+  describe('failure threshold', () => {
+    it('stays closed below the threshold', () => {
+      const circuit = failTimes(SETTINGS.failureThreshold - 1);
+
+      expect(circuit.circuitState).toBe(CLOSED);
+      expect(circuit.consecutiveFailures).toBe(2);
+      expect(beforeAttempt(circuit, SETTINGS, { now: T0 }).allowed).toBe(true);
+    });
+
+    it('opens on the failure reaching the threshold', () => {
+      const closed = failTimes(SETTINGS.failureThreshold - 1);
+      const { circuit, transition } = recordFailure(closed, SETTINGS, { now: T0 });
+
+      expect(transition).toEqual({ from: CLOSED, to: OPEN });
+      expect(circuit).toMatchObject({ circuitState: OPEN, consecutiveFailures: 3, circuitOpenedAt: T0, circuitChangedAt: T0 });
+    });
+
+    it('counts consecutive failures only, a success starts over', () => {
+      const { circuit, transition } = recordSuccess(failTimes(2), { now: T0 });
+
+      expect(transition).toBeNull();
+      expect(circuit.consecutiveFailures).toBe(0);
+      expect(recordFailure(circuit, SETTINGS, { now: T0 }).circuit.circuitState).toBe(CLOSED);
+    });
+  });
+
+  describe('cooldown', () => {
+    const open = failTimes(SETTINGS.failureThreshold);
+
+    it('rejects attempts until the cooldown is over', () => {
+      const decision = beforeAttempt(open, SETTINGS, { now: at(SETTINGS.cooldownMs - 1) });
+
+      expect(decision).toMatchObject({ allowed: false, probe: false, transition: null, nextProbeAt: at(SETTINGS.cooldownMs) });
+      expect(decision.circuit.circuitState).toBe(OPEN);
+    });
+
+    it('lets a probe through once the cooldown is over', () => {
+      expect(nextProbeAt(open, SETTINGS.cooldownMs)).toEqual(at(SETTINGS.cooldownMs));
+
+      const decision = beforeAttempt(open, SETTINGS, { now: at(SETTINGS.cooldownMs) });
+      expect(decision).toMatchObject({ allowed: true, probe: true, transition: { from: OPEN, to: HALF_OPEN } });
+      expect(decision.circuit).toMatchObject({
+        circuitState: HALF_OPEN,
+        circuitChangedAt: at(SETTINGS.cooldownMs),
+        probeStartedAt: at(SETTINGS.cooldownMs)
+      });
+    });
+
+    it('lets a forced attempt through during the cooldown as a probe', () => {
+      const decision = beforeAttempt(open, SETTINGS, { now: at(1000), force: true });
+
+      expect(decision).toMatchObject({ allowed: true, probe: true, transition: { from: OPEN, to: HALF_OPEN } });
+    });
+
+    it('has no probe time while closed', () => {
+      expect(nextProbeAt(readCircuit(), SETTINGS.cooldownMs)).toBeNull();
+    });
+  });
+
+  describe('transitions', () => {
+    it('goes closed, open, half open and closed again', () => {
+      const transitions = [];
+      const track = (result) => {
+        if (result.transition) {
+          transitions.push(result.transition);
+        }
+        return result.circuit;
+      };
+
+      let circuit = readCircuit();
+      for (let attempt = 0; attempt < SETTINGS.failureThreshold; attempt++) {
+        circuit = track(recordFailure(circuit, SETTINGS, { now: T0 }));
+      }
+      circuit = track(beforeAttempt(circuit, SETTINGS, { now: at(SETTINGS.cooldownMs) }));
+      circuit = track(recordSuccess(circuit, { now: at(SETTINGS.cooldownMs + 1000) }));
+
+      expect(transitions).toEqual([
+        { from: CLOSED, to: OPEN },
+        { from: OPEN, to: HALF_OPEN },
+        { from: HALF_OPEN, to: CLOSED }
+      ]);
+      expect(circuit).toEqual({
+        circuitState: CLOSED,
+        consecutiveFailures: 0,
+        circuitOpenedAt: null,
+        circuitChangedAt: at(SETTINGS.cooldownMs + 1000),
+        probeStartedAt: null
+      });
+    });
+
+    it('reopens for another cooldown when the probe fails', () => {
+      const halfOpen = beforeAttempt(failTimes(SETTINGS.failureThreshold), SETTINGS, { now: at(SETTINGS.cooldownMs) }).circuit;
+      const reopenedAt = at(SETTINGS.cooldownMs + 1000);
+      const { circuit, transition } = recordFailure(halfOpen, SETTINGS, { now: reopenedAt });
+
+      expect(transition).toEqual({ from: HALF_OPEN, to: OPEN });
+      expect(circuit).toMatchObject({ circuitOpenedAt: reopenedAt, probeStartedAt: null });
+      expect(beforeAttempt(circuit, SETTINGS, { now: at(SETTINGS.cooldownMs * 2) }).allowed).toBe(false);
+      expect(beforeAttempt(circuit, SETTINGS, { now: at(SETTINGS.cooldownMs * 2 + 1000) }).allowed).toBe(true);
+    });
+
+    it('lets exactly one of concurrent attempts probe while half open', () => {
+      // Every attempt reads the saved circuit; the probe saves its own before running
+      let saved = failTimes(SETTINGS.failureThreshold);
+      const decisions = [0, 1, 2, 3].map(attempt => {
+        const decision = beforeAttempt(saved, SETTINGS, { now: at(SETTINGS.cooldownMs + attempt * 1000), force: attempt === 3 });
+        saved = decision.circuit;
+        return decision;
+      });
+
+      expect(decisions.map(decision => decision.allowed)).toEqual([true, false, false, false]);
+      expect(decisions[1]).toMatchObject({ probe: false, transition: null, nextProbeAt: at(SETTINGS.cooldownMs * 2) });
+      expect(saved).toMatchObject({ circuitState: HALF_OPEN, probeStartedAt: at(SETTINGS.cooldownMs) });
+      expect(nextProbeAt(saved, SETTINGS.cooldownMs)).toEqual(at(SETTINGS.cooldownMs * 2));
+    });
+
+    it('lets attempts through again once the probe closes the circuit', () => {
+      const halfOpen = beforeAttempt(failTimes(SETTINGS.failureThreshold), SETTINGS, { now: at(SETTINGS.cooldownMs) }).circuit;
+      const closed = recordSuccess(halfOpen, { now: at(SETTINGS.cooldownMs + 1000) }).circuit;
+
+      expect(beforeAttempt(closed, SETTINGS, { now: at(SETTINGS.cooldownMs + 1000) }))
+        .toMatchObject({ allowed: true, probe: false });
+    });
+
+    it('lets another probe through when a probe was never recorded', () => {
+      const halfOpen = beforeAttempt(failTimes(SETTINGS.failureThreshold), SETTINGS, { now: at(SETTINGS.cooldownMs) }).circuit;
+
+      expect(beforeAttempt(halfOpen, SETTINGS, { now: at(SETTINGS.cooldownMs * 2 - 1) }).allowed).toBe(false);
+      const decision = beforeAttempt(halfOpen, SETTINGS, { now: at(SETTINGS.cooldownMs * 2) });
+      expect(decision).toMatchObject({ allowed: true, probe: true, transition: null });
+      expect(decision.circuit.probeStartedAt).toEqual(at(SETTINGS.cooldownMs * 2));
+    });
+  });
+});
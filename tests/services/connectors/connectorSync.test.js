@@ -0,0 +1,152 @@
+jest.mock('../../../src/services/realtimeService', () => ({ publishTicketEvent: jest.fn() }));
+jest.mock('../../../src/services/servicenowIngestionService', () => ({ migrateLegacyState: jest.fn() }));
+jest.mock('../../../src/services/servicenowJournalService', () => ({ syncJournalEntries: jest.fn() }));
+jest.mock('../../../src/services/servicenowAttachmentService', () => ({ syncAttachments: jest.fn() }));
+
+const Ticket = require('../../../src/models/Tickets');
+const DeadLetter = require('../../../src/models/DeadLetter');
+const servicenowConnector = require('../../../src/services/connectors/servicenowConnector');
+const { syncSince } = require('../../../src/services/connectors/connectorSync');
+const { createApiClient, parseGlideDateTime } = require('../../../src/services/servicenowClient');
+const { startMockServer } = require('../../helpers/mockServer');
+const { buildIncidents, createTableApi } = require('../../helpers/fakeTableApi');
+
+const RECORD_COUNT = 5000;
+const BATCH_SIZE = 100;
+const SINCE = new Date('2024-05-01T10:00:00Z');
+
+/**
+ * In-memory tickets collection behind Ticket.find and Ticket.bulkWrite, counting the
+ * writes of every ticket
+ */
+const useFakeTicketStore = () => {
+  const tickets = new Map();
+  const writes = new Map();
+
+  jest.spyOn(Ticket, 'find').mockImplementation((filter) => ({
+    lean: async () => filter.ticket_id.$in
+      .filter(ticketId => tickets.has(ticketId))
+      .map(ticketId => ({ ticket_id: ticketId, payload_hash: tickets.get(ticketId).payload_hash }))
+  }));
+  jest.spyOn(Ticket, 'bulkWrite').mockImplementation(async (operations) => {
+    const upsertedIds = {};
+    let matchedCount = 0;
+    operations.forEach(({ updateOne }, index) => {
+      const ticketId = updateOne.filter.ticket_id;
+      if (tickets.has(ticketId)) {
+        matchedCount++;
+      } else {
+        upsertedIds[index] = ticketId;
+      }
+      tickets.set(ticketId, updateOne.update.$set);
+      writes.set(ticketId, (writes.get(ticketId) || 0) + 1);
+    });
+    return {
+      upsertedCount: Object.keys(upsertedIds).length,
+      matchedCount,
+      modifiedCount: matchedCount,
+      upsertedIds
+    };
+  });
+  jest.spyOn(DeadLetter, 'bulkWrite').mockResolvedValue({});
+  jest.spyOn(DeadLetter, 'updateMany').mockResolvedValue({});
+
+  return { tickets, writes };
+};
+
+describe('syncSince with the ServiceNow connector', () => {
+  let server;
+  let records;
+  let connection;
+  const target = { key: 'incident', table: 'incident', label: 'incident' };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    // A burst of 5,000 records: 1,200 updated in the same second as the watermark, the
+    // rest 190 to a second, so most pages start and end inside a run of equal timestamps
+    records = buildIncidents(RECORD_COUNT, index => (index < 1200
+      ? SINCE
+      : new Date(SINCE.getTime() + (1 + Math.floor((index - 1200) / 190)) * 1000)));
+    // Records older than the watermark must not be read
+    const older = buildIncidents(RECORD_COUNT + 50, () => new Date(SINCE.getTime() - 1000)).slice(RECORD_COUNT);
+
+    server = await startMockServer(createTableApi(records.concat(older)));
+    connection = {
+      key: 'default',
+      tables: ['incident'],
+      client: createApiClient({
+        url: server.url,
+        authMode: 'basic',
+        username: 'integration',
+        password: 'secret',
+        timeout: 5000,
+        maxRequestsPerSecond: 0,
+        httpMaxRetries: 0
+      })
+    };
+  });
+
+  afterAll(async () => {
+    await server.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  it('stores every record of a burst exactly once and ends the watermark on the last record', async () => {
+    const { tickets, writes } = useFakeTicketStore();
+    const watermarks = [];
+
+    const result = await syncSince(servicenowConnector, connection, target, {
+      since: SINCE,
+      batchSize: BATCH_SIZE,
+      onPage: ({ watermark }) => watermarks.push(watermark)
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.total).toBe(RECORD_COUNT);
+    expect(result.pages).toBe(RECORD_COUNT / BATCH_SIZE);
+    expect(result.database).toEqual({ saved: RECORD_COUNT, updated: 0, unchanged: 0, errors: 0 });
+
+    expect(tickets.size).toBe(RECORD_COUNT);
+    records.forEach(record => expect(writes.get(record.number)).toBe(1));
+
+    const lastRecord = records.reduce((last, record) => (
+      record.sys_updated_on.localeCompare(last.sys_updated_on) > 0 ? record : last
+    ));
+    expect(result.watermark).toEqual(parseGlideDateTime(lastRecord.sys_updated_on));
+    expect(watermarks[watermarks.length - 1]).toEqual(result.watermark);
+    // The watermark never moves back
+    watermarks.reduce((previous, watermark) => {
+      expect(watermark.getTime()).toBeGreaterThanOrEqual(previous.getTime());
+      return watermark;
+    });
+  });
+
+  it('pages on sys_updated_on and sys_id after the first page', async () => {
+    useFakeTicketStore();
+
+    await syncSince(servicenowConnector, connection, target, { since: SINCE, batchSize: BATCH_SIZE });
+
+    // A full last page is followed by one empty read
+    expect(server.requests).toHaveLength(RECORD_COUNT / BATCH_SIZE + 1);
+    expect(server.requests[0].query.sysparm_query)
+      .toBe('sys_updated_on>=2024-05-01 10:00:00^ORDERBYsys_updated_on^ORDERBYsys_id');
+    expect(server.requests[1].query.sysparm_query)
+      .toMatch(/^sys_updated_on>2024-05-01 10:00:00\^NQsys_updated_on=2024-05-01 10:00:00\^sys_id>[0-9a-f]{32}\^ORDERBYsys_updated_on\^ORDERBYsys_id$/);
+    server.requests.forEach(request => expect(request.query.sysparm_limit).toBe(String(BATCH_SIZE)));
+  });
+
+  it('leaves every record unchanged when the burst is read again', async () => {
+    const { writes } = useFakeTicketStore();
+    await syncSince(servicenowConnector, connection, target, { since: SINCE, batchSize: BATCH_SIZE });
+
+    const result = await syncSince(servicenowConnector, connection, target, { since: SINCE, batchSize: BATCH_SIZE });
+
+    expect(result.database).toEqual({ saved: 0, updated: 0, unchanged: RECORD_COUNT, errors: 0 });
+    expect(Array.from(writes.values()).every(count => count === 1)).toBe(true);
+  });
+});
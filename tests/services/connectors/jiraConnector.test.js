@@ -0,0 +1,233 @@
+const axios = require('axios');
+const jiraConnector = require('../../../src/services/connectors/jiraConnector');
+const { startMockServer } = require('../../helpers/mockServer');
+
+const SEARCH_ENDPOINT = '/rest/api/3/search/jql';
+
+/**
+ * Jira issue as the REST API returns it
+ */
+const buildIssue = (number, fields = {}) => ({
+  id: String(10000 + number),
+  key: `OPS-${number}`,
+  fields: {
+    summary: `Issue ${number}`,
+    description: null,
+    issuetype: { name: 'Incident' },
+    status: { name: 'In Progress', statusCategory: { key: 'indeterminate' } },
+    priority: { name: 'High' },
+    labels: [],
+    project: { key: 'OPS' },
+    reporter: { accountId: 'reporter-1' },
+    assignee: null,
+    created: '2024-05-01T09:30:00.000+0200',
+    updated: `2024-05-01T10:00:0${number % 10}.000+0000`,
+    resolutiondate: null,
+    ...fields
+  }
+});
+
+describe('jiraConnector', () => {
+  let server;
+  let connection;
+  // Mock Jira answers, changed per test
+  let reply;
+  const target = { key: 'OPS', table: 'OPS', label: 'Jira OPS' };
+
+  beforeAll(async () => {
+    server = await startMockServer(request => reply(request));
+    connection = { key: 'default', client: axios.create({ baseURL: server.url }) };
+  });
+
+  afterAll(async () => {
+    await server.close();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    reply = () => ({ status: 404, body: { errorMessages: ['Not found'] } });
+  });
+
+  describe('fetchSince', () => {
+    it('pages through the search results with nextPageToken', async () => {
+      const issues = [1, 2, 3, 4, 5].map(number => buildIssue(number));
+      reply = (request) => {
+        const start = request.body.nextPageToken ? Number(request.body.nextPageToken) : 0;
+        const page = issues.slice(start, start + request.body.maxResults);
+        const next = start + page.length;
+        return { body: { issues: page, isLast: next >= issues.length, nextPageToken: next >= issues.length ? undefined : String(next) } };
+      };
+      const pages = [];
+
+      await jiraConnector.fetchSince(connection, target, {
+        since: new Date('2024-05-01T10:00:00Z'),
+        batchSize: 2,
+        onPage: page => pages.push(page.map(issue => issue.key))
+      });
+
+      expect(pages).toEqual([['OPS-1', 'OPS-2'], ['OPS-3', 'OPS-4'], ['OPS-5']]);
+      expect(server.requests).toHaveLength(3);
+      expect(server.requests[0]).toMatchObject({
+        method: 'POST',
+        path: SEARCH_ENDPOINT,
+        body: {
+          jql: 'project = "OPS" AND updated >= "2024-05-01 10:00" ORDER BY updated ASC, key ASC',
+          maxResults: 2
+        }
+      });
+      expect(server.requests[0].body).not.toHaveProperty('nextPageToken');
+      expect(server.requests.slice(1).map(request => request.body.nextPageToken)).toEqual(['2', '4']);
+    });
+
+    it('stops reading when onPage returns false', async () => {
+      reply = () => ({ body: { issues: [buildIssue(1)], isLast: false, nextPageToken: 'next' } });
+      const onPage = jest.fn().mockResolvedValue(false);
+
+      await jiraConnector.fetchSince(connection, target, { since: new Date(), batchSize: 1, onPage });
+
+      expect(onPage).toHaveBeenCalledTimes(1);
+      expect(server.requests).toHaveLength(1);
+    });
+  });
+
+  describe('mapToTicket', () => {
+    it('maps an issue to a ticket', () => {
+      const issue = buildIssue(7, {
+        description: {
+          type: 'doc',
+          content: [
+            { type: 'paragraph', content: [{ type: 'text', text: 'VPN is down' }, { type: 'hardBreak' }, { type: 'text', text: 'since 9:00' }] },
+            { type: 'paragraph', content: [{ type: 'text', text: 'Users affected' }] }
+          ]
+        },
+        labels: ['network'],
+        assignee: { accountId: 'agent-1' }
+      });
+
+      const { ticket, warnings } = jiraConnector.mapToTicket(issue);
+
+      expect(warnings).toEqual([]);
+      expect(ticket).toEqual({
+        ticket_id: 'OPS-7',
+        source: 'Jira',
+        record_type: 'incident',
+        sys_id: '10007',
+        short_description: 'Issue 7',
+        description: 'VPN is down\nsince 9:00\nUsers affected',
+        category: 'Incident',
+        status: 'In Progress',
+        priority: 'High',
+        opened_time: new Date('2024-05-01T07:30:00Z'),
+        resolved_time: null,
+        closed_time: null,
+        requester: { id: 'reporter-1' },
+        assigned_to: { id: 'agent-1' },
+        tags: ['network'],
+        custom_fields: { project: 'OPS' },
+        raw: issue
+      });
+    });
+
+    it('closes done issues at their resolution date and names other issue types', () => {
+      const { ticket } = jiraConnector.mapToTicket(buildIssue(8, {
+        issuetype: { name: 'Service Request' },
+        status: { name: 'Done', statusCategory: { key: 'done' } },
+        resolutiondate: '2024-05-02T12:00:00.000+0000'
+      }));
+
+      expect(ticket.record_type).toBe('request_item');
+      expect(ticket.resolved_time).toEqual(new Date('2024-05-02T12:00:00Z'));
+      expect(ticket.closed_time).toEqual(new Date('2024-05-02T12:00:00Z'));
+      expect(jiraConnector.mapToTicket(buildIssue(9, { issuetype: { name: 'Bug Report' } })).ticket.record_type).toBe('bug_report');
+    });
+
+    it('warns about an invalid creation date', () => {
+      const { ticket, warnings } = jiraConnector.mapToTicket(buildIssue(10, { created: 'yesterday' }));
+
+      expect(ticket.opened_time).toBeNull();
+      expect(warnings).toEqual(['created: invalid date "yesterday"']);
+    });
+
+    it('rejects issues without a key or summary', () => {
+      expect(() => jiraConnector.mapToTicket({ fields: { summary: 'No key' } })).toThrow('Issue has no key');
+      expect(() => jiraConnector.mapToTicket(buildIssue(11, { summary: '' }))).toThrow('Issue has no summary');
+    });
+
+    it('reads the update time and target of an issue', () => {
+      expect(jiraConnector.getUpdatedAt(buildIssue(3))).toEqual(new Date('2024-05-01T10:00:03Z'));
+      expect(jiraConnector.targetOf({ ticket_id: 'OPS-3' })).toEqual(target);
+    });
+  });
+
+  describe('fetchOne', () => {
+    it('reads an issue by key', async () => {
+      const issue = buildIssue(12);
+      reply = () => ({ body: issue });
+
+      await expect(jiraConnector.fetchOne(connection, target, 'OPS-12')).resolves.toEqual(issue);
+      expect(server.requests[0]).toMatchObject({ method: 'GET', path: '/rest/api/3/issue/OPS-12' });
+      expect(server.requests[0].query.fields.split(',')).toEqual(expect.arrayContaining(['summary', 'updated']));
+    });
+
+    it('returns null for an unknown issue', async () => {
+      await expect(jiraConnector.fetchOne(connection, target, 'OPS-404')).resolves.toBeNull();
+    });
+
+    it('fails on other errors', async () => {
+      reply = () => ({ status: 401, body: { errorMessages: ['Unauthorized'] } });
+
+      await expect(jiraConnector.fetchOne(connection, target, 'OPS-12')).rejects.toMatchObject({ response: { status: 401 } });
+    });
+  });
+
+  describe('writeBack', () => {
+    const ticket = { ticket_id: 'OPS-12' };
+
+    beforeEach(() => {
+      reply = (request) => {
+        if (request.method === 'GET' && request.path.endsWith('/transitions')) {
+          return {
+            body: {
+              transitions: [
+                { id: '21', name: 'Start progress', to: { name: 'In Progress' } },
+                { id: '31', name: 'Resolve', to: { name: 'Resolved' } }
+              ]
+            }
+          };
+        }
+        return { status: 204 };
+      };
+    });
+
+    it('applies every change through its endpoint', async () => {
+      await jiraConnector.writeBack(ticket, {
+        priority: 'Highest',
+        assigned_to: 'agent-2',
+        state: 'resolved',
+        comments: 'We are on it',
+        work_notes: 'Restarted the gateway'
+      }, connection);
+
+      expect(server.requests.map(({ method, path, body }) => ({ method, path, body }))).toEqual([
+        { method: 'PUT', path: '/rest/api/3/issue/OPS-12', body: { fields: { priority: { name: 'Highest' } } } },
+        { method: 'PUT', path: '/rest/api/3/issue/OPS-12/assignee', body: { accountId: 'agent-2' } },
+        { method: 'GET', path: '/rest/api/3/issue/OPS-12/transitions', body: '' },
+        { method: 'POST', path: '/rest/api/3/issue/OPS-12/transitions', body: { transition: { id: '31' } } },
+        { method: 'POST', path: '/rest/servicedeskapi/request/OPS-12/comment', body: { body: 'We are on it', public: true } },
+        { method: 'POST', path: '/rest/servicedeskapi/request/OPS-12/comment', body: { body: 'Restarted the gateway', public: false } }
+      ]);
+    });
+
+    it('unassigns an issue', async () => {
+      await jiraConnector.writeBack(ticket, { assigned_to: '' }, connection);
+
+      expect(server.requests[0].body).toEqual({ accountId: null });
+    });
+
+    it('fails when no transition leads to the state', async () => {
+      await expect(jiraConnector.writeBack(ticket, { state: 'Closed' }, connection))
+        .rejects.toThrow('No transition to "Closed" (available: In Progress, Resolved)');
+      expect(server.requests.map(request => request.method)).toEqual(['GET']);
+    });
+  });
+});
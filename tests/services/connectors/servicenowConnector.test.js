@@ -0,0 +1,297 @@
+jest.mock('../../../src/services/realtimeService', () => ({ publishTicketEvent: jest.fn() }));
+jest.mock('../../../src/services/servicenowIngestionService', () => ({
+  migrateLegacyState: jest.fn(),
+  saveTickets: jest.fn().mockResolvedValue({ savedCount: 0, updatedCount: 1, unchangedCount: 0, errorCount: 0 })
+}));
+jest.mock('../../../src/services/servicenowJournalService', () => ({ syncJournalEntries: jest.fn() }));
+jest.mock('../../../src/services/servicenowAttachmentService', () => ({ syncAttachments: jest.fn() }));
+jest.mock('../../../src/services/servicenowConnectionService', () => ({
+  ...jest.requireActual('../../../src/services/servicenowConnectionService'),
+  getConnection: jest.fn()
+}));
+
+const Ticket = require('../../../src/models/Tickets');
+const TicketWriteBack = require('../../../src/models/TicketWriteBack');
+const servicenowConnector = require('../../../src/services/connectors/servicenowConnector');
+const { writeBackTicket } = require('../../../src/services/servicenowWriteBackService');
+const { saveTickets } = require('../../../src/services/servicenowIngestionService');
+const { getConnection } = require('../../../src/services/servicenowConnectionService');
+const { createApiClient } = require('../../../src/services/servicenowClient');
+const { startMockServer } = require('../../helpers/mockServer');
+const { displayDateTime, buildIncidents, createTableApi, presentRecord } = require('../../helpers/fakeTableApi');
+
+const TABLE_ENDPOINT = '/api/now/table/incident';
+
+describe('servicenowConnector', () => {
+  let server;
+  let records;
+  let connection;
+  // Replies to record reads and writes (/api/now/table/incident/<sys_id>), changed per test
+  let recordReply;
+  const target = { key: 'incident', table: 'incident', label: 'incident' };
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    // Seven records over three timestamps, three of them sharing the first one
+    records = buildIncidents(7, index => new Date(Date.UTC(2024, 4, 1, 10, 0, Math.floor(index / 3))));
+    const tableApi = createTableApi(records);
+
+    server = await startMockServer((request) => (
+      request.path.startsWith(`${TABLE_ENDPOINT}/`) ? recordReply(request) : tableApi(request)
+    ));
+    connection = {
+      key: 'default',
+      tables: ['incident'],
+      client: createApiClient({
+        url: server.url,
+        authMode: 'basic',
+        username: 'integration',
+        password: 'secret',
+        timeout: 5000,
+        maxRequestsPerSecond: 0,
+        httpMaxRetries: 0
+      })
+    };
+    getConnection.mockResolvedValue(connection);
+  });
+
+  afterAll(async () => {
+    await server.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+  });
+
+  describe('fetchSince', () => {
+    it('reads every record updated since a date in pages, ascending', async () => {
+      const pages = [];
+
+      await servicenowConnector.fetchSince(connection, target, {
+        since: new Date('2024-05-01T10:00:00Z'),
+        batchSize: 3,
+        onPage: page => pages.push(page.map(record => record.number))
+      });
+
+      expect(pages.map(page => page.length)).toEqual([3, 3, 1]);
+      const expected = records.slice()
+        .sort((a, b) => a.sys_updated_on.localeCompare(b.sys_updated_on) || a.sys_id.localeCompare(b.sys_id))
+        .map(record => record.number);
+      expect(pages.flat()).toEqual(expected);
+
+      const [first, second] = server.requests;
+      expect(first.query).toMatchObject({
+        sysparm_limit: '3',
+        sysparm_query: 'sys_updated_on>=2024-05-01 10:00:00^ORDERBYsys_updated_on^ORDERBYsys_id',
+        sysparm_display_value: 'all',
+        sysparm_no_count: 'true'
+      });
+      // The default mapping keeps custom fields, so every column is requested
+      expect(first.query).not.toHaveProperty('sysparm_fields');
+      const lastOfFirstPage = records.find(record => record.number === pages[0][2]);
+      expect(second.query.sysparm_query).toBe(
+        `sys_updated_on>${lastOfFirstPage.sys_updated_on}^NQsys_updated_on=${lastOfFirstPage.sys_updated_on}` +
+        `^sys_id>${lastOfFirstPage.sys_id}^ORDERBYsys_updated_on^ORDERBYsys_id`
+      );
+    });
+
+    it('keeps sys_updated_on raw and every other field as its display value', async () => {
+      const pages = [];
+
+      await servicenowConnector.fetchSince(connection, target, {
+        since: new Date('2024-05-01T10:00:00Z'),
+        batchSize: 10,
+        onPage: page => pages.push(...page)
+      });
+
+      const record = pages.find(candidate => candidate.number === records[0].number);
+      expect(record).toEqual(records[0]);
+      expect(displayDateTime(record.sys_updated_on)).toBe('2024-05-01 12:00:00');
+    });
+
+    it('keeps the u_* fields the mapping does not name', async () => {
+      const custom = records[1];
+      records[1] = { ...custom, u_business_unit: 'Retail' };
+      const pages = [];
+
+      try {
+        await servicenowConnector.fetchSince(connection, target, {
+          since: new Date('2024-05-01T10:00:00Z'),
+          batchSize: 10,
+          onPage: page => pages.push(...page)
+        });
+      } finally {
+        records[1] = custom;
+      }
+
+      const record = pages.find(candidate => candidate.number === custom.number);
+      const { ticket } = servicenowConnector.mapToTicket(record, target);
+      expect(ticket.custom_fields).toEqual({ u_business_unit: 'Retail' });
+    });
+
+    it('stops reading when onPage returns false', async () => {
+      const onPage = jest.fn().mockResolvedValue(false);
+
+      await servicenowConnector.fetchSince(connection, target, {
+        since: new Date('2024-05-01T10:00:00Z'),
+        batchSize: 3,
+        onPage
+      });
+
+      expect(onPage).toHaveBeenCalledTimes(1);
+      expect(server.requests).toHaveLength(1);
+    });
+
+    it('does not call onPage without records', async () => {
+      const onPage = jest.fn();
+
+      await servicenowConnector.fetchSince(connection, target, {
+        since: new Date('2024-06-01T00:00:00Z'),
+        batchSize: 3,
+        onPage
+      });
+
+      expect(onPage).not.toHaveBeenCalled();
+      expect(server.requests).toHaveLength(1);
+    });
+  });
+
+  describe('mapToTicket', () => {
+    it('maps a Table API record with the table mapping', () => {
+      const record = {
+        ...records[0],
+        caller_id: { value: 'caller-sys-id', display_value: 'Abel Tuter' },
+        tags: 'vip, network'
+      };
+
+      const { ticket, warnings } = servicenowConnector.mapToTicket(record, target);
+
+      expect(warnings).toEqual([]);
+      expect(ticket).toMatchObject({
+        ticket_id: 'INC0000000',
+        source: 'ServiceNow',
+        record_type: 'incident',
+        sys_id: record.sys_id,
+        short_description: 'Incident 0',
+        priority: '3 - Moderate',
+        requester: { id: 'caller-sys-id' },
+        tags: ['vip', 'network'],
+        raw: record
+      });
+      expect(ticket.opened_time).toEqual(new Date('2024-05-01 08:00:00'));
+    });
+
+    it('rejects a record without a number', () => {
+      const { number, ...record } = records[0];
+
+      expect(() => servicenowConnector.mapToTicket(record, target)).toThrow('Required field "number" is missing');
+      expect(servicenowConnector.identifyRecord(record)).toEqual({ ticket_id: undefined, sys_id: record.sys_id });
+    });
+
+    it('reads the update time of a record', () => {
+      expect(servicenowConnector.getUpdatedAt(records[0])).toEqual(new Date('2024-05-01T10:00:00Z'));
+    });
+  });
+
+  describe('fetchOne', () => {
+    it('reads a record by number', async () => {
+      await expect(servicenowConnector.fetchOne(connection, target, 'INC0000004')).resolves.toEqual(records[4]);
+      expect(server.requests[0].query).toMatchObject({ sysparm_limit: '1', sysparm_query: 'number=INC0000004', sysparm_display_value: 'all' });
+    });
+
+    it('returns null for an unknown number', async () => {
+      await expect(servicenowConnector.fetchOne(connection, target, 'INC9999999')).resolves.toBeNull();
+    });
+  });
+
+  describe('writeBack', () => {
+    const stored = () => ({
+      ticket_id: records[1].number,
+      source: 'ServiceNow',
+      connection_id: 'default',
+      record_type: 'incident',
+      sys_id: records[1].sys_id,
+      raw: records[1]
+    });
+
+    beforeEach(() => {
+      saveTickets.mockClear();
+      jest.spyOn(Ticket, 'findOne').mockReturnValue({ lean: async () => stored() });
+      jest.spyOn(TicketWriteBack, 'create').mockImplementation(async entry => ({ _id: 'write-back-id', ...entry }));
+    });
+
+    it('patches the record when it is unchanged at the source and stores the result', async () => {
+      const updated = { ...records[1], state: 'Resolved', sys_updated_on: '2024-05-01 11:00:00' };
+      recordReply = (request) => (request.method === 'PATCH'
+        ? { body: { result: presentRecord(updated, request.query.sysparm_display_value) } }
+        : { body: { result: presentRecord({ sys_updated_on: records[1].sys_updated_on }, request.query.sysparm_display_value) } });
+
+      const result = await writeBackTicket(records[1].number, { state: 'Resolved', work_notes: 'Fixed' }, { userId: 'user-1' });
+
+      expect(result).toMatchObject({ success: true, data: { writeBackId: 'write-back-id' } });
+      const [read, patch] = server.requests;
+      expect(read).toMatchObject({ method: 'GET', path: `${TABLE_ENDPOINT}/${records[1].sys_id}` });
+      expect(patch).toMatchObject({
+        method: 'PATCH',
+        path: `${TABLE_ENDPOINT}/${records[1].sys_id}`,
+        body: { state: 'Resolved', work_notes: 'Fixed' },
+        query: { sysparm_display_value: 'all', sysparm_input_display_value: 'true' }
+      });
+      expect(saveTickets).toHaveBeenCalledWith([updated], 'incident', connection);
+      expect(TicketWriteBack.create).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'success',
+        requested_by: 'user-1',
+        expected_sys_updated_on: records[1].sys_updated_on,
+        remote_sys_updated_on: '2024-05-01 11:00:00'
+      }));
+    });
+
+    it('refuses to overwrite a record changed at the source', async () => {
+      recordReply = (request) => ({ body: { result: presentRecord({ sys_updated_on: '2024-05-01 10:30:00' }, request.query.sysparm_display_value) } });
+
+      const result = await writeBackTicket(records[1].number, { priority: '1 - Critical' });
+
+      expect(result).toMatchObject({
+        success: false,
+        conflict: true,
+        data: { expected_sys_updated_on: records[1].sys_updated_on, remote_sys_updated_on: '2024-05-01 10:30:00' }
+      });
+      expect(server.requests.map(request => request.method)).toEqual(['GET']);
+      expect(saveTickets).not.toHaveBeenCalled();
+    });
+
+    it('accepts copies synced with the display value of sys_updated_on', async () => {
+      const legacy = { ...stored(), raw: { ...records[1], sys_updated_on: displayDateTime(records[1].sys_updated_on) } };
+      Ticket.findOne.mockReturnValue({ lean: async () => legacy });
+      recordReply = (request) => ({
+        body: { result: presentRecord({ ...records[1], state: 'Resolved' }, request.query.sysparm_display_value) }
+      });
+
+      const result = await writeBackTicket(records[1].number, { state: 'Resolved' });
+
+      expect(result.success).toBe(true);
+      expect(server.requests.map(request => request.method)).toEqual(['GET', 'PATCH']);
+    });
+
+    it('reports the error ServiceNow answers with', async () => {
+      recordReply = (request) => (request.method === 'PATCH'
+        ? { status: 403, body: { error: { message: 'Operation against file not allowed' } } }
+        : { body: { result: presentRecord({ sys_updated_on: records[1].sys_updated_on }, request.query.sysparm_display_value) } });
+
+      const result = await writeBackTicket(records[1].number, { assigned_to: 'someone' });
+
+      expect(result).toEqual({ success: false, upstream: true, error: 'Operation against file not allowed', status: 403 });
+      expect(TicketWriteBack.create).toHaveBeenCalledWith(expect.objectContaining({ status: 'failed', response_status: 403 }));
+    });
+
+    it('rejects fields that cannot be written', async () => {
+      const result = await writeBackTicket(records[1].number, { short_description: 'Renamed' });
+
+      expect(result).toMatchObject({ success: false, invalid: true });
+      expect(server.requests).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const { createTokenManager, createApiClient } = require('../../src/services/servicenowClient');
+const { startMockServer } = require('../helpers/mockServer');
+
+const TOKEN_ENDPOINT = '/oauth_token.do';
+const TABLE_ENDPOINT = '/api/now/table/incident';
+
+/**
+ * ServiceNow settings of a client talking to the mock server
+ */
+const buildSettings = (url, overrides = {}) => ({
+  url,
+  authMode: 'oauth',
+  username: 'integration',
+  password: 'secret',
+  timeout: 5000,
+  maxRequestsPerSecond: 0,
+  httpMaxRetries: 0,
+  retryDelay: 1,
+  retryMaxDelay: 1,
+  ...overrides,
+  oauth: {
+    grantType: 'client_credentials',
+    clientId: 'client-id',
+    clientSecret: 'client-secret',
+    tokenEndpoint: TOKEN_ENDPOINT,
+    basicAuthFallback: false,
+    ...overrides.oauth
+  }
+});
+
+const basicHeader = (username, password) => `Basic ${Buffer.from(`${username}:${password}`).toString('base64')}`;
+
+describe('servicenowClient', () => {
+  let server;
+  // Token endpoint behaviour, changed per test
+  let tokenReply;
+  let issued;
+
+  const tokenRequests = () => server.requests.filter(request => request.path === TOKEN_ENDPOINT);
+  const tableRequests = () => server.requests.filter(request => request.path === TABLE_ENDPOINT);
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    server = await startMockServer((request) => {
+      if (request.path === TOKEN_ENDPOINT) {
+        return tokenReply(request);
+      }
+      if (request.path === TABLE_ENDPOINT) {
+        // Only the latest token is valid
+        const valid = request.headers.authorization === `Bearer token-${issued}` ||
+          request.headers.authorization === basicHeader('integration', 'secret');
+        return valid ? { body: { result: [{ sys_id: 'a1' }] } } : { status: 401, body: { error: 'Unauthorized' } };
+      }
+      return { status: 404 };
+    });
+  });
+
+  afterAll(async () => {
+    await server.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    issued = 0;
+    tokenReply = (request) => {
+      issued++;
+      return {
+        body: {
+          access_token: `token-${issued}`,
+          ...(request.body.grant_type === 'client_credentials' ? {} : { refresh_token: `refresh-${issued}` }),
+          expires_in: 1800
+        }
+      };
+    };
+  });
+
+  describe('createTokenManager', () => {
+    it('requests a token with the client_credentials grant', async () => {
+      const tokenManager = createTokenManager(buildSettings(server.url, { oauth: { scope: 'useraccount' } }));
+
+      await expect(tokenManager.getAccessToken()).resolves.toBe('token-1');
+      expect(tokenRequests()).toHaveLength(1);
+      expect(tokenRequests()[0].body).toEqual({
+        grant_type: 'client_credentials',
+        client_id: 'client-id',
+        client_secret: 'client-secret',
+        scope: 'useraccount'
+      });
+    });
+
+    it('requests a token with the password grant', async () => {
+      const tokenManager = createTokenManager(buildSettings(server.url, { oauth: { grantType: 'password' } }));
+
+      await expect(tokenManager.getAccessToken()).resolves.toBe('token-1');
+      expect(tokenRequests()[0].body).toEqual({
+        grant_type: 'password',
+        client_id: 'client-id',
+        client_secret: 'client-secret',
+        username: 'integration',
+        password: 'secret'
+      });
+    });
+
+    it('reuses the cached token until shortly before it expires', async () => {
+      const tokenManager = createTokenManager(buildSettings(server.url));
+      const realNow = Date.now;
+
+      const concurrent = await Promise.all([tokenManager.getAccessToken(), tokenManager.getAccessToken()]);
+      expect(concurrent).toEqual(['token-1', 'token-1']);
+      await expect(tokenManager.getAccessToken()).resolves.toBe('token-1');
+      expect(tokenRequests()).toHaveLength(1);
+
+      // 1800 s tokens are renewed a minute before they expire
+      const start = realNow();
+      const clock = jest.spyOn(Date, 'now');
+      try {
+        clock.mockImplementation(() => start + 1730 * 1000);
+        await expect(tokenManager.getAccessToken()).resolves.toBe('token-1');
+        expect(tokenRequests()).toHaveLength(1);
+
+        clock.mockImplementation(() => start + 1750 * 1000);
+        await expect(tokenManager.getAccessToken()).resolves.toBe('token-2');
+        expect(tokenRequests()).toHaveLength(2);
+      } finally {
+        clock.mockRestore();
+      }
+    });
+
+    it('renews an invalidated password grant token with the refresh_token grant', async () => {
+      const tokenManager = createTokenManager(buildSettings(server.url, { oauth: { grantType: 'password' } }));
+
+      await tokenManager.getAccessToken();
+      tokenManager.invalidate();
+      await expect(tokenManager.getAccessToken()).resolves.toBe('token-2');
+
+      expect(tokenRequests()[1].body).toEqual({
+        grant_type: 'refresh_token',
+        client_id: 'client-id',
+        client_secret: 'client-secret',
+        refresh_token: 'refresh-1'
+      });
+    });
+
+    it('falls back to the password grant when the refresh token is rejected', async () => {
+      const tokenManager = createTokenManager(buildSettings(server.url, { oauth: { grantType: 'password' } }));
+      await tokenManager.getAccessToken();
+
+      const issueToken = tokenReply;
+      tokenReply = (request) => (request.body.grant_type === 'refresh_token'
+        ? { status: 401, body: { error: 'invalid_grant' } }
+        : issueToken(request));
+      tokenManager.invalidate();
+
+      await expect(tokenManager.getAccessToken()).resolves.toBe('token-2');
+      expect(tokenRequests().map(request => request.body.grant_type)).toEqual(['password', 'refresh_token', 'password']);
+    });
+
+    it('fails when the token endpoint returns no access token', async () => {
+      tokenReply = () => ({ body: { token_type: 'Bearer' } });
+      const tokenManager = createTokenManager(buildSettings(server.url));
+
+      await expect(tokenManager.getAccessToken()).rejects.toThrow('ServiceNow token endpoint returned no access_token');
+    });
+  });
+
+  describe('createApiClient', () => {
+    it('sends basic auth without OAuth', async () => {
+      const client = createApiClient(buildSettings(server.url, { authMode: 'basic' }));
+
+      await client.get(TABLE_ENDPOINT);
+      expect(tokenRequests()).toHaveLength(0);
+      expect(tableRequests()[0].headers.authorization).toBe(basicHeader('integration', 'secret'));
+    });
+
+    it('sends the cached bearer token with every request', async () => {
+      const client = createApiClient(buildSettings(server.url));
+
+      await client.get(TABLE_ENDPOINT);
+      await client.get(TABLE_ENDPOINT);
+      expect(tokenRequests()).toHaveLength(1);
+      expect(tableRequests().map(request => request.headers.authorization)).toEqual(['Bearer token-1', 'Bearer token-1']);
+    });
+
+    it('refreshes the token once and retries after a 401', async () => {
+      const client = createApiClient(buildSettings(server.url));
+      await client.get(TABLE_ENDPOINT);
+
+      // The instance revokes token-1 before it expires
+      issued++;
+      const response = await client.get(TABLE_ENDPOINT);
+
+      expect(response.status).toBe(200);
+      expect(tokenRequests()).toHaveLength(2);
+      expect(tableRequests().map(request => request.headers.authorization))
+        .toEqual(['Bearer token-1', 'Bearer token-1', 'Bearer token-3']);
+    });
+
+    it('gives up after one retry when the new token is rejected too', async () => {
+      tokenReply = () => ({ body: { access_token: 'revoked', expires_in: 1800 } });
+      const client = createApiClient(buildSettings(server.url));
+
+      await expect(client.get(TABLE_ENDPOINT)).rejects.toMatchObject({ response: { status: 401 } });
+      expect(tokenRequests()).toHaveLength(2);
+      expect(tableRequests()).toHaveLength(2);
+    });
+
+    it('falls back to basic auth when no token can be obtained and the fallback is enabled', async () => {
+      tokenReply = () => ({ status: 400, body: { error: 'invalid_client' } });
+      const client = createApiClient(buildSettings(server.url, { oauth: { basicAuthFallback: true } }));
+
+      const response = await client.get(TABLE_ENDPOINT);
+      expect(response.status).toBe(200);
+      expect(tableRequests()[0].headers.authorization).toBe(basicHeader('integration', 'secret'));
+    });
+
+    it('fails without a token when the fallback is disabled', async () => {
+      tokenReply = () => ({ status: 400, body: { error: 'invalid_client' } });
+      const client = createApiClient(buildSettings(server.url));
+
+      await expect(client.get(TABLE_ENDPOINT)).rejects.toMatchObject({ response: { status: 400 } });
+      expect(tableRequests()).toHaveLength(0);
+    });
+  });
+});
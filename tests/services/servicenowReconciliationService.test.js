@@ -0,0 +1,176 @@
+const config = require('../../src/config');
+const Ticket = require('../../src/models/Tickets');
+const ReconciliationRun = require('../../src/models/ReconciliationRun');
+const { reconcileTable } = require('../../src/services/servicenowReconciliationService');
+const { createApiClient } = require('../../src/services/servicenowClient');
+const { startMockServer } = require('../helpers/mockServer');
+const { buildIncidents, createTableApi } = require('../helpers/fakeTableApi');
+
+/**
+ * Whether a ticket matches the filters the reconciliation builds: equality (null also
+ * matching missing fields), $in, $ne, $lt, $exists and $or
+ */
+const matches = (ticket, filter) => Object.entries(filter).every(([field, condition]) => {
+  if (field === '$or') {
+    return condition.some(clause => matches(ticket, clause));
+  }
+  const value = ticket[field] === undefined ? null : ticket[field];
+  if (condition === null || typeof condition !== 'object' || condition instanceof Date) {
+    return value === condition;
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    switch (operator) {
+      case '$in':
+        return operand.includes(value);
+      case '$ne':
+        return value !== operand;
+      case '$lt':
+        return value !== null && value < operand;
+      case '$exists':
+        return (ticket[field] !== undefined) === operand;
+      default:
+        throw new Error(`Unsupported operator ${operator}`);
+    }
+  });
+});
+
+/**
+ * In-memory tickets collection behind the Ticket queries of the reconciliation
+ */
+const useFakeTicketStore = (tickets) => {
+  const query = (results) => ({
+    limit: count => query(results.slice(0, count)),
+    lean: async () => results
+  });
+  jest.spyOn(Ticket, 'find').mockImplementation(filter => query(tickets.filter(ticket => matches(ticket, filter))));
+  jest.spyOn(Ticket, 'countDocuments').mockImplementation(async filter => tickets.filter(ticket => matches(ticket, filter)).length);
+  jest.spyOn(Ticket, 'updateMany').mockImplementation(async (filter, update) => {
+    const matched = tickets.filter(ticket => matches(ticket, filter));
+    matched.forEach(ticket => Object.assign(ticket, update.$set));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+};
+
+describe('servicenowReconciliationService', () => {
+  const originalSettings = { ...config.servicenow };
+  const createdAt = new Date('2024-05-01T00:00:00Z');
+  let server;
+  let records;
+  let tickets;
+  let connection;
+  // Called before the Table API answers, changed per test
+  let beforeRead;
+
+  /**
+   * Stored copy of a remote record
+   */
+  const storedTicket = (record) => ({
+    ticket_id: record.number,
+    sys_id: record.sys_id,
+    source: 'ServiceNow',
+    connection_id: 'default',
+    record_type: 'incident',
+    short_description: record.short_description,
+    status: record.state,
+    priority: record.priority,
+    deleted_at_source: null,
+    createdAt
+  });
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(ReconciliationRun, 'create').mockResolvedValue({ _id: 'run-1' });
+    jest.spyOn(ReconciliationRun, 'findByIdAndUpdate').mockImplementation(async (id, update) => update.$set);
+
+    records = buildIncidents(6, () => new Date('2024-05-01T10:00:00Z'));
+    const tableApi = createTableApi(records);
+    server = await startMockServer((request) => {
+      beforeRead(request);
+      return tableApi(request);
+    });
+    connection = {
+      key: 'default',
+      tables: ['incident'],
+      client: createApiClient({
+        url: server.url,
+        authMode: 'basic',
+        username: 'integration',
+        password: 'secret',
+        timeout: 5000,
+        maxRequestsPerSecond: 0,
+        httpMaxRetries: 0
+      })
+    };
+  });
+
+  afterAll(async () => {
+    await server.close();
+    Object.assign(config.servicenow, originalSettings);
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    server.requests.length = 0;
+    beforeRead = () => {};
+    records.splice(6);
+    Object.assign(config.servicenow, { reconcileBatchSize: 2, reconcileQuery: '', reconcileMaxDeletePercent: 100 });
+    tickets = records.map(storedTicket);
+    useFakeTicketStore(tickets);
+  });
+
+  describe('reconcileTable', () => {
+    it('marks tickets gone from ServiceNow as deleted at source', async () => {
+      tickets.push({ ...storedTicket(records[0]), ticket_id: 'INC0099999', sys_id: 'f'.repeat(32) });
+
+      const result = await reconcileTable('incident', { connection });
+
+      expect(result.data).toMatchObject({
+        status: 'completed',
+        pagesFetched: 4,
+        remoteCount: 6,
+        matchedCount: 6,
+        markedDeleted: { count: 1, samples: ['INC0099999'], skippedReason: null }
+      });
+      expect(tickets.filter(ticket => ticket.deleted_at_source).map(ticket => ticket.ticket_id)).toEqual(['INC0099999']);
+      // A full last page is followed by one empty read
+      expect(server.requests.map(request => request.query.sysparm_query)).toEqual([
+        'ORDERBYsys_id',
+        ...Array(3).fill(expect.stringMatching(/^sys_id>[0-9a-f]{32}\^ORDERBYsys_id$/))
+      ]);
+    });
+
+    it('keeps tickets created while the sweep runs', async () => {
+      // Polling stores a record created in ServiceNow once the sweep has passed its sys_id
+      beforeRead = (request) => {
+        if (request.query.sysparm_query.startsWith('sys_id>') && records.length === 6) {
+          const [created] = buildIncidents(1, () => new Date()).map(record => ({
+            ...record,
+            sys_id: '0'.repeat(32),
+            number: 'INC0000100'
+          }));
+          records.push(created);
+          tickets.push({ ...storedTicket(created), createdAt: new Date() });
+        }
+      };
+
+      const result = await reconcileTable('incident', { connection });
+
+      expect(tickets).toHaveLength(7);
+      expect(result.data.markedDeleted).toEqual({ count: 0, samples: [], skippedReason: null });
+      expect(tickets.every(ticket => ticket.deleted_at_source === null)).toBe(true);
+    });
+
+    it('keeps the tickets of records that fail to map', async () => {
+      const unmappable = records[3];
+      records[3] = { ...unmappable, number: '' };
+
+      const result = await reconcileTable('incident', { connection });
+      records[3] = unmappable;
+
+      expect(result.data).toMatchObject({ remoteCount: 6, matchedCount: 5, unmappedCount: 1 });
+      expect(result.data.markedDeleted.count).toBe(0);
+      expect(tickets.find(ticket => ticket.sys_id === unmappable.sys_id)).toMatchObject({ deleted_at_source: null });
+    });
+  });
+});
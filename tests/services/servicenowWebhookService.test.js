@@ -0,0 +1,140 @@
+jest.mock('../../src/services/servicenowIngestionService', () => ({
+  saveTickets: jest.fn().mockResolvedValue({ savedCount: 1, updatedCount: 0, unchangedCount: 0, errorCount: 0 })
+}));
+
+const crypto = require('crypto');
+const { verifySignature, isFreshTimestamp, processWebhookPayload } = require('../../src/services/servicenowWebhookService');
+const { saveTickets } = require('../../src/services/servicenowIngestionService');
+const { createApiClient } = require('../../src/services/servicenowClient');
+const { startMockServer } = require('../helpers/mockServer');
+const { buildIncidents, createTableApi } = require('../helpers/fakeTableApi');
+
+const SECRET = 'webhook-secret';
+const NOW = new Date('2024-05-01T12:00:00Z');
+const NOW_SECONDS = String(NOW.getTime() / 1000);
+
+const sign = (timestamp, body) => crypto.createHmac('sha256', SECRET).update(`${timestamp}.${body}`).digest('hex');
+
+describe('servicenowWebhookService', () => {
+  describe('verifySignature', () => {
+    const body = Buffer.from('{"table":"incident"}');
+
+    it('accepts the HMAC of the timestamp and the raw body', () => {
+      expect(verifySignature(body, sign(NOW_SECONDS, body), NOW_SECONDS, SECRET)).toBe(true);
+      expect(verifySignature(body, `sha256=${sign(NOW_SECONDS, body).toUpperCase()}`, NOW_SECONDS, SECRET)).toBe(true);
+    });
+
+    it('rejects a delivery replayed under another timestamp', () => {
+      expect(verifySignature(body, sign(NOW_SECONDS, body), String(Number(NOW_SECONDS) + 600), SECRET)).toBe(false);
+    });
+
+    it('rejects a signature of the body alone or without a timestamp', () => {
+      const bodyOnly = crypto.createHmac('sha256', SECRET).update(body).digest('hex');
+
+      expect(verifySignature(body, bodyOnly, NOW_SECONDS, SECRET)).toBe(false);
+      expect(verifySignature(body, sign(NOW_SECONDS, body), undefined, SECRET)).toBe(false);
+      expect(verifySignature(body, sign(NOW_SECONDS, body), NOW_SECONDS, 'other-secret')).toBe(false);
+    });
+  });
+
+  describe('isFreshTimestamp', () => {
+    it('accepts timestamps within the tolerance, in both directions', () => {
+      expect(isFreshTimestamp(NOW_SECONDS, { now: NOW, toleranceSeconds: 300 })).toBe(true);
+      expect(isFreshTimestamp(String(Number(NOW_SECONDS) - 300), { now: NOW, toleranceSeconds: 300 })).toBe(true);
+      expect(isFreshTimestamp(String(Number(NOW_SECONDS) + 300), { now: NOW, toleranceSeconds: 300 })).toBe(true);
+    });
+
+    it('rejects old, future and malformed timestamps', () => {
+      expect(isFreshTimestamp(String(Number(NOW_SECONDS) - 301), { now: NOW, toleranceSeconds: 300 })).toBe(false);
+      expect(isFreshTimestamp(String(Number(NOW_SECONDS) + 301), { now: NOW, toleranceSeconds: 300 })).toBe(false);
+      expect(isFreshTimestamp(NOW.toISOString(), { now: NOW, toleranceSeconds: 300 })).toBe(false);
+      expect(isFreshTimestamp(undefined, { now: NOW, toleranceSeconds: 300 })).toBe(false);
+    });
+  });
+
+  describe('processWebhookPayload', () => {
+    let server;
+    let records;
+    let connection;
+    // Replies to Table API reads, changed per test
+    let reply;
+
+    beforeAll(async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      records = buildIncidents(3, () => new Date('2024-05-01T10:00:00Z'));
+      const tableApi = createTableApi(records);
+      server = await startMockServer(request => reply(request) || tableApi(request));
+      connection = {
+        key: 'default',
+        tables: ['incident'],
+        client: createApiClient({
+          url: server.url,
+          authMode: 'basic',
+          username: 'integration',
+          password: 'secret',
+          timeout: 5000,
+          maxRequestsPerSecond: 0,
+          httpMaxRetries: 0
+        })
+      };
+    });
+
+    afterAll(async () => {
+      await server.close();
+      jest.restoreAllMocks();
+    });
+
+    beforeEach(() => {
+      server.requests.length = 0;
+      reply = () => null;
+      saveTickets.mockClear();
+    });
+
+    it('stores the records it names as polling reads them, not as the Business Rule sent them', async () => {
+      // Raw values as a Business Rule serializes them
+      const body = {
+        table: 'incident',
+        records: records.slice(0, 2).map(record => ({ sys_id: record.sys_id, number: record.number, state: '2', priority: '3' }))
+      };
+
+      const result = await processWebhookPayload(body, connection);
+
+      expect(result).toMatchObject({ success: true, table: 'incident', total: 2, missing: 0 });
+      expect(server.requests[0].query).toMatchObject({
+        sysparm_query: `sys_idIN${records[0].sys_id},${records[1].sys_id}`,
+        sysparm_display_value: 'all'
+      });
+      const [stored, table, storedConnection] = saveTickets.mock.calls[0];
+      expect(stored).toEqual(expect.arrayContaining([records[0], records[1]]));
+      expect(stored[0]).toMatchObject({ state: 'In Progress', priority: '3 - Moderate' });
+      expect([table, storedConnection]).toEqual(['incident', connection]);
+    });
+
+    it('reports records deleted before they could be read', async () => {
+      const gone = 'f'.repeat(32);
+
+      const result = await processWebhookPayload({ ...records[2], sys_class_name: 'incident', sys_id: { value: gone } }, connection);
+
+      expect(result).toMatchObject({ success: true, total: 1, missing: 1, database: { saved: 0 } });
+      expect(saveTickets).not.toHaveBeenCalled();
+    });
+
+    it('rejects records without a valid sys_id before querying ServiceNow', async () => {
+      const result = await processWebhookPayload({ table: 'incident', record: { sys_id: 'abc^ORnumber!=x' } }, connection);
+
+      expect(result).toEqual({ success: false, invalid: true, error: 'Record 0 has no valid sys_id' });
+      expect(server.requests).toHaveLength(0);
+    });
+
+    it('answers as an upstream failure when ServiceNow cannot be read', async () => {
+      reply = () => ({ status: 503, body: { error: { message: 'Instance unavailable' } } });
+
+      const result = await processWebhookPayload({ table: 'incident', record: { sys_id: records[0].sys_id } }, connection);
+
+      expect(result).toMatchObject({ success: false, upstream: true });
+      expect(saveTickets).not.toHaveBeenCalled();
+    });
+  });
+});
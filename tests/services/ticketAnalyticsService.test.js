@@ -0,0 +1,199 @@
+const config = require('../../src/config');
+const Ticket = require('../../src/models/Tickets');
+const { getSlaStats } = require('../../src/services/ticketAnalyticsService');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Evaluate the aggregation expressions getSlaStats uses against a document
+ */
+const evaluate = (expression, doc) => {
+  if (typeof expression === 'string' && expression.startsWith('$')) {
+    const value = doc[expression.slice(1)];
+    return value === undefined ? null : value;
+  }
+  if (expression === null || typeof expression !== 'object' || expression instanceof Date) {
+    return expression;
+  }
+  const [[operator, args]] = Object.entries(expression);
+  const values = () => args.map(arg => evaluate(arg, doc));
+  const numeric = value => (value instanceof Date ? value.getTime() : value);
+  switch (operator) {
+    case '$literal':
+      return args;
+    case '$ifNull':
+      return values().find(value => value !== null) ?? null;
+    case '$eq':
+      return values()[0] === values()[1];
+    case '$ne':
+      return values()[0] !== values()[1];
+    case '$gt':
+      return numeric(values()[0]) > numeric(values()[1]);
+    case '$lte':
+      return numeric(values()[0]) <= numeric(values()[1]);
+    case '$subtract':
+      return numeric(values()[0]) - numeric(values()[1]);
+    case '$divide':
+      return values()[0] / values()[1];
+    case '$cond':
+      return evaluate(args[evaluate(args[0], doc) ? 1 : 2], doc);
+    case '$switch': {
+      const branch = args.branches.find(candidate => evaluate(candidate.case, doc));
+      return evaluate(branch ? branch.then : args.default, doc);
+    }
+    case '$regexMatch':
+      return new RegExp(args.regex, args.options).test(evaluate(args.input, doc));
+    default:
+      throw new Error(`Unsupported expression ${operator}`);
+  }
+};
+
+/**
+ * Group documents like $group with $sum and $first accumulators
+ */
+const group = (docs, { _id, ...accumulators }) => {
+  const groups = new Map();
+  docs.forEach(doc => {
+    const key = evaluate(_id, doc);
+    if (!groups.has(key)) {
+      groups.set(key, { _id: key, docs: [] });
+    }
+    groups.get(key).docs.push(doc);
+  });
+  return Array.from(groups.values()).map(({ _id: key, docs: members }) => ({
+    _id: key,
+    ...Object.fromEntries(Object.entries(accumulators).map(([field, accumulator]) => [
+      field,
+      accumulator.$first !== undefined
+        ? evaluate(accumulator.$first, members[0])
+        : members.reduce((sum, doc) => sum + evaluate(accumulator.$sum, doc), 0)
+    ]))
+  }));
+};
+
+/**
+ * Run the SLA pipeline in memory. The $match stage is left to the tests.
+ */
+const runPipeline = (tickets, pipeline) => {
+  const [, { $project }, { $addFields }, { $facet }] = pipeline;
+  const docs = tickets
+    .map(ticket => ({
+      priority: ticket.priority,
+      ...Object.fromEntries(Object.entries($project).filter(([, value]) => value !== 1).map(([field, expression]) => [field, evaluate(expression, ticket)]))
+    }))
+    .map(doc => ({ ...doc, ...Object.fromEntries(Object.entries($addFields).map(([field, expression]) => [field, evaluate(expression, doc)])) }));
+
+  return [Object.fromEntries(Object.entries($facet).map(([name, stages]) => {
+    let results = group(docs, stages[0].$group);
+    if (stages[1]) {
+      // Like MongoDB, null sorts first
+      results = results.sort((a, b) => (a._id === null ? -1 : b._id === null ? 1 : a._id.localeCompare(b._id)));
+    }
+    return [name, results];
+  }))];
+};
+
+describe('ticketAnalyticsService', () => {
+  const originalTargets = config.analytics.slaTargets;
+  const hoursAgo = hours => new Date(Date.now() - hours * HOUR_MS);
+  const hoursAfter = (date, hours) => new Date(date.getTime() + hours * HOUR_MS);
+  let tickets;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Ticket, 'aggregate').mockImplementation(async pipeline => runPipeline(tickets, pipeline));
+  });
+
+  afterAll(() => {
+    config.analytics.slaTargets = originalTargets;
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    config.analytics.slaTargets = { 1: 4, 2: 8, 3: 24 };
+    Ticket.aggregate.mockClear();
+  });
+
+  describe('getSlaStats', () => {
+    it('counts met, breached, pending and untargeted tickets', async () => {
+      const opened = hoursAgo(100);
+      tickets = [
+        // Resolved before, at and after the 4 hour target
+        { priority: '1 - Critical', opened_time: opened, resolved_time: hoursAfter(opened, 3) },
+        { priority: '1 - Critical', opened_time: opened, resolved_time: hoursAfter(opened, 4) },
+        { priority: '1 - Critical', opened_time: opened, resolved_time: hoursAfter(opened, 5) },
+        // Closed without a resolution time
+        { priority: '2 - High', opened_time: opened, resolved_time: null, closed_time: hoursAfter(opened, 9) },
+        // Open past the target, and within it
+        { priority: '2 - High', opened_time: opened, resolved_time: null },
+        { priority: '3 - Moderate', opened_time: hoursAgo(2), resolved_time: null },
+        // No target for these priorities
+        { priority: '10', opened_time: opened, resolved_time: hoursAfter(opened, 1) },
+        { priority: null, opened_time: opened, resolved_time: null }
+      ];
+
+      const result = await getSlaStats({ from: '2024-01-01T00:00:00Z' });
+
+      expect(result.success).toBe(true);
+      expect(result.data.overall).toEqual({ total: 8, met: 2, breached: 3, pending: 1, noTarget: 2, breachRate: 60 });
+      expect(result.data.byPriority).toEqual([
+        { priority: null, targetHours: null, total: 1, met: 0, breached: 0, pending: 0, noTarget: 1, breachRate: null },
+        { priority: '1 - Critical', targetHours: 4, total: 3, met: 2, breached: 1, pending: 0, noTarget: 0, breachRate: 33.3 },
+        { priority: '10', targetHours: null, total: 1, met: 0, breached: 0, pending: 0, noTarget: 1, breachRate: null },
+        { priority: '2 - High', targetHours: 8, total: 2, met: 0, breached: 2, pending: 0, noTarget: 0, breachRate: 100 },
+        { priority: '3 - Moderate', targetHours: 24, total: 1, met: 0, breached: 0, pending: 1, noTarget: 0, breachRate: null }
+      ]);
+    });
+
+    it('matches targets on the priority number, not its prefix', async () => {
+      config.analytics.slaTargets = { 1: 4, P2: 8 };
+      const opened = hoursAgo(100);
+      tickets = ['1', '1 - Critical', '1-Critical', '10', '12 - Custom', 'p2', 'P20']
+        .map(priority => ({ priority, opened_time: opened, resolved_time: hoursAfter(opened, 1) }));
+
+      const result = await getSlaStats();
+
+      expect(Object.fromEntries(result.data.byPriority.map(group => [group.priority, group.targetHours]))).toEqual({
+        1: 4,
+        '1 - Critical': 4,
+        '1-Critical': 4,
+        10: null,
+        '12 - Custom': null,
+        p2: 8,
+        P20: null
+      });
+    });
+
+    it('reports no rate without tickets', async () => {
+      tickets = [];
+
+      const result = await getSlaStats();
+
+      expect(result.data.overall).toEqual({ total: 0, met: 0, breached: 0, pending: 0, noTarget: 0, breachRate: null });
+      expect(result.data.byPriority).toEqual([]);
+    });
+
+    it('limits the tickets to those opened in the range', async () => {
+      tickets = [];
+
+      const result = await getSlaStats({ from: '2024-05-01T00:00:00Z', to: '2024-06-01T00:00:00Z', source: 'Jira' });
+      const [{ $match }] = Ticket.aggregate.mock.calls[0][0];
+
+      expect(result.data).toMatchObject({ from: new Date('2024-05-01T00:00:00Z'), to: new Date('2024-06-01T00:00:00Z') });
+      expect($match).toMatchObject({
+        source: 'Jira',
+        opened_time: { $gte: new Date('2024-05-01T00:00:00Z'), $lt: new Date('2024-06-01T00:00:00Z') }
+      });
+    });
+
+    it('rejects invalid ranges', async () => {
+      await expect(getSlaStats({ from: 'last week' })).resolves.toEqual({
+        success: false,
+        invalid: true,
+        error: 'from and to must be ISO 8601 dates'
+      });
+      await expect(getSlaStats({ from: '2024-06-01', to: '2024-05-01' })).resolves.toMatchObject({ error: 'from must be before to' });
+      expect(Ticket.aggregate).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,178 @@
+const mongoose = require('mongoose');
+const { encodeCursor, decodeCursor, keysetCondition } = require('../../src/services/ticketCursor');
+
+/**
+ * Order of two values as MongoDB sorts them: missing and null first, then by value
+ */
+const compareValues = (a, b) => {
+  const left = a === undefined ? null : a;
+  const right = b === undefined ? null : b;
+  if (left === null || right === null) {
+    return (left === null ? 0 : 1) - (right === null ? 0 : 1);
+  }
+  const key = value => (value instanceof Date ? value.getTime() : value instanceof mongoose.Types.ObjectId ? value.toHexString() : value);
+  return key(left) < key(right) ? -1 : key(left) > key(right) ? 1 : 0;
+};
+
+/**
+ * Whether a ticket matches the conditions keysetCondition builds ($or, equality, $gt, $lt, $ne)
+ */
+const matches = (ticket, condition) => Object.entries(condition).every(([field, expected]) => {
+  if (field === '$or') {
+    return expected.some(clause => matches(ticket, clause));
+  }
+  const value = ticket[field];
+  if (expected === null || !(typeof expected === 'object') || expected instanceof Date || expected instanceof mongoose.Types.ObjectId) {
+    return compareValues(value, expected) === 0;
+  }
+  return Object.entries(expected).every(([operator, operand]) => {
+    if (operator === '$ne') {
+      return compareValues(value, operand) !== 0;
+    }
+    // Like MongoDB, range operators never match null or missing values
+    if (value === null || value === undefined) {
+      return false;
+    }
+    const order = compareValues(value, operand);
+    return operator === '$gt' ? order > 0 : order < 0;
+  });
+});
+
+/**
+ * Page through tickets in memory the way fetchTicketsPage does: sort on the field then
+ * _id, and continue from the cursor of the last ticket of each page
+ */
+const pageThrough = (tickets, sortBy, sortOrder, pageSize) => {
+  const direction = sortOrder === 'desc' ? -1 : 1;
+  const sorted = tickets.slice().sort((a, b) => (
+    direction * (compareValues(a[sortBy], b[sortBy]) || compareValues(a._id, b._id))
+  ));
+
+  const pages = [];
+  let cursor = null;
+  for (;;) {
+    let candidates = sorted;
+    if (cursor) {
+      const position = decodeCursor(cursor, sortBy, sortOrder);
+      candidates = sorted.filter(ticket => matches(ticket, keysetCondition(sortBy, direction, position)));
+    }
+    const page = candidates.slice(0, pageSize);
+    if (page.length === 0) {
+      return pages;
+    }
+    pages.push(page.map(ticket => ticket.ticket_id));
+    cursor = encodeCursor(page[page.length - 1], sortBy, sortOrder);
+  }
+};
+
+describe('ticketCursor', () => {
+  const ticket = {
+    _id: new mongoose.Types.ObjectId('6650c0f2a1b2c3d4e5f60718'),
+    ticket_id: 'INC0010001',
+    opened_time: new Date('2024-05-01T10:00:00Z'),
+    priority: '2 - High'
+  };
+
+  describe('encodeCursor and decodeCursor', () => {
+    it('round trips date, string and null sort keys', () => {
+      expect(decodeCursor(encodeCursor(ticket, 'opened_time', 'desc'), 'opened_time', 'desc'))
+        .toEqual({ success: true, value: ticket.opened_time, id: ticket._id });
+      expect(decodeCursor(encodeCursor(ticket, 'priority', 'asc'), 'priority', 'asc'))
+        .toEqual({ success: true, value: '2 - High', id: ticket._id });
+      expect(decodeCursor(encodeCursor(ticket, 'closed_time', 'asc'), 'closed_time', 'asc'))
+        .toEqual({ success: true, value: null, id: ticket._id });
+    });
+
+    it('issues URL-safe tokens', () => {
+      expect(encodeCursor(ticket, 'opened_time', 'desc')).toMatch(/^[A-Za-z0-9_-]+$/);
+    });
+
+    it('rejects a cursor of another sort', () => {
+      const cursor = encodeCursor(ticket, 'opened_time', 'desc');
+
+      expect(decodeCursor(cursor, 'opened_time', 'asc')).toEqual({
+        success: false,
+        invalid: true,
+        error: 'Cursor was issued for sortBy=opened_time&sortOrder=desc, not sortBy=opened_time&sortOrder=asc'
+      });
+      expect(decodeCursor(cursor, 'priority', 'desc').success).toBe(false);
+    });
+
+    it('rejects malformed cursors', () => {
+      const token = (value) => Buffer.from(JSON.stringify(value)).toString('base64url');
+      const malformed = { success: false, invalid: true, error: 'Malformed cursor' };
+
+      expect(decodeCursor('not a cursor', 'opened_time', 'desc')).toEqual(malformed);
+      expect(decodeCursor(token({ s: 'opened_time', o: 'desc', v: null, id: 'nope' }), 'opened_time', 'desc')).toEqual(malformed);
+      expect(decodeCursor(token({ s: 'opened_time', o: 'desc', id: String(ticket._id) }), 'opened_time', 'desc')).toEqual(malformed);
+      expect(decodeCursor(token({ s: 'opened_time', o: 'desc', v: 'someday', id: String(ticket._id) }), 'opened_time', 'desc')).toEqual(malformed);
+    });
+  });
+
+  describe('keysetCondition', () => {
+    const position = { value: '2 - High', id: ticket._id };
+
+    it('continues after the position, breaking ties on _id', () => {
+      expect(keysetCondition('priority', 1, position)).toEqual({
+        $or: [
+          { priority: { $gt: '2 - High' } },
+          { priority: '2 - High', _id: { $gt: ticket._id } }
+        ]
+      });
+      expect(keysetCondition('priority', -1, position)).toEqual({
+        $or: [
+          { $or: [{ priority: { $lt: '2 - High' } }, { priority: null }] },
+          { priority: '2 - High', _id: { $lt: ticket._id } }
+        ]
+      });
+    });
+
+    it('handles positions on missing values', () => {
+      expect(keysetCondition('closed_time', 1, { value: null, id: ticket._id })).toEqual({
+        $or: [
+          { closed_time: { $ne: null } },
+          { closed_time: null, _id: { $gt: ticket._id } }
+        ]
+      });
+      expect(keysetCondition('closed_time', -1, { value: null, id: ticket._id }))
+        .toEqual({ closed_time: null, _id: { $lt: ticket._id } });
+    });
+  });
+
+  describe('paging', () => {
+    // Sort keys shared by several tickets, and tickets without one
+    const tickets = ['3 - Moderate', '1 - Critical', null, '3 - Moderate', '2 - High', undefined, '3 - Moderate', null, '1 - Critical', '3 - Moderate', '2 - High']
+      .map((priority, index) => ({
+        _id: new mongoose.Types.ObjectId(),
+        ticket_id: `INC${String(index).padStart(7, '0')}`,
+        priority,
+        closed_time: index % 3 === 0 ? null : new Date(Date.UTC(2024, 4, 1 + (index % 4)))
+      }));
+
+    it.each([
+      ['priority', 'asc'],
+      ['priority', 'desc'],
+      ['closed_time', 'asc'],
+      ['closed_time', 'desc']
+    ])('returns every ticket exactly once sorted by %s %s', (sortBy, sortOrder) => {
+      [1, 2, 3, 4].forEach(pageSize => {
+        const pages = pageThrough(tickets, sortBy, sortOrder, pageSize);
+        const seen = pages.flat();
+
+        expect(seen).toHaveLength(tickets.length);
+        expect(new Set(seen).size).toBe(tickets.length);
+        pages.slice(0, -1).forEach(page => expect(page).toHaveLength(pageSize));
+      });
+    });
+
+    it('pages in sort order', () => {
+      const seen = pageThrough(tickets, 'priority', 'asc', 2).flat();
+      const priorities = seen.map(ticketId => tickets.find(candidate => candidate.ticket_id === ticketId).priority);
+
+      expect(priorities.map(priority => (priority === undefined ? null : priority))).toEqual([
+        null, null, null, '1 - Critical', '1 - Critical', '2 - High', '2 - High',
+        '3 - Moderate', '3 - Moderate', '3 - Moderate', '3 - Moderate'
+      ]);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+const mockUploadFile = jest.fn();
+jest.mock('../../src/services/s3Service', () => jest.fn().mockImplementation(() => ({
+  uploadFile: (...args) => mockUploadFile(...args)
+})));
+
+const { PassThrough } = require('stream');
+const Ticket = require('../../src/models/Tickets');
+const TicketExport = require('../../src/models/TicketExport');
+const { prepareExport, writeTicketExport, startAsyncExport } = require('../../src/services/ticketExportService');
+
+/**
+ * Stub Ticket.find with a query whose cursor yields the tickets
+ * @returns {Object} The cursor, to check it was closed
+ */
+const mockTicketCursor = (tickets) => {
+  const cursor = {
+    close: jest.fn().mockResolvedValue(),
+    [Symbol.asyncIterator]: async function* () {
+      yield* tickets;
+    }
+  };
+  const query = {
+    sort: () => query,
+    lean: () => query,
+    allowDiskUse: () => query,
+    limit: () => query,
+    cursor: () => cursor
+  };
+  jest.spyOn(Ticket, 'find').mockReturnValue(query);
+  return cursor;
+};
+
+/**
+ * Run an export into a stream and collect what was written
+ */
+const exportText = async (tickets, options) => {
+  const cursor = mockTicketCursor(tickets);
+  const prepared = prepareExport(options);
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on('data', chunk => chunks.push(chunk));
+
+  const rowCount = await writeTicketExport(stream, prepared);
+  return { text: Buffer.concat(chunks).toString('utf8'), rowCount, cursor };
+};
+
+describe('ticketExportService', () => {
+  const tickets = [
+    {
+      ticket_id: 'INC0010001',
+      short_description: 'Printer says "paper jam", again\r\nsecond line',
+      priority: '1 - Critical',
+      tags: ['printer', 'floor-3'],
+      assigned_to: { id: 'agent-1' },
+      opened_time: new Date('2024-05-01T10:00:00Z'),
+      custom_fields: { u_tier: 2 }
+    },
+    {
+      ticket_id: 'INC0010002',
+      short_description: '=HYPERLINK("http://example.com")',
+      priority: null,
+      tags: [],
+      opened_time: null
+    }
+  ];
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('prepareExport', () => {
+    it('rejects unknown formats, columns and sort fields', () => {
+      expect(prepareExport({ format: 'pdf' })).toMatchObject({ success: false, invalid: true, error: 'format must be one of csv, ndjson, xlsx' });
+      expect(prepareExport({ columns: 'ticket_id,raw,payload_hash' })).toMatchObject({ success: false, error: 'Unknown columns: raw, payload_hash' });
+      expect(prepareExport({ columns: ' , ' })).toMatchObject({ success: false, error: 'Unknown columns: (none selected)' });
+      expect(prepareExport({ sortBy: 'raw' })).toMatchObject({ success: false, error: 'Unknown sortBy field "raw"' });
+    });
+
+    it('keeps the listing order with _id breaking ties', () => {
+      expect(prepareExport({ columns: 'ticket_id,ticket_id' })).toMatchObject({
+        success: true,
+        format: 'csv',
+        columns: ['ticket_id'],
+        sort: { opened_time: -1, _id: -1 },
+        limit: null
+      });
+      expect(prepareExport({ sortBy: 'priority', sortOrder: 'asc', limit: '10' })).toMatchObject({ sort: { priority: 1, _id: 1 }, limit: 10 });
+      expect(prepareExport({ q: 'printer' }).sort).toEqual({ score: { $meta: 'textScore' }, _id: 1 });
+    });
+  });
+
+  describe('CSV', () => {
+    it('writes a header and one quoted, CRLF-terminated row per ticket', async () => {
+      const { text, rowCount, cursor } = await exportText(tickets, {
+        format: 'csv',
+        columns: 'ticket_id,short_description,priority,tags,assigned_to.id,opened_time,custom_fields.u_tier'
+      });
+
+      expect(rowCount).toBe(2);
+      expect(cursor.close).toHaveBeenCalled();
+      expect(text).toBe([
+        'ticket_id,short_description,priority,tags,assigned_to.id,opened_time,custom_fields.u_tier',
+        'INC0010001,"Printer says ""paper jam"", again\r\nsecond line",1 - Critical,printer; floor-3,agent-1,2024-05-01T10:00:00.000Z,2',
+        'INC0010002,"\'=HYPERLINK(""http://example.com"")",,,,,',
+        ''
+      ].join('\r\n'));
+    });
+
+    it('neutralizes every formula prefix', async () => {
+      const prefixes = ['=1+1', '+1', '-1', '@SUM(A1)', '\tcmd', '\rcmd'];
+      const { text } = await exportText(prefixes.map(prefix => ({ ticket_id: prefix })), { format: 'csv', columns: 'ticket_id' });
+
+      expect(text.split('\r\n').slice(1, 5)).toEqual(["'=1+1", "'+1", "'-1", "'@SUM(A1)"]);
+      expect(text).toContain("'\tcmd");
+      expect(text).toContain('"\'\rcmd"');
+    });
+  });
+
+  describe('NDJSON', () => {
+    it('writes one JSON object per line with every column', async () => {
+      const { text, rowCount } = await exportText(tickets, {
+        format: 'ndjson',
+        columns: 'ticket_id,priority,tags,assigned_to.id,opened_time'
+      });
+
+      expect(rowCount).toBe(2);
+      expect(text.endsWith('\n')).toBe(true);
+      expect(text.trimEnd().split('\n').map(line => JSON.parse(line))).toEqual([
+        { ticket_id: 'INC0010001', priority: '1 - Critical', tags: ['printer', 'floor-3'], 'assigned_to.id': 'agent-1', opened_time: '2024-05-01T10:00:00.000Z' },
+        { ticket_id: 'INC0010002', priority: null, tags: [], 'assigned_to.id': null, opened_time: null }
+      ]);
+    });
+
+    it('writes nothing for an empty result', async () => {
+      const { text, rowCount } = await exportText([], { format: 'ndjson' });
+
+      expect(rowCount).toBe(0);
+      expect(text).toBe('');
+    });
+  });
+
+  describe('async exports', () => {
+    it('marks the export failed when the upload fails mid-export', async () => {
+      // Enough rows to fill the upload body, which nobody reads
+      const cursor = mockTicketCursor(Array.from({ length: 5000 }, (item, index) => ({
+        ticket_id: `INC${String(index).padStart(7, '0')}`,
+        short_description: 'x'.repeat(100)
+      })));
+      mockUploadFile.mockImplementation(() => new Promise((resolve, reject) => {
+        setTimeout(() => reject(new Error('File upload failed')), 20);
+      }));
+      jest.spyOn(TicketExport, 'create').mockImplementation(async fields => ({
+        _id: 'export-1',
+        createdAt: new Date('2024-05-01T10:00:00Z'),
+        ...fields,
+        toObject() {
+          return { ...this };
+        }
+      }));
+      const finished = new Promise(resolve => {
+        jest.spyOn(TicketExport, 'updateOne').mockImplementation(async (filter, update) => {
+          if (update.$set.status) {
+            resolve(update.$set);
+          }
+        });
+      });
+
+      await startAsyncExport(prepareExport({ format: 'csv', columns: 'ticket_id,short_description' }), { userId: 'user-1' });
+
+      await expect(finished).resolves.toMatchObject({ status: 'failed', error: 'File upload failed' });
+      expect(cursor.close).toHaveBeenCalled();
+    });
+  });
+});
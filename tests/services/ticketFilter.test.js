@@ -0,0 +1,122 @@
+const { parseTicketFilter, fieldTypeOf } = require('../../src/services/ticketFilter');
+
+const NOW = new Date('2024-05-15T12:00:00Z');
+const parse = (expression) => parseTicketFilter(expression, { now: NOW });
+
+describe('ticketFilter', () => {
+  describe('parseTicketFilter', () => {
+    it('compiles comparisons on every field type', () => {
+      expect(parse('status = "In Progress"').filter).toEqual({ status: 'In Progress' });
+      expect(parse('status != Closed').filter).toEqual({ status: { $ne: 'Closed' } });
+      expect(parse('reopen_count >= 2').filter).toEqual({ reopen_count: { $gte: 2 } });
+      expect(parse('opened_time < 2024-05-01').filter).toEqual({ opened_time: { $lt: new Date('2024-05-01') } });
+      expect(parse('tags:noise').filter).toEqual({ tags: 'noise' });
+      expect(parse('closed_time = null').filter).toEqual({ closed_time: null });
+      expect(parse('custom_fields.u_vip = true').filter).toEqual({ 'custom_fields.u_vip': true });
+      expect(parse('custom_fields.u_tier = 2').filter).toEqual({ 'custom_fields.u_tier': 2 });
+    });
+
+    it('compares priorities with the stored text', () => {
+      expect(parse('priority in ("1 - Critical", "2 - High")').filter)
+        .toEqual({ priority: { $in: ['1 - Critical', '2 - High'] } });
+      expect(parse('priority = "1"').filter).toEqual({ priority: '1' });
+    });
+
+    it('matches a bare number as the choice it starts', () => {
+      const { filter } = parse('priority in (1,2)');
+      expect(filter).toEqual({ priority: { $in: [/^1(?![A-Za-z0-9])/, /^2(?![A-Za-z0-9])/] } });
+      const [critical, high] = filter.priority.$in;
+      expect(['1 - Critical', '2 - High', '10 - Planning', '3 - Moderate'].filter(priority => (
+        critical.test(priority) || high.test(priority)
+      ))).toEqual(['1 - Critical', '2 - High']);
+
+      expect(parse('impact = 1').filter).toEqual({ impact: /^1(?![A-Za-z0-9])/ });
+      expect(parse('urgency != 3').filter).toEqual({ urgency: { $not: /^3(?![A-Za-z0-9])/ } });
+      expect(parse('priority not in (4, "5 - Planning")').filter)
+        .toEqual({ priority: { $nin: [/^4(?![A-Za-z0-9])/, '5 - Planning'] } });
+    });
+
+    it('resolves relative dates from now', () => {
+      expect(parse('opened_time >= -7d').filter).toEqual({ opened_time: { $gte: new Date('2024-05-08T12:00:00Z') } });
+      expect(parse('updatedAt > -90m').filter).toEqual({ updatedAt: { $gt: new Date('2024-05-15T10:30:00Z') } });
+      expect(parse('resolved_time <= now').filter).toEqual({ resolved_time: { $lte: NOW } });
+    });
+
+    it('matches "~" as escaped, case-insensitive text', () => {
+      expect(parse('short_description ~ "a.b (c)"').filter)
+        .toEqual({ short_description: { $regex: 'a\\.b \\(c\\)', $options: 'i' } });
+    });
+
+    it('combines conditions with AND binding tighter than OR', () => {
+      expect(parse('status = New OR priority = "1 - Critical" AND NOT tags:noise').filter).toEqual({
+        $or: [
+          { status: 'New' },
+          { $and: [{ priority: '1 - Critical' }, { $nor: [{ tags: 'noise' }] }] }
+        ]
+      });
+      expect(parse('(status = New OR status = Open) and category not in (Network)').filter).toEqual({
+        $and: [
+          { $or: [{ status: 'New' }, { status: 'Open' }] },
+          { category: { $nin: ['Network'] } }
+        ]
+      });
+    });
+
+    it('reports errors with their position', () => {
+      expect(parse('status = New AND')).toEqual({
+        success: false,
+        invalid: true,
+        error: 'Expected a field name but found "end of filter" at position 16',
+        position: 16
+      });
+      expect(parse('owner = me')).toMatchObject({ error: 'Unknown field "owner" at position 0', position: 0 });
+      expect(parse('status = "New')).toMatchObject({ error: 'Unterminated string at position 9', position: 9 });
+      expect(parse('(status = New')).toMatchObject({ error: 'Expected ")" but found "end of filter" at position 13', position: 13 });
+      expect(parse('tags > a')).toMatchObject({ error: 'Operator ">" is not supported on array field "tags" at position 5', position: 5 });
+      expect(parse('reopen_count = many')).toMatchObject({ error: 'Invalid number "many" at position 15', position: 15 });
+      expect(parse('opened_time > yesterday').position).toBe(14);
+      expect(parse('status = New status = Open')).toMatchObject({ position: 13 });
+      expect(parse('')).toMatchObject({ error: 'Filter is empty at position 0', position: 0 });
+    });
+
+    it('rejects operators of its own', () => {
+      expect(parse('$where = 1')).toMatchObject({ success: false, error: 'Unexpected character "$" at position 0', position: 0 });
+      expect(parse('status = $ne')).toMatchObject({ success: false, error: 'Unexpected character "$" at position 9', position: 9 });
+      expect(parse('custom_fields.$gt = 1')).toMatchObject({ success: false, position: 14 });
+      // Quoted, "$ne" is a literal value
+      expect(parse('status = "$ne"').filter).toEqual({ status: '$ne' });
+    });
+
+    it('limits nesting depth', () => {
+      const nested = (depth) => `${'('.repeat(depth)}status = New${')'.repeat(depth)}`;
+
+      expect(parse(nested(9)).success).toBe(true);
+      expect(parse(nested(10))).toMatchObject({
+        success: false,
+        error: 'Filter is nested more than 10 levels deep at position 10',
+        position: 10
+      });
+      expect(parse(`${'NOT '.repeat(10)}tags:noise`)).toMatchObject({ success: false, position: 40 });
+    });
+
+    it('limits conditions, list values and length', () => {
+      const conditions = Array.from({ length: 51 }, () => 'status = New').join(' OR ');
+      expect(parse(conditions).error).toMatch(/^Filter has more than 50 conditions/);
+
+      const values = Array.from({ length: 101 }, (item, index) => `v${index}`).join(',');
+      expect(parse(`category in (${values})`).error).toMatch(/^IN lists take at most 100 values/);
+
+      expect(parse(`short_description ~ "${'x'.repeat(2000)}"`)).toMatchObject({ success: false, position: 2000 });
+    });
+  });
+
+  describe('fieldTypeOf', () => {
+    it('types known fields and custom fields only', () => {
+      expect(fieldTypeOf('opened_time')).toBe('date');
+      expect(fieldTypeOf('custom_fields.u_tier')).toBe('mixed');
+      expect(fieldTypeOf('custom_fields.u-tier')).toBeNull();
+      expect(fieldTypeOf('raw')).toBeNull();
+      expect(fieldTypeOf('constructor')).toBeNull();
+    });
+  });
+});
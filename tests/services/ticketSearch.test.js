@@ -0,0 +1,125 @@
+const { escapeRegex, parseSearchQuery, buildTextSearch, highlightTicket } = require('../../src/services/ticketSearch');
+
+describe('ticketSearch', () => {
+  describe('escapeRegex', () => {
+    it('escapes every regular expression metacharacter', () => {
+      const text = '.*+?^${}()|[]\\';
+
+      expect(new RegExp(`^${escapeRegex(text)}$`).test(text)).toBe(true);
+      expect(escapeRegex('a.b')).toBe('a\\.b');
+      expect(new RegExp(escapeRegex('a.b')).test('axb')).toBe(false);
+    });
+  });
+
+  describe('parseSearchQuery', () => {
+    it('splits terms, phrases and negations', () => {
+      expect(parseSearchQuery('printer "paper jam" -toner -"out of order"')).toEqual({
+        terms: ['printer'],
+        phrases: ['paper jam'],
+        excludedTerms: ['toner'],
+        excludedPhrases: ['out of order']
+      });
+    });
+
+    it('searches punctuated tokens as phrases of their words', () => {
+      expect(parseSearchQuery('e-mail 10.0.0.1 -out-of-office')).toEqual({
+        terms: [],
+        phrases: ['e mail', '10 0 0 1'],
+        excludedTerms: [],
+        excludedPhrases: ['out of office']
+      });
+    });
+
+    it('keeps single word phrases as terms and drops empty ones', () => {
+      expect(parseSearchQuery('"vpn" -"" "  " -"laptop"')).toEqual({
+        terms: ['vpn'],
+        phrases: [],
+        excludedTerms: ['laptop'],
+        excludedPhrases: []
+      });
+    });
+
+    it('runs an unterminated quote to the end of the query', () => {
+      expect(parseSearchQuery('outage "data center')).toMatchObject({ terms: ['outage'], phrases: ['data center'] });
+    });
+
+    it('drops operators and punctuation', () => {
+      expect(parseSearchQuery('$where {"$gt": ""} || /.*/')).toEqual({
+        terms: ['where', 'gt'],
+        phrases: [],
+        excludedTerms: [],
+        excludedPhrases: []
+      });
+    });
+
+    it('keeps words of any script', () => {
+      expect(parseSearchQuery('Drucker défaut 打印机').terms).toEqual(['Drucker', 'défaut', '打印机']);
+    });
+  });
+
+  describe('buildTextSearch', () => {
+    it('rebuilds the query for $text', () => {
+      expect(buildTextSearch(parseSearchQuery('printer "paper jam" -toner -"out of order"')))
+        .toBe('"paper jam" printer -"out of order" -toner');
+    });
+
+    it('returns null without a term or phrase to look for', () => {
+      expect(buildTextSearch(parseSearchQuery(''))).toBeNull();
+      expect(buildTextSearch(parseSearchQuery('-toner -"out of order"'))).toBeNull();
+    });
+  });
+
+  describe('highlightTicket', () => {
+    it('marks terms, the words they start and phrases', () => {
+      const ticket = {
+        short_description: 'Printers on floor 3 report a paper  jam',
+        description: 'Nothing relevant',
+        category: 'Hardware'
+      };
+
+      expect(highlightTicket(ticket, parseSearchQuery('printer "paper jam"'))).toEqual([
+        { field: 'short_description', snippet: '<mark>Printers</mark> on floor 3 report a <mark>paper jam</mark>' }
+      ]);
+    });
+
+    it('does not mark matches inside words', () => {
+      expect(highlightTicket({ short_description: 'Reprint the badge' }, parseSearchQuery('print'))).toEqual([]);
+    });
+
+    it('escapes HTML around and inside matches', () => {
+      const ticket = { short_description: '<script>alert(1)</script> & "vpn" down' };
+
+      expect(highlightTicket(ticket, parseSearchQuery('vpn script'))).toEqual([{
+        field: 'short_description',
+        snippet: '&lt;<mark>script</mark>&gt;alert(1)&lt;/<mark>script</mark>&gt; &amp; &quot;<mark>vpn</mark>&quot; down'
+      }]);
+    });
+
+    it('cuts long fields around the first match with ellipses', () => {
+      const description = `${'a'.repeat(100)} outage ${'b'.repeat(200)}`;
+      const [highlight] = highlightTicket({ description }, parseSearchQuery('outage'));
+
+      expect(highlight.field).toBe('description');
+      expect(highlight.snippet.startsWith('…')).toBe(true);
+      expect(highlight.snippet.endsWith('…')).toBe(true);
+      expect(highlight.snippet).toContain(' <mark>outage</mark> ');
+    });
+
+    it('takes at most three fields in display order', () => {
+      const ticket = {
+        journal_text: 'vpn',
+        subcategory: 'vpn',
+        category: 'vpn',
+        description: 'vpn',
+        short_description: 'vpn'
+      };
+
+      expect(highlightTicket(ticket, parseSearchQuery('vpn')).map(highlight => highlight.field))
+        .toEqual(['short_description', 'description', 'category']);
+    });
+
+    it('has nothing to highlight for negations only', () => {
+      expect(highlightTicket({ short_description: 'toner' }, parseSearchQuery('-toner'))).toEqual([]);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+jest.mock('../../src/services/realtimeService', () => ({ publishTicketEvent: jest.fn() }));
+
+const Ticket = require('../../src/models/Tickets');
+const DeadLetter = require('../../src/models/DeadLetter');
+const { publishTicketEvent } = require('../../src/services/realtimeService');
+const { storeTickets, hashPayload } = require('../../src/services/ticketStoreService');
+
+const mapRecord = (record) => {
+  if (!record.number) {
+    throw new Error('Required field "number" is missing');
+  }
+  return { ticket: { ticket_id: record.number, source: 'ServiceNow', status: record.state }, warnings: [] };
+};
+
+const storeOptions = {
+  source: 'ServiceNow',
+  table: 'incident',
+  connectionId: 'default',
+  mapRecord,
+  identifyRecord: record => ({ ticket_id: record.number, sys_id: record.sys_id })
+};
+
+/**
+ * Stored copy of a record, as storeTickets hashes it
+ */
+const storedTicket = (record) => {
+  const { ticket } = mapRecord(record);
+  return { ticket_id: ticket.ticket_id, payload_hash: hashPayload(ticket) };
+};
+
+describe('ticketStoreService', () => {
+  beforeAll(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(DeadLetter, 'bulkWrite').mockResolvedValue({});
+    jest.spyOn(DeadLetter, 'updateMany').mockResolvedValue({});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    publishTicketEvent.mockClear();
+  });
+
+  describe('storeTickets', () => {
+    const records = [
+      { number: 'INC0000001', state: 'New' },
+      { number: 'INC0000002', state: 'In Progress' },
+      { number: 'INC0000003', state: 'Closed' },
+      { number: '', sys_id: 'unmappable' }
+    ];
+    const publishedEvents = () => publishTicketEvent.mock.calls.map(([type, ticket]) => [type, ticket.ticket_id]);
+
+    beforeEach(() => {
+      // INC0000001 is new, INC0000002 changed, INC0000003 unchanged
+      jest.spyOn(Ticket, 'find').mockReturnValue({
+        lean: async () => [
+          { ticket_id: 'INC0000002', payload_hash: 'previous' },
+          storedTicket(records[2])
+        ]
+      });
+      jest.spyOn(Ticket, 'bulkWrite').mockResolvedValue({
+        upsertedCount: 1,
+        matchedCount: 1,
+        modifiedCount: 1,
+        upsertedIds: { 0: 'ticket-1' }
+      });
+    });
+
+    it('announces the tickets created or modified, not unchanged or unmappable ones', async () => {
+      const result = await storeTickets(records, storeOptions);
+
+      expect(result).toMatchObject({ savedCount: 1, updatedCount: 1, unchangedCount: 1, errorCount: 1 });
+      expect(Ticket.bulkWrite.mock.calls[0][0]).toHaveLength(2);
+      expect(publishedEvents()).toEqual([['created', 'INC0000001'], ['updated', 'INC0000002']]);
+    });
+
+    it('announces nothing when publishEvents is off', async () => {
+      const result = await storeTickets(records, { ...storeOptions, publishEvents: false });
+
+      expect(result).toMatchObject({ savedCount: 1, updatedCount: 1 });
+      expect(publishTicketEvent).not.toHaveBeenCalled();
+    });
+
+    it('leaves updates to the concurrent writer that stored them first', async () => {
+      Ticket.bulkWrite.mockResolvedValue({ upsertedCount: 1, matchedCount: 1, modifiedCount: 0, upsertedIds: { 0: 'ticket-1' } });
+
+      const result = await storeTickets(records, storeOptions);
+
+      expect(result).toMatchObject({ savedCount: 1, updatedCount: 0, unchangedCount: 2 });
+      expect(publishedEvents()).toEqual([['created', 'INC0000001']]);
+    });
+
+    it('announces none of the writes that failed', async () => {
+      Ticket.bulkWrite.mockRejectedValue(Object.assign(new Error('write failed'), {
+        result: { upsertedCount: 1, matchedCount: 0, modifiedCount: 0, upsertedIds: { 0: 'ticket-1' } },
+        writeErrors: [{ index: 1, errmsg: 'Document failed validation' }]
+      }));
+
+      const result = await storeTickets(records, storeOptions);
+
+      expect(result).toMatchObject({ savedCount: 1, updatedCount: 0, errorCount: 2 });
+      expect(publishedEvents()).toEqual([['created', 'INC0000001']]);
+    });
+  });
+});
@@ -0,0 +1,53 @@
+const Ticket = require('../../src/models/Tickets');
+const { fetchTicketsFromDB } = require('../../src/services/ticketsService');
+
+describe('ticketsService', () => {
+  let sort;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(() => {
+    sort = null;
+    const query = {
+      sort: (order) => {
+        sort = order;
+        return query;
+      },
+      skip: () => query,
+      limit: () => query,
+      lean: async () => []
+    };
+    jest.spyOn(Ticket, 'find').mockReturnValue(query);
+    jest.spyOn(Ticket, 'countDocuments').mockResolvedValue(0);
+  });
+
+  describe('fetchTicketsFromDB', () => {
+    it.each([
+      ['offset', {}],
+      ['cursor', { pagination: 'cursor' }]
+    ])('rejects unknown sort fields in %s mode', async (mode, options) => {
+      for (const sortBy of ['raw', 'payload_hash', 'constructor']) {
+        await expect(fetchTicketsFromDB({ ...options, sortBy })).resolves.toMatchObject({
+          success: false,
+          invalid: true,
+          error: expect.stringContaining(`Unknown sortBy field "${sortBy}", sort by one of opened_time,`)
+        });
+      }
+      expect(Ticket.find).not.toHaveBeenCalled();
+    });
+
+    it('sorts offset pages by a known field with _id breaking ties', async () => {
+      const result = await fetchTicketsFromDB({ sortBy: 'priority', sortOrder: 'asc' });
+
+      expect(result.success).toBe(true);
+      expect(sort).toEqual({ priority: 1, _id: 1 });
+    });
+  });
+});